@@ -0,0 +1,16 @@
+// Silent stand-in for logger.js in tests (jest.mock('../logger')), so test runs don't write log files
+const logger = {
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  http: jest.fn(),
+  verbose: jest.fn(),
+  debug: jest.fn()
+};
+
+module.exports = {
+  logger,
+  withLogContext: (context, callback) => callback(),
+  requestContext: (req, res, next) => next(),
+  requestLogger: (req, res, next) => next()
+};
@@ -0,0 +1,157 @@
+const {
+  normalizeDomainPattern,
+  isWildcardPattern,
+  domainMatches,
+  isDevelopmentDomain,
+  stagingBaseDomain
+} = require('./domain-utils');
+
+// Per-license domain activations, limited by the plan's max_websites. Activations are exact domains
+// or "*.example.com" wildcards; development hosts, and the staging host of an activated domain,
+// validate without one (see domain-utils.js).
+// All functions take a connected pg client so callers control the connection.
+
+// Legacy licenses were bound to a single `domain` column; carry that over as the first activation
+async function seedLegacyActivation(client, license) {
+  const domain = normalizeDomainPattern(license.domain);
+  if (!domain || isDevelopmentDomain(domain)) return;
+
+  await client.query(`
+    INSERT INTO license_activations (license_id, domain)
+    SELECT $1, $2
+    WHERE NOT EXISTS (SELECT 1 FROM license_activations WHERE license_id = $1)
+  `, [license.id, domain]);
+}
+
+// The activation covering a concrete host: an exact match before a wildcard
+function findActivation(activations, domain) {
+  return activations.find(activation => activation.domain === domain) ||
+    activations.find(activation => isWildcardPattern(activation.domain) && domainMatches(activation.domain, domain));
+}
+
+// "staging.example.com" while example.com is activated
+function isStagingOfActivated(activations, domain) {
+  const base = stagingBaseDomain(domain);
+  return Boolean(base && findActivation(activations, base));
+}
+
+// Whether a license may be used on a concrete host
+function isDomainActivated(activations, domain) {
+  return isDevelopmentDomain(domain) ||
+    Boolean(findActivation(activations, domain)) ||
+    isStagingOfActivated(activations, domain);
+}
+
+async function listActivations(client, licenseId) {
+  const result = await client.query(`
+    SELECT domain, activated_at, last_seen
+    FROM license_activations
+    WHERE license_id = $1 AND deactivated_at IS NULL
+    ORDER BY activated_at ASC
+  `, [licenseId]);
+
+  return result.rows;
+}
+
+// Activate a normalized domain or wildcard pattern for a license. A license without a domain is
+// bound to the first one activated. Development hosts, and the staging host of an activated domain,
+// are allowed without taking a slot.
+// Returns { activated, alreadyActive, development, limitReached, activations, boundDomain }.
+async function activateDomain(client, license, domain, maxWebsites) {
+  if (!isWildcardPattern(domain) && isDevelopmentDomain(domain)) {
+    return {
+      activated: true,
+      alreadyActive: false,
+      development: true,
+      limitReached: false,
+      activations: await listActivations(client, license.id),
+      boundDomain: null
+    };
+  }
+
+  await client.query('BEGIN');
+
+  try {
+    // Lock the license row so concurrent activations can't both squeeze under the limit
+    await client.query('SELECT id FROM licenses WHERE id = $1 FOR UPDATE', [license.id]);
+    await seedLegacyActivation(client, license);
+
+    const activations = await listActivations(client, license.id);
+    const existing = isWildcardPattern(domain)
+      ? activations.find(activation => activation.domain === domain)
+      : findActivation(activations, domain);
+
+    if (existing) {
+      await client.query(`
+        UPDATE license_activations
+        SET last_seen = NOW()
+        WHERE license_id = $1 AND domain = $2
+      `, [license.id, existing.domain]);
+
+      await client.query('COMMIT');
+      return { activated: true, alreadyActive: true, development: false, limitReached: false, activations, boundDomain: null };
+    }
+
+    if (!isWildcardPattern(domain) && isStagingOfActivated(activations, domain)) {
+      await client.query('COMMIT');
+      return { activated: true, alreadyActive: false, development: true, limitReached: false, activations, boundDomain: null };
+    }
+
+    // -1 means unlimited; a plan without a usable limit gets a single website rather than none
+    // or unlimited ones
+    const limit = Number.isInteger(maxWebsites) ? maxWebsites : 1;
+    if (limit !== -1 && activations.length >= limit) {
+      await client.query('ROLLBACK');
+      return { activated: false, alreadyActive: false, development: false, limitReached: true, activations, boundDomain: null };
+    }
+
+    await client.query(`
+      INSERT INTO license_activations (license_id, domain, activated_at, last_seen)
+      VALUES ($1, $2, NOW(), NOW())
+      ON CONFLICT (license_id, domain)
+      DO UPDATE SET deactivated_at = NULL, activated_at = NOW(), last_seen = NOW()
+    `, [license.id, domain]);
+
+    // Bind on first activation: licenses bought without a domain take the first one used
+    const bound = await client.query(`
+      UPDATE licenses SET domain = $2, updated_at = NOW()
+      WHERE id = $1 AND domain IS NULL
+    `, [license.id, domain]);
+
+    await client.query('COMMIT');
+
+    return {
+      activated: true,
+      alreadyActive: false,
+      development: false,
+      limitReached: false,
+      activations: await listActivations(client, license.id),
+      boundDomain: bound.rowCount > 0 ? domain : null
+    };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// Deactivate a domain, freeing a slot. Returns false if it wasn't active.
+async function deactivateDomain(client, license, domain) {
+  await seedLegacyActivation(client, license);
+
+  const result = await client.query(`
+    UPDATE license_activations
+    SET deactivated_at = NOW()
+    WHERE license_id = $1 AND domain = $2 AND deactivated_at IS NULL
+  `, [license.id, domain]);
+
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  seedLegacyActivation,
+  listActivations,
+  isDomainActivated,
+  activateDomain,
+  deactivateDomain
+};
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { Pool } = require('pg');
+const { logger } = require('./logger');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Admin roles, ordered by privilege. A route requiring 'viewer' also accepts 'admin'.
+const ROLES = {
+  viewer: 1,
+  admin: 2
+};
+
+const ACCESS_TOKEN_TTL = process.env.ADMIN_ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.ADMIN_REFRESH_TOKEN_TTL || '7d';
+const DASHBOARD_SESSION_TTL = process.env.ADMIN_DASHBOARD_SESSION_TTL || '8h';
+const BCRYPT_ROUNDS = 12;
+
+// Hash of a random password nobody knows. Logins for unknown emails are checked against it, so they
+// take as long as a wrong password and the response time doesn't reveal which accounts exist.
+const DUMMY_PASSWORD_HASH = '$2a$12$mFHGcogW5uYp8B11u1qtJu1P/5cZpZNCW/5k7FlskmuJqweOQSMe6';
+
+function getAccessSecret() {
+  return process.env.ADMIN_JWT_SECRET;
+}
+
+// Refresh tokens use their own secret so a leaked access secret can't mint long-lived sessions
+function getRefreshSecret() {
+  return process.env.ADMIN_REFRESH_SECRET;
+}
+
+// Checked at startup: a refresh secret derived from or equal to the access secret would defeat the
+// point of having two
+function checkRefreshSecret() {
+  if (!process.env.ADMIN_REFRESH_SECRET) {
+    throw new Error('ADMIN_REFRESH_SECRET is not configured');
+  }
+  if (process.env.ADMIN_REFRESH_SECRET === process.env.ADMIN_JWT_SECRET) {
+    throw new Error('ADMIN_REFRESH_SECRET must differ from ADMIN_JWT_SECRET');
+  }
+}
+
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+async function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+// `passwordHash` is null for an unknown account: the dummy hash is compared anyway, then rejected
+async function verifyPassword(password, passwordHash) {
+  const valid = await bcrypt.compare(password, passwordHash || DUMMY_PASSWORD_HASH);
+  return Boolean(passwordHash) && valid;
+}
+
+// Issue an access/refresh token pair for an admin_users row. Both carry the token version, so
+// logging out or changing the account ends them at once.
+function issueTokens(adminUser) {
+  const accessToken = jwt.sign(
+    { sub: String(adminUser.id), email: adminUser.email, role: adminUser.role, ver: adminUser.token_version, type: 'access' },
+    getAccessSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  const refreshToken = jwt.sign(
+    { sub: String(adminUser.id), ver: adminUser.token_version, type: 'refresh' },
+    getRefreshSecret(),
+    { expiresIn: REFRESH_TOKEN_TTL }
+  );
+
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+// Throws if the refresh token is invalid; the caller still has to check token_version against the DB
+function verifyRefreshToken(token) {
+  const payload = jwt.verify(token, getRefreshSecret());
+  if (payload.type !== 'refresh') {
+    throw new Error('Not a refresh token');
+  }
+  return payload;
+}
+
+// Session token for the server-rendered /admin dashboard, kept in a cookie. It carries the token
+// version, so logging out ends it like a refresh token, and the CSRF token for the dashboard's forms.
+function issueDashboardSession(adminUser) {
+  return jwt.sign(
+    {
+      sub: String(adminUser.id),
+      ver: adminUser.token_version,
+      csrf: crypto.randomBytes(16).toString('hex'),
+      type: 'dashboard'
+    },
+    getAccessSecret(),
+    { expiresIn: DASHBOARD_SESSION_TTL }
+  );
+}
+
+// Throws if the session token is invalid; the caller still has to check token_version against the DB
+function verifyDashboardSession(token) {
+  const payload = jwt.verify(token, getAccessSecret());
+  if (payload.type !== 'dashboard') {
+    throw new Error('Not a dashboard session');
+  }
+  return payload;
+}
+
+// Express middleware: require a valid admin access token with at least the given role. The account
+// is loaded on every request, so deactivating an admin or changing their role (which bumps the
+// token version) takes effect immediately rather than when the token expires.
+function requireAdmin(minimumRole = 'viewer') {
+  return async (req, res, next) => {
+    if (!getAccessSecret()) {
+      logger.error('ADMIN_JWT_SECRET is not configured - admin routes are disabled');
+      return res.status(503).json({ error: 'Admin authentication is not configured' });
+    }
+
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, getAccessSecret());
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    if (payload.type !== 'access') {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    let adminUser;
+    try {
+      const result = await pool.query(`
+        SELECT id, email, role, token_version, active
+        FROM admin_users
+        WHERE id = $1
+      `, [Number(payload.sub)]);
+
+      adminUser = result.rows[0];
+    } catch (error) {
+      logger.error('Admin authentication error', { error });
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    if (!adminUser || !adminUser.active || adminUser.token_version !== payload.ver || !isValidRole(adminUser.role)) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    if (ROLES[adminUser.role] < ROLES[minimumRole]) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    req.admin = {
+      id: adminUser.id,
+      email: adminUser.email,
+      role: adminUser.role
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  isValidRole,
+  hashPassword,
+  verifyPassword,
+  issueTokens,
+  verifyRefreshToken,
+  checkRefreshSecret,
+  issueDashboardSession,
+  verifyDashboardSession,
+  requireAdmin
+};
@@ -0,0 +1,10 @@
+const { renderLogin } = require('./login');
+const { LICENSE_STATUSES, renderLicenseList } = require('./licenses');
+const { renderLicenseDetail } = require('./license-detail');
+
+module.exports = {
+  LICENSE_STATUSES,
+  renderLogin,
+  renderLicenseList,
+  renderLicenseDetail
+};
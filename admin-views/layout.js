@@ -0,0 +1,111 @@
+const { escapeHtml } = require('../email-templates/helpers');
+
+// Shared page shell and formatting for the server-rendered admin dashboard. Pages are plain HTML
+// forms without client-side scripts, so they work under helmet's default Content-Security-Policy.
+
+const STATUS_COLORS = {
+  active: '#16a34a',
+  past_due: '#d97706',
+  suspended: '#dc2626',
+  expired: '#6b7280',
+  cancelled: '#6b7280',
+  revoked: '#7f1d1d'
+};
+
+const STYLES = `
+  body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f3f4f6; color: #111827; font-size: 14px; }
+  header { background: #1f2937; color: #fff; padding: 12px 24px; display: flex; align-items: center; justify-content: space-between; }
+  header a { color: #fff; text-decoration: none; font-weight: 600; }
+  header form { display: inline; margin-left: 12px; }
+  main { max-width: 1200px; margin: 24px auto; padding: 0 24px; }
+  h1 { font-size: 22px; margin: 0 0 16px; }
+  h2 { font-size: 16px; margin: 0 0 12px; }
+  section { background: #fff; border-radius: 8px; padding: 16px 20px; margin-bottom: 20px; box-shadow: 0 1px 2px rgba(0,0,0,0.06); }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  th { font-size: 12px; text-transform: uppercase; color: #6b7280; }
+  a { color: #2563eb; }
+  code { font-family: Menlo, Consolas, monospace; font-size: 13px; }
+  input, select, button { font: inherit; padding: 6px 10px; border: 1px solid #d1d5db; border-radius: 6px; }
+  button { background: #2563eb; color: #fff; border-color: #2563eb; cursor: pointer; }
+  button.secondary { background: #fff; color: #111827; border-color: #d1d5db; }
+  button.danger { background: #dc2626; border-color: #dc2626; }
+  .badge { display: inline-block; padding: 2px 8px; border-radius: 999px; color: #fff; font-size: 12px; }
+  .notice { background: #dcfce7; color: #166534; padding: 10px 14px; border-radius: 6px; margin-bottom: 16px; }
+  .error { background: #fee2e2; color: #991b1b; padding: 10px 14px; border-radius: 6px; margin-bottom: 16px; }
+  .muted { color: #6b7280; }
+  .filters, .actions { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+  .actions form { display: flex; gap: 6px; align-items: center; }
+  .grid { display: grid; grid-template-columns: 180px 1fr; gap: 6px 16px; }
+  .pagination { display: flex; gap: 12px; align-items: center; margin-top: 12px; }
+`;
+
+function formatDateTime(date) {
+  if (!date) return '—';
+  return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function statusBadge(status) {
+  return `<span class="badge" style="background: ${STATUS_COLORS[status] || '#6b7280'};">${escapeHtml(status)}</span>`;
+}
+
+function csrfField(csrfToken) {
+  return `<input type="hidden" name="_csrf" value="${escapeHtml(csrfToken)}">`;
+}
+
+// `rows` are arrays of already escaped cell HTML
+function table(headings, rows, emptyText = 'Nothing yet') {
+  if (rows.length === 0) {
+    return `<p class="muted">${escapeHtml(emptyText)}</p>`;
+  }
+
+  return `
+    <table>
+      <thead><tr>${headings.map(heading => `<th>${escapeHtml(heading)}</th>`).join('')}</tr></thead>
+      <tbody>${rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>
+  `;
+}
+
+function layout({ title, admin = null, csrfToken = null, notice = null, error = null, content }) {
+  const account = admin ? `
+    <div>
+      <span>${escapeHtml(admin.email)} (${escapeHtml(admin.role)})</span>
+      <form method="post" action="/admin/logout">
+        ${csrfField(csrfToken)}
+        <button type="submit" class="secondary">Log out</button>
+      </form>
+    </div>
+  ` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} - EAA License Admin</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <header>
+    <a href="/admin/licenses">EAA License Admin</a>
+    ${account}
+  </header>
+  <main>
+    ${notice ? `<div class="notice">${escapeHtml(notice)}</div>` : ''}
+    ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+    ${content}
+  </main>
+</body>
+</html>`;
+}
+
+module.exports = {
+  escapeHtml,
+  formatDateTime,
+  statusBadge,
+  csrfField,
+  table,
+  layout
+};
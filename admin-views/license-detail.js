@@ -0,0 +1,161 @@
+const { escapeHtml, formatDateTime, statusBadge, csrfField, table, layout } = require('./layout');
+
+function field(label, value) {
+  return `<div class="muted">${escapeHtml(label)}</div><div>${value}</div>`;
+}
+
+function actionForm(licenseId, action, csrfToken, inner) {
+  return `
+    <form method="post" action="/admin/licenses/${licenseId}/${action}">
+      ${csrfField(csrfToken)}
+      ${inner}
+    </form>
+  `;
+}
+
+function renderActions(license, plans, csrfToken, stripeManaged) {
+  const forms = [];
+
+  if (license.status !== 'revoked') {
+    forms.push(actionForm(license.id, 'extend', csrfToken, `
+      <input type="number" name="days" min="1" max="3650" value="30" style="width: 80px;"> days
+      <button type="submit">Extend</button>
+    `));
+
+    forms.push(actionForm(license.id, 'plan', csrfToken, `
+      <select name="plan">
+        ${plans.map(plan => `<option value="${escapeHtml(plan.code)}"${plan.code === license.plan ? ' selected' : ''}>${escapeHtml(plan.name)}</option>`).join('')}
+      </select>
+      <button type="submit">Change plan</button>
+    `));
+  }
+
+  if (['active', 'past_due'].includes(license.status)) {
+    forms.push(actionForm(license.id, 'suspend', csrfToken, '<button type="submit" class="danger">Suspend</button>'));
+  }
+
+  if (['suspended', 'expired', 'cancelled'].includes(license.status)) {
+    forms.push(actionForm(license.id, 'reactivate', csrfToken, '<button type="submit">Reactivate</button>'));
+  }
+
+  if (forms.length === 0) {
+    return '';
+  }
+
+  return `
+    <section>
+      <h2>Actions</h2>
+      ${stripeManaged ? '<p class="muted">Billed through Stripe: the next subscription event overwrites manual plan, status and expiry changes.</p>' : ''}
+      <div class="actions">${forms.join('')}</div>
+    </section>
+  `;
+}
+
+function renderUsage(usage, domains) {
+  const days = usage.validationsPerDay.map(day => [
+    escapeHtml(day.day),
+    escapeHtml(day.validations),
+    escapeHtml(day.rejected)
+  ]);
+
+  return `
+    <section>
+      <h2>Usage (last 30 days)</h2>
+      <p>${usage.totals.events} events on ${usage.totals.distinctDomains} domains</p>
+      ${table(['Action', 'Count'], usage.actions.map(row => [escapeHtml(row.action), escapeHtml(row.count)]), 'No usage recorded')}
+      <h2 style="margin-top: 16px;">Validations per day</h2>
+      ${table(['Day', 'Validations', 'Rejected'], days, 'No validations')}
+      <h2 style="margin-top: 16px;">Domains</h2>
+      ${table(['Domain', 'Events', 'Last seen'], domains.map(row => [
+        escapeHtml(row.domain),
+        escapeHtml(row.events),
+        escapeHtml(formatDateTime(row.last_seen))
+      ]), 'No domains seen')}
+    </section>
+  `;
+}
+
+function renderLicenseDetail({
+  admin, csrfToken, notice, error, license, features, activations, keyHistory, usage, domains,
+  webhookEvents, planChanges, emails, plans, canEdit, stripeManaged
+}) {
+  return layout({
+    title: license.license_key_hint,
+    admin,
+    csrfToken,
+    notice,
+    error,
+    content: `
+      <p><a href="/admin/licenses">← All licenses</a></p>
+      <h1><code>${escapeHtml(license.license_key_hint)}</code> ${statusBadge(license.status)}</h1>
+      <section>
+        <div class="grid">
+          ${field('ID', escapeHtml(license.id))}
+          ${field('Email', escapeHtml(license.email))}
+          ${field('Domain', escapeHtml(license.domain))}
+          ${field('Plan', `${escapeHtml(license.plan)} <span class="muted">(${escapeHtml(features.max_websites === -1 ? 'unlimited' : features.max_websites)} sites)</span>`)}
+          ${field('Customer', `<code>${escapeHtml(license.customer_id)}</code>`)}
+          ${field('Subscription', `<code>${escapeHtml(license.subscription_id || '—')}</code>`)}
+          ${field('Created', escapeHtml(formatDateTime(license.created_at)))}
+          ${field('Expires', escapeHtml(formatDateTime(license.expires_at)))}
+          ${field('Last used', escapeHtml(formatDateTime(license.last_used)))}
+          ${license.cancel_at_period_end ? field('Cancellation', 'Cancels at period end') : ''}
+          ${license.grace_period_ends_at ? field('Grace period ends', escapeHtml(formatDateTime(license.grace_period_ends_at))) : ''}
+          ${license.revoked_at ? field('Revoked', escapeHtml(`${formatDateTime(license.revoked_at)} by ${license.revoked_by}: ${license.revoke_reason}`)) : ''}
+        </div>
+      </section>
+      ${canEdit ? renderActions(license, plans, csrfToken, stripeManaged) : ''}
+      <section>
+        <h2>Active domains</h2>
+        ${table(['Domain', 'Activated', 'Last seen'], activations.map(activation => [
+          escapeHtml(activation.domain),
+          escapeHtml(formatDateTime(activation.activated_at)),
+          escapeHtml(formatDateTime(activation.last_seen))
+        ]), 'No active domains')}
+      </section>
+      ${renderUsage(usage, domains)}
+      <section>
+        <h2>Webhook history</h2>
+        ${table(['Received', 'Event', 'Type', 'Status', 'Error'], webhookEvents.map(event => [
+          escapeHtml(formatDateTime(event.received_at)),
+          `<code>${escapeHtml(event.stripe_event_id)}</code>`,
+          escapeHtml(event.event_type),
+          escapeHtml(event.status),
+          escapeHtml(event.error_message || '')
+        ]), 'No Stripe events for this customer')}
+      </section>
+      <section>
+        <h2>Plan changes</h2>
+        ${table(['Changed', 'From', 'To', 'By'], planChanges.map(change => [
+          escapeHtml(formatDateTime(change.changed_at)),
+          escapeHtml(change.old_plan || '—'),
+          escapeHtml(change.new_plan),
+          escapeHtml(change.changed_by || (change.stripe_event_id ? `Stripe ${change.stripe_event_id}` : '—'))
+        ]), 'No plan changes')}
+      </section>
+      <section>
+        <h2>Emails</h2>
+        ${table(['Created', 'Type', 'Recipient', 'Status', 'Attempts', 'Sent'], emails.map(email => [
+          escapeHtml(formatDateTime(email.created_at)),
+          escapeHtml(email.email_type),
+          escapeHtml(email.recipient),
+          escapeHtml(email.status),
+          escapeHtml(email.attempts),
+          escapeHtml(formatDateTime(email.sent_at))
+        ]), 'No emails')}
+      </section>
+      <section>
+        <h2>Previous keys</h2>
+        ${table(['Key', 'Rotated', 'By', 'Valid until', 'Revoked'], keyHistory.map(key => [
+          `<code>${escapeHtml(key.license_key_hint)}</code>`,
+          escapeHtml(formatDateTime(key.rotated_at)),
+          escapeHtml(key.rotated_by || '—'),
+          escapeHtml(formatDateTime(key.valid_until)),
+          escapeHtml(key.revoked_at ? `${formatDateTime(key.revoked_at)} (${key.revoke_reason})` : '—')
+        ]), 'Key has never been rotated')}
+      </section>
+    `
+  });
+}
+
+module.exports = { renderLicenseDetail };
@@ -0,0 +1,69 @@
+const { escapeHtml, formatDateTime, statusBadge, table, layout } = require('./layout');
+
+const LICENSE_STATUSES = ['active', 'past_due', 'suspended', 'expired', 'cancelled', 'revoked'];
+
+function listUrl(filters, page) {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries({ ...filters, page })) {
+    if (value) params.set(name, value);
+  }
+  return `/admin/licenses?${params}`;
+}
+
+function option(value, selected, label = value) {
+  return `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+}
+
+// Searchable, paginated license list. `filters` is { q, status, plan }.
+function renderLicenseList({ admin, csrfToken, licenses, total, page, pageSize, filters, plans, notice, error }) {
+  const pageCount = Math.max(Math.ceil(total / pageSize), 1);
+  const first = total === 0 ? 0 : (page - 1) * pageSize + 1;
+  const last = Math.min(page * pageSize, total);
+
+  const rows = licenses.map(license => [
+    `<a href="/admin/licenses/${license.id}"><code>${escapeHtml(license.license_key_hint)}</code></a>`,
+    escapeHtml(license.email),
+    escapeHtml(license.domain),
+    escapeHtml(license.plan),
+    statusBadge(license.status),
+    escapeHtml(formatDateTime(license.expires_at)),
+    escapeHtml(formatDateTime(license.last_used)),
+    escapeHtml(formatDateTime(license.created_at))
+  ]);
+
+  return layout({
+    title: 'Licenses',
+    admin,
+    csrfToken,
+    notice,
+    error,
+    content: `
+      <h1>Licenses</h1>
+      <section>
+        <form method="get" action="/admin/licenses" class="filters">
+          <input type="search" name="q" value="${escapeHtml(filters.q)}" placeholder="Email, domain, customer, key or ID" size="36">
+          <select name="status">
+            ${option('', filters.status, 'All statuses')}
+            ${LICENSE_STATUSES.map(status => option(status, filters.status)).join('')}
+          </select>
+          <select name="plan">
+            ${option('', filters.plan, 'All plans')}
+            ${plans.map(plan => option(plan.code, filters.plan, plan.name)).join('')}
+          </select>
+          <button type="submit">Search</button>
+          <a href="/admin/licenses">Reset</a>
+        </form>
+      </section>
+      <section>
+        ${table(['Key', 'Email', 'Domain', 'Plan', 'Status', 'Expires', 'Last used', 'Created'], rows, 'No licenses match')}
+        <div class="pagination">
+          <span class="muted">${first}–${last} of ${total}</span>
+          ${page > 1 ? `<a href="${escapeHtml(listUrl(filters, page - 1))}">← Previous</a>` : ''}
+          ${page < pageCount ? `<a href="${escapeHtml(listUrl(filters, page + 1))}">Next →</a>` : ''}
+        </div>
+      </section>
+    `
+  });
+}
+
+module.exports = { LICENSE_STATUSES, renderLicenseList };
@@ -0,0 +1,21 @@
+const { escapeHtml, layout } = require('./layout');
+
+function renderLogin({ email = '', next = '', error = null }) {
+  return layout({
+    title: 'Log in',
+    error,
+    content: `
+      <section style="max-width: 360px; margin: 60px auto;">
+        <h1>Admin login</h1>
+        <form method="post" action="/admin/login">
+          <input type="hidden" name="next" value="${escapeHtml(next)}">
+          <p><label>Email<br><input type="email" name="email" value="${escapeHtml(email)}" required autofocus style="width: 100%; box-sizing: border-box;"></label></p>
+          <p><label>Password<br><input type="password" name="password" required style="width: 100%; box-sizing: border-box;"></label></p>
+          <button type="submit">Log in</button>
+        </form>
+      </section>
+    `
+  });
+}
+
+module.exports = { renderLogin };
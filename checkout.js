@@ -0,0 +1,111 @@
+const { hashLicenseKey } = require('./license-keys');
+const { encryptLicenseKey, decryptLicenseKey } = require('./key-encryption');
+const { PUBLIC_BASE_URL } = require('./email-templates/helpers');
+
+// Checkout: POST /api/checkout creates the Stripe Checkout Session with the domain, plan, interval
+// and locale in its metadata, which handleSuccessfulPayment binds the new license to.
+//
+// Post-checkout handoff: Stripe redirects the buyer to /checkout/success?session_id=..., which
+// polls until the checkout.session.completed webhook has created the license, then shows the key.
+// The webhook leaves the key encrypted in license_key_reveals; it is shown once, within
+// KEY_REVEAL_HOURS of the purchase, and deleted - after that the welcome email is the way in.
+
+const KEY_REVEAL_HOURS = parseInt(process.env.CHECKOUT_KEY_REVEAL_HOURS, 10) || 24;
+const SESSION_ID_PATTERN = /^cs_[A-Za-z0-9_]{10,250}$/;
+const CANCEL_URL = process.env.CHECKOUT_CANCEL_URL || process.env.RENEW_URL || 'https://eaasolutions.de/pricing';
+
+// Parameters for stripe.checkout.sessions.create(). The metadata is copied to the subscription so
+// later subscription events carry it too. `email` and `promotionCodeId` are optional.
+function buildCheckoutSessionParams({ priceId, plan, interval, domain, locale, email, promotionCodeId }) {
+  const metadata = { domain, plan, billing_interval: interval, locale };
+
+  return {
+    mode: 'subscription',
+    line_items: [{ price: priceId, quantity: 1 }],
+    success_url: `${PUBLIC_BASE_URL}/checkout/success?session_id={CHECKOUT_SESSION_ID}&lang=${locale}`,
+    cancel_url: CANCEL_URL,
+    locale,
+    ...(email ? { customer_email: email } : {}),
+    ...(promotionCodeId ? { discounts: [{ promotion_code: promotionCodeId }] } : {}),
+    metadata,
+    subscription_data: { metadata }
+  };
+}
+
+function isCheckoutSessionId(sessionId) {
+  return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+// Keep the new key of a checkout for the success page. `client` is in the webhook's transaction.
+async function storeKeyReveal(client, licenseId, licenseKey) {
+  await client.query(`
+    INSERT INTO license_key_reveals (license_id, license_key_encrypted, expires_at)
+    VALUES ($1, $2, NOW() + ($3 || ' hours')::interval)
+    ON CONFLICT (license_id) DO UPDATE SET
+      license_key_encrypted = EXCLUDED.license_key_encrypted,
+      expires_at = EXCLUDED.expires_at
+  `, [licenseId, encryptLicenseKey(licenseKey), KEY_REVEAL_HOURS]);
+}
+
+// Expired handoffs of buyers who never opened the success page; run by the expiry sweep
+async function pruneKeyReveals(db) {
+  await db.query('DELETE FROM license_key_reveals WHERE expires_at <= NOW()');
+}
+
+// { status: 'pending' } until the webhook has run, then { status: 'ready', license }. license.key
+// is set on the first call only: the handoff row is deleted as it is read. It is null after that,
+// once the reveal window is over, if the key has been rotated or revoked, and for a converted
+// trial, whose key the customer already has (license.trialConverted).
+async function getCheckoutLicense(client, sessionId) {
+  const result = await client.query(`
+    SELECT id, license_key_hash, license_key_hint, email, domain, plan, status, expires_at, created_at,
+           trial_converted_at IS NOT NULL AS trial_converted
+    FROM licenses
+    WHERE checkout_session_id = $1
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [sessionId]);
+
+  if (result.rows.length === 0) {
+    return { status: 'pending' };
+  }
+
+  const license = result.rows[0];
+  let key = null;
+
+  const reveal = await client.query(`
+    DELETE FROM license_key_reveals
+    WHERE license_id = $1
+    RETURNING license_key_encrypted, expires_at > NOW() AS revealable
+  `, [license.id]);
+
+  if (reveal.rows.length > 0 && reveal.rows[0].revealable && license.status !== 'revoked') {
+    const storedKey = decryptLicenseKey(reveal.rows[0].license_key_encrypted);
+    if (hashLicenseKey(storedKey) === license.license_key_hash) {
+      key = storedKey;
+    }
+  }
+
+  return {
+    status: 'ready',
+    license: {
+      key,
+      keyHint: license.license_key_hint,
+      email: license.email,
+      domain: license.domain,
+      plan: license.plan,
+      status: license.status,
+      expiresAt: license.expires_at,
+      trialConverted: license.trial_converted
+    }
+  };
+}
+
+module.exports = {
+  KEY_REVEAL_HOURS,
+  buildCheckoutSessionParams,
+  isCheckoutSessionId,
+  storeKeyReveal,
+  pruneKeyReveals,
+  getCheckoutLicense
+};
@@ -0,0 +1,52 @@
+const { Pool } = require('pg');
+const { hashPassword, isValidRole } = require('./admin-auth');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Usage: npm run create-admin -- <email> <password> [viewer|admin]
+const createAdmin = async (email, password, role = 'admin') => {
+  if (!email || !password) {
+    console.error('Usage: npm run create-admin -- <email> <password> [viewer|admin]');
+    process.exit(1);
+  }
+
+  if (!isValidRole(role)) {
+    console.error(`❌ Invalid role: ${role}`);
+    process.exit(1);
+  }
+
+  try {
+    const passwordHash = await hashPassword(password);
+
+    // Re-running for an existing email resets its password and role
+    await pool.query(`
+      INSERT INTO admin_users (email, password_hash, role)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (email) DO UPDATE SET
+        password_hash = $2,
+        role = $3,
+        active = TRUE,
+        token_version = admin_users.token_version + 1,
+        updated_at = NOW()
+    `, [email.toLowerCase(), passwordHash, role]);
+
+    console.log(`✅ Admin user ready: ${email} (${role})`);
+  } catch (error) {
+    console.error('❌ Admin user creation failed:', error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  const [email, password, role] = process.argv.slice(2);
+  createAdmin(email, password, role);
+}
+
+module.exports = { createAdmin };
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { enqueueEmail } = require('./email-outbox');
+const { logger } = require('./logger');
+
+// Passwordless customer sessions: a one-time magic link token is exchanged for a short-lived JWT
+
+const LOGIN_TOKEN_TTL_MINUTES = 15;
+const SESSION_TTL = process.env.CUSTOMER_SESSION_TTL || '24h';
+
+function getSessionSecret() {
+  return process.env.CUSTOMER_JWT_SECRET;
+}
+
+// Random token for the magic link; only its hash is stored
+function generateLoginToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashLoginToken(token) };
+}
+
+function hashLoginToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function buildLoginLink(token) {
+  const baseUrl = process.env.CUSTOMER_DASHBOARD_URL || 'https://eaasolutions.de/account';
+  return `${baseUrl}?token=${encodeURIComponent(token)}`;
+}
+
+// Store a login token for an email that has licenses and queue the link. Resolves to false, without
+// sending anything, for an email without licenses. `email` is lowercased by the caller.
+async function requestLoginLink(pool, email, locale) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(`
+      SELECT 1 FROM licenses WHERE LOWER(email) = $1 LIMIT 1
+    `, [email]);
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    const { token, tokenHash } = generateLoginToken();
+
+    await client.query('BEGIN');
+
+    try {
+      await client.query(`
+        INSERT INTO customer_login_tokens (email, token_hash, expires_at)
+        VALUES ($1, $2, NOW() + ($3 || ' minutes')::interval)
+      `, [email, tokenHash, LOGIN_TOKEN_TTL_MINUTES]);
+
+      await enqueueEmail(client, {
+        type: 'customer_login',
+        recipient: email,
+        payload: {
+          locale,
+          customer: { email },
+          loginUrl: buildLoginLink(token),
+          expiresInMinutes: LOGIN_TOKEN_TTL_MINUTES
+        }
+      });
+
+      await client.query('COMMIT');
+      return true;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+
+  } finally {
+    client.release();
+  }
+}
+
+// Expired tokens, used or not; run by the expiry sweep
+async function pruneLoginTokens(db) {
+  await db.query('DELETE FROM customer_login_tokens WHERE expires_at <= NOW()');
+}
+
+function issueCustomerSession(email) {
+  return {
+    sessionToken: jwt.sign({ email, type: 'customer' }, getSessionSecret(), { expiresIn: SESSION_TTL }),
+    tokenType: 'Bearer',
+    expiresIn: SESSION_TTL
+  };
+}
+
+// Express middleware: require a valid customer session; sets req.customer.email
+function requireCustomer(req, res, next) {
+  if (!getSessionSecret()) {
+    logger.error('CUSTOMER_JWT_SECRET is not configured - customer routes are disabled');
+    return res.status(503).json({ error: 'Customer login is not configured' });
+  }
+
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const payload = jwt.verify(token, getSessionSecret());
+    if (payload.type !== 'customer') {
+      throw new Error('Not a customer session');
+    }
+    req.customer = { email: payload.email };
+    next();
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired session' });
+  }
+}
+
+module.exports = {
+  LOGIN_TOKEN_TTL_MINUTES,
+  generateLoginToken,
+  hashLoginToken,
+  buildLoginLink,
+  requestLoginLink,
+  pruneLoginTokens,
+  issueCustomerSession,
+  requireCustomer
+};
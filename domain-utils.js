@@ -0,0 +1,88 @@
+const net = require('net');
+const { domainToASCII } = require('url');
+
+// Domain policy for license activations. Domains are compared in one canonical form: lowercase
+// punycode host without scheme, port, path, trailing dot or leading "www.". An activation is
+// either an exact domain or an explicit "*.example.com" wildcard, which covers every subdomain of
+// example.com but not example.com itself. Local hosts are always allowed, and "staging." hosts are
+// allowed under a domain the license already has; neither uses up one of the plan's website slots.
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*$/;
+const DEVELOPMENT_HOSTS = ['localhost', '127.0.0.1', '::1'];
+const DEVELOPMENT_SUFFIXES = ['.localhost', '.local'];
+const STAGING_PREFIX = 'staging.';
+
+// Canonical host for a domain or URL as the plugin reports it ("https://Shop.example.com:8443/",
+// "bücher.de.", "[::1]:8080"). Returns '' when there is no valid host name in it.
+function normalizeDomain(domain) {
+  if (typeof domain !== 'string') return '';
+
+  let host = domain
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .split(/[/?#]/)[0]
+    .replace(/^[^@]*@/, '');
+
+  // IPv6 literal, optionally with a port
+  if (host.startsWith('[')) {
+    const address = host.slice(1, host.indexOf(']'));
+    return net.isIPv6(address) ? address : '';
+  }
+
+  host = host
+    .replace(/:\d*$/, '')
+    .replace(/\.+$/, '')
+    .replace(/^www\./, '');
+
+  const ascii = domainToASCII(host);
+  return HOSTNAME_PATTERN.test(ascii) ? ascii : '';
+}
+
+function isWildcardPattern(pattern) {
+  return typeof pattern === 'string' && pattern.startsWith('*.');
+}
+
+// Like normalizeDomain, but also accepts "*.example.com". A wildcard needs at least two labels
+// after the "*." so "*.com" can't cover everything.
+function normalizeDomainPattern(pattern) {
+  if (typeof pattern === 'string' && pattern.trim().startsWith('*.')) {
+    const base = normalizeDomain(pattern.trim().slice(2));
+    return base.includes('.') && !net.isIP(base) ? `*.${base}` : '';
+  }
+
+  return normalizeDomain(pattern);
+}
+
+// Both arguments normalized; `domain` is a concrete host
+function domainMatches(pattern, domain) {
+  if (isWildcardPattern(pattern)) {
+    return domain.endsWith(pattern.slice(1));
+  }
+  return pattern === domain;
+}
+
+// localhost, *.localhost and *.local hosts
+function isDevelopmentDomain(domain) {
+  return DEVELOPMENT_HOSTS.includes(domain) ||
+    DEVELOPMENT_SUFFIXES.some(suffix => domain.endsWith(suffix));
+}
+
+// The live domain behind a staging host ("staging.example.com" -> "example.com"), or '' for any
+// other host. A staging host is only free alongside that domain, so "staging.anything.com" can't
+// be used as a free live site.
+function stagingBaseDomain(domain) {
+  if (!domain.startsWith(STAGING_PREFIX)) return '';
+
+  const base = domain.slice(STAGING_PREFIX.length);
+  return base.includes('.') ? base : '';
+}
+
+module.exports = {
+  normalizeDomain,
+  normalizeDomainPattern,
+  isWildcardPattern,
+  domainMatches,
+  isDevelopmentDomain,
+  stagingBaseDomain
+};
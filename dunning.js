@@ -0,0 +1,167 @@
+const { enqueueEmail } = require('./email-outbox');
+
+// Dunning for failed renewal payments. A failed charge puts the license 'past_due': it keeps
+// working for a grace period while /validate flags a billing warning. Shortly before the grace
+// period ends the customer gets a final notice; after that (or as soon as Stripe marks the
+// subscription unpaid) the license is 'suspended'. A successful payment clears all of it.
+//
+// Each stage is claimed with a conditional UPDATE and queues its email in the same transaction,
+// so webhook retries and multiple replicas never send a stage twice.
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.DUNNING_GRACE_DAYS, 10) || 7;
+const FINAL_NOTICE_DAYS = 2;
+const BILLING_URL = process.env.CUSTOMER_DASHBOARD_URL || 'https://eaasolutions.de/account';
+
+const LICENSE_COLUMNS = 'id, license_key_hint, email, plan, locale, grace_period_ends_at';
+
+// Warning for the plugin to show while a license is in its grace period, or null
+function getBillingWarning(license) {
+  if (license.status !== 'past_due') return null;
+
+  return {
+    code: 'PAYMENT_PAST_DUE',
+    message: 'The last payment for this license failed. Please update the payment method to avoid interruption.',
+    graceEndsAt: license.grace_period_ends_at
+  };
+}
+
+function isInGracePeriod(license, now = new Date()) {
+  return license.status === 'past_due'
+    && license.grace_period_ends_at !== null
+    && new Date(license.grace_period_ends_at) > now;
+}
+
+function dunningPayload(license, extra) {
+  return {
+    locale: license.locale,
+    customer: { email: license.email },
+    license: { license_key: license.license_key_hint, plan: license.plan },
+    graceEndsAt: license.grace_period_ends_at,
+    billingUrl: BILLING_URL,
+    ...extra
+  };
+}
+
+async function queueDunningEmail(client, type, license, payload, stripeEventId = null) {
+  await enqueueEmail(client, {
+    type,
+    recipient: license.email,
+    licenseId: license.id,
+    stripeEventId,
+    payload
+  });
+}
+
+// Stage 1: first failed charge. Stripe retries the charge and sends invoice.payment_failed again;
+// those don't restart the grace period or send more emails.
+async function markPastDue(client, invoice, eventId) {
+  const result = await client.query(`
+    UPDATE licenses
+    SET status = 'past_due',
+        past_due_since = NOW(),
+        grace_period_ends_at = NOW() + ($2 || ' days')::interval,
+        dunning_stage = 'past_due',
+        updated_at = NOW()
+    WHERE subscription_id = $1
+    AND status = 'active'
+    RETURNING ${LICENSE_COLUMNS}
+  `, [invoice.subscription, GRACE_PERIOD_DAYS]);
+
+  for (const license of result.rows) {
+    await queueDunningEmail(client, 'payment_failed', license, dunningPayload(license, {
+      customer: { email: license.email, name: invoice.customer_name },
+      invoice: {
+        amount: (invoice.amount_due || 0) / 100,
+        currency: invoice.currency,
+        url: invoice.hosted_invoice_url
+      }
+    }), eventId);
+  }
+
+  return result.rows;
+}
+
+// Final stage, also used when Stripe gives up and marks the subscription unpaid
+async function suspendSubscriptionLicenses(client, subscriptionId, eventId) {
+  const result = await client.query(`
+    UPDATE licenses
+    SET status = 'suspended', dunning_stage = 'suspended', updated_at = NOW()
+    WHERE subscription_id = $1
+    AND status IN ('active', 'past_due')
+    RETURNING ${LICENSE_COLUMNS}
+  `, [subscriptionId]);
+
+  for (const license of result.rows) {
+    await queueDunningEmail(client, 'license_suspended', license, dunningPayload(license), eventId);
+  }
+
+  return result.rows;
+}
+
+// Claim one stage transition per license in its own transaction
+async function advanceLicenses(client, claimSql, emailType) {
+  const due = await client.query(claimSql.select);
+  let advanced = 0;
+
+  for (const { id } of due.rows) {
+    await client.query('BEGIN');
+    try {
+      const result = await client.query(claimSql.update, [id]);
+
+      if (result.rows.length > 0) {
+        await queueDunningEmail(client, emailType, result.rows[0], dunningPayload(result.rows[0]));
+        advanced++;
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  return advanced;
+}
+
+// Scheduled part: final notices and suspensions once the grace period is over.
+// Called from the expiry sweep in license-expiry.js.
+async function advanceDunning(client) {
+  const finalNotices = await advanceLicenses(client, {
+    select: `
+      SELECT id FROM licenses
+      WHERE status = 'past_due' AND dunning_stage = 'past_due'
+      AND grace_period_ends_at > NOW()
+      AND grace_period_ends_at <= NOW() + INTERVAL '${FINAL_NOTICE_DAYS} days'
+    `,
+    update: `
+      UPDATE licenses
+      SET dunning_stage = 'final_notice', updated_at = NOW()
+      WHERE id = $1 AND status = 'past_due' AND dunning_stage = 'past_due'
+      RETURNING ${LICENSE_COLUMNS}
+    `
+  }, 'dunning_final_notice');
+
+  const suspended = await advanceLicenses(client, {
+    select: `
+      SELECT id FROM licenses
+      WHERE status = 'past_due' AND grace_period_ends_at <= NOW()
+    `,
+    update: `
+      UPDATE licenses
+      SET status = 'suspended', dunning_stage = 'suspended', updated_at = NOW()
+      WHERE id = $1 AND status = 'past_due' AND grace_period_ends_at <= NOW()
+      RETURNING ${LICENSE_COLUMNS}
+    `
+  }, 'license_suspended');
+
+  return { finalNotices, suspended };
+}
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  getBillingWarning,
+  isInGracePeriod,
+  markPastDue,
+  suspendSubscriptionLicenses,
+  advanceDunning
+};
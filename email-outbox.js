@@ -0,0 +1,189 @@
+const { Pool } = require('pg');
+const { sendTemplateEmail, sendBusinessNotification } = require('./email-service');
+const { TEMPLATE_NAMES } = require('./email-templates');
+const { encryptLicenseKey, decryptLicenseKey } = require('./key-encryption');
+const { logger, withLogContext } = require('./logger');
+
+// Transactional email outbox: requests write a row, a background worker delivers it with
+// exponential backoff and records the provider message ID.
+//
+// Payloads never hold a full license key. An email that has to show one gets it encrypted in
+// license_key_encrypted (see key-encryption.js); it replaces payload.license.license_key (the hint)
+// when the email is rendered and is cleared once the email has been sent.
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 8;
+const BASE_RETRY_DELAY_SECONDS = 60;
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60; // 6 hours
+const BATCH_SIZE = 10;
+const POLL_INTERVAL_MS = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS, 10) || 30 * 1000;
+
+// Email types and how to send their payload. Customer emails are the localized templates,
+// rendered in the payload's locale.
+const SENDERS = {
+  business_notification: (email) => sendBusinessNotification(email.payload.customer, email.payload.license, email.payload.payment)
+};
+
+for (const template of TEMPLATE_NAMES) {
+  SENDERS[template] = (email) => sendTemplateEmail(template, email.recipient, email.payload.locale, email.payload);
+}
+
+// Queue an email. `db` is a pool or a connected client, so callers can enqueue inside their transaction.
+// `licenseKey` is the full key for emails that show it; it is stored encrypted, never in the payload.
+async function enqueueEmail(db, { type, recipient, payload, licenseKey = null, licenseId = null, stripeEventId = null }) {
+  if (!SENDERS[type]) {
+    throw new Error(`Unknown email type: ${type}`);
+  }
+
+  const result = await db.query(`
+    INSERT INTO email_outbox (email_type, recipient, payload, license_key_encrypted, license_id, stripe_event_id, max_attempts)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id
+  `, [type, recipient, payload, licenseKey ? encryptLicenseKey(licenseKey) : null, licenseId, stripeEventId, MAX_ATTEMPTS]);
+
+  const emailId = result.rows[0].id;
+  logger.info('Email queued', { emailId, emailType: type, licenseId, eventId: stripeEventId || undefined });
+
+  return emailId;
+}
+
+// The payload to render, with the decrypted license key in place of its hint
+function withLicenseKey(email) {
+  if (!email.license_key_encrypted) {
+    return email;
+  }
+
+  const { license = {} } = email.payload;
+  return {
+    ...email,
+    payload: { ...email.payload, license: { ...license, license_key: decryptLicenseKey(email.license_key_encrypted) } }
+  };
+}
+
+function retryDelaySeconds(attempts) {
+  return Math.min(BASE_RETRY_DELAY_SECONDS * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+}
+
+// Claim due emails. SKIP LOCKED keeps replicas from picking up the same rows; rows stuck in
+// 'sending' (worker crashed mid-send) are picked up again after 10 minutes.
+async function claimDueEmails(limit) {
+  const result = await pool.query(`
+    UPDATE email_outbox
+    SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+    WHERE id IN (
+      SELECT id FROM email_outbox
+      WHERE (status = 'pending' AND next_attempt_at <= NOW())
+      OR (status = 'sending' AND updated_at < NOW() - INTERVAL '10 minutes')
+      ORDER BY next_attempt_at ASC
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [limit]);
+
+  return result.rows;
+}
+
+// Lines logged while sending, including the email service's, carry the email and its Stripe event
+async function deliverEmail(email) {
+  return withLogContext({
+    emailId: email.id,
+    emailType: email.email_type,
+    licenseId: email.license_id || undefined,
+    eventId: email.stripe_event_id || undefined
+  }, () => sendOutboxEmail(email));
+}
+
+async function sendOutboxEmail(email) {
+  try {
+    const result = await SENDERS[email.email_type](withLicenseKey(email));
+
+    if (!result) {
+      throw new Error('No response from email provider');
+    }
+
+    await pool.query(`
+      UPDATE email_outbox
+      SET status = 'sent',
+          provider_message_id = $2,
+          license_key_encrypted = NULL,
+          last_error = NULL,
+          sent_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1
+    `, [email.id, result.data && result.data.id]);
+
+    return true;
+
+  } catch (error) {
+    const exhausted = email.attempts >= email.max_attempts;
+
+    await pool.query(`
+      UPDATE email_outbox
+      SET status = $2::varchar,
+          last_error = $3,
+          next_attempt_at = NOW() + ($4 || ' seconds')::interval,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [email.id, exhausted ? 'failed' : 'pending', error.message, retryDelaySeconds(email.attempts)]);
+
+    logger.error(exhausted ? 'Email delivery failed, giving up' : 'Email delivery failed', {
+      attempt: email.attempts,
+      reason: error.message
+    });
+    return false;
+  }
+}
+
+// Send everything that is due. Returns counts for logging.
+async function processOutbox() {
+  const emails = await claimDueEmails(BATCH_SIZE);
+  let sent = 0;
+
+  for (const email of emails) {
+    if (await deliverEmail(email)) sent++;
+  }
+
+  if (emails.length > 0) {
+    logger.info('Email outbox processed', { processed: emails.length, sent });
+  }
+
+  return { processed: emails.length, sent };
+}
+
+let workerTimer = null;
+
+function startEmailOutboxWorker() {
+  if (workerTimer) return;
+
+  let running = false;
+  workerTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processOutbox();
+    } catch (error) {
+      logger.error('Email outbox worker error', { error });
+    } finally {
+      running = false;
+    }
+  }, POLL_INTERVAL_MS);
+
+  logger.info('Email outbox worker started', { intervalSeconds: POLL_INTERVAL_MS / 1000 });
+}
+
+function stopEmailOutboxWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  enqueueEmail,
+  processOutbox,
+  startEmailOutboxWorker,
+  stopEmailOutboxWorker
+};
@@ -0,0 +1,53 @@
+const { escapeHtml, formatDate, formatPlan, detailsBox, textFooter } = require('./helpers');
+
+// Sent when a subscription is cancelled
+module.exports = {
+  sample: {
+    customer: { name: 'Erika Mustermann' },
+    license: { license_key: 'EAA-****-****-****-****-R8NB', plan: 'pro', expires_at: '2026-12-01T00:00:00Z' }
+  },
+
+  en: ({ customer, license }) => ({
+    subject: 'Your EAA Plugin subscription has been cancelled',
+    heading: 'Subscription cancelled',
+    content: `
+          <p>Hi ${escapeHtml(customer.name || 'there')},</p>
+          <p>This confirms that your EAA Plugin subscription has been cancelled. We're sorry to see you go - if there's anything we could have done better, just reply to this email.</p>
+          ${detailsBox('Cancellation Details:', [
+            ['License', escapeHtml(license.license_key)],
+            ['Plan', formatPlan(license.plan)],
+            ['Access Until', license.expires_at ? formatDate(license.expires_at, 'en') : '-']
+          ], '#6b7280')}`,
+    text: `Hi ${customer.name || 'there'},
+
+This confirms that your EAA Plugin subscription has been cancelled. We're sorry to see you go - if there's anything we could have done better, just reply to this email.
+
+License: ${license.license_key}
+Plan: ${formatPlan(license.plan)}
+Access until: ${license.expires_at ? formatDate(license.expires_at, 'en') : '-'}
+
+${textFooter('en')}`
+  }),
+
+  de: ({ customer, license }) => ({
+    subject: 'Ihr EAA-Plugin-Abonnement wurde gekündigt',
+    heading: 'Abonnement gekündigt',
+    content: `
+          <p>Hallo ${escapeHtml(customer.name || '')},</p>
+          <p>Hiermit bestätigen wir die Kündigung Ihres EAA-Plugin-Abonnements. Schade, dass Sie gehen - wenn wir etwas besser machen können, antworten Sie einfach auf diese E-Mail.</p>
+          ${detailsBox('Kündigungsdetails:', [
+            ['Lizenz', escapeHtml(license.license_key)],
+            ['Tarif', formatPlan(license.plan)],
+            ['Zugang bis', license.expires_at ? formatDate(license.expires_at, 'de') : '-']
+          ], '#6b7280')}`,
+    text: `Hallo ${customer.name || ''},
+
+hiermit bestätigen wir die Kündigung Ihres EAA-Plugin-Abonnements. Schade, dass Sie gehen - wenn wir etwas besser machen können, antworten Sie einfach auf diese E-Mail.
+
+Lizenz: ${license.license_key}
+Tarif: ${formatPlan(license.plan)}
+Zugang bis: ${license.expires_at ? formatDate(license.expires_at, 'de') : '-'}
+
+${textFooter('de')}`
+  })
+};
@@ -0,0 +1,48 @@
+const { button, textFooter } = require('./helpers');
+
+// Sent when a customer asks for a login link to the license dashboard
+module.exports = {
+  sample: {
+    customer: { email: 'erika@example.com' },
+    loginUrl: 'https://eaasolutions.de/account?token=sample',
+    expiresInMinutes: 15
+  },
+
+  en: ({ loginUrl, expiresInMinutes }) => ({
+    subject: 'Your EAA Solutions login link',
+    heading: 'Sign in to your license dashboard',
+    content: `
+          <p>Hi there,</p>
+          <p>Use the button below to sign in to your license dashboard. The link is valid for ${expiresInMinutes} minutes and can only be used once.</p>
+          ${button(loginUrl, '🔑 Sign in')}
+          <p style="font-size: 12px; color: #6b7280;">If you didn't request this email, you can safely ignore it.</p>`,
+    text: `Hi there,
+
+Use the link below to sign in to your license dashboard. The link is valid for ${expiresInMinutes} minutes and can only be used once.
+
+Sign in: ${loginUrl}
+
+If you didn't request this email, you can safely ignore it.
+
+${textFooter('en')}`
+  }),
+
+  de: ({ loginUrl, expiresInMinutes }) => ({
+    subject: 'Ihr Anmeldelink für EAA Solutions',
+    heading: 'Anmeldung im Lizenz-Dashboard',
+    content: `
+          <p>Hallo,</p>
+          <p>mit dem Button unten melden Sie sich in Ihrem Lizenz-Dashboard an. Der Link ist ${expiresInMinutes} Minuten gültig und kann nur einmal verwendet werden.</p>
+          ${button(loginUrl, '🔑 Anmelden')}
+          <p style="font-size: 12px; color: #6b7280;">Wenn Sie diese E-Mail nicht angefordert haben, können Sie sie ignorieren.</p>`,
+    text: `Hallo,
+
+mit dem Link unten melden Sie sich in Ihrem Lizenz-Dashboard an. Der Link ist ${expiresInMinutes} Minuten gültig und kann nur einmal verwendet werden.
+
+Anmelden: ${loginUrl}
+
+Wenn Sie diese E-Mail nicht angefordert haben, können Sie sie ignorieren.
+
+${textFooter('de')}`
+  })
+};
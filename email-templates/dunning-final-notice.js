@@ -0,0 +1,59 @@
+const { escapeHtml, formatDate, formatPlan, button, detailsBox, textFooter } = require('./helpers');
+
+// Second dunning stage: the grace period ends soon
+module.exports = {
+  sample: {
+    customer: {},
+    license: { license_key: 'EAA-****-****-****-****-R8NB', plan: 'pro' },
+    graceEndsAt: '2026-12-08T00:00:00Z',
+    billingUrl: 'https://eaasolutions.de/account'
+  },
+
+  en: ({ license, graceEndsAt, billingUrl }) => ({
+    subject: 'Final notice: your EAA Plugin license will be suspended',
+    heading: 'Your license will be suspended soon',
+    content: `
+          <p>Hi there,</p>
+          <p>We still haven't been able to collect the payment for your EAA Plugin subscription. Unless the payment goes through, your license will be suspended on <strong>${formatDate(graceEndsAt, 'en')}</strong> and the accessibility features on your website will stop working.</p>
+          ${detailsBox('License Details:', [
+            ['License', escapeHtml(license.license_key)],
+            ['Plan', formatPlan(license.plan)],
+            ['Suspension Date', formatDate(graceEndsAt, 'en')]
+          ], '#dc2626')}
+          ${button(billingUrl, '💳 Update Payment')}`,
+    text: `Hi there,
+
+We still haven't been able to collect the payment for your EAA Plugin subscription. Unless the payment goes through, your license will be suspended on ${formatDate(graceEndsAt, 'en')} and the accessibility features on your website will stop working.
+
+License: ${license.license_key}
+Plan: ${formatPlan(license.plan)}
+
+Update payment: ${billingUrl}
+
+${textFooter('en')}`
+  }),
+
+  de: ({ license, graceEndsAt, billingUrl }) => ({
+    subject: 'Letzte Erinnerung: Ihre EAA-Plugin-Lizenz wird gesperrt',
+    heading: 'Ihre Lizenz wird bald gesperrt',
+    content: `
+          <p>Hallo,</p>
+          <p>wir konnten die Zahlung für Ihr EAA-Plugin-Abonnement noch immer nicht einziehen. Wenn die Zahlung nicht erfolgt, wird Ihre Lizenz am <strong>${formatDate(graceEndsAt, 'de')}</strong> gesperrt und die Barrierefreiheitsfunktionen auf Ihrer Website funktionieren nicht mehr.</p>
+          ${detailsBox('Lizenzdetails:', [
+            ['Lizenz', escapeHtml(license.license_key)],
+            ['Tarif', formatPlan(license.plan)],
+            ['Sperrung am', formatDate(graceEndsAt, 'de')]
+          ], '#dc2626')}
+          ${button(billingUrl, '💳 Zahlung aktualisieren')}`,
+    text: `Hallo,
+
+wir konnten die Zahlung für Ihr EAA-Plugin-Abonnement noch immer nicht einziehen. Wenn die Zahlung nicht erfolgt, wird Ihre Lizenz am ${formatDate(graceEndsAt, 'de')} gesperrt und die Barrierefreiheitsfunktionen auf Ihrer Website funktionieren nicht mehr.
+
+Lizenz: ${license.license_key}
+Tarif: ${formatPlan(license.plan)}
+
+Zahlung aktualisieren: ${billingUrl}
+
+${textFooter('de')}`
+  })
+};
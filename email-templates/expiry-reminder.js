@@ -0,0 +1,59 @@
+const { escapeHtml, formatDate, formatPlan, button, detailsBox, textFooter } = require('./helpers');
+
+// Sent ahead of expiry for licenses that don't renew automatically
+module.exports = {
+  sample: {
+    customer: { name: 'Erika Mustermann' },
+    license: { license_key: 'EAA-****-****-****-****-R8NB', plan: 'pro', expires_at: '2026-12-01T00:00:00Z' },
+    daysLeft: 7,
+    renewUrl: 'https://eaasolutions.de/pricing'
+  },
+
+  en: ({ customer, license, daysLeft, renewUrl }) => ({
+    subject: daysLeft === 1
+      ? 'Your EAA Plugin license expires tomorrow'
+      : `Your EAA Plugin license expires in ${daysLeft} days`,
+    heading: 'Your license is expiring soon',
+    content: `
+          <p>Hi ${escapeHtml(customer.name || 'there')},</p>
+          <p>Your EAA Plugin license expires on <strong>${formatDate(license.expires_at, 'en')}</strong>. After that, the accessibility widget and fixes on your website will stop working.</p>
+          ${detailsBox('License Details:', [
+            ['License', escapeHtml(license.license_key)],
+            ['Plan', formatPlan(license.plan)],
+            ['Expires', formatDate(license.expires_at, 'en')]
+          ], '#f59e0b')}
+          ${renewUrl ? button(renewUrl, '🔄 Renew License') : ''}`,
+    text: `Hi ${customer.name || 'there'},
+
+Your EAA Plugin license expires on ${formatDate(license.expires_at, 'en')}. After that, the accessibility widget and fixes on your website will stop working.
+
+License: ${license.license_key}
+Plan: ${formatPlan(license.plan)}
+${renewUrl ? `\nRenew: ${renewUrl}\n` : ''}
+${textFooter('en')}`
+  }),
+
+  de: ({ customer, license, daysLeft, renewUrl }) => ({
+    subject: daysLeft === 1
+      ? 'Ihre EAA-Plugin-Lizenz läuft morgen ab'
+      : `Ihre EAA-Plugin-Lizenz läuft in ${daysLeft} Tagen ab`,
+    heading: 'Ihre Lizenz läuft bald ab',
+    content: `
+          <p>Hallo ${escapeHtml(customer.name || '')},</p>
+          <p>Ihre EAA-Plugin-Lizenz läuft am <strong>${formatDate(license.expires_at, 'de')}</strong> ab. Danach funktionieren das Barrierefreiheits-Widget und die Korrekturen auf Ihrer Website nicht mehr.</p>
+          ${detailsBox('Lizenzdetails:', [
+            ['Lizenz', escapeHtml(license.license_key)],
+            ['Tarif', formatPlan(license.plan)],
+            ['Gültig bis', formatDate(license.expires_at, 'de')]
+          ], '#f59e0b')}
+          ${renewUrl ? button(renewUrl, '🔄 Lizenz verlängern') : ''}`,
+    text: `Hallo ${customer.name || ''},
+
+Ihre EAA-Plugin-Lizenz läuft am ${formatDate(license.expires_at, 'de')} ab. Danach funktionieren das Barrierefreiheits-Widget und die Korrekturen auf Ihrer Website nicht mehr.
+
+Lizenz: ${license.license_key}
+Tarif: ${formatPlan(license.plan)}
+${renewUrl ? `\nVerlängern: ${renewUrl}\n` : ''}
+${textFooter('de')}`
+  })
+};
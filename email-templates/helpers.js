@@ -0,0 +1,118 @@
+// Shared formatting and layout pieces for the email templates
+
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || 'https://eaa-license-backend-production.up.railway.app';
+const SUPPORT_EMAIL = 'contact@eaasolutions.de';
+
+const INTL_LOCALES = {
+  de: 'de-DE',
+  en: 'en-GB'
+};
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(date, locale) {
+  return new Date(date).toLocaleDateString(INTL_LOCALES[locale], { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// Times are shown in UTC with the zone name, since we don't know the customer's time zone
+function formatDateTime(date, locale) {
+  return new Date(date).toLocaleString(INTL_LOCALES[locale], {
+    year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'UTC', timeZoneName: 'short'
+  });
+}
+
+function formatMoney(amount, currency, locale) {
+  return new Intl.NumberFormat(INTL_LOCALES[locale], {
+    style: 'currency',
+    currency: (currency || 'eur').toUpperCase()
+  }).format(amount);
+}
+
+function formatPlan(plan) {
+  return plan ? plan.charAt(0).toUpperCase() + plan.slice(1) : '';
+}
+
+// `price` is the catalog display price ({ amount, currency }) captured when the email was queued
+function formatPlanWithPrice(plan, price, locale) {
+  if (!price) return formatPlan(plan);
+
+  const perMonth = locale === 'de' ? 'Monat' : 'month';
+  return `${formatPlan(plan)} (${formatMoney(price.amount, price.currency, locale)}/${perMonth})`;
+}
+
+function button(url, label) {
+  return `
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${escapeHtml(url)}" 
+               style="background: #2563eb; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">
+              ${label}
+            </a>
+          </div>`;
+}
+
+// Highlighted box with label/value rows; values are trusted HTML, escape user data before passing it in
+function detailsBox(title, rows, accent = '#2563eb') {
+  return `
+          <div style="background: #f8fafc; padding: 25px; border-radius: 8px; margin: 25px 0; border-left: 4px solid ${accent};">
+            <h3 style="color: #374151; margin-top: 0;">${title}</h3>
+            ${rows.map(([label, value]) => `<p style="margin: 8px 0;"><strong>${label}:</strong> ${value}</p>`).join('\n            ')}
+          </div>`;
+}
+
+function licenseKeyCode(licenseKey) {
+  return `<code style="background: #e5e7eb; padding: 6px 12px; border-radius: 4px; font-family: 'Courier New', monospace;">${escapeHtml(licenseKey)}</code>`;
+}
+
+function layout(locale, heading, content) {
+  const footer = locale === 'de'
+    ? `<p>Viele Grüße,</p>
+            <p><strong>Miguel Lieberwirth</strong><br>
+            Gründer, EAA Solutions<br>`
+    : `<p>Best regards,</p>
+            <p><strong>Miguel Lieberwirth</strong><br>
+            Founder, EAA Solutions<br>`;
+
+  return `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #2563eb; margin-bottom: 10px;">EAA Solutions</h1>
+            <h2 style="color: #059669;">${heading}</h2>
+          </div>
+${content}
+
+          <div style="border-top: 2px solid #e5e7eb; padding-top: 20px; margin-top: 30px; color: #6b7280; font-size: 14px;">
+            ${footer}
+            <a href="mailto:${SUPPORT_EMAIL}" style="color: #2563eb;">${SUPPORT_EMAIL}</a></p>
+          </div>
+        </div>
+      `;
+}
+
+function textFooter(locale) {
+  return locale === 'de'
+    ? `Viele Grüße,\nMiguel Lieberwirth\nGründer, EAA Solutions\n${SUPPORT_EMAIL}`
+    : `Best regards,\nMiguel Lieberwirth\nFounder, EAA Solutions\n${SUPPORT_EMAIL}`;
+}
+
+module.exports = {
+  PUBLIC_BASE_URL,
+  SUPPORT_EMAIL,
+  escapeHtml,
+  formatDate,
+  formatDateTime,
+  formatMoney,
+  formatPlan,
+  formatPlanWithPrice,
+  button,
+  detailsBox,
+  licenseKeyCode,
+  layout,
+  textFooter
+};
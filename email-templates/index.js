@@ -0,0 +1,62 @@
+const { layout } = require('./helpers');
+
+// Localized transactional email templates. Each template module exports a `sample` data set for
+// previews and one function per locale returning { subject, heading, content, text }.
+
+const TEMPLATES = {
+  welcome: require('./welcome'),
+  renewal_receipt: require('./renewal-receipt'),
+  payment_failed: require('./payment-failed'),
+  dunning_final_notice: require('./dunning-final-notice'),
+  license_suspended: require('./license-suspended'),
+  cancellation: require('./cancellation'),
+  expiry_reminder: require('./expiry-reminder'),
+  plan_change: require('./plan-change'),
+  key_rotated: require('./key-rotated'),
+  trial_verification: require('./trial-verification'),
+  trial_started: require('./trial-started'),
+  customer_login: require('./customer-login')
+};
+
+const SUPPORTED_LOCALES = ['de', 'en'];
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_EMAIL_LOCALE) ? process.env.DEFAULT_EMAIL_LOCALE : 'en';
+
+// Map Stripe/browser locales like "de-AT" or "en_US" onto a supported locale
+function resolveLocale(locale) {
+  const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+function isTemplate(name) {
+  return Object.prototype.hasOwnProperty.call(TEMPLATES, name);
+}
+
+// Render a template to { subject, html, text }
+function renderEmail(name, locale, data) {
+  if (!isTemplate(name)) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const resolvedLocale = resolveLocale(locale);
+  const { subject, heading, content, text } = TEMPLATES[name][resolvedLocale](data);
+
+  return {
+    locale: resolvedLocale,
+    subject,
+    html: layout(resolvedLocale, heading, content),
+    text
+  };
+}
+
+function getSampleData(name) {
+  return TEMPLATES[name].sample;
+}
+
+module.exports = {
+  TEMPLATE_NAMES: Object.keys(TEMPLATES),
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  isTemplate,
+  renderEmail,
+  getSampleData
+};
@@ -0,0 +1,79 @@
+const { escapeHtml, formatDateTime, formatPlan, detailsBox, licenseKeyCode, textFooter } = require('./helpers');
+
+// Sent with the new key after a license key was rotated
+module.exports = {
+  sample: {
+    customer: {},
+    license: { license_key: 'EAA-7KQ4-MZ3P-W9XD-HT2C-R8NB', plan: 'pro' },
+    oldKeyHint: 'EAA-****-****-****-****-Q2LM',
+    oldKeyValidUntil: '2026-12-02T12:00:00Z'
+  },
+
+  en: ({ license, oldKeyHint, oldKeyValidUntil }) => {
+    const oldKeyNote = oldKeyValidUntil
+      ? `Your previous key keeps working until ${formatDateTime(oldKeyValidUntil, 'en')}. Please enter the new key in the plugin settings on each of your websites before then.`
+      : 'Your previous key has been deactivated. Please enter the new key in the plugin settings on each of your websites.';
+
+    return {
+      subject: 'Your new EAA Plugin license key',
+      heading: 'Your license key has been replaced',
+      content: `
+          <p>Hi there,</p>
+          <p>A new license key has been issued for your EAA Plugin license. Your plan, activated websites and settings stay the same.</p>
+          ${detailsBox('New License Key:', [
+            ['License Key', licenseKeyCode(license.license_key)],
+            ['Plan', formatPlan(license.plan)],
+            ['Replaced Key', escapeHtml(oldKeyHint)]
+          ])}
+          <p>${oldKeyNote}</p>
+          <p style="font-size: 12px; color: #6b7280;">If you didn't request a new key, please contact us right away.</p>`,
+      text: `Hi there,
+
+A new license key has been issued for your EAA Plugin license. Your plan, activated websites and settings stay the same.
+
+New license key: ${license.license_key}
+Plan: ${formatPlan(license.plan)}
+Replaced key: ${oldKeyHint}
+
+${oldKeyNote}
+
+If you didn't request a new key, please contact us right away.
+
+${textFooter('en')}`
+    };
+  },
+
+  de: ({ license, oldKeyHint, oldKeyValidUntil }) => {
+    const oldKeyNote = oldKeyValidUntil
+      ? `Ihr bisheriger Schlüssel funktioniert noch bis ${formatDateTime(oldKeyValidUntil, 'de')}. Bitte tragen Sie bis dahin den neuen Schlüssel in den Plugin-Einstellungen auf jeder Ihrer Websites ein.`
+      : 'Ihr bisheriger Schlüssel wurde deaktiviert. Bitte tragen Sie den neuen Schlüssel in den Plugin-Einstellungen auf jeder Ihrer Websites ein.';
+
+    return {
+      subject: 'Ihr neuer EAA-Plugin-Lizenzschlüssel',
+      heading: 'Ihr Lizenzschlüssel wurde ersetzt',
+      content: `
+          <p>Hallo,</p>
+          <p>für Ihre EAA-Plugin-Lizenz wurde ein neuer Lizenzschlüssel ausgestellt. Ihr Tarif, Ihre aktivierten Websites und Ihre Einstellungen bleiben unverändert.</p>
+          ${detailsBox('Neuer Lizenzschlüssel:', [
+            ['Lizenzschlüssel', licenseKeyCode(license.license_key)],
+            ['Tarif', formatPlan(license.plan)],
+            ['Ersetzter Schlüssel', escapeHtml(oldKeyHint)]
+          ])}
+          <p>${oldKeyNote}</p>
+          <p style="font-size: 12px; color: #6b7280;">Wenn Sie keinen neuen Schlüssel angefordert haben, kontaktieren Sie uns bitte umgehend.</p>`,
+      text: `Hallo,
+
+für Ihre EAA-Plugin-Lizenz wurde ein neuer Lizenzschlüssel ausgestellt. Ihr Tarif, Ihre aktivierten Websites und Ihre Einstellungen bleiben unverändert.
+
+Neuer Lizenzschlüssel: ${license.license_key}
+Tarif: ${formatPlan(license.plan)}
+Ersetzter Schlüssel: ${oldKeyHint}
+
+${oldKeyNote}
+
+Wenn Sie keinen neuen Schlüssel angefordert haben, kontaktieren Sie uns bitte umgehend.
+
+${textFooter('de')}`
+    };
+  }
+};
@@ -0,0 +1,58 @@
+const { escapeHtml, formatPlan, button, detailsBox, textFooter } = require('./helpers');
+
+// Last dunning stage: the license has been suspended for non-payment
+module.exports = {
+  sample: {
+    customer: {},
+    license: { license_key: 'EAA-****-****-****-****-R8NB', plan: 'pro' },
+    billingUrl: 'https://eaasolutions.de/account'
+  },
+
+  en: ({ license, billingUrl }) => ({
+    subject: 'Your EAA Plugin license has been suspended',
+    heading: 'License suspended',
+    content: `
+          <p>Hi there,</p>
+          <p>Because the payment for your EAA Plugin subscription could not be collected, your license has been suspended and the plugin no longer validates on your website. Once the outstanding payment is made, your license is reactivated automatically - your key stays the same.</p>
+          ${detailsBox('License Details:', [
+            ['License', escapeHtml(license.license_key)],
+            ['Plan', formatPlan(license.plan)],
+            ['Status', '<span style="color: #dc2626; font-weight: bold;">Suspended</span>']
+          ], '#dc2626')}
+          ${button(billingUrl, '💳 Pay Now')}`,
+    text: `Hi there,
+
+Because the payment for your EAA Plugin subscription could not be collected, your license has been suspended and the plugin no longer validates on your website. Once the outstanding payment is made, your license is reactivated automatically - your key stays the same.
+
+License: ${license.license_key}
+Plan: ${formatPlan(license.plan)}
+
+Pay now: ${billingUrl}
+
+${textFooter('en')}`
+  }),
+
+  de: ({ license, billingUrl }) => ({
+    subject: 'Ihre EAA-Plugin-Lizenz wurde gesperrt',
+    heading: 'Lizenz gesperrt',
+    content: `
+          <p>Hallo,</p>
+          <p>Da die Zahlung für Ihr EAA-Plugin-Abonnement nicht eingezogen werden konnte, wurde Ihre Lizenz gesperrt und das Plugin wird auf Ihrer Website nicht mehr freigeschaltet. Sobald die offene Zahlung eingegangen ist, wird Ihre Lizenz automatisch wieder aktiviert - Ihr Schlüssel bleibt gleich.</p>
+          ${detailsBox('Lizenzdetails:', [
+            ['Lizenz', escapeHtml(license.license_key)],
+            ['Tarif', formatPlan(license.plan)],
+            ['Status', '<span style="color: #dc2626; font-weight: bold;">Gesperrt</span>']
+          ], '#dc2626')}
+          ${button(billingUrl, '💳 Jetzt bezahlen')}`,
+    text: `Hallo,
+
+da die Zahlung für Ihr EAA-Plugin-Abonnement nicht eingezogen werden konnte, wurde Ihre Lizenz gesperrt und das Plugin wird auf Ihrer Website nicht mehr freigeschaltet. Sobald die offene Zahlung eingegangen ist, wird Ihre Lizenz automatisch wieder aktiviert - Ihr Schlüssel bleibt gleich.
+
+Lizenz: ${license.license_key}
+Tarif: ${formatPlan(license.plan)}
+
+Jetzt bezahlen: ${billingUrl}
+
+${textFooter('de')}`
+  })
+};
@@ -0,0 +1,64 @@
+const { escapeHtml, formatDate, formatMoney, formatPlan, button, detailsBox, textFooter } = require('./helpers');
+
+// First dunning stage: a renewal charge failed and the grace period has started
+module.exports = {
+  sample: {
+    customer: { name: 'Erika Mustermann' },
+    license: { license_key: 'EAA-****-****-****-****-R8NB', plan: 'pro' },
+    invoice: { amount: 49, currency: 'eur', url: 'https://invoice.stripe.com/i/sample' },
+    graceEndsAt: '2026-12-08T00:00:00Z',
+    billingUrl: 'https://eaasolutions.de/account'
+  },
+
+  en: ({ customer, license, invoice, graceEndsAt, billingUrl }) => ({
+    subject: 'Action required: your EAA Plugin payment failed',
+    heading: 'Your payment didn\'t go through',
+    content: `
+          <p>Hi ${escapeHtml(customer.name || 'there')},</p>
+          <p>We couldn't charge your payment method for your EAA Plugin subscription. Your license keeps working until <strong>${formatDate(graceEndsAt, 'en')}</strong> - please update your payment details before then to keep your accessibility features running.</p>
+          ${detailsBox('Payment Details:', [
+            ['Plan', formatPlan(license.plan)],
+            ['Amount Due', formatMoney(invoice.amount, invoice.currency, 'en')],
+            ['License', escapeHtml(license.license_key)],
+            ['Grace Period Ends', formatDate(graceEndsAt, 'en')]
+          ], '#f59e0b')}
+          ${button(invoice.url || billingUrl, '💳 Update Payment')}`,
+    text: `Hi ${customer.name || 'there'},
+
+We couldn't charge your payment method for your EAA Plugin subscription. Your license keeps working until ${formatDate(graceEndsAt, 'en')} - please update your payment details before then to keep your accessibility features running.
+
+Plan: ${formatPlan(license.plan)}
+Amount due: ${formatMoney(invoice.amount, invoice.currency, 'en')}
+License: ${license.license_key}
+
+Update payment: ${invoice.url || billingUrl}
+
+${textFooter('en')}`
+  }),
+
+  de: ({ customer, license, invoice, graceEndsAt, billingUrl }) => ({
+    subject: 'Handlungsbedarf: Ihre Zahlung für das EAA-Plugin ist fehlgeschlagen',
+    heading: 'Ihre Zahlung ist fehlgeschlagen',
+    content: `
+          <p>Hallo ${escapeHtml(customer.name || '')},</p>
+          <p>Wir konnten Ihre Zahlungsmethode für Ihr EAA-Plugin-Abonnement nicht belasten. Ihre Lizenz funktioniert noch bis zum <strong>${formatDate(graceEndsAt, 'de')}</strong> - bitte aktualisieren Sie bis dahin Ihre Zahlungsdaten, damit Ihre Barrierefreiheitsfunktionen weiterlaufen.</p>
+          ${detailsBox('Zahlungsdetails:', [
+            ['Tarif', formatPlan(license.plan)],
+            ['Offener Betrag', formatMoney(invoice.amount, invoice.currency, 'de')],
+            ['Lizenz', escapeHtml(license.license_key)],
+            ['Kulanzfrist endet', formatDate(graceEndsAt, 'de')]
+          ], '#f59e0b')}
+          ${button(invoice.url || billingUrl, '💳 Zahlung aktualisieren')}`,
+    text: `Hallo ${customer.name || ''},
+
+wir konnten Ihre Zahlungsmethode für Ihr EAA-Plugin-Abonnement nicht belasten. Ihre Lizenz funktioniert noch bis zum ${formatDate(graceEndsAt, 'de')} - bitte aktualisieren Sie bis dahin Ihre Zahlungsdaten, damit Ihre Barrierefreiheitsfunktionen weiterlaufen.
+
+Tarif: ${formatPlan(license.plan)}
+Offener Betrag: ${formatMoney(invoice.amount, invoice.currency, 'de')}
+Lizenz: ${license.license_key}
+
+Zahlung aktualisieren: ${invoice.url || billingUrl}
+
+${textFooter('de')}`
+  })
+};
@@ -0,0 +1,57 @@
+const { escapeHtml, formatDate, formatPlan, formatPlanWithPrice, detailsBox, licenseKeyCode, textFooter } = require('./helpers');
+
+// Sent when a subscription moves to another plan
+module.exports = {
+  sample: {
+    customer: { name: 'Erika Mustermann' },
+    license: { license_key: 'EAA-****-****-****-****-R8NB', old_plan: 'starter', plan: 'pro', price: { amount: 49, currency: 'eur' }, expires_at: '2026-12-01T00:00:00Z' }
+  },
+
+  en: ({ customer, license }) => ({
+    subject: `Your EAA Plugin plan is now ${formatPlan(license.plan)}`,
+    heading: 'Your plan has been changed',
+    content: `
+          <p>Hi ${escapeHtml(customer.name || 'there')},</p>
+          <p>We've updated your license to the new plan. Your license key stays the same, and the new features are available the next time the plugin checks your license.</p>
+          ${detailsBox('Plan Change:', [
+            ['License Key', licenseKeyCode(license.license_key)],
+            ['Previous Plan', formatPlan(license.old_plan)],
+            ['New Plan', formatPlanWithPrice(license.plan, license.price, 'en')],
+            ['Current Period Ends', formatDate(license.expires_at, 'en')]
+          ])}`,
+    text: `Hi ${customer.name || 'there'},
+
+We've updated your license to the new plan. Your license key stays the same, and the new features are available the next time the plugin checks your license.
+
+License key: ${license.license_key}
+Previous plan: ${formatPlan(license.old_plan)}
+New plan: ${formatPlanWithPrice(license.plan, license.price, 'en')}
+Current period ends: ${formatDate(license.expires_at, 'en')}
+
+${textFooter('en')}`
+  }),
+
+  de: ({ customer, license }) => ({
+    subject: `Ihr EAA-Plugin-Tarif ist jetzt ${formatPlan(license.plan)}`,
+    heading: 'Ihr Tarif wurde geändert',
+    content: `
+          <p>Hallo ${escapeHtml(customer.name || '')},</p>
+          <p>Wir haben Ihre Lizenz auf den neuen Tarif umgestellt. Ihr Lizenzschlüssel bleibt gleich, die neuen Funktionen stehen bei der nächsten Lizenzprüfung des Plugins zur Verfügung.</p>
+          ${detailsBox('Tarifwechsel:', [
+            ['Lizenzschlüssel', licenseKeyCode(license.license_key)],
+            ['Bisheriger Tarif', formatPlan(license.old_plan)],
+            ['Neuer Tarif', formatPlanWithPrice(license.plan, license.price, 'de')],
+            ['Aktueller Zeitraum endet', formatDate(license.expires_at, 'de')]
+          ])}`,
+    text: `Hallo ${customer.name || ''},
+
+wir haben Ihre Lizenz auf den neuen Tarif umgestellt. Ihr Lizenzschlüssel bleibt gleich, die neuen Funktionen stehen bei der nächsten Lizenzprüfung des Plugins zur Verfügung.
+
+Lizenzschlüssel: ${license.license_key}
+Bisheriger Tarif: ${formatPlan(license.old_plan)}
+Neuer Tarif: ${formatPlanWithPrice(license.plan, license.price, 'de')}
+Aktueller Zeitraum endet: ${formatDate(license.expires_at, 'de')}
+
+${textFooter('de')}`
+  })
+};
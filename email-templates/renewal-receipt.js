@@ -0,0 +1,64 @@
+const { escapeHtml, formatDate, formatMoney, formatPlan, button, detailsBox, textFooter } = require('./helpers');
+
+// Sent for each successful renewal payment
+module.exports = {
+  sample: {
+    customer: { name: 'Erika Mustermann' },
+    license: { license_key: 'EAA-****-****-****-****-R8NB', plan: 'pro', expires_at: '2026-12-01T00:00:00Z' },
+    invoice: { number: 'EAA-0042', amount: 49, currency: 'eur', url: 'https://invoice.stripe.com/i/sample' }
+  },
+
+  en: ({ customer, license, invoice }) => ({
+    subject: `Payment received - EAA Plugin ${formatPlan(license.plan)}`,
+    heading: 'Thank you for your payment',
+    content: `
+          <p>Hi ${escapeHtml(customer.name || 'there')},</p>
+          <p>Your subscription has been renewed and your license stays active.</p>
+          ${detailsBox('Receipt:', [
+            ['Invoice', escapeHtml(invoice.number || '-')],
+            ['Amount', formatMoney(invoice.amount, invoice.currency, 'en')],
+            ['Plan', formatPlan(license.plan)],
+            ['License', escapeHtml(license.license_key)],
+            ['Valid Until', formatDate(license.expires_at, 'en')]
+          ], '#059669')}
+          ${invoice.url ? button(invoice.url, '🧾 View Invoice') : ''}`,
+    text: `Hi ${customer.name || 'there'},
+
+Your subscription has been renewed and your license stays active.
+
+Invoice: ${invoice.number || '-'}
+Amount: ${formatMoney(invoice.amount, invoice.currency, 'en')}
+Plan: ${formatPlan(license.plan)}
+License: ${license.license_key}
+Valid until: ${formatDate(license.expires_at, 'en')}
+${invoice.url ? `\nView invoice: ${invoice.url}\n` : ''}
+${textFooter('en')}`
+  }),
+
+  de: ({ customer, license, invoice }) => ({
+    subject: `Zahlung erhalten - EAA-Plugin ${formatPlan(license.plan)}`,
+    heading: 'Vielen Dank für Ihre Zahlung',
+    content: `
+          <p>Hallo ${escapeHtml(customer.name || '')},</p>
+          <p>Ihr Abonnement wurde verlängert und Ihre Lizenz bleibt aktiv.</p>
+          ${detailsBox('Zahlungsbeleg:', [
+            ['Rechnung', escapeHtml(invoice.number || '-')],
+            ['Betrag', formatMoney(invoice.amount, invoice.currency, 'de')],
+            ['Tarif', formatPlan(license.plan)],
+            ['Lizenz', escapeHtml(license.license_key)],
+            ['Gültig bis', formatDate(license.expires_at, 'de')]
+          ], '#059669')}
+          ${invoice.url ? button(invoice.url, '🧾 Rechnung ansehen') : ''}`,
+    text: `Hallo ${customer.name || ''},
+
+Ihr Abonnement wurde verlängert und Ihre Lizenz bleibt aktiv.
+
+Rechnung: ${invoice.number || '-'}
+Betrag: ${formatMoney(invoice.amount, invoice.currency, 'de')}
+Tarif: ${formatPlan(license.plan)}
+Lizenz: ${license.license_key}
+Gültig bis: ${formatDate(license.expires_at, 'de')}
+${invoice.url ? `\nRechnung ansehen: ${invoice.url}\n` : ''}
+${textFooter('de')}`
+  })
+};
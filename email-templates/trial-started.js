@@ -0,0 +1,74 @@
+const {
+  PUBLIC_BASE_URL,
+  escapeHtml,
+  formatDate,
+  button,
+  detailsBox,
+  licenseKeyCode,
+  textFooter
+} = require('./helpers');
+
+// Sent with the key once a trial has been verified
+module.exports = {
+  sample: {
+    customer: { email: 'erika@example.com' },
+    license: { license_key: 'EAA-7KQ4-MZ3P-W9XD-HT2C-R8NB', plan: 'trial', domain: 'example.com', expires_at: '2026-12-01T00:00:00Z' },
+    pricingUrl: 'https://eaasolutions.de/pricing'
+  },
+
+  en: ({ license, pricingUrl }) => ({
+    subject: 'Your EAA Plugin trial has started 🚀',
+    heading: 'Your free trial has started 🚀',
+    content: `
+          <p>Hi there,</p>
+          <p>Your free trial of the EAA Plugin is active. Enter this license key in the plugin settings on your website to get started.</p>
+          ${detailsBox('Trial Details:', [
+            ['License Key', licenseKeyCode(license.license_key)],
+            ['Website', escapeHtml(license.domain)],
+            ['Trial ends', formatDate(license.expires_at, 'en')]
+          ])}
+          ${button(`${PUBLIC_BASE_URL}/install-guide?lang=en`, '📖 Installation Guide')}
+          <p>When you <a href="${escapeHtml(pricingUrl)}">choose a plan</a> with this email address, your trial key simply keeps working - no need to change anything in the plugin.</p>`,
+    text: `Hi there,
+
+Your free trial of the EAA Plugin is active. Enter this license key in the plugin settings on your website to get started.
+
+License key: ${license.license_key}
+Website: ${license.domain}
+Trial ends: ${formatDate(license.expires_at, 'en')}
+
+Installation guide: ${PUBLIC_BASE_URL}/install-guide?lang=en
+
+When you choose a plan with this email address (${pricingUrl}), your trial key simply keeps working - no need to change anything in the plugin.
+
+${textFooter('en')}`
+  }),
+
+  de: ({ license, pricingUrl }) => ({
+    subject: 'Ihr EAA-Plugin-Test hat begonnen 🚀',
+    heading: 'Ihr kostenloser Test hat begonnen 🚀',
+    content: `
+          <p>Hallo,</p>
+          <p>Ihr kostenloser Test des EAA-Plugins ist aktiv. Tragen Sie diesen Lizenzschlüssel in den Plugin-Einstellungen Ihrer Website ein, um loszulegen.</p>
+          ${detailsBox('Testdetails:', [
+            ['Lizenzschlüssel', licenseKeyCode(license.license_key)],
+            ['Website', escapeHtml(license.domain)],
+            ['Test endet am', formatDate(license.expires_at, 'de')]
+          ])}
+          ${button(`${PUBLIC_BASE_URL}/install-guide?lang=de`, '📖 Installationsanleitung')}
+          <p>Wenn Sie mit dieser E-Mail-Adresse einen <a href="${escapeHtml(pricingUrl)}">Tarif wählen</a>, funktioniert Ihr Testschlüssel einfach weiter - im Plugin müssen Sie nichts ändern.</p>`,
+    text: `Hallo,
+
+Ihr kostenloser Test des EAA-Plugins ist aktiv. Tragen Sie diesen Lizenzschlüssel in den Plugin-Einstellungen Ihrer Website ein, um loszulegen.
+
+Lizenzschlüssel: ${license.license_key}
+Website: ${license.domain}
+Test endet am: ${formatDate(license.expires_at, 'de')}
+
+Installationsanleitung: ${PUBLIC_BASE_URL}/install-guide?lang=de
+
+Wenn Sie mit dieser E-Mail-Adresse einen Tarif wählen (${pricingUrl}), funktioniert Ihr Testschlüssel einfach weiter - im Plugin müssen Sie nichts ändern.
+
+${textFooter('de')}`
+  })
+};
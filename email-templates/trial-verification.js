@@ -0,0 +1,52 @@
+const { escapeHtml, button, textFooter } = require('./helpers');
+
+// Sent when a free trial is requested; the link starts the trial
+module.exports = {
+  sample: {
+    customer: { email: 'erika@example.com' },
+    domain: 'example.com',
+    trialDays: 14,
+    verifyUrl: 'https://eaa-license-backend-production.up.railway.app/trial/confirm?token=sample&lang=en',
+    expiresInHours: 24
+  },
+
+  en: ({ domain, trialDays, verifyUrl, expiresInHours }) => ({
+    subject: 'Confirm your free EAA Plugin trial',
+    heading: 'Confirm your email address',
+    content: `
+          <p>Hi there,</p>
+          <p>Thanks for trying the EAA Plugin! Confirm your email address to start your free ${trialDays}-day trial for <strong>${escapeHtml(domain)}</strong>. Your license key is shown right after.</p>
+          ${button(verifyUrl, '✅ Start my trial')}
+          <p>The link is valid for ${expiresInHours} hours.</p>
+          <p style="font-size: 12px; color: #6b7280;">If you didn't request a trial, you can safely ignore this email.</p>`,
+    text: `Hi there,
+
+Thanks for trying the EAA Plugin! Confirm your email address to start your free ${trialDays}-day trial for ${domain}. Your license key is shown right after.
+
+Start your trial: ${verifyUrl}
+
+The link is valid for ${expiresInHours} hours. If you didn't request a trial, you can safely ignore this email.
+
+${textFooter('en')}`
+  }),
+
+  de: ({ domain, trialDays, verifyUrl, expiresInHours }) => ({
+    subject: 'Bestätigen Sie Ihren kostenlosen EAA-Plugin-Test',
+    heading: 'Bestätigen Sie Ihre E-Mail-Adresse',
+    content: `
+          <p>Hallo,</p>
+          <p>schön, dass Sie das EAA-Plugin ausprobieren! Bestätigen Sie Ihre E-Mail-Adresse, um Ihren kostenlosen ${trialDays}-Tage-Test für <strong>${escapeHtml(domain)}</strong> zu starten. Ihr Lizenzschlüssel wird direkt danach angezeigt.</p>
+          ${button(verifyUrl, '✅ Test starten')}
+          <p>Der Link ist ${expiresInHours} Stunden gültig.</p>
+          <p style="font-size: 12px; color: #6b7280;">Wenn Sie keinen Test angefordert haben, können Sie diese E-Mail ignorieren.</p>`,
+    text: `Hallo,
+
+schön, dass Sie das EAA-Plugin ausprobieren! Bestätigen Sie Ihre E-Mail-Adresse, um Ihren kostenlosen ${trialDays}-Tage-Test für ${domain} zu starten. Ihr Lizenzschlüssel wird direkt danach angezeigt.
+
+Test starten: ${verifyUrl}
+
+Der Link ist ${expiresInHours} Stunden gültig. Wenn Sie keinen Test angefordert haben, können Sie diese E-Mail ignorieren.
+
+${textFooter('de')}`
+  })
+};
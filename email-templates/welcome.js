@@ -0,0 +1,112 @@
+const {
+  PUBLIC_BASE_URL,
+  SUPPORT_EMAIL,
+  escapeHtml,
+  formatDate,
+  formatPlanWithPrice,
+  button,
+  detailsBox,
+  licenseKeyCode,
+  textFooter
+} = require('./helpers');
+
+// Sent once the license for a new purchase is created. After a trial the trial license is converted
+// and `license.license_key` is only its hint; `trialConverted` then tells the customer to keep it.
+module.exports = {
+  sample: {
+    customer: { name: 'Erika Mustermann' },
+    license: { license_key: 'EAA-7KQ4-MZ3P-W9XD-HT2C-R8NB', plan: 'pro', price: { amount: 49, currency: 'eur' }, expires_at: '2026-12-01T00:00:00Z' }
+  },
+
+  en: ({ customer, license, trialConverted }) => ({
+    subject: 'Your EAA Plugin License is Ready! 🎉',
+    heading: 'Welcome! Your License is Active 🎉',
+    content: `
+          <p>Hi ${escapeHtml(customer.name || 'there')},</p>
+          <p>Welcome to EAA Solutions! Your accessibility plugin license is now active and ready to use.</p>
+          ${trialConverted ? '<p>Your trial license has been upgraded - the key you already entered in the plugin keeps working, no need to change anything.</p>' : ''}
+          ${detailsBox('License Details:', [
+            ['License Key', licenseKeyCode(license.license_key)],
+            ['Plan', formatPlanWithPrice(license.plan, license.price, 'en')],
+            ['Status', '<span style="color: #059669; font-weight: bold;">Active ✅</span>'],
+            ['Expires', formatDate(license.expires_at, 'en')]
+          ])}
+
+          <div style="background: #ecfdf5; padding: 20px; border-radius: 8px; margin: 25px 0;">
+            <h3 style="color: #065f46; margin-top: 0;">🔧 Get Started:</h3>
+            <ol style="color: #374151; line-height: 1.6;">
+              <li>Download the EAA Plugin from your dashboard</li>
+              <li>Install on your website</li>
+              <li>Enter your license key</li>
+              <li>Start improving accessibility!</li>
+            </ol>
+          </div>
+          ${button(`${PUBLIC_BASE_URL}/install-guide?lang=en`, '📖 Installation Guide')}
+
+          <p style="font-size: 12px; color: #6b7280;">This email was sent because you purchased an EAA Plugin license.</p>`,
+    text: `Hi ${customer.name || 'there'},
+
+Welcome to EAA Solutions! Your accessibility plugin license is now active and ready to use.
+${trialConverted ? '\nYour trial license has been upgraded - the key you already entered in the plugin keeps working, no need to change anything.\n' : ''}
+License key: ${license.license_key}
+Plan: ${formatPlanWithPrice(license.plan, license.price, 'en')}
+Expires: ${formatDate(license.expires_at, 'en')}
+
+Get started:
+1. Download the EAA Plugin from your dashboard
+2. Install it on your website
+3. Enter your license key
+4. Start improving accessibility!
+
+Installation guide: ${PUBLIC_BASE_URL}/install-guide?lang=en
+Need help? ${SUPPORT_EMAIL}
+
+${textFooter('en')}`
+  }),
+
+  de: ({ customer, license, trialConverted }) => ({
+    subject: 'Ihre EAA-Plugin-Lizenz ist bereit! 🎉',
+    heading: 'Willkommen! Ihre Lizenz ist aktiv 🎉',
+    content: `
+          <p>Hallo ${escapeHtml(customer.name || '')},</p>
+          <p>Willkommen bei EAA Solutions! Ihre Lizenz für das Barrierefreiheits-Plugin ist jetzt aktiv und einsatzbereit.</p>
+          ${trialConverted ? '<p>Ihre Testlizenz wurde umgewandelt - der Schlüssel, den Sie bereits im Plugin eingetragen haben, funktioniert weiter. Sie müssen nichts ändern.</p>' : ''}
+          ${detailsBox('Lizenzdetails:', [
+            ['Lizenzschlüssel', licenseKeyCode(license.license_key)],
+            ['Tarif', formatPlanWithPrice(license.plan, license.price, 'de')],
+            ['Status', '<span style="color: #059669; font-weight: bold;">Aktiv ✅</span>'],
+            ['Gültig bis', formatDate(license.expires_at, 'de')]
+          ])}
+
+          <div style="background: #ecfdf5; padding: 20px; border-radius: 8px; margin: 25px 0;">
+            <h3 style="color: #065f46; margin-top: 0;">🔧 Erste Schritte:</h3>
+            <ol style="color: #374151; line-height: 1.6;">
+              <li>Laden Sie das EAA-Plugin aus Ihrem Dashboard herunter</li>
+              <li>Installieren Sie es auf Ihrer Website</li>
+              <li>Geben Sie Ihren Lizenzschlüssel ein</li>
+              <li>Verbessern Sie die Barrierefreiheit!</li>
+            </ol>
+          </div>
+          ${button(`${PUBLIC_BASE_URL}/install-guide?lang=de`, '📖 Installationsanleitung')}
+
+          <p style="font-size: 12px; color: #6b7280;">Sie erhalten diese E-Mail, weil Sie eine EAA-Plugin-Lizenz erworben haben.</p>`,
+    text: `Hallo ${customer.name || ''},
+
+willkommen bei EAA Solutions! Ihre Lizenz für das Barrierefreiheits-Plugin ist jetzt aktiv und einsatzbereit.
+${trialConverted ? '\nIhre Testlizenz wurde umgewandelt - der Schlüssel, den Sie bereits im Plugin eingetragen haben, funktioniert weiter. Sie müssen nichts ändern.\n' : ''}
+Lizenzschlüssel: ${license.license_key}
+Tarif: ${formatPlanWithPrice(license.plan, license.price, 'de')}
+Gültig bis: ${formatDate(license.expires_at, 'de')}
+
+Erste Schritte:
+1. Laden Sie das EAA-Plugin aus Ihrem Dashboard herunter
+2. Installieren Sie es auf Ihrer Website
+3. Geben Sie Ihren Lizenzschlüssel ein
+4. Verbessern Sie die Barrierefreiheit!
+
+Installationsanleitung: ${PUBLIC_BASE_URL}/install-guide?lang=de
+Fragen? ${SUPPORT_EMAIL}
+
+${textFooter('de')}`
+  })
+};
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+// Generates an RSA key pair for signing offline license tokens.
+// Usage: npm run generate-signing-key -- [key-id]
+//
+// To rotate: move the current public key into LICENSE_RETIRED_KEYS under its old kid,
+// then set LICENSE_SIGNING_KEY/LICENSE_SIGNING_KEY_ID to the new pair. Drop the retired
+// key once every token it signed has expired (token TTL + grace period).
+const generateSigningKey = (keyId) => {
+  const kid = keyId || `key-${new Date().toISOString().slice(0, 10)}`;
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+
+  const escape = (pem) => pem.trim().replace(/\n/g, '\\n');
+
+  console.log('🔑 New license signing key generated\n');
+  console.log(`LICENSE_SIGNING_KEY_ID=${kid}`);
+  console.log(`LICENSE_SIGNING_KEY="${escape(privateKey)}"\n`);
+  console.log('Public key (for LICENSE_RETIRED_KEYS after the next rotation):');
+  console.log(JSON.stringify({ [kid]: escape(publicKey) }));
+};
+
+// Run if called directly
+if (require.main === module) {
+  generateSigningKey(process.argv[2]);
+}
+
+module.exports = { generateSigningKey };
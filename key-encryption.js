@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+// Encryption for the few places that have to hold a plain license key for a while: the one-time
+// key reveal after checkout and queued emails that carry a key. The database only ever sees the
+// ciphertext, so a dump or read-only SQL access doesn't give out working keys. Rows holding an
+// encrypted key are cleared once it has been shown or sent.
+//
+// LICENSE_KEY_ENCRYPTION_KEY  32 random bytes, base64, kept outside the database. Generate one with
+//                             node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+// The server refuses to start without it (see server.js).
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const FORMAT_VERSION = 'v1';
+
+let encryptionKey = null;
+
+function loadEncryptionKey() {
+  if (encryptionKey) return encryptionKey;
+
+  if (!process.env.LICENSE_KEY_ENCRYPTION_KEY) {
+    throw new Error('LICENSE_KEY_ENCRYPTION_KEY is not configured');
+  }
+
+  const key = Buffer.from(process.env.LICENSE_KEY_ENCRYPTION_KEY, 'base64');
+  if (key.length !== 32) {
+    throw new Error('LICENSE_KEY_ENCRYPTION_KEY must be 32 bytes, base64 encoded');
+  }
+
+  encryptionKey = key;
+  return encryptionKey;
+}
+
+// "v1.<iv>.<tag>.<ciphertext>", each part base64url
+function encryptLicenseKey(licenseKey) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, loadEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(licenseKey, 'utf8'), cipher.final()]);
+
+  return [FORMAT_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+    .join('.');
+}
+
+// Throws if the value was tampered with or encrypted under another key
+function decryptLicenseKey(value) {
+  const [version, iv, tag, ciphertext] = String(value).split('.');
+  if (version !== FORMAT_VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unsupported encrypted license key format');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, loadEncryptionKey(), Buffer.from(iv, 'base64url'), {
+    authTagLength: TAG_BYTES
+  });
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  loadEncryptionKey,
+  encryptLicenseKey,
+  decryptLicenseKey
+};
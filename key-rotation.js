@@ -0,0 +1,206 @@
+const { hashLicenseKey, withUniqueLicenseKey } = require('./license-keys');
+const { enqueueEmail } = require('./email-outbox');
+
+// License key rotation and revocation. Rotating gives a license a new key while the license row -
+// subscription, activations, plugin config, usage history - stays the same. The old key goes to
+// license_key_history and keeps validating (with a deprecation warning) until the overlap ends.
+
+const DEFAULT_OVERLAP_HOURS = parseInt(process.env.LICENSE_KEY_OVERLAP_HOURS, 10) || 24;
+const MAX_OVERLAP_HOURS = 7 * 24;
+
+class KeyRotationError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Hash of the license a presented key belongs to. Replaced keys resolve to the license's current
+// key while their overlap window lasts; `rotated` then holds the window's end for a warning.
+async function resolveLicenseKey(client, licenseKey) {
+  const keyHash = hashLicenseKey(licenseKey);
+
+  const result = await client.query(`
+    SELECT l.license_key_hash, h.valid_until
+    FROM license_key_history h
+    JOIN licenses l ON l.id = h.license_id
+    WHERE h.license_key_hash = $1
+    AND h.revoked_at IS NULL
+    AND h.valid_until > NOW()
+  `, [keyHash]);
+
+  if (result.rows.length === 0) {
+    return { keyHash, rotated: null };
+  }
+
+  return { keyHash: result.rows[0].license_key_hash, rotated: { validUntil: result.rows[0].valid_until } };
+}
+
+// Warning for the plugin when it validated with a replaced key, or null
+function getKeyDeprecation(rotated) {
+  if (!rotated) return null;
+
+  return {
+    code: 'LICENSE_KEY_ROTATED',
+    message: 'This license key has been replaced. Enter the new key from your email or dashboard before it stops working.',
+    validUntil: rotated.validUntil
+  };
+}
+
+// Issue a new key for a license. `overlapHours` = 0 revokes the old key right away, which needs a
+// reason. Returns { licenseKey, licenseKeyHint, oldKeyHint, oldKeyValidUntil }.
+async function rotateLicenseKey(pool, licenseId, { overlapHours = DEFAULT_OVERLAP_HOURS, reason = null, rotatedBy }) {
+
+  if (!Number.isInteger(overlapHours) || overlapHours < 0 || overlapHours > MAX_OVERLAP_HOURS) {
+    throw new KeyRotationError(`overlapHours must be between 0 and ${MAX_OVERLAP_HOURS}`, 400);
+  }
+  if (overlapHours === 0 && !reason) {
+    throw new KeyRotationError('A reason is required to revoke the old key immediately', 400);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    // The whole rotation is retried with a fresh key if the new key collides
+    return await withUniqueLicenseKey(async (key, keyHash, keyHint) => {
+      await client.query('BEGIN');
+
+      try {
+        const result = await client.query(`
+          SELECT id, license_key_hash, license_key_hint, email, plan, locale, status
+          FROM licenses
+          WHERE id = $1
+          FOR UPDATE
+        `, [licenseId]);
+
+        if (result.rows.length === 0) {
+          throw new KeyRotationError('License not found', 404);
+        }
+
+        const license = result.rows[0];
+
+        if (license.status === 'revoked') {
+          throw new KeyRotationError('License has been revoked', 409);
+        }
+
+        const history = await client.query(`
+          INSERT INTO license_key_history (
+            license_id, license_key_hash, license_key_hint, rotated_by, valid_until, revoked_at, revoke_reason
+          ) VALUES (
+            $1, $2, $3, $4,
+            NOW() + ($5 || ' hours')::interval,
+            CASE WHEN $5::int = 0 THEN NOW() END,
+            $6
+          )
+          RETURNING valid_until
+        `, [license.id, license.license_key_hash, license.license_key_hint, rotatedBy, overlapHours, reason]);
+
+        await client.query(`
+          UPDATE licenses
+          SET license_key_hash = $2, license_key_hint = $3, updated_at = NOW()
+          WHERE id = $1
+        `, [license.id, keyHash, keyHint]);
+
+        // Usage and scan history is keyed by the key hash
+        await client.query(`
+          UPDATE license_usage SET license_key_hash = $2 WHERE license_key_hash = $1
+        `, [license.license_key_hash, keyHash]);
+
+        const oldKeyValidUntil = overlapHours > 0 ? history.rows[0].valid_until : null;
+
+        // The new key is kept encrypted until the email is sent; the payload only holds its hint
+        await enqueueEmail(client, {
+          type: 'key_rotated',
+          recipient: license.email,
+          licenseId: license.id,
+          licenseKey: key,
+          payload: {
+            locale: license.locale,
+            customer: { email: license.email },
+            license: { license_key: keyHint, plan: license.plan },
+            oldKeyHint: license.license_key_hint,
+            oldKeyValidUntil
+          }
+        });
+
+        await client.query('COMMIT');
+
+        return { licenseKey: key, licenseKeyHint: keyHint, oldKeyHint: license.license_key_hint, oldKeyValidUntil };
+
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+    });
+
+  } finally {
+    client.release();
+  }
+}
+
+// Revoke a license for good: its current key and any replaced keys in their overlap stop working.
+// Billing is not touched; cancel the Stripe subscription separately if needed.
+async function revokeLicense(pool, licenseId, { reason, revokedBy }) {
+  if (!reason) {
+    throw new KeyRotationError('A reason is required', 400);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      SELECT id, license_key_hint, status FROM licenses WHERE id = $1 FOR UPDATE
+    `, [licenseId]);
+
+    if (result.rows.length === 0) {
+      throw new KeyRotationError('License not found', 404);
+    }
+    if (result.rows[0].status === 'revoked') {
+      throw new KeyRotationError('License is already revoked', 409);
+    }
+
+    await client.query(`
+      UPDATE licenses
+      SET status = 'revoked', revoked_at = NOW(), revoked_by = $2, revoke_reason = $3, updated_at = NOW()
+      WHERE id = $1
+    `, [licenseId, revokedBy, reason]);
+
+    await client.query(`
+      UPDATE license_key_history
+      SET revoked_at = NOW(), revoke_reason = $2
+      WHERE license_id = $1 AND revoked_at IS NULL AND valid_until > NOW()
+    `, [licenseId, reason]);
+
+    await client.query('COMMIT');
+    return result.rows[0];
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function listKeyHistory(client, licenseId) {
+  const result = await client.query(`
+    SELECT license_key_hint, rotated_at, rotated_by, valid_until, revoked_at, revoke_reason
+    FROM license_key_history
+    WHERE license_id = $1
+    ORDER BY rotated_at DESC
+  `, [licenseId]);
+
+  return result.rows;
+}
+
+module.exports = {
+  KeyRotationError,
+  DEFAULT_OVERLAP_HOURS,
+  resolveLicenseKey,
+  getKeyDeprecation,
+  rotateLicenseKey,
+  revokeLicense,
+  listKeyHistory
+};
@@ -0,0 +1,152 @@
+const { getPlan } = require('./plans');
+
+// Manual license changes from the admin dashboard and API. Stripe stays the source of truth for
+// subscriptions: its next event for the subscription overwrites plan, status and expiry again. The
+// exception is a suspension by an admin, which renewals and reconciliation leave in place.
+
+const MAX_EXTENSION_DAYS = 3650;
+const SUSPENDABLE_STATUSES = ['active', 'past_due'];
+const REACTIVATABLE_STATUSES = ['suspended', 'expired', 'cancelled'];
+
+class LicenseAdminError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Run `change(client, license)` on the locked license row inside a transaction
+async function withLockedLicense(pool, licenseId, change) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      SELECT id, license_key_hint, email, plan, status, expires_at FROM licenses WHERE id = $1 FOR UPDATE
+    `, [licenseId]);
+
+    if (result.rows.length === 0) {
+      throw new LicenseAdminError('License not found', 404);
+    }
+
+    const updated = await change(client, result.rows[0]);
+
+    await client.query('COMMIT');
+    return updated;
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Push expires_at out by `days`, counted from now if the license has already expired
+async function extendLicense(pool, licenseId, { days }) {
+  const extension = Number(days);
+
+  if (!Number.isInteger(extension) || extension < 1 || extension > MAX_EXTENSION_DAYS) {
+    throw new LicenseAdminError(`days must be an integer between 1 and ${MAX_EXTENSION_DAYS}`, 400);
+  }
+
+  return withLockedLicense(pool, licenseId, async (client, license) => {
+    if (license.status === 'revoked') {
+      throw new LicenseAdminError('Revoked licenses cannot be extended', 409);
+    }
+
+    const result = await client.query(`
+      UPDATE licenses
+      SET expires_at = GREATEST(COALESCE(expires_at, NOW()), NOW()) + ($2 || ' days')::interval,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, license_key_hint, status, expires_at
+    `, [licenseId, extension]);
+
+    return result.rows[0];
+  });
+}
+
+async function suspendLicense(pool, licenseId) {
+  return withLockedLicense(pool, licenseId, async (client, license) => {
+    if (!SUSPENDABLE_STATUSES.includes(license.status)) {
+      throw new LicenseAdminError(`Cannot suspend a license that is ${license.status}`, 409);
+    }
+
+    const result = await client.query(`
+      UPDATE licenses
+      SET status = 'suspended', updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, license_key_hint, status, expires_at
+    `, [licenseId]);
+
+    return result.rows[0];
+  });
+}
+
+// Back to active, leaving any dunning state behind. Expired licenses have to be extended first,
+// otherwise the expiry sweep would switch them off again right away.
+async function reactivateLicense(pool, licenseId) {
+  return withLockedLicense(pool, licenseId, async (client, license) => {
+    if (!REACTIVATABLE_STATUSES.includes(license.status)) {
+      throw new LicenseAdminError(`Cannot reactivate a license that is ${license.status}`, 409);
+    }
+    if (license.expires_at && new Date(license.expires_at) <= new Date()) {
+      throw new LicenseAdminError('License has expired - extend it before reactivating', 409);
+    }
+
+    const result = await client.query(`
+      UPDATE licenses
+      SET status = 'active',
+          past_due_since = NULL,
+          grace_period_ends_at = NULL,
+          dunning_stage = NULL,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, license_key_hint, status, expires_at
+    `, [licenseId]);
+
+    return result.rows[0];
+  });
+}
+
+// Switch to another active catalog plan and record it in the plan change history
+async function changeLicensePlan(pool, licenseId, { plan, changedBy }) {
+  const planDetails = plan ? await getPlan(plan) : null;
+
+  if (!planDetails || !planDetails.active) {
+    throw new LicenseAdminError(`Unknown or inactive plan: ${plan}`, 400);
+  }
+
+  return withLockedLicense(pool, licenseId, async (client, license) => {
+    if (license.status === 'revoked') {
+      throw new LicenseAdminError('Revoked licenses cannot change plan', 409);
+    }
+    if (license.plan === plan) {
+      throw new LicenseAdminError(`License is already on the ${plan} plan`, 409);
+    }
+
+    const result = await client.query(`
+      UPDATE licenses
+      SET plan = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, license_key_hint, status, plan, expires_at
+    `, [licenseId, plan]);
+
+    await client.query(`
+      INSERT INTO license_plan_changes (license_id, old_plan, new_plan, changed_by)
+      VALUES ($1, $2, $3, $4)
+    `, [licenseId, license.plan, plan, changedBy]);
+
+    return { ...result.rows[0], oldPlan: license.plan };
+  });
+}
+
+module.exports = {
+  LicenseAdminError,
+  extendLicense,
+  suspendLicense,
+  reactivateLicense,
+  changeLicensePlan
+};
@@ -0,0 +1,212 @@
+require('dotenv').config();
+const { Pool } = require('pg');
+const { enqueueEmail } = require('./email-outbox');
+const { advanceDunning } = require('./dunning');
+const { pruneLockouts } = require('./validation-guard');
+const { pruneKeyReveals } = require('./checkout');
+const { pruneLoginTokens } = require('./customer-auth');
+const { TRIAL_PLAN } = require('./trials');
+const { logger } = require('./logger');
+
+// Scheduled expiry sweep: marks overdue licenses as expired in bulk and queues reminder emails
+// ahead of expiry for licenses that won't renew on their own (manual ones and subscriptions set to
+// cancel at period end). Stripe-renewed licenses are extended by invoice.payment_succeeded instead,
+// or enter dunning on invoice.payment_failed; they only expire here if neither arrived in time.
+// The sweep also moves past due licenses through the later dunning stages (see dunning.js) and
+// forgets stale /validate failure counters (see validation-guard.js).
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const REMINDER_DAYS = [14, 7, 1];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const RENEW_URL = process.env.RENEW_URL || 'https://eaasolutions.de/pricing';
+
+// Stripe retries a webhook for up to 3 days. A subscription license stays in its term that long
+// past expires_at, so a late renewal or payment failure still finds it active.
+const RENEWAL_WINDOW_DAYS = 3;
+
+// Arbitrary key for pg_try_advisory_lock so only one replica sweeps at a time
+const SWEEP_LOCK_ID = 7351002;
+
+// SQL condition for a license whose term is still running; the endpoints that take a license key
+// use it too, so a license they accept is never expired by the sweep and the other way round
+const IN_TERM_SQL = `(
+  expires_at IS NULL
+  OR expires_at > NOW() - CASE WHEN subscription_id IS NULL THEN INTERVAL '0 days' ELSE INTERVAL '${RENEWAL_WINDOW_DAYS} days' END
+)`;
+
+// The opposite, for a loaded license row
+function hasExpired(license, now = new Date()) {
+  if (!license.expires_at) return false;
+
+  const windowMs = license.subscription_id ? RENEWAL_WINDOW_DAYS * DAY_MS : 0;
+  return new Date(license.expires_at).getTime() + windowMs < now.getTime();
+}
+
+async function expireOverdueLicenses(client) {
+  const result = await client.query(`
+    UPDATE licenses
+    SET status = 'expired', updated_at = NOW()
+    WHERE status = 'active'
+    AND NOT ${IN_TERM_SQL}
+    RETURNING id
+  `);
+
+  return result.rowCount;
+}
+
+// Only the closest reminder stage is sent, so a license created 5 days before expiry gets the
+// 7-day reminder but never a late 14-day one. Trial licenses are left out: there is nothing to
+// renew, and the trial email already says when it ends.
+async function findLicensesDueForReminder(client) {
+  const result = await client.query(`
+    SELECT id, license_key_hint, email, plan, expires_at, locale,
+           CASE
+             WHEN expires_at <= NOW() + INTERVAL '1 day' THEN 1
+             WHEN expires_at <= NOW() + INTERVAL '7 days' THEN 7
+             ELSE 14
+           END AS days_before
+    FROM licenses
+    WHERE status = 'active'
+    AND email IS NOT NULL
+    AND expires_at > NOW()
+    AND expires_at <= NOW() + ($1 || ' days')::interval
+    AND (subscription_id IS NULL OR cancel_at_period_end = TRUE)
+    AND plan <> $2
+  `, [Math.max(...REMINDER_DAYS), TRIAL_PLAN]);
+
+  return result.rows;
+}
+
+// Record the reminder and queue the email in one transaction; the unique constraint on
+// license_expiry_reminders makes a second attempt a no-op.
+async function sendExpiryReminder(client, license) {
+  await client.query('BEGIN');
+
+  try {
+    const claim = await client.query(`
+      INSERT INTO license_expiry_reminders (license_id, days_before, expires_at)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (license_id, days_before, expires_at) DO NOTHING
+      RETURNING id
+    `, [license.id, license.days_before, license.expires_at]);
+
+    if (claim.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    await enqueueEmail(client, {
+      type: 'expiry_reminder',
+      recipient: license.email,
+      licenseId: license.id,
+      payload: {
+        locale: license.locale,
+        customer: { email: license.email },
+        license: { license_key: license.license_key_hint, plan: license.plan, expires_at: license.expires_at },
+        daysLeft: Math.max(Math.ceil((new Date(license.expires_at) - Date.now()) / DAY_MS), 1),
+        renewUrl: RENEW_URL
+      }
+    });
+
+    await client.query('COMMIT');
+    return true;
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// One sweep. Returns counts for logging, or null if another replica is sweeping right now.
+async function runExpirySweep() {
+  const client = await pool.connect();
+
+  try {
+    const lock = await client.query('SELECT pg_try_advisory_lock($1) AS acquired', [SWEEP_LOCK_ID]);
+    if (!lock.rows[0].acquired) {
+      return null;
+    }
+
+    try {
+      const expired = await expireOverdueLicenses(client);
+
+      let reminders = 0;
+      for (const license of await findLicensesDueForReminder(client)) {
+        if (await sendExpiryReminder(client, license)) reminders++;
+      }
+
+      const { finalNotices, suspended } = await advanceDunning(client);
+
+      await pruneLockouts(client);
+      await pruneKeyReveals(client);
+      await pruneLoginTokens(client);
+
+      if (expired > 0 || reminders > 0 || finalNotices > 0 || suspended > 0) {
+        logger.info('Expiry sweep', { expired, reminders, finalNotices, suspended });
+      }
+
+      return { expired, reminders, finalNotices, suspended };
+
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [SWEEP_LOCK_ID]);
+    }
+
+  } finally {
+    client.release();
+  }
+}
+
+let workerTimer = null;
+
+function startExpirySweepWorker() {
+  if (workerTimer) return;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runExpirySweep();
+    } catch (error) {
+      logger.error('Expiry sweep error', { error });
+    } finally {
+      running = false;
+    }
+  };
+
+  workerTimer = setInterval(tick, SWEEP_INTERVAL_MS);
+  tick();
+
+  logger.info('Expiry sweep worker started', { intervalSeconds: SWEEP_INTERVAL_MS / 1000 });
+}
+
+function stopExpirySweepWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+// Run a single sweep if called directly (e.g. from a cron job: `npm run expire-licenses`)
+if (require.main === module) {
+  runExpirySweep()
+    .then((result) => {
+      logger.info(result ? 'Expiry sweep done' : 'Another expiry sweep is running', { ...result });
+    })
+    .catch((error) => {
+      logger.error('Expiry sweep failed', { error });
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = {
+  IN_TERM_SQL,
+  hasExpired,
+  runExpirySweep,
+  startExpirySweepWorker,
+  stopExpirySweepWorker
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// License keys look like EAA-XXXX-XXXX-XXXX-XXXX-CCCC: four random segments from a CSPRNG plus a
+// check segment, so typos are rejected without a database lookup. Only a SHA-256 hash of the key
+// is stored; keys carry ~79 bits of randomness, so a fast hash is enough to make a leaked table useless.
+
+// No 0/O, 1/I/L or other look-alikes
+const ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const SEGMENT_LENGTH = 4;
+const RANDOM_SEGMENTS = 4;
+const MAX_GENERATION_ATTEMPTS = 5;
+
+const KEY_PATTERN = new RegExp(`^EAA(-[${ALPHABET}]{${SEGMENT_LENGTH}}){${RANDOM_SEGMENTS + 1}}$`);
+// Keys issued before check segments existed (Math.random base36, 4 segments) and the
+// 3-segment test/demo keys from setup-database.js
+const LEGACY_KEY_PATTERN = /^EAA(-[A-Z0-9]{4}){3,4}$/;
+
+function randomSegment() {
+  let segment = '';
+  for (let i = 0; i < SEGMENT_LENGTH; i++) {
+    segment += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  }
+  return segment;
+}
+
+function checkSegment(body) {
+  const digest = crypto.createHash('sha256').update(body).digest();
+  let segment = '';
+  for (let i = 0; i < SEGMENT_LENGTH; i++) {
+    segment += ALPHABET[digest[i] % ALPHABET.length];
+  }
+  return segment;
+}
+
+function normalizeLicenseKey(licenseKey) {
+  return typeof licenseKey === 'string' ? licenseKey.trim().toUpperCase() : '';
+}
+
+function generateLicenseKey() {
+  const segments = [];
+  for (let i = 0; i < RANDOM_SEGMENTS; i++) {
+    segments.push(randomSegment());
+  }
+  const body = `EAA-${segments.join('-')}`;
+  return `${body}-${checkSegment(body)}`;
+}
+
+// Format and check segment test - no database involved
+function isWellFormedLicenseKey(licenseKey) {
+  const key = normalizeLicenseKey(licenseKey);
+
+  if (KEY_PATTERN.test(key)) {
+    const body = key.slice(0, key.lastIndexOf('-'));
+    return key.slice(key.lastIndexOf('-') + 1) === checkSegment(body);
+  }
+
+  return LEGACY_KEY_PATTERN.test(key);
+}
+
+function hashLicenseKey(licenseKey) {
+  return crypto.createHash('sha256').update(normalizeLicenseKey(licenseKey)).digest('hex');
+}
+
+// Display form that is safe to store, log and show in dashboards: EAA-****-****-****-****-CCCC
+function maskLicenseKey(licenseKey) {
+  const segments = normalizeLicenseKey(licenseKey).split('-');
+  if (segments.length < 3) return '****';
+
+  return segments
+    .map((segment, index) => (index === 0 || index === segments.length - 1 ? segment : '*'.repeat(segment.length)))
+    .join('-');
+}
+
+// Generate a key and hand it to `insert(key, keyHash, keyHint)`, retrying with a fresh key if the
+// hash collides with an existing license (unique violation on license_key_hash). The insert must not
+// run inside an open transaction, since the failed statement would abort it.
+async function withUniqueLicenseKey(insert) {
+  for (let attempt = 1; attempt <= MAX_GENERATION_ATTEMPTS; attempt++) {
+    const licenseKey = generateLicenseKey();
+
+    try {
+      return await insert(licenseKey, hashLicenseKey(licenseKey), maskLicenseKey(licenseKey));
+    } catch (error) {
+      const isKeyCollision = error.code === '23505' && /license_key_hash/.test(error.constraint || '');
+      if (!isKeyCollision || attempt === MAX_GENERATION_ATTEMPTS) {
+        throw error;
+      }
+      logger.warn('License key collision, retrying', { attempt });
+    }
+  }
+}
+
+module.exports = {
+  generateLicenseKey,
+  isWellFormedLicenseKey,
+  hashLicenseKey,
+  maskLicenseKey,
+  withUniqueLicenseKey
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { logger } = require('./logger');
+
+// Offline license tokens: RS256 JWTs the plugin verifies with our published public key.
+//
+// LICENSE_SIGNING_KEY       PEM private key used to sign new tokens
+// LICENSE_SIGNING_KEY_ID    kid of the signing key (put in the JWT header)
+// LICENSE_RETIRED_KEYS      JSON object { kid: publicKeyPem } of rotated-out keys that are still
+//                           published so tokens they signed keep verifying until they expire
+const TOKEN_ALGORITHM = 'RS256';
+const TOKEN_ISSUER = process.env.LICENSE_TOKEN_ISSUER || 'eaa-license-backend';
+const TOKEN_AUDIENCE = 'eaa-plugin';
+
+// How long a token is fresh before the plugin should call home again
+const TOKEN_TTL_SECONDS = parseInt(process.env.LICENSE_TOKEN_TTL_SECONDS, 10) || 24 * 60 * 60; // 1 day
+// How long the plugin keeps working offline after the token stops being fresh
+const GRACE_PERIOD_SECONDS = parseInt(process.env.LICENSE_TOKEN_GRACE_SECONDS, 10) || 7 * 24 * 60 * 60; // 7 days
+
+let signingKey = null;
+let publicKeys = null;
+
+// Env vars can't hold real newlines on every platform, so accept "\n"-escaped PEMs
+function readPem(value) {
+  return value ? value.replace(/\\n/g, '\n') : null;
+}
+
+// Keys are parsed into locals and only cached once all of them parsed, so a bad
+// LICENSE_SIGNING_KEY or LICENSE_RETIRED_KEYS keeps failing loudly instead of leaving signing
+// half-configured. The server loads them at startup and refuses to boot on an error.
+function loadKeys() {
+  if (publicKeys) return;
+
+  const keys = new Map();
+  let signing = null;
+
+  const privatePem = readPem(process.env.LICENSE_SIGNING_KEY);
+  if (privatePem) {
+    const privateKey = crypto.createPrivateKey(privatePem);
+    const kid = process.env.LICENSE_SIGNING_KEY_ID || fingerprint(crypto.createPublicKey(privateKey));
+    signing = { kid, privateKey };
+    keys.set(kid, crypto.createPublicKey(privateKey));
+  }
+
+  if (process.env.LICENSE_RETIRED_KEYS) {
+    const retired = JSON.parse(process.env.LICENSE_RETIRED_KEYS);
+    for (const [kid, pem] of Object.entries(retired)) {
+      if (!keys.has(kid)) {
+        keys.set(kid, crypto.createPublicKey(readPem(pem)));
+      }
+    }
+  }
+
+  if (!signing) {
+    logger.warn('LICENSE_SIGNING_KEY is not set - offline license tokens are disabled');
+  }
+
+  signingKey = signing;
+  publicKeys = keys;
+}
+
+// Short stable id for a key, used when no explicit kid is configured
+function fingerprint(publicKey) {
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('base64url').slice(0, 16);
+}
+
+function isSigningEnabled() {
+  loadKeys();
+  return signingKey !== null;
+}
+
+// Sign an offline token for a validated license. Returns null when signing is not configured.
+function signLicenseToken({ licenseKey, plan, features, domain, licenseExpiresAt }) {
+  if (!isSigningEnabled()) return null;
+
+  const now = Math.floor(Date.now() / 1000);
+  const refreshAfter = now + TOKEN_TTL_SECONDS;
+  let expiresAt = refreshAfter + GRACE_PERIOD_SECONDS;
+
+  // Never let the grace window outlive the license itself
+  if (licenseExpiresAt) {
+    const licenseExpiry = Math.floor(new Date(licenseExpiresAt).getTime() / 1000);
+    expiresAt = Math.min(expiresAt, licenseExpiry);
+  }
+
+  const payload = {
+    license_key: licenseKey,
+    plan,
+    features,
+    domain,
+    refresh_after: Math.min(refreshAfter, expiresAt),
+    license_expires_at: licenseExpiresAt ? new Date(licenseExpiresAt).toISOString() : null,
+    iat: now,
+    exp: expiresAt
+  };
+
+  const token = jwt.sign(payload, signingKey.privateKey, {
+    algorithm: TOKEN_ALGORITHM,
+    keyid: signingKey.kid,
+    issuer: TOKEN_ISSUER,
+    audience: TOKEN_AUDIENCE,
+    subject: licenseKey
+  });
+
+  return {
+    token,
+    refreshAfter: new Date(payload.refresh_after * 1000),
+    expiresAt: new Date(expiresAt * 1000)
+  };
+}
+
+// Verify a token we issued (any published key). Throws on invalid tokens.
+function verifyLicenseToken(token) {
+  loadKeys();
+
+  const decoded = jwt.decode(token, { complete: true });
+  const publicKey = decoded && publicKeys.get(decoded.header.kid);
+  if (!publicKey) {
+    throw new Error('Unknown signing key');
+  }
+
+  return jwt.verify(token, publicKey, {
+    algorithms: [TOKEN_ALGORITHM],
+    issuer: TOKEN_ISSUER,
+    audience: TOKEN_AUDIENCE
+  });
+}
+
+// Public keys for the plugin, as both JWKS entries and PEM for clients without JWK support
+function getPublicKeys() {
+  loadKeys();
+
+  return Array.from(publicKeys.entries()).map(([kid, publicKey]) => ({
+    ...publicKey.export({ format: 'jwk' }),
+    kid,
+    alg: TOKEN_ALGORITHM,
+    use: 'sig',
+    pem: publicKey.export({ type: 'spki', format: 'pem' }),
+    current: signingKey !== null && signingKey.kid === kid
+  }));
+}
+
+module.exports = {
+  TOKEN_TTL_SECONDS,
+  loadKeys,
+  GRACE_PERIOD_SECONDS,
+  isSigningEnabled,
+  signLicenseToken,
+  verifyLicenseToken,
+  getPublicKeys
+};
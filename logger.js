@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const winston = require('winston');
+
+// Shared structured logger. Every line is a JSON object with timestamp, level, message and context
+// fields (keyHint, eventId, licenseId, ...). Lines logged while handling a request carry its
+// requestId, and webhook events or background jobs add their own context (withLogContext), so all
+// lines of one request or Stripe event can be found together. License keys are masked wherever
+// they appear.
+//
+// LOG_LEVEL: error | warn | info | http (default; includes the access log) | verbose | debug
+// LOG_DIR: where error.log and combined.log are written (default: working directory)
+
+const contextStore = new AsyncLocalStorage();
+
+const LOG_LEVEL = process.env.LOG_LEVEL || 'http';
+const LOG_DIR = process.env.LOG_DIR || '.';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Full license keys, current and legacy format; the first and last segment stay readable
+const LICENSE_KEY_PATTERN = /\bEAA(-[A-Z0-9]{4}){3,5}\b/gi;
+
+function maskKeys(text) {
+  return text.replace(LICENSE_KEY_PATTERN, key => key
+    .split('-')
+    .map((segment, index, segments) => (index === 0 || index === segments.length - 1 ? segment : '****'))
+    .join('-'));
+}
+
+function serializeError(error) {
+  return { message: error.message, code: error.code, stack: error.stack };
+}
+
+// Adds the request/job context, serializes Error fields and masks license keys
+const structure = winston.format((info) => {
+  const context = contextStore.getStore();
+
+  if (context) {
+    for (const [field, value] of Object.entries(context)) {
+      if (info[field] === undefined) info[field] = value;
+    }
+  }
+
+  for (const [field, value] of Object.entries(info)) {
+    if (value instanceof Error) {
+      info[field] = serializeError(value);
+    }
+  }
+
+  return info;
+});
+
+const maskLicenseKeys = winston.format((info) => {
+  const masked = JSON.parse(maskKeys(JSON.stringify(info)));
+  return Object.assign(info, masked);
+});
+
+const logger = winston.createLogger({
+  level: LOG_LEVEL,
+  format: winston.format.combine(
+    structure(),
+    winston.format.timestamp(),
+    maskLicenseKeys(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(LOG_DIR, 'error.log'), level: 'error' }),
+    new winston.transports.File({ filename: path.join(LOG_DIR, 'combined.log') }),
+    new winston.transports.Console()
+  ]
+});
+
+// Run `fn` with extra fields on every line it logs, e.g. { eventId } while a webhook is processed
+function withLogContext(fields, fn) {
+  return contextStore.run({ ...contextStore.getStore(), ...fields }, fn);
+}
+
+// Express middleware: assigns the request ID (a sane incoming X-Request-Id is kept, e.g. from a
+// proxy), echoes it in the response and makes it part of every line logged for the request
+function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  withLogContext({ requestId: req.id }, next);
+}
+
+// Express middleware: one access log line per request once the response is sent
+function requestLogger(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    logger.http('Request completed', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Number((process.hrtime.bigint() - startedAt) / 1000000n),
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  });
+
+  next();
+}
+
+module.exports = {
+  logger,
+  withLogContext,
+  requestContext,
+  requestLogger
+};
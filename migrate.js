@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary key for pg_advisory_lock so two replicas never migrate at the same time
+const MIGRATION_LOCK_ID = 7351001;
+
+// Migration files are named NNN_description.js and export { up, down }
+const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(/^(\d+)_(.+)\.js$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: parseInt(version, 10),
+      name,
+      file,
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+};
+
+const getAppliedVersions = async (client) => {
+  const exists = await client.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+  if (!exists.rows[0].exists) return [];
+
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => row.version);
+};
+
+// Migrations that exist on disk but haven't been applied (read-only, safe to call at startup)
+const getPendingMigrations = async (pool) => {
+  const client = await pool.connect();
+  try {
+    const applied = new Set(await getAppliedVersions(client));
+    return loadMigrations().filter(migration => !applied.has(migration.version));
+  } finally {
+    client.release();
+  }
+};
+
+// Run a callback while holding the migration lock
+const withMigrationLock = async (pool, callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    client.release();
+  }
+};
+
+// Apply every pending migration, each in its own transaction
+const runMigrations = async (pool) => {
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Set(await getAppliedVersions(client));
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+      console.log(`⬆️  Applying ${migration.file}`);
+      await client.query('BEGIN');
+      try {
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+      }
+    }
+
+    return pending;
+  });
+};
+
+// Revert the most recently applied migrations
+const rollbackMigrations = async (pool, steps = 1) => {
+  return withMigrationLock(pool, async (client) => {
+    const applied = (await getAppliedVersions(client)).reverse().slice(0, steps);
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const reverted = [];
+
+    for (const version of applied) {
+      const migration = migrations.get(version);
+      if (!migration) {
+        throw new Error(`Migration file for version ${version} not found`);
+      }
+
+      console.log(`⬇️  Reverting ${migration.file}`);
+      await client.query('BEGIN');
+      try {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Rollback of ${migration.file} failed: ${error.message}`);
+      }
+
+      reverted.push(migration);
+    }
+
+    return reverted;
+  });
+};
+
+const getMigrationStatus = async (pool) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+    const appliedRows = result.rows[0].exists
+      ? (await client.query('SELECT version, applied_at FROM schema_migrations')).rows
+      : [];
+    const appliedAt = new Map(appliedRows.map(row => [row.version, row.applied_at]));
+
+    return loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: appliedAt.has(migration.version),
+      appliedAt: appliedAt.get(migration.version) || null
+    }));
+  } finally {
+    client.release();
+  }
+};
+
+// CLI: node migrate.js [up|down [steps]|status]
+const main = async (command = 'up', arg) => {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  try {
+    if (command === 'up') {
+      const applied = await runMigrations(pool);
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Database schema is up to date');
+    } else if (command === 'down') {
+      const reverted = await rollbackMigrations(pool, parseInt(arg, 10) || 1);
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+      const status = await getMigrationStatus(pool);
+      for (const migration of status) {
+        const state = migration.applied ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+        console.log(`${migration.applied ? '✅' : '⏳'} ${String(migration.version).padStart(3, '0')}_${migration.name} (${state})`);
+      }
+    } else {
+      console.error('Usage: node migrate.js [up|down [steps]|status]');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  main(process.argv[2], process.argv[3]);
+}
+
+module.exports = {
+  runMigrations,
+  rollbackMigrations,
+  getMigrationStatus,
+  getPendingMigrations
+};
@@ -0,0 +1,97 @@
+// Initial schema, as previously created by setup-database.js.
+// Uses IF NOT EXISTS so databases set up before migrations existed can adopt it.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS customers (
+        id SERIAL PRIMARY KEY,
+        stripe_customer_id VARCHAR(255) UNIQUE NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        name VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS licenses (
+        id SERIAL PRIMARY KEY,
+        license_key VARCHAR(50) UNIQUE NOT NULL,
+        customer_id VARCHAR(255),
+        subscription_id VARCHAR(255),
+        email VARCHAR(255) NOT NULL,
+        domain VARCHAR(255),
+        plan VARCHAR(50) NOT NULL DEFAULT 'starter',
+        status VARCHAR(50) NOT NULL DEFAULT 'active',
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        expires_at TIMESTAMP,
+        last_used TIMESTAMP,
+        usage_count INTEGER DEFAULT 0
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_licenses_key ON licenses(license_key);
+      CREATE INDEX IF NOT EXISTS idx_licenses_customer ON licenses(customer_id);
+      CREATE INDEX IF NOT EXISTS idx_licenses_subscription ON licenses(subscription_id);
+      CREATE INDEX IF NOT EXISTS idx_licenses_status ON licenses(status);
+      CREATE INDEX IF NOT EXISTS idx_licenses_domain ON licenses(domain);
+      CREATE INDEX IF NOT EXISTS idx_licenses_license_key ON licenses(license_key);
+      CREATE INDEX IF NOT EXISTS idx_customers_stripe_customer ON customers(stripe_customer_id);
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS license_usage (
+        id SERIAL PRIMARY KEY,
+        license_key VARCHAR(50) NOT NULL,
+        domain VARCHAR(255),
+        action VARCHAR(100),
+        timestamp TIMESTAMP DEFAULT NOW(),
+        ip_address INET,
+        user_agent TEXT
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_usage_license ON license_usage(license_key);
+      CREATE INDEX IF NOT EXISTS idx_usage_timestamp ON license_usage(timestamp);
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_events (
+        id SERIAL PRIMARY KEY,
+        stripe_event_id VARCHAR(255) UNIQUE,
+        event_type VARCHAR(100),
+        processed_at TIMESTAMP DEFAULT NOW(),
+        data JSONB,
+        error_message TEXT
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_webhook_events_type ON webhook_events(event_type);
+      CREATE INDEX IF NOT EXISTS idx_webhook_events_processed ON webhook_events(processed_at);
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS plugin_configs (
+        id SERIAL PRIMARY KEY,
+        license_id INTEGER REFERENCES licenses(id),
+        config_data JSONB DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP TABLE IF EXISTS plugin_configs;
+      DROP TABLE IF EXISTS webhook_events;
+      DROP TABLE IF EXISTS license_usage;
+      DROP TABLE IF EXISTS licenses;
+      DROP TABLE IF EXISTS customers;
+    `);
+  }
+};
@@ -0,0 +1,22 @@
+// Admin accounts for the license management routes
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS admin_users (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        token_version INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_login TIMESTAMP
+      )
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS admin_users');
+  }
+};
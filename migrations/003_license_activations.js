@@ -0,0 +1,24 @@
+// One row per activated website, limited by the plan's max_websites
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS license_activations (
+        id SERIAL PRIMARY KEY,
+        license_id INTEGER NOT NULL REFERENCES licenses(id) ON DELETE CASCADE,
+        domain VARCHAR(255) NOT NULL,
+        activated_at TIMESTAMP DEFAULT NOW(),
+        last_seen TIMESTAMP DEFAULT NOW(),
+        deactivated_at TIMESTAMP,
+        UNIQUE (license_id, domain)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_activations_license ON license_activations(license_id) WHERE deactivated_at IS NULL;
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS license_activations');
+  }
+};
@@ -0,0 +1,16 @@
+// Billing period start for monthly scan quotas
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE licenses ADD COLUMN IF NOT EXISTS current_period_start TIMESTAMP;
+      CREATE INDEX IF NOT EXISTS idx_usage_license_action ON license_usage(license_key, action, timestamp);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_usage_license_action;
+      ALTER TABLE licenses DROP COLUMN IF EXISTS current_period_start;
+    `);
+  }
+};
@@ -0,0 +1,22 @@
+// Processing state for idempotent webhook handling
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'processed';
+      ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS received_at TIMESTAMP DEFAULT NOW();
+      ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+      CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_webhook_events_status;
+      ALTER TABLE webhook_events DROP COLUMN IF EXISTS updated_at;
+      ALTER TABLE webhook_events DROP COLUMN IF EXISTS received_at;
+      ALTER TABLE webhook_events DROP COLUMN IF EXISTS attempts;
+      ALTER TABLE webhook_events DROP COLUMN IF EXISTS status;
+    `);
+  }
+};
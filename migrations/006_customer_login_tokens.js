@@ -0,0 +1,26 @@
+// One-time magic link tokens for passwordless customer login
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS customer_login_tokens (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_licenses_email ON licenses(LOWER(email));
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_licenses_email;
+      DROP TABLE IF EXISTS customer_login_tokens;
+    `);
+  }
+};
@@ -0,0 +1,30 @@
+// Plan change history and scheduled cancellations from customer.subscription.updated
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE licenses ADD COLUMN IF NOT EXISTS cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS license_plan_changes (
+        id SERIAL PRIMARY KEY,
+        license_id INTEGER NOT NULL REFERENCES licenses(id) ON DELETE CASCADE,
+        old_plan VARCHAR(50),
+        new_plan VARCHAR(50) NOT NULL,
+        stripe_event_id VARCHAR(255),
+        changed_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_plan_changes_license ON license_plan_changes(license_id);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP TABLE IF EXISTS license_plan_changes;
+      ALTER TABLE licenses DROP COLUMN IF EXISTS cancel_at_period_end;
+    `);
+  }
+};
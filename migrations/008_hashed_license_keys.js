@@ -0,0 +1,36 @@
+const { hashLicenseKey, maskLicenseKey } = require('../license-keys');
+
+// Store only a SHA-256 hash of each license key plus a masked hint for display.
+// Irreversible: the plaintext keys are dropped.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE licenses ADD COLUMN license_key_hash VARCHAR(64);
+      ALTER TABLE licenses ADD COLUMN license_key_hint VARCHAR(50);
+    `);
+
+    const licenses = await client.query('SELECT id, license_key FROM licenses');
+    for (const license of licenses.rows) {
+      await client.query(`
+        UPDATE licenses SET license_key_hash = $1, license_key_hint = $2 WHERE id = $3
+      `, [hashLicenseKey(license.license_key), maskLicenseKey(license.license_key), license.id]);
+    }
+
+    await client.query(`
+      ALTER TABLE licenses ALTER COLUMN license_key_hash SET NOT NULL;
+      ALTER TABLE licenses ADD CONSTRAINT licenses_license_key_hash_key UNIQUE (license_key_hash);
+      ALTER TABLE licenses DROP COLUMN license_key;
+    `);
+
+    // Usage rows reference licenses by key too
+    await client.query(`
+      ALTER TABLE license_usage ALTER COLUMN license_key TYPE VARCHAR(64);
+      UPDATE license_usage SET license_key = encode(sha256(convert_to(UPPER(TRIM(license_key)), 'UTF8')), 'hex');
+      ALTER TABLE license_usage RENAME COLUMN license_key TO license_key_hash;
+    `);
+  },
+
+  down: async () => {
+    throw new Error('008_hashed_license_keys cannot be reverted: plaintext license keys are no longer stored');
+  }
+};
@@ -0,0 +1,35 @@
+// Outbox for transactional emails, delivered by the worker in email-outbox.js.
+// Payloads hold the data to render so failed sends can be retried; license keys are kept out of
+// them (see 023_encrypted_email_keys.js).
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id SERIAL PRIMARY KEY,
+        email_type VARCHAR(50) NOT NULL,
+        recipient VARCHAR(255) NOT NULL,
+        payload JSONB NOT NULL DEFAULT '{}',
+        license_id INTEGER REFERENCES licenses(id) ON DELETE SET NULL,
+        stripe_event_id VARCHAR(255),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 8,
+        next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        last_error TEXT,
+        provider_message_id VARCHAR(255),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        sent_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(next_attempt_at) WHERE status IN ('pending', 'sending');
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_license ON email_outbox(license_id);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS email_outbox');
+  }
+};
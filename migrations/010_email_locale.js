@@ -0,0 +1,22 @@
+// Customer locale for localized emails, and the license email renamed to the 'welcome' template
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE licenses ADD COLUMN IF NOT EXISTS locale VARCHAR(10)
+    `);
+
+    await client.query(`
+      UPDATE email_outbox SET email_type = 'welcome' WHERE email_type = 'license'
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      UPDATE email_outbox SET email_type = 'license' WHERE email_type = 'welcome'
+    `);
+
+    await client.query(`
+      ALTER TABLE licenses DROP COLUMN IF EXISTS locale
+    `);
+  }
+};
@@ -0,0 +1,25 @@
+// One row per reminder sent, so the expiry sweep never sends the same reminder twice - also when
+// several replicas run it. Keyed on expires_at so a renewed license gets reminders again.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS license_expiry_reminders (
+        id SERIAL PRIMARY KEY,
+        license_id INTEGER NOT NULL REFERENCES licenses(id) ON DELETE CASCADE,
+        days_before INTEGER NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (license_id, days_before, expires_at)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_licenses_status_expires ON licenses(status, expires_at)
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP INDEX IF EXISTS idx_licenses_status_expires');
+    await client.query('DROP TABLE IF EXISTS license_expiry_reminders');
+  }
+};
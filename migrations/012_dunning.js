@@ -0,0 +1,29 @@
+// Dunning state for failed renewals: licenses go 'past_due' with a grace period before they are
+// 'suspended'. Licenses already switched off by the old 'payment_failed' status become 'suspended'.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE licenses ADD COLUMN IF NOT EXISTS past_due_since TIMESTAMP;
+      ALTER TABLE licenses ADD COLUMN IF NOT EXISTS grace_period_ends_at TIMESTAMP;
+      ALTER TABLE licenses ADD COLUMN IF NOT EXISTS dunning_stage VARCHAR(20)
+    `);
+
+    await client.query(`
+      UPDATE licenses
+      SET status = 'suspended', dunning_stage = 'suspended', updated_at = NOW()
+      WHERE status = 'payment_failed'
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      UPDATE licenses SET status = 'payment_failed' WHERE status IN ('past_due', 'suspended')
+    `);
+
+    await client.query(`
+      ALTER TABLE licenses DROP COLUMN IF EXISTS dunning_stage;
+      ALTER TABLE licenses DROP COLUMN IF EXISTS grace_period_ends_at;
+      ALTER TABLE licenses DROP COLUMN IF EXISTS past_due_since
+    `);
+  }
+};
@@ -0,0 +1,97 @@
+// Plan catalog: features, limits, display price and the Stripe prices that map to each plan.
+// Seeded with the plans that used to be hardcoded; Stripe price IDs come from the
+// STRIPE_PRICE_* variables that getPlanFromPriceId() used to read, when they are set.
+const SEED_PLANS = [
+  {
+    code: 'starter',
+    name: 'Starter',
+    price: 29,
+    sortOrder: 1,
+    maxWebsites: 1,
+    maxScans: 100,
+    features: {
+      scanning: true, basic_fixes: true, advanced_fixes: false, widget: true, priority_support: false,
+      api_access: false, white_label: false, detailed_reports: false
+    },
+    stripePriceEnv: 'STRIPE_PRICE_STARTER'
+  },
+  {
+    code: 'pro',
+    name: 'Pro',
+    price: 49,
+    sortOrder: 2,
+    maxWebsites: 3,
+    maxScans: 500,
+    features: {
+      scanning: true, basic_fixes: true, advanced_fixes: true, widget: true, priority_support: true,
+      api_access: false, white_label: false, detailed_reports: true
+    },
+    stripePriceEnv: 'STRIPE_PRICE_PRO'
+  },
+  {
+    code: 'enterprise',
+    name: 'Enterprise',
+    price: 99,
+    sortOrder: 3,
+    maxWebsites: -1,
+    maxScans: -1,
+    features: {
+      scanning: true, basic_fixes: true, advanced_fixes: true, widget: true, priority_support: true,
+      api_access: true, white_label: true, detailed_reports: true
+    },
+    stripePriceEnv: 'STRIPE_PRICE_ENTERPRISE'
+  }
+];
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS plans (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) UNIQUE NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        features JSONB NOT NULL DEFAULT '{}',
+        max_websites INTEGER NOT NULL DEFAULT 1,
+        max_scans_per_month INTEGER NOT NULL DEFAULT 0,
+        display_price NUMERIC(10, 2) NOT NULL DEFAULT 0,
+        currency VARCHAR(3) NOT NULL DEFAULT 'eur',
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS plan_stripe_prices (
+        stripe_price_id VARCHAR(255) PRIMARY KEY,
+        plan_id INTEGER NOT NULL REFERENCES plans(id) ON DELETE CASCADE,
+        billing_interval VARCHAR(10) NOT NULL DEFAULT 'month',
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    for (const plan of SEED_PLANS) {
+      const result = await client.query(`
+        INSERT INTO plans (code, name, features, max_websites, max_scans_per_month, display_price, sort_order)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (code) DO NOTHING
+        RETURNING id
+      `, [plan.code, plan.name, plan.features, plan.maxWebsites, plan.maxScans, plan.price, plan.sortOrder]);
+
+      const priceId = process.env[plan.stripePriceEnv];
+      if (priceId && result.rows.length > 0) {
+        await client.query(`
+          INSERT INTO plan_stripe_prices (stripe_price_id, plan_id, billing_interval)
+          VALUES ($1, $2, 'month')
+          ON CONFLICT (stripe_price_id) DO NOTHING
+        `, [priceId, result.rows[0].id]);
+      }
+    }
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS plan_stripe_prices');
+    await client.query('DROP TABLE IF EXISTS plans');
+  }
+};
@@ -0,0 +1,47 @@
+// Versioned plugin configuration: plugin_configs holds the current config per license and
+// plugin_config_versions every saved version, so a config can be rolled back.
+module.exports = {
+  up: async (client) => {
+    // plugin_configs was never written to, but keep only the newest row per license just in case
+    await client.query(`
+      DELETE FROM plugin_configs a
+      USING plugin_configs b
+      WHERE a.license_id = b.license_id AND a.id < b.id
+    `);
+
+    await client.query(`
+      ALTER TABLE plugin_configs ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE plugin_configs ALTER COLUMN license_id SET NOT NULL;
+      ALTER TABLE plugin_configs DROP CONSTRAINT IF EXISTS plugin_configs_license_id_fkey;
+      ALTER TABLE plugin_configs ADD CONSTRAINT plugin_configs_license_id_fkey
+        FOREIGN KEY (license_id) REFERENCES licenses(id) ON DELETE CASCADE;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_plugin_configs_license ON plugin_configs(license_id)
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS plugin_config_versions (
+        id SERIAL PRIMARY KEY,
+        license_id INTEGER NOT NULL REFERENCES licenses(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        config_data JSONB NOT NULL,
+        source VARCHAR(20) NOT NULL DEFAULT 'save',
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (license_id, version)
+      )
+    `);
+
+    await client.query(`
+      INSERT INTO plugin_config_versions (license_id, version, config_data, created_at)
+      SELECT license_id, version, config_data, updated_at FROM plugin_configs
+      ON CONFLICT (license_id, version) DO NOTHING
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS plugin_config_versions');
+    await client.query(`
+      DROP INDEX IF EXISTS idx_plugin_configs_license;
+      ALTER TABLE plugin_configs DROP COLUMN IF EXISTS version
+    `);
+  }
+};
@@ -0,0 +1,38 @@
+// Key rotation and revocation: replaced keys move to license_key_history, where they keep
+// validating until valid_until (the overlap window) unless revoked. Licenses can be revoked outright.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS license_key_history (
+        id SERIAL PRIMARY KEY,
+        license_id INTEGER NOT NULL REFERENCES licenses(id) ON DELETE CASCADE,
+        license_key_hash VARCHAR(64) UNIQUE NOT NULL,
+        license_key_hint VARCHAR(50) NOT NULL,
+        rotated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        rotated_by VARCHAR(255),
+        valid_until TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        revoke_reason TEXT
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_license_key_history_license ON license_key_history(license_id)
+    `);
+
+    await client.query(`
+      ALTER TABLE licenses ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+      ALTER TABLE licenses ADD COLUMN IF NOT EXISTS revoked_by VARCHAR(255);
+      ALTER TABLE licenses ADD COLUMN IF NOT EXISTS revoke_reason TEXT
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE licenses DROP COLUMN IF EXISTS revoke_reason;
+      ALTER TABLE licenses DROP COLUMN IF EXISTS revoked_by;
+      ALTER TABLE licenses DROP COLUMN IF EXISTS revoked_at
+    `);
+    await client.query('DROP TABLE IF EXISTS license_key_history');
+  }
+};
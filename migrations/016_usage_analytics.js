@@ -0,0 +1,16 @@
+// Indexes for the usage reports: global aggregates filter on time and action only
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_usage_action_timestamp ON license_usage(action, timestamp);
+      CREATE INDEX IF NOT EXISTS idx_usage_license_timestamp ON license_usage(license_key_hash, timestamp);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_usage_license_timestamp;
+      DROP INDEX IF EXISTS idx_usage_action_timestamp;
+    `);
+  }
+};
@@ -0,0 +1,16 @@
+// Admin dashboard: who made a manual plan change, and webhook history per Stripe customer
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE license_plan_changes ADD COLUMN IF NOT EXISTS changed_by VARCHAR(255);
+      CREATE INDEX IF NOT EXISTS idx_webhook_events_customer ON webhook_events((data->'data'->'object'->>'customer'));
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_webhook_events_customer;
+      ALTER TABLE license_plan_changes DROP COLUMN IF EXISTS changed_by;
+    `);
+  }
+};
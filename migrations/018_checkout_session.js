@@ -0,0 +1,16 @@
+// Link licenses to the Stripe Checkout Session that created them, for the post-checkout success page
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE licenses ADD COLUMN IF NOT EXISTS checkout_session_id VARCHAR(255);
+      CREATE INDEX IF NOT EXISTS idx_licenses_checkout_session ON licenses(checkout_session_id);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_licenses_checkout_session;
+      ALTER TABLE licenses DROP COLUMN IF EXISTS checkout_session_id;
+    `);
+  }
+};
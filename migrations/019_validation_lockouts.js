@@ -0,0 +1,27 @@
+// Failed license key attempts per IP and per key prefix, with progressive lockouts
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS validation_lockouts (
+        scope VARCHAR(10) NOT NULL,
+        subject VARCHAR(255) NOT NULL,
+        failures INTEGER NOT NULL DEFAULT 0,
+        window_started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        last_failure_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        lockouts INTEGER NOT NULL DEFAULT 0,
+        locked_until TIMESTAMP,
+        PRIMARY KEY (scope, subject)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_validation_lockouts_locked ON validation_lockouts(locked_until);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP TABLE IF EXISTS validation_lockouts;
+    `);
+  }
+};
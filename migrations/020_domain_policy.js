@@ -0,0 +1,87 @@
+const { normalizeDomainPattern, isWildcardPattern, isDevelopmentDomain, stagingBaseDomain } = require('../domain-utils');
+
+// Strict domain policy: drop the "unknown.com" placeholder (licenses without a domain are now bound
+// on first activation), bring active activations into the canonical form of domain-utils.js
+// (punycode, no port, trailing dot or "www.") and release activations of local hosts, and of
+// staging hosts whose domain the license also has, which no longer use a website slot.
+//
+// Variants of one host ("shop.de:8080", "shop.de.") become a single activation. When the license
+// already has a row for the canonical domain, active or not, that row is kept and the variants are
+// released; otherwise the most recently seen variant is renamed. Activations with no valid host in
+// them can never match again and are released.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      UPDATE licenses SET domain = NULL, updated_at = NOW() WHERE domain = 'unknown.com'
+    `);
+
+    const activations = await client.query(`
+      SELECT id, license_id, domain, deactivated_at
+      FROM license_activations
+      ORDER BY license_id, last_seen DESC NULLS LAST, id
+    `);
+
+    // license_id + canonical domain -> rows
+    const groups = new Map();
+    for (const activation of activations.rows) {
+      const domain = normalizeDomainPattern(activation.domain);
+
+      if (!domain) {
+        if (!activation.deactivated_at) {
+          await client.query('UPDATE license_activations SET deactivated_at = NOW() WHERE id = $1', [activation.id]);
+        }
+        continue;
+      }
+
+      const groupKey = `${activation.license_id} ${domain}`;
+      if (!groups.has(groupKey)) groups.set(groupKey, { licenseId: activation.license_id, domain, rows: [] });
+      groups.get(groupKey).rows.push(activation);
+    }
+
+    for (const { domain, rows } of groups.values()) {
+      const active = rows.filter(row => !row.deactivated_at);
+      if (!active.some(row => row.domain !== domain)) continue;
+
+      const keep = rows.find(row => row.domain === domain) || active[0];
+      const duplicates = active.filter(row => row !== keep);
+
+      if (duplicates.length > 0) {
+        await client.query(`
+          UPDATE license_activations SET deactivated_at = NOW() WHERE id = ANY($1::int[])
+        `, [duplicates.map(row => row.id)]);
+      }
+
+      await client.query(`
+        UPDATE license_activations
+        SET domain = $2,
+            deactivated_at = NULL,
+            last_seen = (SELECT MAX(last_seen) FROM license_activations WHERE id = ANY($3::int[]))
+        WHERE id = $1
+      `, [keep.id, domain, active.map(row => row.id).concat(keep.id)]);
+
+      duplicates.forEach(row => { row.deactivated_at = new Date(); });
+      keep.deactivated_at = null;
+    }
+
+    // license_id + canonical domain of every activation still active after the merge
+    const activeKeys = new Set([...groups.entries()]
+      .filter(([, { rows }]) => rows.some(row => !row.deactivated_at))
+      .map(([groupKey]) => groupKey));
+
+    const release = [...groups.values()]
+      .filter(({ licenseId, domain }) => !isWildcardPattern(domain) && (
+        isDevelopmentDomain(domain) || activeKeys.has(`${licenseId} ${stagingBaseDomain(domain)}`)
+      ))
+      .flatMap(({ rows }) => rows.filter(row => !row.deactivated_at).map(row => row.id));
+
+    if (release.length > 0) {
+      await client.query(`
+        UPDATE license_activations SET deactivated_at = NOW() WHERE id = ANY($1::int[])
+      `, [release]);
+    }
+  },
+
+  // Data cleanup only; the placeholder domains, original spellings and released activations are
+  // not restored
+  down: async () => {}
+};
@@ -0,0 +1,43 @@
+// Free trials: requests awaiting email verification (one trial per email and domain), a
+// 'trial' plan that isn't sold at checkout, and when a trial license was converted to a paid one
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS trials (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255) NOT NULL,
+        domain VARCHAR(255) NOT NULL,
+        locale VARCHAR(10),
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        token_expires_at TIMESTAMP NOT NULL,
+        verified_at TIMESTAMP,
+        license_id INTEGER REFERENCES licenses(id) ON DELETE SET NULL,
+        ip_address INET,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (email, domain)
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE licenses ADD COLUMN IF NOT EXISTS trial_converted_at TIMESTAMP;
+    `);
+
+    await client.query(`
+      INSERT INTO plans (code, name, features, max_websites, max_scans_per_month, display_price, active, sort_order)
+      VALUES ('trial', 'Trial', $1, 1, 50, 0, FALSE, 0)
+      ON CONFLICT (code) DO NOTHING
+    `, [{
+      scanning: true, basic_fixes: true, advanced_fixes: true, widget: true, priority_support: false,
+      api_access: false, white_label: false, detailed_reports: true
+    }]);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DELETE FROM plans WHERE code = 'trial';
+      ALTER TABLE licenses DROP COLUMN IF EXISTS trial_converted_at;
+      DROP TABLE IF EXISTS trials;
+    `);
+  }
+};
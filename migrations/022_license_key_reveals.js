@@ -0,0 +1,22 @@
+// One-time key handoff for the post-checkout page: the new key, encrypted (key-encryption.js),
+// until it has been shown once or KEY_REVEAL_HOURS have passed
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS license_key_reveals (
+        license_id INTEGER PRIMARY KEY REFERENCES licenses(id) ON DELETE CASCADE,
+        license_key_encrypted TEXT NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_license_key_reveals_expires ON license_key_reveals(expires_at);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS license_key_reveals');
+  }
+};
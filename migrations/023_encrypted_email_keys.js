@@ -0,0 +1,43 @@
+const { maskLicenseKey } = require('../license-keys');
+const { encryptLicenseKey, loadEncryptionKey } = require('../key-encryption');
+
+// License keys in queued emails are stored encrypted beside the payload (key-encryption.js) and
+// cleared once the email is sent; the payload only keeps the key's hint. Keys already in payloads
+// are replaced by their hint, and emails that haven't been sent yet keep the key in encrypted
+// form, which needs LICENSE_KEY_ENCRYPTION_KEY.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS license_key_encrypted TEXT;
+    `);
+
+    // Hints are masked with '*'; anything else in the field is a real key
+    const emails = await client.query(`
+      SELECT id, status, payload->'license'->>'license_key' AS license_key
+      FROM email_outbox
+      WHERE payload->'license'->>'license_key' LIKE 'EAA-%'
+      AND payload->'license'->>'license_key' NOT LIKE '%*%'
+    `);
+
+    if (emails.rows.some(email => email.status !== 'sent')) {
+      loadEncryptionKey();
+    }
+
+    for (const email of emails.rows) {
+      await client.query(`
+        UPDATE email_outbox
+        SET payload = jsonb_set(payload, '{license,license_key}', to_jsonb($2::text)),
+            license_key_encrypted = $3
+        WHERE id = $1
+      `, [
+        email.id,
+        maskLicenseKey(email.license_key),
+        email.status === 'sent' ? null : encryptLicenseKey(email.license_key)
+      ]);
+    }
+  },
+
+  down: async (client) => {
+    await client.query('ALTER TABLE email_outbox DROP COLUMN IF EXISTS license_key_encrypted');
+  }
+};
@@ -0,0 +1,115 @@
+const { Pool } = require('pg');
+
+// Plan catalog backed by the plans and plan_stripe_prices tables. Every replica caches the catalog
+// for a short while, so plans edited through /api/admin/plans go live everywhere without a deploy.
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const CACHE_TTL_MS = parseInt(process.env.PLAN_CACHE_TTL_MS, 10) || 60 * 1000;
+// Licenses whose plan is missing from the catalog get this plan's features
+const FALLBACK_PLAN = 'starter';
+const BILLING_INTERVALS = ['month', 'year'];
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+function toPlan(row, prices) {
+  return {
+    code: row.code,
+    name: row.name,
+    features: row.features,
+    maxWebsites: row.max_websites,
+    maxScansPerMonth: row.max_scans_per_month,
+    price: Number(row.display_price),
+    currency: row.currency,
+    active: row.active,
+    sortOrder: row.sort_order,
+    stripePrices: prices
+      .filter(price => price.plan_id === row.id)
+      .map(price => ({ priceId: price.stripe_price_id, interval: price.billing_interval })),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function loadCatalog() {
+  const plans = await pool.query('SELECT * FROM plans ORDER BY sort_order, id');
+  const prices = await pool.query('SELECT * FROM plan_stripe_prices ORDER BY created_at');
+
+  return plans.rows.map(row => toPlan(row, prices.rows));
+}
+
+async function getCatalog() {
+  if (!cache || Date.now() - cacheLoadedAt > CACHE_TTL_MS) {
+    cache = await loadCatalog();
+    cacheLoadedAt = Date.now();
+  }
+  return cache;
+}
+
+// Call after writing to the catalog so this replica sees the change right away
+function invalidatePlanCache() {
+  cache = null;
+}
+
+async function listPlans({ includeInactive = false } = {}) {
+  const plans = await getCatalog();
+  return includeInactive ? plans : plans.filter(plan => plan.active);
+}
+
+// Look up a plan by code, including inactive ones (existing licenses keep their plan)
+async function getPlan(code) {
+  const plans = await getCatalog();
+  return plans.find(plan => plan.code === code) || null;
+}
+
+// Feature flags and limits in the shape the plugin expects
+async function getLicenseFeatures(planCode) {
+  const plan = await getPlan(planCode) || await getPlan(FALLBACK_PLAN);
+
+  if (!plan) {
+    throw new Error(`Plan not found in catalog: ${planCode}`);
+  }
+
+  return {
+    ...plan.features,
+    max_scans_per_month: plan.maxScansPerMonth,
+    max_websites: plan.maxWebsites
+  };
+}
+
+// Display price, e.g. for emails: { amount, currency }
+async function getPlanPrice(planCode) {
+  const plan = await getPlan(planCode);
+  return plan ? { amount: plan.price, currency: plan.currency } : null;
+}
+
+// Plan code for a Stripe price ID, or null if no plan is linked to it
+async function getPlanFromPriceId(priceId) {
+  const plans = await getCatalog();
+  const plan = plans.find(candidate => candidate.stripePrices.some(price => price.priceId === priceId));
+  return plan ? plan.code : null;
+}
+
+// Stripe price to sell an active plan with, e.g. for Checkout, or null if it has none for `interval`
+async function getStripePriceId(planCode, interval) {
+  const plan = await getPlan(planCode);
+  if (!plan || !plan.active) return null;
+
+  const price = plan.stripePrices.find(candidate => candidate.interval === interval);
+  return price ? price.priceId : null;
+}
+
+module.exports = {
+  BILLING_INTERVALS,
+  listPlans,
+  getPlan,
+  getLicenseFeatures,
+  getPlanPrice,
+  getPlanFromPriceId,
+  getStripePriceId,
+  invalidatePlanCache
+};
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+
+// Remote plugin configuration: schema validation against the license's plan features and
+// versioned storage in plugin_configs (current) / plugin_config_versions (history).
+
+// Fixes the plugin can apply, and the plan feature each one needs
+const FIXES = {
+  alt_text: 'basic_fixes',
+  color_contrast: 'basic_fixes',
+  focus_outline: 'basic_fixes',
+  skip_links: 'basic_fixes',
+  form_labels: 'basic_fixes',
+  link_purpose: 'basic_fixes',
+  aria_landmarks: 'advanced_fixes',
+  keyboard_navigation: 'advanced_fixes',
+  heading_structure: 'advanced_fixes',
+  table_headers: 'advanced_fixes',
+  media_captions: 'advanced_fixes'
+};
+
+const WIDGET_POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const MAX_EXCLUDED_PAGES = 200;
+const MAX_PAGE_PATTERN_LENGTH = 500;
+const MAX_VERSIONS_KEPT = 50;
+
+// Config for a license that never saved one: every fix the plan allows, default widget
+function getDefaultConfig(features) {
+  const fixes = {};
+  for (const [fix, feature] of Object.entries(FIXES)) {
+    fixes[fix] = Boolean(features[feature]);
+  }
+
+  return {
+    fixes,
+    widget: {
+      enabled: Boolean(features.widget),
+      position: 'bottom-right',
+      primaryColor: '#2563eb',
+      textColor: '#ffffff',
+      hideBranding: false
+    },
+    excludedPages: []
+  };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkUnknownKeys(object, allowed, path, errors) {
+  for (const key of Object.keys(object)) {
+    if (!allowed.includes(key)) {
+      errors.push({ path: `${path}.${key}`, message: 'Unknown setting' });
+    }
+  }
+}
+
+// Validate a full config against the schema and the plan's features.
+// Returns a list of { path, message }; empty when the config is valid.
+function validateConfig(config, features) {
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    return [{ path: 'config', message: 'Must be an object' }];
+  }
+
+  checkUnknownKeys(config, ['fixes', 'widget', 'excludedPages'], 'config', errors);
+
+  if (!isPlainObject(config.fixes)) {
+    errors.push({ path: 'config.fixes', message: 'Must be an object of fix name to boolean' });
+  } else {
+    for (const [fix, enabled] of Object.entries(config.fixes)) {
+      const path = `config.fixes.${fix}`;
+      if (!FIXES[fix]) {
+        errors.push({ path, message: 'Unknown fix' });
+      } else if (typeof enabled !== 'boolean') {
+        errors.push({ path, message: 'Must be a boolean' });
+      } else if (enabled && !features[FIXES[fix]]) {
+        errors.push({ path, message: `Requires a plan with ${FIXES[fix]}` });
+      }
+    }
+  }
+
+  const widget = config.widget;
+  if (!isPlainObject(widget)) {
+    errors.push({ path: 'config.widget', message: 'Must be an object' });
+  } else {
+    checkUnknownKeys(widget, ['enabled', 'position', 'primaryColor', 'textColor', 'hideBranding'], 'config.widget', errors);
+
+    if (typeof widget.enabled !== 'boolean') {
+      errors.push({ path: 'config.widget.enabled', message: 'Must be a boolean' });
+    } else if (widget.enabled && !features.widget) {
+      errors.push({ path: 'config.widget.enabled', message: 'Requires a plan with widget' });
+    }
+    if (!WIDGET_POSITIONS.includes(widget.position)) {
+      errors.push({ path: 'config.widget.position', message: `Must be one of ${WIDGET_POSITIONS.join(', ')}` });
+    }
+    for (const field of ['primaryColor', 'textColor']) {
+      if (!COLOR_PATTERN.test(widget[field] || '')) {
+        errors.push({ path: `config.widget.${field}`, message: 'Must be a hex color like #2563eb' });
+      }
+    }
+    if (widget.hideBranding !== undefined && typeof widget.hideBranding !== 'boolean') {
+      errors.push({ path: 'config.widget.hideBranding', message: 'Must be a boolean' });
+    } else if (widget.hideBranding && !features.white_label) {
+      errors.push({ path: 'config.widget.hideBranding', message: 'Requires a plan with white_label' });
+    }
+  }
+
+  const pages = config.excludedPages;
+  if (!Array.isArray(pages)) {
+    errors.push({ path: 'config.excludedPages', message: 'Must be an array of paths' });
+  } else if (pages.length > MAX_EXCLUDED_PAGES) {
+    errors.push({ path: 'config.excludedPages', message: `At most ${MAX_EXCLUDED_PAGES} entries` });
+  } else {
+    pages.forEach((page, index) => {
+      if (typeof page !== 'string' || !page.startsWith('/') || page.length > MAX_PAGE_PATTERN_LENGTH) {
+        errors.push({ path: `config.excludedPages.${index}`, message: `Must be a path starting with / (max ${MAX_PAGE_PATTERN_LENGTH} characters)` });
+      }
+    });
+  }
+
+  return errors;
+}
+
+// A stored config as the plan allows it today: after a downgrade, fixes and widget options the
+// plan no longer includes are switched off until the config is saved again
+function applyPlanLimits(config, features) {
+  const fixes = {};
+  for (const [fix, enabled] of Object.entries(config.fixes || {})) {
+    fixes[fix] = enabled && Boolean(features[FIXES[fix]]);
+  }
+
+  const widget = { ...config.widget };
+  if (!features.widget) widget.enabled = false;
+  if (!features.white_label && widget.hideBranding) widget.hideBranding = false;
+
+  return { ...config, fixes, widget };
+}
+
+// Strong ETag for a config version as served under the plan's features. Every save and rollback
+// creates a new version; a plan change changes the features part, so plugins fetch the config again.
+function configEtag(licenseId, version, features) {
+  const featuresHash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(features, Object.keys(features).sort()))
+    .digest('hex')
+    .slice(0, 12);
+
+  return `"${licenseId}-${version}-${featuresHash}"`;
+}
+
+// Current config row, or null if the license never saved one
+async function getCurrentConfig(client, licenseId) {
+  const result = await client.query(`
+    SELECT config_data, version, updated_at FROM plugin_configs WHERE license_id = $1
+  `, [licenseId]);
+
+  return result.rows[0] || null;
+}
+
+// Store a new version. With `expectedVersion` (from If-Match) the save only goes through if nobody
+// saved in between; returns { conflict: true, current } otherwise.
+async function saveConfig(client, licenseId, config, { expectedVersion = null, source = 'save' } = {}) {
+  await client.query('BEGIN');
+
+  try {
+    // Serialize saves per license
+    await client.query('SELECT id FROM licenses WHERE id = $1 FOR UPDATE', [licenseId]);
+
+    const current = await getCurrentConfig(client, licenseId);
+    const currentVersion = current ? current.version : 0;
+
+    if (expectedVersion !== null && expectedVersion !== currentVersion) {
+      await client.query('ROLLBACK');
+      return { conflict: true, current };
+    }
+
+    const version = currentVersion + 1;
+
+    const result = await client.query(`
+      INSERT INTO plugin_configs (license_id, config_data, version, created_at, updated_at)
+      VALUES ($1, $2, $3, NOW(), NOW())
+      ON CONFLICT (license_id) DO UPDATE SET config_data = $2, version = $3, updated_at = NOW()
+      RETURNING config_data, version, updated_at
+    `, [licenseId, config, version]);
+
+    await client.query(`
+      INSERT INTO plugin_config_versions (license_id, version, config_data, source)
+      VALUES ($1, $2, $3, $4)
+    `, [licenseId, version, config, source]);
+
+    await client.query(`
+      DELETE FROM plugin_config_versions
+      WHERE license_id = $1 AND version <= $2
+    `, [licenseId, version - MAX_VERSIONS_KEPT]);
+
+    await client.query('COMMIT');
+    return { conflict: false, current: result.rows[0] };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+async function listConfigVersions(client, licenseId) {
+  const result = await client.query(`
+    SELECT version, source, created_at
+    FROM plugin_config_versions
+    WHERE license_id = $1
+    ORDER BY version DESC
+  `, [licenseId]);
+
+  return result.rows;
+}
+
+async function getConfigVersion(client, licenseId, version) {
+  const result = await client.query(`
+    SELECT config_data FROM plugin_config_versions WHERE license_id = $1 AND version = $2
+  `, [licenseId, version]);
+
+  return result.rows.length > 0 ? result.rows[0].config_data : null;
+}
+
+module.exports = {
+  FIXES,
+  getDefaultConfig,
+  validateConfig,
+  applyPlanLimits,
+  configEtag,
+  getCurrentConfig,
+  saveConfig,
+  listConfigVersions,
+  getConfigVersion
+};
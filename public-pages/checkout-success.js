@@ -0,0 +1,117 @@
+const { escapeHtml, formatDate, formatPlan } = require('../email-templates/helpers');
+
+// Page Stripe Checkout redirects to. `state` is 'invalid', 'pending' (still waiting for the webhook),
+// 'timeout' (gave up polling) or 'ready' (license created; license.key is null once it can't be shown).
+
+function licenseDetails(license, labels, locale) {
+  return `
+        <p><strong>${labels.plan}:</strong> ${escapeHtml(formatPlan(license.plan))}</p>
+        <p><strong>${labels.domain}:</strong> ${license.domain ? escapeHtml(license.domain) : labels.unbound}</p>
+        ${license.expiresAt ? `<p><strong>${labels.renews}:</strong> ${formatDate(license.expiresAt, locale)}</p>` : ''}`;
+}
+
+module.exports = {
+  en: ({ state, license, installGuideUrl, dashboardUrl, retryUrl }) => {
+    if (state === 'invalid') {
+      return {
+        title: 'Invalid link',
+        content: `
+      <h1>This link is not valid</h1>
+      <p>We couldn't find a purchase for this page. If you just completed a payment, your license key is on its way to you by email.</p>`
+      };
+    }
+
+    if (state === 'pending') {
+      return {
+        title: 'Finishing your purchase',
+        content: `
+      <h1>Thank you for your purchase! ⏳</h1>
+      <div class="card">
+        <p>We are creating your license right now. This usually takes only a few seconds - this page updates automatically.</p>
+      </div>`
+      };
+    }
+
+    if (state === 'timeout') {
+      return {
+        title: 'Finishing your purchase',
+        content: `
+      <h1>Thank you for your purchase!</h1>
+      <div class="warning">
+        <p>Creating your license is taking longer than usual. Your payment went through and your license key will arrive by email shortly.</p>
+        <p><a href="${escapeHtml(retryUrl)}">Check again</a></p>
+      </div>`
+      };
+    }
+
+    const details = licenseDetails(license, { plan: 'Plan', domain: 'Website', unbound: 'Set on first activation', renews: 'Renews on' }, 'en');
+
+    return {
+      title: 'Your license is ready',
+      content: `
+      <h1>Your license is ready! 🎉</h1>
+      <div class="card">
+        ${license.trialConverted ? `
+        <p>Your trial license <code>${escapeHtml(license.keyHint)}</code> has been upgraded. Keep using the key you already entered in the plugin - nothing to change.</p>` : license.key ? `
+        <p>Your license key:</p>
+        <code class="key">${escapeHtml(license.key)}</code>
+        <p style="font-size: 14px; color: #6b7280;">Copy it now - we also sent it to ${escapeHtml(license.email)}. For your security this page only shows the key once.</p>` : `
+        <p>Your license key was sent to <strong>${escapeHtml(license.email)}</strong>. You can also find your licenses in the <a href="${dashboardUrl}">customer dashboard</a>.</p>`}
+        ${details}
+      </div>
+      <p><a class="button" href="${installGuideUrl}">📖 Installation Guide</a></p>`
+    };
+  },
+
+  de: ({ state, license, installGuideUrl, dashboardUrl, retryUrl }) => {
+    if (state === 'invalid') {
+      return {
+        title: 'Ungültiger Link',
+        content: `
+      <h1>Dieser Link ist ungültig</h1>
+      <p>Wir konnten zu dieser Seite keinen Kauf finden. Wenn Sie gerade bezahlt haben, ist Ihr Lizenzschlüssel per E-Mail zu Ihnen unterwegs.</p>`
+      };
+    }
+
+    if (state === 'pending') {
+      return {
+        title: 'Ihr Kauf wird abgeschlossen',
+        content: `
+      <h1>Vielen Dank für Ihren Kauf! ⏳</h1>
+      <div class="card">
+        <p>Wir erstellen gerade Ihre Lizenz. Das dauert meist nur wenige Sekunden - diese Seite aktualisiert sich automatisch.</p>
+      </div>`
+      };
+    }
+
+    if (state === 'timeout') {
+      return {
+        title: 'Ihr Kauf wird abgeschlossen',
+        content: `
+      <h1>Vielen Dank für Ihren Kauf!</h1>
+      <div class="warning">
+        <p>Die Erstellung Ihrer Lizenz dauert länger als üblich. Ihre Zahlung ist eingegangen und Ihr Lizenzschlüssel kommt in Kürze per E-Mail.</p>
+        <p><a href="${escapeHtml(retryUrl)}">Erneut prüfen</a></p>
+      </div>`
+      };
+    }
+
+    const details = licenseDetails(license, { plan: 'Tarif', domain: 'Website', unbound: 'Wird bei der ersten Aktivierung festgelegt', renews: 'Verlängerung am' }, 'de');
+
+    return {
+      title: 'Ihre Lizenz ist bereit',
+      content: `
+      <h1>Ihre Lizenz ist bereit! 🎉</h1>
+      <div class="card">
+        ${license.trialConverted ? `
+        <p>Ihre Testlizenz <code>${escapeHtml(license.keyHint)}</code> wurde umgewandelt. Verwenden Sie einfach weiter den Schlüssel, den Sie bereits im Plugin eingetragen haben - Sie müssen nichts ändern.</p>` : license.key ? `
+        <p>Ihr Lizenzschlüssel:</p>
+        <code class="key">${escapeHtml(license.key)}</code>
+        <p style="font-size: 14px; color: #6b7280;">Kopieren Sie ihn jetzt - wir haben ihn auch an ${escapeHtml(license.email)} gesendet. Zu Ihrer Sicherheit zeigt diese Seite den Schlüssel nur einmal an.</p>` : `
+        <p>Ihr Lizenzschlüssel wurde an <strong>${escapeHtml(license.email)}</strong> gesendet. Ihre Lizenzen finden Sie auch im <a href="${dashboardUrl}">Kundenbereich</a>.</p>`}
+        ${details}
+      </div>
+      <p><a class="button" href="${installGuideUrl}">📖 Installationsanleitung</a></p>`
+    };
+  }
+};
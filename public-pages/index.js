@@ -0,0 +1,39 @@
+const { escapeHtml } = require('../email-templates/helpers');
+const { SUPPORTED_LOCALES, resolveLocale } = require('../email-templates');
+const { layout } = require('./layout');
+
+// Localized customer-facing pages, in the same locales as the emails. Each page module exports one
+// function per locale returning { title, content }.
+
+const PAGES = {
+  install_guide: require('./install-guide'),
+  checkout_success: require('./checkout-success'),
+  trial_confirm: require('./trial-confirm')
+};
+
+const CUSTOMER_DASHBOARD_URL = process.env.CUSTOMER_DASHBOARD_URL || 'https://eaasolutions.de/account';
+
+// ?lang= wins, then the browser's Accept-Language, then the default email locale
+function pageLocale(req) {
+  if (SUPPORTED_LOCALES.includes(req.query.lang)) {
+    return req.query.lang;
+  }
+  // Without the header acceptsLanguages() returns the first candidate, not the default
+  return resolveLocale(req.get('accept-language') ? req.acceptsLanguages(...SUPPORTED_LOCALES) : null);
+}
+
+// `path` is the page URL without ?lang, used for the language switch
+function renderPage(name, locale, { path, refresh = null, ...data }) {
+  const { title, content } = PAGES[name][locale]({
+    ...data,
+    dashboardUrl: escapeHtml(CUSTOMER_DASHBOARD_URL),
+    installGuideUrl: escapeHtml(`/install-guide?lang=${locale}`)
+  });
+
+  return layout(locale, { title, content, path, refresh });
+}
+
+module.exports = {
+  pageLocale,
+  renderPage
+};
@@ -0,0 +1,80 @@
+const { SUPPORT_EMAIL } = require('../email-templates/helpers');
+
+// Installation guide linked from the welcome email and the checkout success page
+module.exports = {
+  en: ({ dashboardUrl }) => ({
+    title: 'Installation Guide',
+    content: `
+      <h1>Installation Guide 📖</h1>
+      <p>Get the EAA accessibility plugin running on your WordPress site in a few minutes. You need your license key from the welcome email and administrator access to WordPress.</p>
+
+      <div class="card">
+        <h2 style="margin-top: 0;">1. Download the plugin</h2>
+        <p>Log in to your <a href="${dashboardUrl}">customer dashboard</a> with the email address you purchased with and download the plugin as a ZIP file. Don't unzip it.</p>
+
+        <h2>2. Install it in WordPress</h2>
+        <ol>
+          <li>In your WordPress admin, go to <strong>Plugins → Add New → Upload Plugin</strong>.</li>
+          <li>Choose the ZIP file and click <strong>Install Now</strong>.</li>
+          <li>Click <strong>Activate Plugin</strong>.</li>
+        </ol>
+
+        <h2>3. Enter your license key</h2>
+        <ol>
+          <li>Open the EAA plugin settings in the WordPress menu.</li>
+          <li>Paste your license key (it looks like <code>EAA-XXXX-XXXX-XXXX-XXXX-XXXX</code>) and save.</li>
+          <li>The plugin checks the key and activates it for this website. The status changes to <strong>Active</strong>.</li>
+        </ol>
+
+        <h2>4. Run your first scan</h2>
+        <p>Start an accessibility scan from the plugin dashboard to see which issues were found and which ones the plugin fixes automatically.</p>
+      </div>
+
+      <h2>Troubleshooting</h2>
+      <div class="hint">
+        <p><strong>"Invalid license key format"</strong> - copy the key again from the email, without spaces before or after it.</p>
+        <p><strong>"Website limit reached"</strong> - your plan covers a fixed number of websites. Deactivate the license on a site you no longer use (in the plugin settings of that site) or upgrade your plan in the customer dashboard.</p>
+        <p><strong>"License has expired" or "License suspended"</strong> - check your subscription and payment method in the customer dashboard.</p>
+        <p><strong>Lost your key?</strong> - log in to the customer dashboard with your purchase email to see your licenses, or contact us at <a href="mailto:${SUPPORT_EMAIL}">${SUPPORT_EMAIL}</a>.</p>
+      </div>
+    `
+  }),
+
+  de: ({ dashboardUrl }) => ({
+    title: 'Installationsanleitung',
+    content: `
+      <h1>Installationsanleitung 📖</h1>
+      <p>So läuft das EAA-Barrierefreiheits-Plugin in wenigen Minuten auf Ihrer WordPress-Website. Sie benötigen Ihren Lizenzschlüssel aus der Willkommens-E-Mail und Administratorzugriff auf WordPress.</p>
+
+      <div class="card">
+        <h2 style="margin-top: 0;">1. Plugin herunterladen</h2>
+        <p>Melden Sie sich mit der E-Mail-Adresse Ihres Kaufs in Ihrem <a href="${dashboardUrl}">Kundenbereich</a> an und laden Sie das Plugin als ZIP-Datei herunter. Entpacken Sie die Datei nicht.</p>
+
+        <h2>2. In WordPress installieren</h2>
+        <ol>
+          <li>Gehen Sie in Ihrem WordPress-Adminbereich zu <strong>Plugins → Neues Plugin hinzufügen → Plugin hochladen</strong>.</li>
+          <li>Wählen Sie die ZIP-Datei aus und klicken Sie auf <strong>Jetzt installieren</strong>.</li>
+          <li>Klicken Sie auf <strong>Plugin aktivieren</strong>.</li>
+        </ol>
+
+        <h2>3. Lizenzschlüssel eingeben</h2>
+        <ol>
+          <li>Öffnen Sie die Einstellungen des EAA-Plugins im WordPress-Menü.</li>
+          <li>Fügen Sie Ihren Lizenzschlüssel ein (Format <code>EAA-XXXX-XXXX-XXXX-XXXX-XXXX</code>) und speichern Sie.</li>
+          <li>Das Plugin prüft den Schlüssel und aktiviert ihn für diese Website. Der Status wechselt auf <strong>Aktiv</strong>.</li>
+        </ol>
+
+        <h2>4. Ersten Scan starten</h2>
+        <p>Starten Sie im Plugin-Dashboard einen Barrierefreiheits-Scan. Sie sehen, welche Probleme gefunden wurden und welche das Plugin automatisch behebt.</p>
+      </div>
+
+      <h2>Fehlerbehebung</h2>
+      <div class="hint">
+        <p><strong>„Invalid license key format“</strong> - kopieren Sie den Schlüssel erneut aus der E-Mail, ohne Leerzeichen davor oder danach.</p>
+        <p><strong>„Website limit reached“</strong> - Ihr Tarif umfasst eine feste Anzahl an Websites. Deaktivieren Sie die Lizenz auf einer nicht mehr genutzten Website (in den Plugin-Einstellungen dieser Website) oder wechseln Sie im Kundenbereich in einen größeren Tarif.</p>
+        <p><strong>„License has expired“ oder „License suspended“</strong> - prüfen Sie Ihr Abonnement und Ihre Zahlungsmethode im Kundenbereich.</p>
+        <p><strong>Schlüssel verloren?</strong> - melden Sie sich mit Ihrer Kauf-E-Mail im Kundenbereich an, um Ihre Lizenzen zu sehen, oder schreiben Sie uns an <a href="mailto:${SUPPORT_EMAIL}">${SUPPORT_EMAIL}</a>.</p>
+      </div>
+    `
+  })
+};
@@ -0,0 +1,63 @@
+const { SUPPORT_EMAIL, escapeHtml } = require('../email-templates/helpers');
+
+// Page shell for the customer-facing pages. No client-side scripts: the success page polls with a
+// meta refresh and the trial page confirms with a plain form, so everything works under helmet's default Content-Security-Policy.
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  de: 'Deutsch'
+};
+
+const STYLES = `
+  body { margin: 0; font-family: Arial, sans-serif; background: #f8fafc; color: #374151; line-height: 1.6; }
+  .page { max-width: 720px; margin: 0 auto; padding: 24px 20px 48px; }
+  .brand { display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px; }
+  .brand strong { color: #2563eb; font-size: 22px; }
+  .brand nav a { margin-left: 12px; color: #6b7280; font-size: 14px; }
+  h1 { color: #059669; font-size: 26px; }
+  h2 { color: #111827; font-size: 18px; margin-top: 32px; }
+  a { color: #2563eb; }
+  .card { background: #fff; padding: 24px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.08); margin: 20px 0; }
+  .key { display: block; background: #e5e7eb; padding: 12px 16px; border-radius: 6px; font-family: 'Courier New', monospace; font-size: 20px; letter-spacing: 1px; text-align: center; user-select: all; }
+  .hint { background: #ecfdf5; padding: 16px 20px; border-radius: 8px; }
+  .warning { background: #fef3c7; padding: 16px 20px; border-radius: 8px; }
+  .button { display: inline-block; background: #2563eb; color: #fff; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; }
+  button.button { border: 0; font-size: 16px; cursor: pointer; }
+  ol li { margin-bottom: 8px; }
+  footer { border-top: 2px solid #e5e7eb; margin-top: 40px; padding-top: 16px; color: #6b7280; font-size: 14px; }
+`;
+
+// `path` is the page URL without the lang parameter, for the language switch; null hides the
+// switch on pages that can't be loaded twice. `refresh` ({ seconds, url }) reloads the page, e.g. to poll for a license.
+function layout(locale, { title, content, path, refresh = null }) {
+  const separator = path && path.includes('?') ? '&' : '?';
+  const languages = !path ? '' : Object.keys(LANGUAGE_NAMES)
+    .filter(language => language !== locale)
+    .map(language => `<a href="${escapeHtml(`${path}${separator}lang=${language}`)}" lang="${language}">${LANGUAGE_NAMES[language]}</a>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  ${refresh ? `<meta http-equiv="refresh" content="${refresh.seconds};url=${escapeHtml(refresh.url)}">` : ''}
+  <title>${escapeHtml(title)} - EAA Solutions</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <div class="page">
+    <div class="brand">
+      <strong>EAA Solutions</strong>
+      <nav>${languages}</nav>
+    </div>
+    ${content}
+    <footer>
+      ${locale === 'de' ? 'Fragen?' : 'Need help?'} <a href="mailto:${SUPPORT_EMAIL}">${SUPPORT_EMAIL}</a>
+    </footer>
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = { layout };
@@ -0,0 +1,128 @@
+const { escapeHtml, formatDate } = require('../email-templates/helpers');
+
+// Target of the trial verification email. `state` is 'confirm' (form that starts the trial),
+// 'started' (license created, shown once with its key), 'already_started', 'expired' or 'invalid'.
+
+function confirmForm(action, token, label) {
+  return `
+      <form method="post" action="${escapeHtml(action)}">
+        <input type="hidden" name="token" value="${escapeHtml(token)}">
+        <button class="button" type="submit">${label}</button>
+      </form>`;
+}
+
+module.exports = {
+  en: ({ state, license, trial, token, action, installGuideUrl, dashboardUrl }) => {
+    if (state === 'invalid') {
+      return {
+        title: 'Invalid link',
+        content: `
+      <h1>This link is not valid</h1>
+      <p>Please use the link from your most recent trial email, or request a new trial.</p>`
+      };
+    }
+
+    if (state === 'expired') {
+      return {
+        title: 'Link expired',
+        content: `
+      <h1>This link has expired</h1>
+      <p>Verification links are only valid for a limited time. Please request your trial again to get a new one.</p>`
+      };
+    }
+
+    if (state === 'already_started') {
+      return {
+        title: 'Trial already started',
+        content: `
+      <h1>Your trial has already started</h1>
+      <p>We sent your license key by email when the trial started. If you can't find that email any more, you can issue a new key for the license in the <a href="${dashboardUrl}">customer dashboard</a>.</p>`
+      };
+    }
+
+    if (state === 'confirm') {
+      return {
+        title: 'Start your trial',
+        content: `
+      <h1>Start your free trial</h1>
+      <div class="card">
+        <p><strong>Website:</strong> ${escapeHtml(trial.domain)}</p>
+        <p><strong>Email:</strong> ${escapeHtml(trial.email)}</p>
+        <p>Your ${trial.days}-day trial starts when you confirm. We will show your license key on the next page and send it to you by email.</p>
+        ${confirmForm(action, token, 'Start my trial')}
+      </div>`
+      };
+    }
+
+    return {
+      title: 'Your trial has started',
+      content: `
+      <h1>Your free trial has started! 🚀</h1>
+      <div class="card">
+        <p>Your license key:</p>
+        <code class="key">${escapeHtml(license.key)}</code>
+        <p style="font-size: 14px; color: #6b7280;">Copy it now - we also sent it to ${escapeHtml(license.email)}.</p>
+        <p><strong>Website:</strong> ${escapeHtml(license.domain)}</p>
+        <p><strong>Trial ends:</strong> ${formatDate(license.expiresAt, 'en')}</p>
+      </div>
+      <p><a class="button" href="${installGuideUrl}">📖 Installation Guide</a></p>`
+    };
+  },
+
+  de: ({ state, license, trial, token, action, installGuideUrl, dashboardUrl }) => {
+    if (state === 'invalid') {
+      return {
+        title: 'Ungültiger Link',
+        content: `
+      <h1>Dieser Link ist ungültig</h1>
+      <p>Bitte verwenden Sie den Link aus Ihrer neuesten Test-E-Mail oder fordern Sie den Test erneut an.</p>`
+      };
+    }
+
+    if (state === 'expired') {
+      return {
+        title: 'Link abgelaufen',
+        content: `
+      <h1>Dieser Link ist abgelaufen</h1>
+      <p>Bestätigungslinks sind nur begrenzte Zeit gültig. Bitte fordern Sie den Test erneut an, um einen neuen Link zu erhalten.</p>`
+      };
+    }
+
+    if (state === 'already_started') {
+      return {
+        title: 'Test bereits gestartet',
+        content: `
+      <h1>Ihr Test wurde bereits gestartet</h1>
+      <p>Ihren Lizenzschlüssel haben wir Ihnen beim Start des Tests per E-Mail gesendet. Falls Sie diese E-Mail nicht mehr finden, können Sie im <a href="${dashboardUrl}">Kundenbereich</a> einen neuen Schlüssel für die Lizenz erstellen.</p>`
+      };
+    }
+
+    if (state === 'confirm') {
+      return {
+        title: 'Test starten',
+        content: `
+      <h1>Starten Sie Ihren kostenlosen Test</h1>
+      <div class="card">
+        <p><strong>Website:</strong> ${escapeHtml(trial.domain)}</p>
+        <p><strong>E-Mail:</strong> ${escapeHtml(trial.email)}</p>
+        <p>Ihr ${trial.days}-tägiger Test beginnt mit Ihrer Bestätigung. Den Lizenzschlüssel zeigen wir Ihnen auf der nächsten Seite und senden ihn per E-Mail.</p>
+        ${confirmForm(action, token, 'Test starten')}
+      </div>`
+      };
+    }
+
+    return {
+      title: 'Ihr Test hat begonnen',
+      content: `
+      <h1>Ihr kostenloser Test hat begonnen! 🚀</h1>
+      <div class="card">
+        <p>Ihr Lizenzschlüssel:</p>
+        <code class="key">${escapeHtml(license.key)}</code>
+        <p style="font-size: 14px; color: #6b7280;">Kopieren Sie ihn jetzt - wir haben ihn auch an ${escapeHtml(license.email)} gesendet.</p>
+        <p><strong>Website:</strong> ${escapeHtml(license.domain)}</p>
+        <p><strong>Test endet am:</strong> ${formatDate(license.expiresAt, 'de')}</p>
+      </div>
+      <p><a class="button" href="${installGuideUrl}">📖 Installationsanleitung</a></p>`
+    };
+  }
+};
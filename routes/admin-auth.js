@@ -0,0 +1,261 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const validator = require('validator');
+const { Pool } = require('pg');
+const { logger } = require('../logger');
+const {
+    isValidRole,
+    hashPassword,
+    verifyPassword,
+    issueTokens,
+    verifyRefreshToken,
+    requireAdmin
+} = require('../admin-auth');
+
+// Database connection
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Stricter rate limit for credential endpoints
+const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // limit each IP to 10 login attempts per windowMs
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: 'Too many login attempts, please try again later' }
+});
+
+// Admin login - returns access and refresh tokens
+router.post('/login', loginLimiter, async (req, res) => {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+        return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    if (!process.env.ADMIN_JWT_SECRET) {
+        return res.status(503).json({ error: 'Admin authentication is not configured' });
+    }
+
+    try {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(`
+                SELECT id, email, password_hash, role, token_version, active
+                FROM admin_users
+                WHERE email = $1
+            `, [email.toLowerCase()]);
+
+            const adminUser = result.rows[0];
+            // Unknown emails are checked against a dummy hash so they take as long as a wrong password
+            const passwordValid = await verifyPassword(password, adminUser ? adminUser.password_hash : null);
+
+            if (!passwordValid || !adminUser.active) {
+                return res.status(401).json({ error: 'Invalid email or password' });
+            }
+
+            await client.query(`
+                UPDATE admin_users
+                SET last_login = NOW()
+                WHERE id = $1
+            `, [adminUser.id]);
+
+            logger.info('Admin login', { admin: adminUser.email });
+
+            res.json({
+                ...issueTokens(adminUser),
+                admin: {
+                    email: adminUser.email,
+                    role: adminUser.role
+                }
+            });
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('Admin login error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', loginLimiter, async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    if (!process.env.ADMIN_JWT_SECRET) {
+        return res.status(503).json({ error: 'Admin authentication is not configured' });
+    }
+
+    let payload;
+    try {
+        payload = verifyRefreshToken(refreshToken);
+    } catch (error) {
+        return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    try {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(`
+                SELECT id, email, role, token_version, active
+                FROM admin_users
+                WHERE id = $1
+            `, [Number(payload.sub)]);
+
+            const adminUser = result.rows[0];
+
+            // Logging out bumps token_version, which invalidates every outstanding token
+            if (!adminUser || !adminUser.active || adminUser.token_version !== payload.ver) {
+                return res.status(401).json({ error: 'Invalid or expired refresh token' });
+            }
+
+            res.json({
+                ...issueTokens(adminUser),
+                admin: {
+                    email: adminUser.email,
+                    role: adminUser.role
+                }
+            });
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('Admin token refresh error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Revoke all access and refresh tokens of the current admin
+router.post('/logout', requireAdmin('viewer'), async (req, res) => {
+    try {
+        await pool.query(`
+            UPDATE admin_users
+            SET token_version = token_version + 1, updated_at = NOW()
+            WHERE id = $1
+        `, [req.admin.id]);
+
+        res.json({ success: true });
+
+    } catch (error) {
+        logger.error('Admin logout error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Current admin profile
+router.get('/me', requireAdmin('viewer'), (req, res) => {
+    res.json({ admin: req.admin });
+});
+
+// List admin users
+router.get('/users', requireAdmin('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT id, email, role, active, created_at, last_login
+            FROM admin_users
+            ORDER BY created_at ASC
+        `);
+
+        res.json({ users: result.rows });
+
+    } catch (error) {
+        logger.error('Admin user list error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create an admin user
+router.post('/users', requireAdmin('admin'), async (req, res) => {
+    const { email, password, role = 'viewer' } = req.body;
+
+    if (!email || !validator.isEmail(email)) {
+        return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    if (!password || password.length < 12) {
+        return res.status(400).json({ error: 'Password must be at least 12 characters' });
+    }
+
+    if (!isValidRole(role)) {
+        return res.status(400).json({ error: `Invalid role: ${role}` });
+    }
+
+    try {
+        const passwordHash = await hashPassword(password);
+
+        const result = await pool.query(`
+            INSERT INTO admin_users (email, password_hash, role)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (email) DO NOTHING
+            RETURNING id, email, role, active, created_at
+        `, [email.toLowerCase(), passwordHash, role]);
+
+        if (result.rows.length === 0) {
+            return res.status(409).json({ error: 'An admin user with this email already exists' });
+        }
+
+        logger.info('Admin user created', { admin: req.admin.email, email });
+
+        res.status(201).json({ user: result.rows[0] });
+
+    } catch (error) {
+        logger.error('Admin user creation error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update role or deactivate an admin user
+router.patch('/users/:id', requireAdmin('admin'), async (req, res) => {
+    const { role, active } = req.body;
+    const userId = Number(req.params.id);
+
+    if (role !== undefined && !isValidRole(role)) {
+        return res.status(400).json({ error: `Invalid role: ${role}` });
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+        return res.status(400).json({ error: 'active must be a boolean' });
+    }
+
+    if (userId === req.admin.id) {
+        return res.status(400).json({ error: 'You cannot change your own account' });
+    }
+
+    try {
+        // Any change revokes the user's tokens, so it takes effect on their next request
+        const result = await pool.query(`
+            UPDATE admin_users
+            SET role = COALESCE($2, role),
+                active = COALESCE($3, active),
+                token_version = token_version + 1,
+                updated_at = NOW()
+            WHERE id = $1
+            RETURNING id, email, role, active
+        `, [userId, role ?? null, active ?? null]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Admin user not found' });
+        }
+
+        res.json({ user: result.rows[0] });
+
+    } catch (error) {
+        logger.error('Admin user update error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,403 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const { Pool } = require('pg');
+const { ROLES, verifyPassword, issueDashboardSession, verifyDashboardSession } = require('../admin-auth');
+const { listActivations } = require('../activations');
+const { listPlans, getLicenseFeatures } = require('../plans');
+const { isWellFormedLicenseKey, hashLicenseKey } = require('../license-keys');
+const { listKeyHistory } = require('../key-rotation');
+const { getUsageReport, getLicenseDomains } = require('../usage-analytics');
+const {
+    LicenseAdminError,
+    extendLicense,
+    suspendLicense,
+    reactivateLicense,
+    changeLicensePlan
+} = require('../license-admin');
+const { LICENSE_STATUSES, renderLogin, renderLicenseList, renderLicenseDetail } = require('../admin-views');
+const { logger } = require('../logger');
+
+// Database connection
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const SESSION_COOKIE = 'eaa_admin_session';
+const PAGE_SIZE = 50;
+const USAGE_DAYS = 30;
+
+const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // limit each IP to 10 login attempts per windowMs
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+        res.status(429).send(renderLogin({ error: 'Too many login attempts, please try again later' }));
+    }
+});
+
+function readCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+}
+
+function setSessionCookie(res, value, maxAgeSeconds) {
+    const attributes = [
+        `${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+        'Path=/admin',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Max-Age=${maxAgeSeconds}`
+    ];
+    if (process.env.NODE_ENV === 'production') {
+        attributes.push('Secure');
+    }
+    res.setHeader('Set-Cookie', attributes.join('; '));
+}
+
+// Only redirect back into the dashboard after login
+function safeNextPath(next) {
+    return typeof next === 'string' && next.startsWith('/admin/') && !next.startsWith('//') ? next : '/admin/licenses';
+}
+
+function loginRedirect(req, res) {
+    res.redirect(`/admin/login?next=${encodeURIComponent(req.originalUrl)}`);
+}
+
+// Dashboard pages use a session cookie instead of the API's bearer tokens. The session is checked
+// against admin_users on every request, so deactivating an admin or logging out ends it at once.
+async function requireDashboardSession(req, res, next) {
+    if (!process.env.ADMIN_JWT_SECRET) {
+        return res.status(503).send('Admin authentication is not configured');
+    }
+
+    const token = readCookie(req, SESSION_COOKIE);
+    if (!token) {
+        return loginRedirect(req, res);
+    }
+
+    let payload;
+    try {
+        payload = verifyDashboardSession(token);
+    } catch (error) {
+        return loginRedirect(req, res);
+    }
+
+    try {
+        const result = await pool.query(`
+            SELECT id, email, role, token_version, active
+            FROM admin_users
+            WHERE id = $1
+        `, [Number(payload.sub)]);
+
+        const adminUser = result.rows[0];
+
+        if (!adminUser || !adminUser.active || adminUser.token_version !== payload.ver) {
+            return loginRedirect(req, res);
+        }
+
+        req.admin = { id: adminUser.id, email: adminUser.email, role: adminUser.role };
+        req.csrfToken = payload.csrf;
+        next();
+
+    } catch (error) {
+        logger.error('Admin dashboard session error', { error });
+        res.status(500).send('Internal server error');
+    }
+}
+
+// Form posts must carry the session's CSRF token
+function requireCsrf(req, res, next) {
+    const token = Buffer.from(String(req.body._csrf || ''));
+    const expected = Buffer.from(req.csrfToken || '');
+
+    if (token.length === 0 || token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+        return res.status(403).send('Invalid form token, please reload the page and try again');
+    }
+    next();
+}
+
+function requireDashboardRole(minimumRole) {
+    return (req, res, next) => {
+        if (ROLES[req.admin.role] < ROLES[minimumRole]) {
+            return res.status(403).send('Insufficient permissions');
+        }
+        next();
+    };
+}
+
+router.get('/login', (req, res) => {
+    res.send(renderLogin({ next: safeNextPath(req.query.next) }));
+});
+
+router.post('/login', loginLimiter, async (req, res) => {
+    const { email, password } = req.body;
+    const next = safeNextPath(req.body.next);
+
+    if (!process.env.ADMIN_JWT_SECRET) {
+        return res.status(503).send('Admin authentication is not configured');
+    }
+
+    if (!email || !password) {
+        return res.status(400).send(renderLogin({ email, next, error: 'Email and password are required' }));
+    }
+
+    try {
+        const result = await pool.query(`
+            SELECT id, email, password_hash, role, token_version, active
+            FROM admin_users
+            WHERE email = $1
+        `, [email.toLowerCase()]);
+
+        const adminUser = result.rows[0];
+        // Unknown emails are checked against a dummy hash so they take as long as a wrong password
+        const passwordValid = await verifyPassword(password, adminUser ? adminUser.password_hash : null);
+
+        if (!passwordValid || !adminUser.active) {
+            return res.status(401).send(renderLogin({ email, next, error: 'Invalid email or password' }));
+        }
+
+        await pool.query(`
+            UPDATE admin_users
+            SET last_login = NOW()
+            WHERE id = $1
+        `, [adminUser.id]);
+
+        logger.info('Admin dashboard login', { admin: adminUser.email });
+
+        const session = issueDashboardSession(adminUser);
+        const { exp } = verifyDashboardSession(session);
+        setSessionCookie(res, session, exp - Math.floor(Date.now() / 1000));
+        res.redirect(next);
+
+    } catch (error) {
+        logger.error('Admin dashboard login error', { error });
+        res.status(500).send(renderLogin({ email, next, error: 'Internal server error' }));
+    }
+});
+
+// Ends every session of this admin, like POST /api/admin/auth/logout
+router.post('/logout', requireDashboardSession, requireCsrf, async (req, res) => {
+    try {
+        await pool.query(`
+            UPDATE admin_users
+            SET token_version = token_version + 1, updated_at = NOW()
+            WHERE id = $1
+        `, [req.admin.id]);
+
+        setSessionCookie(res, '', 0);
+        res.redirect('/admin/login');
+
+    } catch (error) {
+        logger.error('Admin dashboard logout error', { error });
+        res.status(500).send('Internal server error');
+    }
+});
+
+router.get('/', requireDashboardSession, (req, res) => {
+    res.redirect('/admin/licenses');
+});
+
+// License list: ?q= matches email, domain, customer/subscription ID, key hint, license ID or a full key
+router.get('/licenses', requireDashboardSession, async (req, res) => {
+    const filters = {
+        q: typeof req.query.q === 'string' ? req.query.q.trim() : '',
+        status: LICENSE_STATUSES.includes(req.query.status) ? req.query.status : '',
+        plan: typeof req.query.plan === 'string' ? req.query.plan : ''
+    };
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const conditions = [];
+    const params = [];
+
+    if (filters.q) {
+        if (isWellFormedLicenseKey(filters.q)) {
+            params.push(hashLicenseKey(filters.q));
+            conditions.push(`(l.license_key_hash = $${params.length}
+                OR l.id IN (SELECT license_id FROM license_key_history WHERE license_key_hash = $${params.length}))`);
+        } else {
+            params.push(`%${filters.q.replace(/[\\%_]/g, '\\$&')}%`);
+            const like = `$${params.length}`;
+            const matches = [
+                `l.email ILIKE ${like}`,
+                `l.domain ILIKE ${like}`,
+                `l.customer_id ILIKE ${like}`,
+                `l.subscription_id ILIKE ${like}`,
+                `l.license_key_hint ILIKE ${like}`,
+                `EXISTS (SELECT 1 FROM license_activations a WHERE a.license_id = l.id AND a.deactivated_at IS NULL AND a.domain ILIKE ${like})`
+            ];
+            if (/^\d{1,9}$/.test(filters.q)) {
+                params.push(Number(filters.q));
+                matches.push(`l.id = $${params.length}`);
+            }
+            conditions.push(`(${matches.join(' OR ')})`);
+        }
+    }
+    if (filters.status) {
+        params.push(filters.status);
+        conditions.push(`l.status = $${params.length}`);
+    }
+    if (filters.plan) {
+        params.push(filters.plan);
+        conditions.push(`l.plan = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        const count = await pool.query(`SELECT COUNT(*)::int AS total FROM licenses l ${where}`, params);
+
+        const result = await pool.query(`
+            SELECT l.id, l.license_key_hint, l.email, l.domain, l.plan, l.status,
+                   l.created_at, l.expires_at, l.last_used
+            FROM licenses l
+            ${where}
+            ORDER BY l.created_at DESC, l.id DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, PAGE_SIZE, (page - 1) * PAGE_SIZE]);
+
+        res.send(renderLicenseList({
+            admin: req.admin,
+            csrfToken: req.csrfToken,
+            licenses: result.rows,
+            total: count.rows[0].total,
+            page,
+            pageSize: PAGE_SIZE,
+            filters,
+            plans: await listPlans({ includeInactive: true })
+        }));
+
+    } catch (error) {
+        logger.error('Admin dashboard license list error', { error });
+        res.status(500).send('Internal server error');
+    }
+});
+
+router.get('/licenses/:id', requireDashboardSession, async (req, res) => {
+    try {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(`
+                SELECT id, license_key_hint, customer_id, subscription_id, email, domain, plan, status,
+                       created_at, expires_at, last_used, cancel_at_period_end, grace_period_ends_at,
+                       revoked_at, revoked_by, revoke_reason, license_key_hash
+                FROM licenses WHERE id = $1
+            `, [Number(req.params.id)]);
+
+            if (result.rows.length === 0) {
+                return res.status(404).send('License not found');
+            }
+
+            const { license_key_hash: licenseKeyHash, ...license } = result.rows[0];
+            const stripeManaged = typeof license.customer_id === 'string' && license.customer_id.startsWith('cus_');
+            const to = new Date();
+            const from = new Date(to.getTime() - USAGE_DAYS * 24 * 60 * 60 * 1000);
+
+            const webhookEvents = stripeManaged ? (await client.query(`
+                SELECT stripe_event_id, event_type, status, error_message, received_at
+                FROM webhook_events
+                WHERE data->'data'->'object'->>'customer' = $1
+                ORDER BY received_at DESC
+                LIMIT 50
+            `, [license.customer_id])).rows : [];
+
+            const planChanges = await client.query(`
+                SELECT old_plan, new_plan, stripe_event_id, changed_by, changed_at
+                FROM license_plan_changes
+                WHERE license_id = $1
+                ORDER BY changed_at DESC
+            `, [license.id]);
+
+            const emails = await client.query(`
+                SELECT email_type, recipient, status, attempts, created_at, sent_at
+                FROM email_outbox
+                WHERE license_id = $1
+                ORDER BY created_at DESC
+                LIMIT 50
+            `, [license.id]);
+
+            res.send(renderLicenseDetail({
+                admin: req.admin,
+                csrfToken: req.csrfToken,
+                notice: typeof req.query.notice === 'string' ? req.query.notice : null,
+                error: typeof req.query.error === 'string' ? req.query.error : null,
+                license,
+                features: await getLicenseFeatures(license.plan),
+                activations: await listActivations(client, license.id),
+                keyHistory: await listKeyHistory(client, license.id),
+                usage: await getUsageReport(client, { from, to, licenseKeyHash, topUserAgents: 5 }),
+                domains: await getLicenseDomains(client, { from, to, licenseKeyHash }),
+                webhookEvents,
+                planChanges: planChanges.rows,
+                emails: emails.rows,
+                plans: await listPlans(),
+                canEdit: ROLES[req.admin.role] >= ROLES.admin,
+                stripeManaged
+            }));
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('Admin dashboard license detail error', { error });
+        res.status(500).send('Internal server error');
+    }
+});
+
+// Run a license action from a dashboard form and go back to the detail page with the outcome
+function licenseAction(name, action) {
+    return async (req, res) => {
+        const licenseId = Number(req.params.id);
+        const back = `/admin/licenses/${licenseId}`;
+
+        try {
+            const message = await action(licenseId, req);
+            logger.info('Admin dashboard action', { action: name, admin: req.admin.email, licenseId });
+            res.redirect(`${back}?notice=${encodeURIComponent(message)}`);
+
+        } catch (error) {
+            if (error instanceof LicenseAdminError) {
+                return res.redirect(`${back}?error=${encodeURIComponent(error.message)}`);
+            }
+            logger.error('Admin dashboard action error', { action: name, licenseId, error });
+            res.redirect(`${back}?error=${encodeURIComponent('Internal server error')}`);
+        }
+    };
+}
+
+const editLicense = [requireDashboardSession, requireDashboardRole('admin'), requireCsrf];
+
+router.post('/licenses/:id/extend', editLicense, licenseAction('extend', async (licenseId, req) => {
+    const license = await extendLicense(pool, licenseId, { days: req.body.days });
+    return `Extended until ${license.expires_at.toISOString().slice(0, 10)}`;
+}));
+
+router.post('/licenses/:id/suspend', editLicense, licenseAction('suspend', async (licenseId) => {
+    await suspendLicense(pool, licenseId);
+    return 'License suspended';
+}));
+
+router.post('/licenses/:id/reactivate', editLicense, licenseAction('reactivate', async (licenseId) => {
+    await reactivateLicense(pool, licenseId);
+    return 'License reactivated';
+}));
+
+router.post('/licenses/:id/plan', editLicense, licenseAction('plan change', async (licenseId, req) => {
+    const license = await changeLicensePlan(pool, licenseId, {
+        plan: req.body.plan,
+        changedBy: `admin:${req.admin.email}`
+    });
+    return `Plan changed from ${license.oldPlan} to ${license.plan}`;
+}));
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const { requireAdmin } = require('../admin-auth');
+const { TEMPLATE_NAMES, isTemplate, renderEmail, getSampleData } = require('../email-templates');
+const { logger } = require('../logger');
+
+// Database connection
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const EMAIL_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// List outbox emails, newest first (optionally filtered by status)
+router.get('/', requireAdmin('viewer'), async (req, res) => {
+    const { status } = req.query;
+
+    if (status && !EMAIL_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status: ${status}` });
+    }
+
+    try {
+        const result = await pool.query(`
+            SELECT id, email_type, recipient, license_id, stripe_event_id, status, attempts,
+                   next_attempt_at, last_error, provider_message_id, created_at, sent_at
+            FROM email_outbox
+            WHERE ($1::varchar IS NULL OR status = $1)
+            ORDER BY created_at DESC
+            LIMIT 100
+        `, [status || null]);
+
+        res.json({ emails: result.rows });
+
+    } catch (error) {
+        logger.error('Email outbox list error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Put a failed email back in the queue
+router.post('/:id/retry', requireAdmin('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            UPDATE email_outbox
+            SET status = 'pending', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+            WHERE id = $1 AND status = 'failed'
+            RETURNING id
+        `, [Number(req.params.id)]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'No failed email found with this ID' });
+        }
+
+        res.json({ success: true });
+
+    } catch (error) {
+        logger.error('Email retry error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Render a template with sample data: ?locale=de|en&format=html|text|json
+router.get('/preview/:template', requireAdmin('viewer'), (req, res) => {
+    const { template } = req.params;
+    const { locale, format = 'html' } = req.query;
+
+    if (!isTemplate(template)) {
+        return res.status(404).json({ error: `Unknown template: ${template}`, templates: TEMPLATE_NAMES });
+    }
+
+    try {
+        const email = renderEmail(template, locale, getSampleData(template));
+
+        if (format === 'text') {
+            return res.type('text/plain').send(email.text);
+        }
+        if (format === 'json') {
+            return res.json(email);
+        }
+        res.type('html').send(email.html);
+
+    } catch (error) {
+        logger.error('Email preview error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const { requireAdmin } = require('../admin-auth');
+const { KeyRotationError, rotateLicenseKey, revokeLicense, listKeyHistory } = require('../key-rotation');
+const { logger } = require('../logger');
+const {
+    LicenseAdminError,
+    extendLicense,
+    suspendLicense,
+    reactivateLicense,
+    changeLicensePlan
+} = require('../license-admin');
+
+// Database connection
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Replaced keys of a license and whether they still validate
+router.get('/:id/keys', requireAdmin('viewer'), async (req, res) => {
+    try {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(`
+                SELECT id, license_key_hint, status, revoked_at, revoked_by, revoke_reason
+                FROM licenses WHERE id = $1
+            `, [Number(req.params.id)]);
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'License not found' });
+            }
+
+            res.json({
+                license: result.rows[0],
+                previousKeys: await listKeyHistory(client, result.rows[0].id)
+            });
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('License key history error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Issue a new key. The old key keeps validating for `overlapHours` (0 = revoke it now, with a reason).
+// The new key is returned once and emailed to the customer.
+router.post('/:id/rotate', requireAdmin('admin'), async (req, res) => {
+    const { overlapHours, reason } = req.body;
+
+    try {
+        const rotation = await rotateLicenseKey(pool, Number(req.params.id), {
+            overlapHours,
+            reason,
+            rotatedBy: `admin:${req.admin.email}`
+        });
+
+        logger.info('License key rotated', { admin: req.admin.email, oldKeyHint: rotation.oldKeyHint, keyHint: rotation.licenseKeyHint });
+
+        res.json({ success: true, ...rotation });
+
+    } catch (error) {
+        if (error instanceof KeyRotationError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('License key rotation error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Revoke a license and all of its keys immediately
+router.post('/:id/revoke', requireAdmin('admin'), async (req, res) => {
+    const { reason } = req.body;
+
+    try {
+        const license = await revokeLicense(pool, Number(req.params.id), {
+            reason,
+            revokedBy: `admin:${req.admin.email}`
+        });
+
+        logger.info('License revoked', { admin: req.admin.email, keyHint: license.license_key_hint, reason });
+
+        res.json({ success: true });
+
+    } catch (error) {
+        if (error instanceof KeyRotationError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('License revocation error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Push the expiry date out by `days`
+router.post('/:id/extend', requireAdmin('admin'), async (req, res) => {
+    try {
+        const license = await extendLicense(pool, Number(req.params.id), { days: req.body.days });
+
+        logger.info('License extended', { admin: req.admin.email, keyHint: license.license_key_hint, days: req.body.days });
+
+        res.json({ success: true, license });
+
+    } catch (error) {
+        if (error instanceof LicenseAdminError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('License extension error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.post('/:id/suspend', requireAdmin('admin'), async (req, res) => {
+    try {
+        const license = await suspendLicense(pool, Number(req.params.id));
+
+        logger.info('License suspended', { admin: req.admin.email, keyHint: license.license_key_hint });
+
+        res.json({ success: true, license });
+
+    } catch (error) {
+        if (error instanceof LicenseAdminError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('License suspension error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.post('/:id/reactivate', requireAdmin('admin'), async (req, res) => {
+    try {
+        const license = await reactivateLicense(pool, Number(req.params.id));
+
+        logger.info('License reactivated', { admin: req.admin.email, keyHint: license.license_key_hint });
+
+        res.json({ success: true, license });
+
+    } catch (error) {
+        if (error instanceof LicenseAdminError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('License reactivation error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.post('/:id/plan', requireAdmin('admin'), async (req, res) => {
+    try {
+        const license = await changeLicensePlan(pool, Number(req.params.id), {
+            plan: req.body.plan,
+            changedBy: `admin:${req.admin.email}`
+        });
+
+        logger.info('License plan changed', { admin: req.admin.email, keyHint: license.license_key_hint, oldPlan: license.oldPlan, plan: license.plan });
+
+        res.json({ success: true, license });
+
+    } catch (error) {
+        if (error instanceof LicenseAdminError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('License plan change error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
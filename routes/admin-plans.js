@@ -0,0 +1,266 @@
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const { requireAdmin } = require('../admin-auth');
+const { BILLING_INTERVALS, listPlans, getPlan, invalidatePlanCache } = require('../plans');
+const { logger } = require('../logger');
+
+// Database connection
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const PLAN_CODE_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+// Check the fields present in a create/update body. Returns an error message or null.
+function validatePlanFields(body) {
+    const { name, features, maxWebsites, maxScansPerMonth, price, currency, active, sortOrder, stripePrices } = body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+        return 'name must be a non-empty string';
+    }
+    if (features !== undefined) {
+        if (!features || typeof features !== 'object' || Array.isArray(features)) {
+            return 'features must be an object';
+        }
+        const invalid = Object.entries(features).find(([, value]) => typeof value !== 'boolean');
+        if (invalid) {
+            return `Feature ${invalid[0]} must be a boolean`;
+        }
+    }
+    // -1 means unlimited
+    for (const [field, value] of [['maxWebsites', maxWebsites], ['maxScansPerMonth', maxScansPerMonth]]) {
+        if (value !== undefined && (!Number.isInteger(value) || value < -1)) {
+            return `${field} must be an integer >= -1 (-1 = unlimited)`;
+        }
+    }
+    if (price !== undefined && (typeof price !== 'number' || !(price >= 0))) {
+        return 'price must be a number >= 0';
+    }
+    if (currency !== undefined && !/^[a-z]{3}$/i.test(currency)) {
+        return 'currency must be a 3-letter ISO code';
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+        return 'active must be a boolean';
+    }
+    if (sortOrder !== undefined && !Number.isInteger(sortOrder)) {
+        return 'sortOrder must be an integer';
+    }
+    if (stripePrices !== undefined) {
+        if (!Array.isArray(stripePrices)) {
+            return 'stripePrices must be an array';
+        }
+        for (const price of stripePrices) {
+            if (!price || typeof price.priceId !== 'string' || !price.priceId.startsWith('price_')) {
+                return 'Each Stripe price needs a priceId starting with price_';
+            }
+            if (price.interval !== undefined && !BILLING_INTERVALS.includes(price.interval)) {
+                return `Invalid billing interval: ${price.interval}`;
+            }
+        }
+    }
+    return null;
+}
+
+// Replace the Stripe prices linked to a plan
+async function setStripePrices(client, planId, stripePrices) {
+    await client.query('DELETE FROM plan_stripe_prices WHERE plan_id = $1', [planId]);
+
+    for (const { priceId, interval = 'month' } of stripePrices) {
+        await client.query(`
+            INSERT INTO plan_stripe_prices (stripe_price_id, plan_id, billing_interval)
+            VALUES ($1, $2, $3)
+        `, [priceId, planId, interval]);
+    }
+}
+
+// A Stripe price can belong to one plan only
+function isPriceConflict(error) {
+    return error.code === '23505' && error.constraint === 'plan_stripe_prices_pkey';
+}
+
+// List plans, including inactive ones
+router.get('/', requireAdmin('viewer'), async (req, res) => {
+    try {
+        res.json({ plans: await listPlans({ includeInactive: true }) });
+    } catch (error) {
+        logger.error('Plan list error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.get('/:code', requireAdmin('viewer'), async (req, res) => {
+    try {
+        const plan = await getPlan(req.params.code);
+
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        res.json({ plan });
+
+    } catch (error) {
+        logger.error('Plan lookup error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create a plan
+router.post('/', requireAdmin('admin'), async (req, res) => {
+    const { code, name, features = {}, maxWebsites = 1, maxScansPerMonth = 0, price = 0, currency = 'eur', active = true, sortOrder = 0, stripePrices = [] } = req.body;
+
+    if (!code || !PLAN_CODE_PATTERN.test(code)) {
+        return res.status(400).json({ error: 'code is required (lowercase letters, digits, - and _)' });
+    }
+    if (!name) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+
+    const validationError = validatePlanFields(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                INSERT INTO plans (code, name, features, max_websites, max_scans_per_month, display_price, currency, active, sort_order)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING id
+            `, [code, name.trim(), features, maxWebsites, maxScansPerMonth, price, currency.toLowerCase(), active, sortOrder]);
+
+            await setStripePrices(client, result.rows[0].id, stripePrices);
+            await client.query('COMMIT');
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+
+        } finally {
+            client.release();
+        }
+
+        invalidatePlanCache();
+
+        logger.info('Plan created', { admin: req.admin.email, plan: code });
+        res.status(201).json({ plan: await getPlan(code) });
+
+    } catch (error) {
+        if (error.code === '23505' && error.constraint === 'plans_code_key') {
+            return res.status(409).json({ error: `Plan already exists: ${code}` });
+        }
+        if (isPriceConflict(error)) {
+            return res.status(409).json({ error: 'A Stripe price is already linked to another plan' });
+        }
+        logger.error('Plan create error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update a plan. Only the given fields change; stripePrices replaces the linked prices.
+router.patch('/:code', requireAdmin('admin'), async (req, res) => {
+    const { name, features, maxWebsites, maxScansPerMonth, price, currency, active, sortOrder, stripePrices } = req.body;
+
+    const validationError = validatePlanFields(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                UPDATE plans
+                SET name = COALESCE($2, name),
+                    features = COALESCE($3, features),
+                    max_websites = COALESCE($4, max_websites),
+                    max_scans_per_month = COALESCE($5, max_scans_per_month),
+                    display_price = COALESCE($6, display_price),
+                    currency = COALESCE($7, currency),
+                    active = COALESCE($8, active),
+                    sort_order = COALESCE($9, sort_order),
+                    updated_at = NOW()
+                WHERE code = $1
+                RETURNING id
+            `, [
+                req.params.code,
+                name ? name.trim() : null,
+                features ?? null,
+                maxWebsites ?? null,
+                maxScansPerMonth ?? null,
+                price ?? null,
+                currency ? currency.toLowerCase() : null,
+                active ?? null,
+                sortOrder ?? null
+            ]);
+
+            if (result.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'Plan not found' });
+            }
+
+            if (stripePrices !== undefined) {
+                await setStripePrices(client, result.rows[0].id, stripePrices);
+            }
+
+            await client.query('COMMIT');
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+
+        } finally {
+            client.release();
+        }
+
+        invalidatePlanCache();
+
+        logger.info('Plan updated', { admin: req.admin.email, plan: req.params.code });
+        res.json({ plan: await getPlan(req.params.code) });
+
+    } catch (error) {
+        if (isPriceConflict(error)) {
+            return res.status(409).json({ error: 'A Stripe price is already linked to another plan' });
+        }
+        logger.error('Plan update error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete a plan no license uses. Plans in use can only be deactivated (active: false).
+router.delete('/:code', requireAdmin('admin'), async (req, res) => {
+    try {
+        const inUse = await pool.query('SELECT COUNT(*)::int AS count FROM licenses WHERE plan = $1', [req.params.code]);
+
+        if (inUse.rows[0].count > 0) {
+            return res.status(409).json({
+                error: `Plan is used by ${inUse.rows[0].count} license(s); deactivate it instead`
+            });
+        }
+
+        const result = await pool.query('DELETE FROM plans WHERE code = $1 RETURNING id', [req.params.code]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        invalidatePlanCache();
+
+        logger.info('Plan deleted', { admin: req.admin.email, plan: req.params.code });
+        res.json({ success: true });
+
+    } catch (error) {
+        logger.error('Plan delete error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,200 @@
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const { requireAdmin } = require('../admin-auth');
+const { getUsageReport, getLicenseDomains } = require('../usage-analytics');
+const { getSuspiciousActivity, listLockouts, clearLockout } = require('../validation-guard');
+const { logger } = require('../logger');
+
+// Database connection
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RANGES = {
+    '24h': DAY_MS,
+    '7d': 7 * DAY_MS,
+    '30d': 30 * DAY_MS,
+    '90d': 90 * DAY_MS,
+    '365d': 365 * DAY_MS
+};
+const DEFAULT_RANGE = '30d';
+const MAX_RANGE_MS = 366 * DAY_MS;
+const MAX_TOP_USER_AGENTS = 100;
+const SUSPICIOUS_MIN_DOMAINS = parseInt(process.env.SUSPICIOUS_MIN_DOMAINS, 10) || 10;
+const SUSPICIOUS_MIN_IPS = parseInt(process.env.SUSPICIOUS_MIN_IPS, 10) || 20;
+
+// Time range from ?range=7d or ?from=...&to=... (ISO dates, `to` defaults to now).
+// Returns { from, to } or { error }.
+function parseTimeRange(query) {
+    const { range, from, to } = query;
+
+    if (from || to) {
+        const end = to ? new Date(to) : new Date();
+        const start = from ? new Date(from) : new Date(end.getTime() - RANGES[DEFAULT_RANGE]);
+
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+            return { error: 'from and to must be ISO dates' };
+        }
+        if (start >= end) {
+            return { error: 'from must be before to' };
+        }
+        if (end - start > MAX_RANGE_MS) {
+            return { error: 'Time range must not exceed 366 days' };
+        }
+        return { from: start, to: end };
+    }
+
+    const duration = RANGES[range || DEFAULT_RANGE];
+    if (!duration) {
+        return { error: `Invalid range: ${range} (use ${Object.keys(RANGES).join(', ')})` };
+    }
+
+    const end = new Date();
+    return { from: new Date(end.getTime() - duration), to: end };
+}
+
+function parseTopLimit(top) {
+    if (top === undefined) return 10;
+    const limit = Number(top);
+    return Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_TOP_USER_AGENTS) : null;
+}
+
+// Usage across all licenses: ?range=24h|7d|30d|90d|365d or ?from&to, ?top=<user agents>
+router.get('/summary', requireAdmin('viewer'), async (req, res) => {
+    const range = parseTimeRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+
+    const topUserAgents = parseTopLimit(req.query.top);
+    if (topUserAgents === null) {
+        return res.status(400).json({ error: 'top must be a positive integer' });
+    }
+
+    try {
+        const client = await pool.connect();
+
+        try {
+            res.json(await getUsageReport(client, { ...range, topUserAgents }));
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('Usage summary error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Usage of one license, including the domains it was used on. Same query parameters as /summary.
+router.get('/licenses/:id', requireAdmin('viewer'), async (req, res) => {
+    const range = parseTimeRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+
+    const topUserAgents = parseTopLimit(req.query.top);
+    if (topUserAgents === null) {
+        return res.status(400).json({ error: 'top must be a positive integer' });
+    }
+
+    try {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(`
+                SELECT id, license_key_hash, license_key_hint, email, plan, status
+                FROM licenses WHERE id = $1
+            `, [Number(req.params.id)]);
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'License not found' });
+            }
+
+            const { license_key_hash: licenseKeyHash, ...license } = result.rows[0];
+
+            res.json({
+                license,
+                ...await getUsageReport(client, { ...range, licenseKeyHash, topUserAgents }),
+                domains: await getLicenseDomains(client, { ...range, licenseKeyHash })
+            });
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('License usage report error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+function parseThreshold(value, fallback) {
+    if (value === undefined) return fallback;
+    const threshold = Number(value);
+    return Number.isInteger(threshold) && threshold > 0 ? threshold : null;
+}
+
+// Keys validated from unusually many domains or IPs, plus the current /validate lockouts.
+// Same time range parameters as /summary (default 30d); ?minDomains and ?minIps set the thresholds.
+router.get('/suspicious', requireAdmin('viewer'), async (req, res) => {
+    const range = parseTimeRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+
+    const minDomains = parseThreshold(req.query.minDomains, SUSPICIOUS_MIN_DOMAINS);
+    const minIps = parseThreshold(req.query.minIps, SUSPICIOUS_MIN_IPS);
+    if (minDomains === null || minIps === null) {
+        return res.status(400).json({ error: 'minDomains and minIps must be positive integers' });
+    }
+
+    try {
+        const client = await pool.connect();
+
+        try {
+            res.json({
+                ...range,
+                thresholds: { minDomains, minIps },
+                licenses: await getSuspiciousActivity(client, { ...range, minDomains, minIps }),
+                lockouts: await listLockouts(client)
+            });
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('Suspicious activity report error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Lift a /validate lockout early, e.g. for a customer's office IP. scope is 'ip' or 'prefix'.
+router.delete('/lockouts/:scope/:subject', requireAdmin('admin'), async (req, res) => {
+    const { scope, subject } = req.params;
+
+    if (!['ip', 'prefix'].includes(scope)) {
+        return res.status(400).json({ error: `Invalid scope: ${scope}` });
+    }
+
+    try {
+        if (!await clearLockout(pool, scope, subject)) {
+            return res.status(404).json({ error: 'No lockout found' });
+        }
+
+        logger.info('Validation lockout cleared', { admin: req.admin.email, scope, subject });
+
+        res.json({ success: true });
+
+    } catch (error) {
+        logger.error('Lockout clear error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const stripe = require('../stripe-client');
+const rateLimit = require('express-rate-limit');
+const validator = require('validator');
+const { Pool } = require('pg');
+const { buildCheckoutSessionParams, isCheckoutSessionId, getCheckoutLicense } = require('../checkout');
+const { BILLING_INTERVALS, getStripePriceId } = require('../plans');
+const { normalizeDomain, isDevelopmentDomain } = require('../domain-utils');
+const { resolveLocale } = require('../email-templates');
+const { logger } = require('../logger');
+
+// Database connection
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const PROMO_CODE_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Each session is a Stripe API call; keep scripts from creating them in bulk
+const checkoutLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // limit each IP to 20 checkout sessions per windowMs
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: 'Too many checkout requests, please try again later' }
+});
+
+// Start a purchase: { plan, interval: 'month'|'year', domain, locale?, email?, promoCode? }.
+// Returns the Stripe Checkout URL to redirect the buyer to.
+router.post('/', checkoutLimiter, async (req, res) => {
+    const { plan, interval = 'month', domain, email, promoCode } = req.body;
+
+    if (!plan || typeof plan !== 'string') {
+        return res.status(400).json({ error: 'Plan is required' });
+    }
+
+    if (!BILLING_INTERVALS.includes(interval)) {
+        return res.status(400).json({ error: `Invalid billing interval: ${interval} (use ${BILLING_INTERVALS.join(' or ')})` });
+    }
+
+    // The license is bound to this domain, so it must be the live website
+    const normalizedDomain = normalizeDomain(domain);
+
+    if (!normalizedDomain || isDevelopmentDomain(normalizedDomain)) {
+        return res.status(400).json({ error: 'A valid website domain is required' });
+    }
+
+    if (email !== undefined && (typeof email !== 'string' || !validator.isEmail(email))) {
+        return res.status(400).json({ error: 'Invalid email' });
+    }
+
+    if (promoCode !== undefined && promoCode !== '' && (typeof promoCode !== 'string' || !PROMO_CODE_PATTERN.test(promoCode))) {
+        return res.status(400).json({ error: 'Invalid promo code' });
+    }
+
+    const locale = resolveLocale(req.body.locale || req.acceptsLanguages('de', 'en'));
+
+    try {
+        const priceId = await getStripePriceId(plan, interval);
+
+        if (!priceId) {
+            return res.status(400).json({ error: `Plan ${plan} is not available with ${interval}ly billing` });
+        }
+
+        let promotionCodeId = null;
+
+        if (promoCode) {
+            const promotionCodes = await stripe.promotionCodes.list({ code: promoCode, active: true, limit: 1 });
+
+            if (promotionCodes.data.length === 0) {
+                return res.status(400).json({ error: 'Promo code is invalid or has expired' });
+            }
+            promotionCodeId = promotionCodes.data[0].id;
+        }
+
+        const session = await stripe.checkout.sessions.create(buildCheckoutSessionParams({
+            priceId,
+            plan,
+            interval,
+            domain: normalizedDomain,
+            locale,
+            email: email && email.toLowerCase(),
+            promotionCodeId
+        }));
+
+        logger.info('Checkout session created', { checkoutSessionId: session.id, plan, interval, domain: normalizedDomain });
+
+        res.status(201).json({ sessionId: session.id, url: session.url });
+
+    } catch (error) {
+        logger.error('Checkout session error', { error });
+        res.status(500).json({ error: 'Failed to create checkout session' });
+    }
+});
+
+// Poll for the license created by a checkout session: { status: 'pending' } until the webhook has
+// run, then { status: 'ready', license } (license.key only on the first call shortly after the purchase)
+router.get('/sessions/:sessionId/license', async (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!isCheckoutSessionId(sessionId)) {
+        return res.status(400).json({ error: 'Invalid checkout session ID' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+
+    try {
+        const client = await pool.connect();
+
+        try {
+            res.json(await getCheckoutLicense(client, sessionId));
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('Checkout license lookup error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+const express = require('express');
+const router = express.Router();
+const stripe = require('../stripe-client');
+const rateLimit = require('express-rate-limit');
+const validator = require('validator');
+const { Pool } = require('pg');
+const {
+    requestLoginLink,
+    hashLoginToken,
+    issueCustomerSession,
+    requireCustomer
+} = require('../customer-auth');
+const { listActivations } = require('../activations');
+const { getLicenseFeatures } = require('../plans');
+const { getBillingWarning } = require('../dunning');
+const { KeyRotationError, rotateLicenseKey } = require('../key-rotation');
+const { resolveLocale } = require('../email-templates');
+const { logger } = require('../logger');
+
+// Database connection
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Limit magic link requests so the endpoint can't be used to spam inboxes
+const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5, // limit each IP to 5 login link requests per windowMs
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: 'Too many login requests, please try again later' }
+});
+
+// Request a magic login link by email
+router.post('/login', loginLimiter, async (req, res) => {
+    const { email } = req.body;
+
+    if (!email || !validator.isEmail(email)) {
+        return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    const locale = resolveLocale(req.body.locale || req.acceptsLanguages('de', 'en'));
+
+    // Answer before looking the email up: the same response, as fast, whether or not the email has
+    // licenses, so it can't be used to probe for customers. The email outbox sends the link.
+    res.json({ success: true, message: 'If this email has a license, a login link is on its way' });
+
+    requestLoginLink(pool, email.toLowerCase(), locale)
+        .catch(error => logger.error('Customer login link error', { error }));
+});
+
+// Exchange a magic link token for a session token
+router.post('/verify', async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        return res.status(400).json({ error: 'Token is required' });
+    }
+
+    if (!process.env.CUSTOMER_JWT_SECRET) {
+        return res.status(503).json({ error: 'Customer login is not configured' });
+    }
+
+    try {
+        // Consume the token atomically so a link works exactly once
+        const result = await pool.query(`
+            UPDATE customer_login_tokens
+            SET used_at = NOW()
+            WHERE token_hash = $1
+            AND used_at IS NULL
+            AND expires_at > NOW()
+            RETURNING email
+        `, [hashLoginToken(token)]);
+
+        if (result.rows.length === 0) {
+            return res.status(401).json({ error: 'Login link is invalid or has expired' });
+        }
+
+        const { email } = result.rows[0];
+        logger.info('Customer login', { email });
+
+        res.json({
+            ...issueCustomerSession(email),
+            customer: { email }
+        });
+
+    } catch (error) {
+        logger.error('Customer login verification error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Licenses of the logged-in customer with activations and plan features
+router.get('/licenses', requireCustomer, async (req, res) => {
+    try {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(`
+                SELECT id, license_key_hint, customer_id, domain, plan, status, created_at, expires_at, last_used,
+                       grace_period_ends_at
+                FROM licenses
+                WHERE LOWER(email) = $1
+                ORDER BY created_at DESC
+            `, [req.customer.email]);
+
+            const licenses = [];
+            for (const license of result.rows) {
+                licenses.push({
+                    id: license.id,
+                    key: license.license_key_hint,
+                    plan: license.plan,
+                    status: license.status,
+                    domain: license.domain,
+                    createdAt: license.created_at,
+                    expiresAt: license.expires_at,
+                    lastUsed: license.last_used,
+                    billingWarning: getBillingWarning(license),
+                    features: await getLicenseFeatures(license.plan),
+                    activations: await listActivations(client, license.id),
+                    billingManaged: isStripeCustomer(license.customer_id)
+                });
+            }
+
+            res.json({ customer: req.customer, licenses });
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('Customer license list error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Key rotations email the new key, so limit them like login links
+const rotateLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: 'Too many key rotations, please try again later' }
+});
+
+// Replace the key of one of the customer's licenses, e.g. after it leaked. The old key keeps working
+// for the overlap window unless `immediate` is set. The new key is returned and emailed.
+router.post('/licenses/:id/rotate', requireCustomer, rotateLimiter, async (req, res) => {
+    const { immediate = false, reason } = req.body;
+
+    try {
+        const result = await pool.query(`
+            SELECT id FROM licenses WHERE id = $1 AND LOWER(email) = $2
+        `, [Number(req.params.id), req.customer.email]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'License not found' });
+        }
+
+        const rotation = await rotateLicenseKey(pool, result.rows[0].id, {
+            overlapHours: immediate ? 0 : undefined,
+            reason: immediate ? (reason || 'Revoked by customer') : reason,
+            rotatedBy: `customer:${req.customer.email}`
+        });
+
+        logger.info('License key rotated by customer', { oldKeyHint: rotation.oldKeyHint, keyHint: rotation.licenseKeyHint });
+
+        res.json({ success: true, ...rotation });
+
+    } catch (error) {
+        if (error instanceof KeyRotationError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Customer key rotation error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create a Stripe Billing Portal session for one of the customer's licenses, by the license ID from
+// /licenses. Plan changes and cancellations made there come back through /stripe/webhook.
+router.post('/licenses/:id/billing-portal', requireCustomer, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT customer_id
+            FROM licenses
+            WHERE id = $1 AND LOWER(email) = $2
+        `, [Number(req.params.id), req.customer.email]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'License not found' });
+        }
+
+        const { customer_id: customerId } = result.rows[0];
+
+        if (!isStripeCustomer(customerId)) {
+            return res.status(400).json({ error: 'This license is not billed through Stripe' });
+        }
+
+        const session = await stripe.billingPortal.sessions.create({
+            customer: customerId,
+            return_url: process.env.CUSTOMER_PORTAL_RETURN_URL || process.env.CUSTOMER_DASHBOARD_URL || 'https://eaasolutions.de/account'
+        });
+
+        res.json({ url: session.url });
+
+    } catch (error) {
+        logger.error('Billing portal session error', { error });
+        res.status(500).json({ error: 'Failed to create billing portal session' });
+    }
+});
+
+// Manual and test licenses use placeholder customer IDs rather than Stripe ones
+function isStripeCustomer(customerId) {
+    return typeof customerId === 'string' && customerId.startsWith('cus_');
+}
+
+module.exports = router;
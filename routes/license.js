@@ -1,6 +1,20 @@
 const express = require('express');
 const router = express.Router();
+const rateLimit = require('express-rate-limit');
 const { Pool } = require('pg');
+const { requireAdmin } = require('../admin-auth');
+const { signLicenseToken, getPublicKeys, TOKEN_TTL_SECONDS, GRACE_PERIOD_SECONDS } = require('../license-token');
+const { normalizeDomain, normalizeDomainPattern } = require('../domain-utils');
+const { seedLegacyActivation, listActivations, isDomainActivated, activateDomain, deactivateDomain } = require('../activations');
+const { getScanQuota, recordScan } = require('../scan-quota');
+const { getLicenseFeatures, getPlan } = require('../plans');
+const { getBillingWarning, isInGracePeriod } = require('../dunning');
+const { IN_TERM_SQL, hasExpired } = require('../license-expiry');
+const { hashLicenseKey, maskLicenseKey, withUniqueLicenseKey } = require('../license-keys');
+const { resolveLicenseKey, getKeyDeprecation } = require('../key-rotation');
+const { logUsage, isReportableAction } = require('../usage-analytics');
+const { guardLicenseKey } = require('../validation-guard');
+const { logger } = require('../logger');
 
 // Database connection
 const pool = new Pool({
@@ -8,8 +22,33 @@ const pool = new Pool({
     ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
+// Record a usage row for analytics; buffered, so it never slows the response
+function trackUsage(req, license, action, domain) {
+    logUsage({
+        licenseKeyHash: license.license_key_hash,
+        domain,
+        action,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+    });
+}
+
+// Lockouts and failed-key counting for every endpoint that takes a license key (validation-guard.js)
+const licenseGuard = guardLicenseKey(pool);
+const validationGuard = guardLicenseKey(pool, { validation: true });
+
+// Plugins validate on every admin page load, so this is far above the global limit. Failed keys are
+// limited much more tightly by the lockouts in validation-guard.js.
+const validateLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.VALIDATE_RATE_LIMIT_MAX, 10) || 1000,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { valid: false, error: 'Too many requests, please try again later' }
+});
+
 // Validate license endpoint - called by the plugin
-router.post('/validate', async (req, res) => {
+router.post('/validate', validateLimiter, validationGuard, async (req, res) => {
     const { licenseKey, domain } = req.body;
     
     if (!licenseKey) {
@@ -26,17 +65,27 @@ router.post('/validate', async (req, res) => {
         });
     }
 
+    const normalizedRequestDomain = normalizeDomain(domain);
+
+    if (!normalizedRequestDomain) {
+        return res.status(400).json({ 
+            valid: false, 
+            error: `Invalid domain: ${domain}` 
+        });
+    }
+
     try {
         const client = await pool.connect();
         
         try {
-            // Find license in database
+            const { keyHash, rotated } = await resolveLicenseKey(client, licenseKey);
+
             const result = await client.query(`
                 SELECT * FROM licenses 
-                WHERE license_key = $1 
-                AND status = 'active'
-            `, [licenseKey]);
+                WHERE license_key_hash = $1
+            `, [keyHash]);
 
+            // Unknown keys were refused by the guard; this is a key that went away in the meantime
             if (result.rows.length === 0) {
                 return res.json({ 
                     valid: false, 
@@ -46,47 +95,77 @@ router.post('/validate', async (req, res) => {
 
             const license = result.rows[0];
 
-            // Check if license has expired
-            if (license.expires_at < new Date()) {
+            // Past due licenses keep working during their grace period
+            if (!['active', 'past_due'].includes(license.status)) {
+                return res.json({ 
+                    valid: false, 
+                    error: 'Invalid or inactive license key' 
+                });
+            }
+
+            // The expiry sweep suspends it shortly, until then treat it as suspended already
+            if (license.status === 'past_due' && !isInGracePeriod(license)) {
+                trackUsage(req, license, 'validate_rejected', normalizedRequestDomain);
+                return res.json({ 
+                    valid: false, 
+                    error: 'License suspended due to a failed payment' 
+                });
+            }
+
+            // Check if license has expired (a failed renewal leaves expires_at in the past during the grace period).
+            // Licenses without an expiry date never expire, and subscriptions get time for a late renewal.
+            if (license.status === 'active' && hasExpired(license)) {
                 // Update status to expired
                 await client.query(`
                     UPDATE licenses 
                     SET status = 'expired', updated_at = NOW()
-                    WHERE license_key = $1
-                `, [licenseKey]);
+                    WHERE license_key_hash = $1
+                `, [keyHash]);
 
+                trackUsage(req, license, 'validate_rejected', normalizedRequestDomain);
                 return res.json({ 
                     valid: false, 
                     error: 'License has expired' 
                 });
             }
 
-            // Get domain from license or check if domain matches
-            const licensedDomain = license.domain;
-            const normalizedRequestDomain = normalizeDomain(domain);
-            const normalizedLicenseDomain = normalizeDomain(licensedDomain);
+            // Check the domain against the license's activations, activating it if a slot is free
+            const features = await getLicenseFeatures(license.plan);
 
-            // Allow if domains match or if license domain is generic
-            const domainMatches = normalizedLicenseDomain === normalizedRequestDomain || 
-                                licensedDomain === 'unknown.com' || 
-                                licensedDomain.includes(normalizedRequestDomain);
+            const activation = await activateDomain(client, license, normalizedRequestDomain, features.max_websites);
 
-            if (!domainMatches) {
+            if (!activation.activated) {
+                trackUsage(req, license, 'validate_rejected', normalizedRequestDomain);
                 return res.json({ 
                     valid: false, 
-                    error: `License not valid for domain: ${domain}` 
+                    error: `License not valid for domain: ${domain} - website limit of ${features.max_websites} reached`,
+                    activations: activation.activations.map(a => a.domain)
                 });
             }
 
+            trackUsage(req, license, 'validate', normalizedRequestDomain);
+
             // Update last used timestamp
             await client.query(`
                 UPDATE licenses 
                 SET last_used = NOW(), usage_count = usage_count + 1
-                WHERE license_key = $1
-            `, [licenseKey]);
+                WHERE license_key_hash = $1
+            `, [keyHash]);
+
+            // Signed token so the plugin can keep validating offline. A replaced key's token
+            // must not outlive the key's overlap window.
+            let tokenExpiresAt = license.status === 'past_due' ? license.grace_period_ends_at : license.expires_at;
+            if (rotated && (!tokenExpiresAt || rotated.validUntil < tokenExpiresAt)) {
+                tokenExpiresAt = rotated.validUntil;
+            }
 
-            // Get license features based on plan
-            const features = getLicenseFeatures(license.plan);
+            const offlineToken = signLicenseToken({
+                licenseKey,
+                plan: license.plan,
+                features,
+                domain: normalizedRequestDomain,
+                licenseExpiresAt: tokenExpiresAt
+            });
 
             // Return valid license with features
             res.json({
@@ -96,11 +175,19 @@ router.post('/validate', async (req, res) => {
                     plan: license.plan,
                     features: features,
                     expiresAt: license.expires_at,
-                    domain: licensedDomain,
+                    domain: license.domain || activation.boundDomain,
+                    developmentDomain: activation.development,
+                    activeSites: activation.activations.length,
+                    maxWebsites: features.max_websites,
                     customer: {
                         email: license.email
                     }
-                }
+                },
+                billingWarning: getBillingWarning(license),
+                keyDeprecation: getKeyDeprecation(rotated),
+                token: offlineToken && offlineToken.token,
+                tokenRefreshAfter: offlineToken && offlineToken.refreshAfter,
+                tokenExpiresAt: offlineToken && offlineToken.expiresAt
             });
 
         } finally {
@@ -108,7 +195,7 @@ router.post('/validate', async (req, res) => {
         }
 
     } catch (error) {
-        console.error('❌ License validation error:', error);
+        logger.error('License validation error', { keyHint: maskLicenseKey(licenseKey), error });
         res.status(500).json({ 
             valid: false, 
             error: 'Internal server error' 
@@ -116,8 +203,335 @@ router.post('/validate', async (req, res) => {
     }
 });
 
+// Activate a website for a license - called by the plugin
+router.post('/activate', licenseGuard, async (req, res) => {
+    const { licenseKey, domain } = req.body;
+
+    if (!licenseKey || !domain) {
+        return res.status(400).json({ error: 'License key and domain are required' });
+    }
+
+    // A domain or an explicit *.example.com wildcard
+    const normalizedDomain = normalizeDomainPattern(domain);
+
+    if (!normalizedDomain) {
+        return res.status(400).json({ error: `Invalid domain: ${domain}` });
+    }
+
+    try {
+        const client = await pool.connect();
+
+        try {
+            const { keyHash } = await resolveLicenseKey(client, licenseKey);
+
+            const result = await client.query(`
+                SELECT * FROM licenses 
+                WHERE license_key_hash = $1 
+                AND (
+                    (status = 'active' AND ${IN_TERM_SQL})
+                    OR (status = 'past_due' AND grace_period_ends_at > NOW())
+                )
+            `, [keyHash]);
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'Invalid or inactive license key' });
+            }
+
+            const license = result.rows[0];
+            const features = await getLicenseFeatures(license.plan);
+
+            const activation = await activateDomain(client, license, normalizedDomain, features.max_websites);
+
+            if (activation.limitReached) {
+                return res.status(409).json({
+                    error: `Website limit of ${features.max_websites} reached for this license`,
+                    activations: activation.activations,
+                    maxWebsites: features.max_websites
+                });
+            }
+
+            if (!activation.alreadyActive && !activation.development) {
+                logger.info('Domain activated', { keyHint: license.license_key_hint, domain: normalizedDomain });
+            }
+
+            trackUsage(req, license, 'activate', normalizedDomain);
+
+            res.json({
+                success: true,
+                domain: normalizedDomain,
+                alreadyActive: activation.alreadyActive,
+                developmentDomain: activation.development,
+                activations: activation.activations,
+                maxWebsites: features.max_websites
+            });
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('License activation error', { keyHint: maskLicenseKey(licenseKey), error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Deactivate a website, freeing a slot - called by the plugin
+router.post('/deactivate', licenseGuard, async (req, res) => {
+    const { licenseKey, domain } = req.body;
+
+    if (!licenseKey || !domain) {
+        return res.status(400).json({ error: 'License key and domain are required' });
+    }
+
+    const normalizedDomain = normalizeDomainPattern(domain);
+
+    if (!normalizedDomain) {
+        return res.status(400).json({ error: `Invalid domain: ${domain}` });
+    }
+
+    try {
+        const client = await pool.connect();
+
+        try {
+            const { keyHash } = await resolveLicenseKey(client, licenseKey);
+
+            const result = await client.query(`
+                SELECT * FROM licenses WHERE license_key_hash = $1
+            `, [keyHash]);
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'License not found' });
+            }
+
+            const license = result.rows[0];
+            const deactivated = await deactivateDomain(client, license, normalizedDomain);
+
+            if (!deactivated) {
+                return res.status(404).json({ error: `Domain is not activated: ${normalizedDomain}` });
+            }
+
+            logger.info('Domain deactivated', { keyHint: license.license_key_hint, domain: normalizedDomain });
+            trackUsage(req, license, 'deactivate', normalizedDomain);
+
+            res.json({
+                success: true,
+                domain: normalizedDomain,
+                activations: await listActivations(client, license.id),
+                maxWebsites: (await getLicenseFeatures(license.plan)).max_websites
+            });
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('License deactivation error', { keyHint: maskLicenseKey(licenseKey), error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// List activated websites for a license
+router.get('/activations/:licenseKey', licenseGuard, async (req, res) => {
+    const { licenseKey } = req.params;
+
+    try {
+        const client = await pool.connect();
+
+        try {
+            const { keyHash } = await resolveLicenseKey(client, licenseKey);
+
+            const result = await client.query(`
+                SELECT * FROM licenses WHERE license_key_hash = $1
+            `, [keyHash]);
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'License not found' });
+            }
+
+            const license = result.rows[0];
+            await seedLegacyActivation(client, license);
+
+            res.json({
+                activations: await listActivations(client, license.id),
+                maxWebsites: (await getLicenseFeatures(license.plan)).max_websites
+            });
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('License activations error', { keyHint: maskLicenseKey(licenseKey), error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Report a scan against the monthly quota - called by the plugin
+router.post('/usage/scan', licenseGuard, async (req, res) => {
+    const { licenseKey, domain } = req.body;
+
+    if (!licenseKey || !domain) {
+        return res.status(400).json({ error: 'License key and domain are required' });
+    }
+
+    const normalizedDomain = normalizeDomain(domain);
+
+    if (!normalizedDomain) {
+        return res.status(400).json({ error: `Invalid domain: ${domain}` });
+    }
+
+    try {
+        const client = await pool.connect();
+
+        try {
+            const { keyHash } = await resolveLicenseKey(client, licenseKey);
+
+            const result = await client.query(`
+                SELECT * FROM licenses 
+                WHERE license_key_hash = $1 
+                AND (
+                    (status = 'active' AND ${IN_TERM_SQL})
+                    OR (status = 'past_due' AND grace_period_ends_at > NOW())
+                )
+            `, [keyHash]);
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'Invalid or inactive license key' });
+            }
+
+            const license = result.rows[0];
+            const activations = await listActivations(client, license.id);
+
+            if (!isDomainActivated(activations, normalizedDomain)) {
+                return res.status(403).json({ error: `Domain is not activated for this license: ${normalizedDomain}` });
+            }
+
+            const features = await getLicenseFeatures(license.plan);
+            const { recorded, quota } = await recordScan(client, license, features.max_scans_per_month, {
+                domain: normalizedDomain,
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            });
+
+            if (!recorded) {
+                return res.status(429).json({
+                    error: `Monthly scan limit of ${quota.limit} reached. The quota resets on ${quota.resetsAt.toISOString().slice(0, 10)}.`,
+                    code: 'SCAN_QUOTA_EXCEEDED',
+                    quota
+                });
+            }
+
+            res.json({ success: true, quota });
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('Scan metering error', { keyHint: maskLicenseKey(licenseKey), error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Report a plugin action (e.g. widget_opened, fix_applied) for usage analytics
+router.post('/usage/event', licenseGuard, async (req, res) => {
+    const { licenseKey, domain, action } = req.body;
+
+    if (!licenseKey || !domain || !action) {
+        return res.status(400).json({ error: 'License key, domain and action are required' });
+    }
+
+    if (!isReportableAction(action)) {
+        return res.status(400).json({ error: `Invalid action: ${action}` });
+    }
+
+    const normalizedDomain = normalizeDomain(domain);
+
+    if (!normalizedDomain) {
+        return res.status(400).json({ error: `Invalid domain: ${domain}` });
+    }
+
+    try {
+        const client = await pool.connect();
+
+        try {
+            const { keyHash } = await resolveLicenseKey(client, licenseKey);
+
+            const result = await client.query(`
+                SELECT license_key_hash FROM licenses 
+                WHERE license_key_hash = $1 
+                AND status IN ('active', 'past_due')
+            `, [keyHash]);
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'Invalid or inactive license key' });
+            }
+
+            trackUsage(req, result.rows[0], action, normalizedDomain);
+
+            res.status(202).json({ success: true });
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('Usage event error', { keyHint: maskLicenseKey(licenseKey), error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Remaining scan quota for the current billing period
+router.get('/usage/:licenseKey', licenseGuard, async (req, res) => {
+    const { licenseKey } = req.params;
+
+    try {
+        const client = await pool.connect();
+
+        try {
+            const { keyHash } = await resolveLicenseKey(client, licenseKey);
+
+            const result = await client.query(`
+                SELECT * FROM licenses WHERE license_key_hash = $1
+            `, [keyHash]);
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'License not found' });
+            }
+
+            const license = result.rows[0];
+            const features = await getLicenseFeatures(license.plan);
+
+            res.json({ quota: await getScanQuota(client, license, features.max_scans_per_month) });
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('Scan quota error', { keyHint: maskLicenseKey(licenseKey), error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Public keys for verifying offline license tokens - called by the plugin
+router.get('/public-keys', (req, res) => {
+    try {
+        res.set('Cache-Control', 'public, max-age=3600');
+        res.json({
+            algorithm: 'RS256',
+            tokenTtlSeconds: TOKEN_TTL_SECONDS,
+            gracePeriodSeconds: GRACE_PERIOD_SECONDS,
+            keys: getPublicKeys()
+        });
+    } catch (error) {
+        logger.error('Public key listing error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get license info endpoint (for admin dashboard)
-router.get('/info/:licenseKey', async (req, res) => {
+router.get('/info/:licenseKey', requireAdmin('viewer'), async (req, res) => {
     const { licenseKey } = req.params;
     
     try {
@@ -126,7 +540,8 @@ router.get('/info/:licenseKey', async (req, res) => {
         try {
             const result = await client.query(`
                 SELECT 
-                    license_key,
+                    id,
+                    license_key_hint,
                     email,
                     domain,
                     plan,
@@ -136,20 +551,22 @@ router.get('/info/:licenseKey', async (req, res) => {
                     last_used,
                     usage_count
                 FROM licenses 
-                WHERE license_key = $1
-            `, [licenseKey]);
+                WHERE license_key_hash = $1
+            `, [hashLicenseKey(licenseKey)]);
 
             if (result.rows.length === 0) {
                 return res.status(404).json({ error: 'License not found' });
             }
 
             const license = result.rows[0];
-            const features = getLicenseFeatures(license.plan);
+            const features = await getLicenseFeatures(license.plan);
+            const activations = await listActivations(client, license.id);
 
             res.json({
                 license: {
                     ...license,
-                    features
+                    features,
+                    activations
                 }
             });
 
@@ -158,20 +575,21 @@ router.get('/info/:licenseKey', async (req, res) => {
         }
 
     } catch (error) {
-        console.error('❌ License info error:', error);
+        logger.error('License info error', { keyHint: maskLicenseKey(licenseKey), error });
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // List all licenses endpoint (for admin)
-router.get('/all', async (req, res) => {
+router.get('/all', requireAdmin('viewer'), async (req, res) => {
     try {
         const client = await pool.connect();
         
         try {
             const result = await client.query(`
                 SELECT 
-                    license_key,
+                    id,
+                    license_key_hint,
                     email,
                     domain,
                     plan,
@@ -185,10 +603,10 @@ router.get('/all', async (req, res) => {
                 LIMIT 100
             `);
 
-            const licenses = result.rows.map(license => ({
-                ...license,
-                features: getLicenseFeatures(license.plan)
-            }));
+            const licenses = [];
+            for (const license of result.rows) {
+                licenses.push({ ...license, features: await getLicenseFeatures(license.plan) });
+            }
 
             res.json({ licenses });
 
@@ -197,41 +615,57 @@ router.get('/all', async (req, res) => {
         }
 
     } catch (error) {
-        console.error('❌ License list error:', error);
+        logger.error('License list error', { error });
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Create manual license endpoint (for testing)
-router.post('/create-manual', async (req, res) => {
-    const { email, domain, plan = 'starter' } = req.body;
+// Create manual license endpoint (admin only)
+router.post('/create-manual', requireAdmin('admin'), async (req, res) => {
+    const { email, plan = 'starter' } = req.body;
     
-    if (!email || !domain) {
-        return res.status(400).json({ error: 'Email and domain are required' });
+    if (!email) {
+        return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Optional: without a domain the license is bound to the first one it is activated on
+    const domain = req.body.domain ? normalizeDomainPattern(req.body.domain) : null;
+
+    if (domain === '') {
+        return res.status(400).json({ error: `Invalid domain: ${req.body.domain}` });
     }
 
     try {
-        const licenseKey = generateLicenseKey();
+        const planDetails = await getPlan(plan);
+        if (!planDetails || !planDetails.active) {
+            return res.status(400).json({ error: `Unknown or inactive plan: ${plan}` });
+        }
+
         const expiresAt = new Date();
         expiresAt.setMonth(expiresAt.getMonth() + 1); // 1 month from now
 
         const client = await pool.connect();
         
         try {
-            await client.query(`
-                INSERT INTO licenses (
-                    license_key,
-                    customer_id,
-                    email,
-                    domain,
-                    plan,
-                    status,
-                    created_at,
-                    expires_at
-                ) VALUES ($1, $2, $3, $4, $5, 'active', NOW(), $6)
-            `, [licenseKey, `manual-${Date.now()}`, email, domain, plan, expiresAt]);
+            const licenseKey = await withUniqueLicenseKey(async (key, keyHash, keyHint) => {
+                await client.query(`
+                    INSERT INTO licenses (
+                        license_key_hash,
+                        license_key_hint,
+                        customer_id,
+                        email,
+                        domain,
+                        plan,
+                        status,
+                        created_at,
+                        expires_at
+                    ) VALUES ($1, $2, $3, $4, $5, $6, 'active', NOW(), $7)
+                `, [keyHash, keyHint, `manual-${Date.now()}`, email, domain, plan, expiresAt]);
+
+                return key;
+            });
 
-            console.log('✅ Manual license created:', licenseKey);
+            logger.info('Manual license created', { admin: req.admin.email, keyHint: maskLicenseKey(licenseKey) });
 
             res.json({
                 success: true,
@@ -241,7 +675,7 @@ router.post('/create-manual', async (req, res) => {
                     domain,
                     plan,
                     expiresAt,
-                    features: getLicenseFeatures(plan)
+                    features: await getLicenseFeatures(plan)
                 }
             });
 
@@ -250,74 +684,9 @@ router.post('/create-manual', async (req, res) => {
         }
 
     } catch (error) {
-        console.error('❌ Manual license creation error:', error);
+        logger.error('Manual license creation error', { error });
         res.status(500).json({ error: 'Failed to create license' });
     }
 });
 
-// Helper function to normalize domain names
-function normalizeDomain(domain) {
-    if (!domain) return '';
-    
-    return domain
-        .toLowerCase()
-        .replace(/^https?:\/\//, '')
-        .replace(/^www\./, '')
-        .replace(/\/$/, '')
-        .split('/')[0];
-}
-
-// Helper function to generate license key
-function generateLicenseKey() {
-    const segments = [];
-    for (let i = 0; i < 4; i++) {
-        segments.push(Math.random().toString(36).substr(2, 4).toUpperCase());
-    }
-    return `EAA-${segments.join('-')}`;
-}
-
-// Get features based on plan
-function getLicenseFeatures(plan) {
-    const features = {
-        starter: {
-            scanning: true,
-            basic_fixes: true,
-            advanced_fixes: false,
-            widget: true,
-            max_scans_per_month: 100,
-            max_websites: 1,
-            priority_support: false,
-            api_access: false,
-            white_label: false,
-            detailed_reports: false
-        },
-        pro: {
-            scanning: true,
-            basic_fixes: true,
-            advanced_fixes: true,
-            widget: true,
-            max_scans_per_month: 500,
-            max_websites: 3,
-            priority_support: true,
-            api_access: false,
-            white_label: false,
-            detailed_reports: true
-        },
-        enterprise: {
-            scanning: true,
-            basic_fixes: true,
-            advanced_fixes: true,
-            widget: true,
-            max_scans_per_month: -1, // unlimited
-            max_websites: -1, // unlimited
-            priority_support: true,
-            api_access: true,
-            white_label: true,
-            detailed_reports: true
-        }
-    };
-    
-    return features[plan] || features.starter;
-}
-
 module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const { isCheckoutSessionId, getCheckoutLicense } = require('../checkout');
+const { pageLocale, renderPage } = require('../public-pages');
+const { TRIAL_DAYS, TrialError, findPendingTrial, confirmTrial } = require('../trials');
+const { logger } = require('../logger');
+
+// Database connection
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const POLL_INTERVAL_SECONDS = 3;
+const MAX_POLLS = 40; // about two minutes
+
+// Installation guide: ?lang=en|de, otherwise the browser language
+router.get('/install-guide', (req, res) => {
+    res.send(renderPage('install_guide', pageLocale(req), { path: '/install-guide' }));
+});
+
+// Stripe Checkout success_url: /checkout/success?session_id={CHECKOUT_SESSION_ID}
+// Reloads itself until the webhook has created the license, then shows the key.
+router.get('/checkout/success', async (req, res) => {
+    const locale = pageLocale(req);
+    const sessionId = req.query.session_id;
+
+    // The key is on this page, so keep it out of caches
+    res.set('Cache-Control', 'no-store');
+
+    if (!isCheckoutSessionId(sessionId)) {
+        return res.status(400).send(renderPage('checkout_success', locale, { path: '/checkout/success', state: 'invalid' }));
+    }
+
+    const path = `/checkout/success?session_id=${encodeURIComponent(sessionId)}`;
+    const attempt = Math.max(parseInt(req.query.attempt, 10) || 0, 0);
+
+    try {
+        const client = await pool.connect();
+
+        try {
+            const checkout = await getCheckoutLicense(client, sessionId);
+
+            if (checkout.status === 'ready') {
+                // The key is only handed out once, so don't offer a language switch that reloads the page
+                return res.send(renderPage('checkout_success', locale, {
+                    path: checkout.license.key ? null : path,
+                    state: 'ready',
+                    license: checkout.license
+                }));
+            }
+
+            if (attempt >= MAX_POLLS) {
+                return res.send(renderPage('checkout_success', locale, {
+                    path,
+                    state: 'timeout',
+                    retryUrl: `${path}&lang=${locale}`
+                }));
+            }
+
+            res.send(renderPage('checkout_success', locale, {
+                path,
+                state: 'pending',
+                refresh: { seconds: POLL_INTERVAL_SECONDS, url: `${path}&lang=${locale}&attempt=${attempt + 1}` }
+            }));
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('Checkout success page error', { error });
+        res.status(500).send('Internal server error');
+    }
+});
+
+const TRIAL_ERROR_STATES = {
+    404: 'invalid',
+    409: 'already_started',
+    410: 'expired'
+};
+
+function sendTrialError(res, locale, error) {
+    if (error instanceof TrialError) {
+        return res.status(error.status).send(renderPage('trial_confirm', locale, { path: null, state: TRIAL_ERROR_STATES[error.status] }));
+    }
+    logger.error('Trial confirmation error', { error });
+    res.status(500).send('Internal server error');
+}
+
+// Target of the trial verification email. Only shows what the trial is for and a button that posts
+// the token back; mail filters that open links must not start the trial. The email link carries
+// ?lang, and the form keeps it.
+router.get('/trial/confirm', async (req, res) => {
+    const locale = pageLocale(req);
+    const token = req.query.token;
+
+    res.set('Cache-Control', 'no-store');
+
+    if (!token || typeof token !== 'string') {
+        return res.status(400).send(renderPage('trial_confirm', locale, { path: null, state: 'invalid' }));
+    }
+
+    try {
+        const trial = await findPendingTrial(pool, token);
+
+        res.send(renderPage('trial_confirm', locale, {
+            path: null,
+            state: 'confirm',
+            token,
+            action: `/trial/confirm?lang=${locale}`,
+            trial: { ...trial, days: TRIAL_DAYS }
+        }));
+
+    } catch (error) {
+        sendTrialError(res, locale, error);
+    }
+});
+
+// Starts the trial and shows the key once. The token can only be redeemed once, so the page has no
+// language switch.
+router.post('/trial/confirm', async (req, res) => {
+    const locale = pageLocale(req);
+    const token = req.body.token;
+
+    res.set('Cache-Control', 'no-store');
+
+    if (!token || typeof token !== 'string') {
+        return res.status(400).send(renderPage('trial_confirm', locale, { path: null, state: 'invalid' }));
+    }
+
+    try {
+        const { licenseKey, license } = await confirmTrial(pool, token);
+
+        logger.info('Trial started', { licenseId: license.id, keyHint: license.license_key_hint, domain: license.domain });
+
+        res.send(renderPage('trial_confirm', locale, {
+            path: null,
+            state: 'started',
+            license: { key: licenseKey, email: license.email, domain: license.domain, expiresAt: license.expires_at }
+        }));
+
+    } catch (error) {
+        sendTrialError(res, locale, error);
+    }
+});
+
+module.exports = router;
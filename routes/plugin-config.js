@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const { getLicenseFeatures } = require('../plans');
+const { isWellFormedLicenseKey } = require('../license-keys');
+const { resolveLicenseKey } = require('../key-rotation');
+const { guardLicenseKey } = require('../validation-guard');
+const { IN_TERM_SQL } = require('../license-expiry');
+const { logger } = require('../logger');
+const {
+    getDefaultConfig,
+    validateConfig,
+    applyPlanLimits,
+    configEtag,
+    getCurrentConfig,
+    saveConfig,
+    listConfigVersions,
+    getConfigVersion
+} = require('../plugin-config');
+
+// Database connection
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Lockouts and failed-key counting, as on the license endpoints (validation-guard.js)
+const licenseGuard = guardLicenseKey(pool);
+
+// Active license, or a past due one still in its grace period
+async function findUsableLicense(client, licenseKey) {
+    if (!isWellFormedLicenseKey(licenseKey)) {
+        return null;
+    }
+
+    const { keyHash } = await resolveLicenseKey(client, licenseKey);
+
+    const result = await client.query(`
+        SELECT * FROM licenses 
+        WHERE license_key_hash = $1 
+        AND (
+            (status = 'active' AND ${IN_TERM_SQL})
+            OR (status = 'past_due' AND grace_period_ends_at > NOW())
+        )
+    `, [keyHash]);
+
+    return result.rows[0] || null;
+}
+
+// The version number from an If-Match header we issued, or null if there is none. ETags from
+// before the plan features were part of them are still accepted.
+function parseIfMatch(req, licenseId) {
+    const header = req.get('If-Match');
+    if (!header) return null;
+
+    const match = header.match(/^"(\d+)-(\d+)(?:-[0-9a-f]+)?"$/);
+    return match && Number(match[1]) === licenseId ? Number(match[2]) : -1;
+}
+
+function sendConfig(res, licenseId, row, features) {
+    res.set('ETag', configEtag(licenseId, row.version, features));
+    res.set('Cache-Control', 'no-cache');
+    res.json({
+        config: row.config_data,
+        version: row.version,
+        updatedAt: row.updated_at
+    });
+}
+
+// Fetch the current configuration. Send the ETag back in If-None-Match to get a 304 when unchanged.
+router.get('/:licenseKey', licenseGuard, async (req, res) => {
+    try {
+        const client = await pool.connect();
+
+        try {
+            const license = await findUsableLicense(client, req.params.licenseKey);
+
+            if (!license) {
+                return res.status(404).json({ error: 'Invalid or inactive license key' });
+            }
+
+            // The plan may have changed since the config was saved
+            const features = await getLicenseFeatures(license.plan);
+            const stored = await getCurrentConfig(client, license.id);
+            const current = stored
+                ? { ...stored, config_data: applyPlanLimits(stored.config_data, features) }
+                : { config_data: getDefaultConfig(features), version: 0, updated_at: null };
+
+            if (req.get('If-None-Match') === configEtag(license.id, current.version, features)) {
+                return res.status(304).end();
+            }
+
+            sendConfig(res, license.id, current, features);
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('Plugin config fetch error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Save a new configuration version. With If-Match the save fails with 412 if the config changed since.
+router.put('/:licenseKey', licenseGuard, async (req, res) => {
+    const { config } = req.body;
+
+    try {
+        const client = await pool.connect();
+
+        try {
+            const license = await findUsableLicense(client, req.params.licenseKey);
+
+            if (!license) {
+                return res.status(404).json({ error: 'Invalid or inactive license key' });
+            }
+
+            const features = await getLicenseFeatures(license.plan);
+            const errors = validateConfig(config, features);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid configuration', errors });
+            }
+
+            const saved = await saveConfig(client, license.id, config, { expectedVersion: parseIfMatch(req, license.id) });
+
+            if (saved.conflict) {
+                return res.status(412).json({
+                    error: 'Configuration was changed since it was fetched',
+                    version: saved.current ? saved.current.version : 0
+                });
+            }
+
+            logger.info('Plugin config saved', { keyHint: license.license_key_hint, version: saved.current.version });
+            sendConfig(res, license.id, saved.current, features);
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('Plugin config save error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Saved versions, newest first
+router.get('/:licenseKey/versions', licenseGuard, async (req, res) => {
+    try {
+        const client = await pool.connect();
+
+        try {
+            const license = await findUsableLicense(client, req.params.licenseKey);
+
+            if (!license) {
+                return res.status(404).json({ error: 'Invalid or inactive license key' });
+            }
+
+            res.json({ versions: await listConfigVersions(client, license.id) });
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('Plugin config versions error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Restore an earlier version. This saves it as a new version, so the rollback can be undone too.
+router.post('/:licenseKey/rollback', licenseGuard, async (req, res) => {
+    const version = Number(req.body.version);
+
+    if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({ error: 'A version number is required' });
+    }
+
+    try {
+        const client = await pool.connect();
+
+        try {
+            const license = await findUsableLicense(client, req.params.licenseKey);
+
+            if (!license) {
+                return res.status(404).json({ error: 'Invalid or inactive license key' });
+            }
+
+            const config = await getConfigVersion(client, license.id, version);
+
+            if (!config) {
+                return res.status(404).json({ error: `Configuration version ${version} not found` });
+            }
+
+            // The plan may have changed since that version was saved
+            const features = await getLicenseFeatures(license.plan);
+            const errors = validateConfig(config, features);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: `Version ${version} is not valid for the current plan`, errors });
+            }
+
+            const saved = await saveConfig(client, license.id, config, {
+                expectedVersion: parseIfMatch(req, license.id),
+                source: 'rollback'
+            });
+
+            if (saved.conflict) {
+                return res.status(412).json({
+                    error: 'Configuration was changed since it was fetched',
+                    version: saved.current ? saved.current.version : 0
+                });
+            }
+
+            logger.info('Plugin config rolled back', { keyHint: license.license_key_hint, restoredVersion: version, version: saved.current.version });
+            sendConfig(res, license.id, saved.current, features);
+
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        logger.error('Plugin config rollback error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
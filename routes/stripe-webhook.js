@@ -1,7 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const stripe = require('../stripe-client');
 const { Pool } = require('pg');
+const { requireAdmin } = require('../admin-auth');
+const { enqueueEmail } = require('../email-outbox');
+const { resolveLocale } = require('../email-templates');
+const { markPastDue, suspendSubscriptionLicenses } = require('../dunning');
+const { getPlanFromPriceId, getPlanPrice } = require('../plans');
+const { withUniqueLicenseKey } = require('../license-keys');
+const { normalizeDomainPattern } = require('../domain-utils');
+const { findConvertibleTrial } = require('../trials');
+const { storeKeyReveal } = require('../checkout');
+const { runReconciliation } = require('../stripe-reconciliation');
+const { logger, withLogContext } = require('../logger');
 
 // Database connection
 const pool = new Pool({
@@ -16,204 +27,566 @@ router.post('/webhook', express.raw({type: 'application/json'}), async (req, res
 
     try {
         event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-        console.log('✅ Webhook signature verified');
     } catch (err) {
-        console.error('❌ Webhook signature verification failed:', err.message);
+        logger.warn('Webhook signature verification failed', { reason: err.message });
         return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    console.log('📨 Received webhook:', event.type);
+    logger.info('Webhook received', { eventId: event.id, eventType: event.type });
 
     try {
-        switch (event.type) {
-            case 'checkout.session.completed':
-                await handleSuccessfulPayment(event.data.object);
-                break;
-            
-            case 'invoice.payment_succeeded':
-                await handleSubscriptionRenewal(event.data.object);
-                break;
-            
-            case 'customer.subscription.deleted':
-            case 'customer.subscription.canceled':
-                await handleSubscriptionCancellation(event.data.object);
-                break;
-            
-            case 'invoice.payment_failed':
-                await handlePaymentFailure(event.data.object);
-                break;
-            
-            default:
-                console.log(`🤷 Unhandled event type: ${event.type}`);
+        // Record the event; Stripe retries of an already handled event are acknowledged and skipped
+        const claimed = await claimWebhookEvent(event);
+
+        if (!claimed) {
+            logger.info('Skipping already processed webhook', { eventId: event.id });
+            return res.json({received: true, duplicate: true});
         }
+
+        await runWebhookEvent(event);
         
         res.json({received: true});
     } catch (error) {
-        console.error('❌ Webhook processing error:', error);
+        logger.error('Webhook processing failed', { eventId: event.id, eventType: event.type, error });
         res.status(500).json({error: 'Webhook processing failed'});
     }
 });
 
+// List failed webhook events (admin)
+router.get('/events/failed', requireAdmin('viewer'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT stripe_event_id, event_type, status, attempts, error_message, received_at, updated_at
+            FROM webhook_events
+            WHERE status = 'failed'
+            ORDER BY received_at DESC
+            LIMIT 100
+        `);
+
+        res.json({ events: result.rows });
+
+    } catch (error) {
+        logger.error('Webhook event list error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Re-run a failed webhook event from its stored payload (admin)
+router.post('/events/:eventId/retry', requireAdmin('admin'), async (req, res) => {
+    const { eventId } = req.params;
+
+    try {
+        const result = await pool.query(`
+            UPDATE webhook_events
+            SET status = 'processing', attempts = attempts + 1, error_message = NULL, updated_at = NOW()
+            WHERE stripe_event_id = $1 AND status = 'failed'
+            RETURNING data
+        `, [eventId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'No failed event found with this ID' });
+        }
+
+        logger.info('Retrying webhook', { eventId, admin: req.admin.email });
+
+        try {
+            await runWebhookEvent(result.rows[0].data);
+        } catch (error) {
+            return res.status(422).json({ success: false, error: error.message });
+        }
+
+        res.json({ success: true });
+
+    } catch (error) {
+        logger.error('Webhook retry error', { eventId, error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Compare licenses with Stripe subscriptions and report drift (admin). Dry run unless { "fix": true }.
+router.post('/reconcile', requireAdmin('admin'), async (req, res) => {
+    const fix = req.body.fix === true;
+
+    try {
+        const report = await runReconciliation({ fix });
+
+        if (!report) {
+            return res.status(409).json({ error: 'A reconciliation is already running' });
+        }
+
+        if (fix) {
+            logger.info('Stripe reconciliation fixes applied', { admin: req.admin.email });
+        }
+
+        res.json(report);
+
+    } catch (error) {
+        logger.error('Stripe reconciliation error', { error });
+        res.status(500).json({ error: 'Stripe reconciliation failed' });
+    }
+});
+
+// Dispatch an event to its handler and record the outcome in webhook_events. Everything logged
+// while the event is handled - including emails queued for it - carries its ID.
+async function runWebhookEvent(event) {
+    return withLogContext({ eventId: event.id, eventType: event.type }, async () => {
+        try {
+            const handled = await processWebhookEvent(event);
+            await completeWebhookEvent(event.id, handled ? 'processed' : 'ignored');
+        } catch (error) {
+            await completeWebhookEvent(event.id, 'failed', error.message);
+            throw error;
+        }
+    });
+}
+
+// Returns false for event types we don't handle
+async function processWebhookEvent(event) {
+    switch (event.type) {
+        case 'checkout.session.completed':
+            await handleSuccessfulPayment(event.data.object, event.id);
+            break;
+        
+        case 'invoice.payment_succeeded':
+            await handleSubscriptionRenewal(event.data.object, event.id);
+            break;
+        
+        case 'customer.subscription.updated':
+            await handleSubscriptionUpdate(event.data.object, event.id);
+            break;
+        
+        case 'customer.subscription.deleted':
+        case 'customer.subscription.canceled':
+            await handleSubscriptionCancellation(event.data.object, event.id);
+            break;
+        
+        case 'invoice.payment_failed':
+            await handlePaymentFailure(event.data.object, event.id);
+            break;
+        
+        default:
+            logger.info('Unhandled event type');
+            return false;
+    }
+
+    return true;
+}
+
 // Handle successful payment (new subscription)
-async function handleSuccessfulPayment(session) {
-    console.log('💳 Processing successful payment:', session.id);
+async function handleSuccessfulPayment(session, eventId) {
+    logger.info('Processing successful payment', { checkoutSessionId: session.id });
     
     try {
         // Get subscription details
         const subscription = await stripe.subscriptions.retrieve(session.subscription);
         const customer = await stripe.customers.retrieve(session.customer);
         
-        // Extract domain from metadata or customer email
-        const domain = session.metadata?.domain || extractDomainFromEmail(customer.email);
-        const plan = getPlanFromPriceId(subscription.items.data[0].price.id);
+        // Domain from the checkout metadata; without one the license is bound on first activation
+        const domain = normalizeDomainPattern(session.metadata?.domain) || null;
+        const plan = await getSubscriptionPlan(subscription);
+        const locale = resolveLocale(customer.preferred_locales?.[0] || session.locale);
         
-        // Generate license key
-        const licenseKey = generateLicenseKey();
+        const expiresAt = new Date(subscription.current_period_end * 1000);
+        const periodStart = new Date(subscription.current_period_start * 1000);
+        const price = await getPlanPrice(plan);
         
-        // Store license in database
         const client = await pool.connect();
         try {
-            await client.query(`
-                INSERT INTO licenses (
-                    license_key, 
-                    customer_id, 
-                    subscription_id,
-                    email,
-                    domain, 
-                    plan, 
-                    status, 
-                    created_at, 
-                    expires_at
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), $8)
-                ON CONFLICT (customer_id) 
-                DO UPDATE SET 
-                    license_key = $1,
-                    subscription_id = $3,
-                    plan = $6,
-                    status = $7,
-                    expires_at = $8,
-                    updated_at = NOW()
-            `, [
-                licenseKey,
-                session.customer,
-                session.subscription,
-                customer.email,
-                domain,
-                plan,
-                'active',
-                new Date(subscription.current_period_end * 1000)
-            ]);
-            
-            console.log('✅ License created:', licenseKey);
+            // License, trial conversion and emails commit together, so a failed event can simply be
+            // retried. The whole transaction is retried with a fresh key if the new key collides.
+            const { licenseId, licenseKeyHint, trialConverted } = await withUniqueLicenseKey(async (key, keyHash, keyHint) => {
+                await client.query('BEGIN');
+                
+                try {
+                    // A customer who trialed keeps their key: the trial license becomes the paid one
+                    const trial = await findConvertibleTrial(client, { email: customer.email, domain });
+                    let licenseId;
+                    
+                    if (trial) {
+                        await client.query(`
+                            UPDATE licenses SET 
+                                customer_id = $2,
+                                subscription_id = $3,
+                                domain = COALESCE(domain, $4),
+                                plan = $5,
+                                status = 'active',
+                                expires_at = $6,
+                                current_period_start = $7,
+                                locale = $8,
+                                checkout_session_id = $9,
+                                trial_converted_at = NOW(),
+                                updated_at = NOW()
+                            WHERE id = $1
+                        `, [trial.id, session.customer, session.subscription, domain, plan, expiresAt, periodStart, locale, session.id]);
+                        
+                        await client.query(`
+                            INSERT INTO license_plan_changes (license_id, old_plan, new_plan, stripe_event_id)
+                            VALUES ($1, $2, $3, $4)
+                        `, [trial.id, trial.plan, plan, eventId]);
+                        
+                        licenseId = trial.id;
+                        
+                    } else {
+                        const result = await client.query(`
+                            INSERT INTO licenses (
+                                license_key_hash, 
+                                license_key_hint, 
+                                customer_id, 
+                                subscription_id,
+                                email,
+                                domain, 
+                                plan, 
+                                status, 
+                                created_at, 
+                                expires_at,
+                                current_period_start,
+                                locale,
+                                checkout_session_id
+                            ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'active', NOW(), $8, $9, $10, $11)
+                            RETURNING id
+                        `, [
+                            keyHash,
+                            keyHint,
+                            session.customer,
+                            session.subscription,
+                            customer.email,
+                            domain,
+                            plan,
+                            expiresAt,
+                            periodStart,
+                            locale,
+                            session.id
+                        ]);
+                        
+                        licenseId = result.rows[0].id;
+                        
+                        // Shown once on the checkout success page
+                        await storeKeyReveal(client, licenseId, key);
+                    }
+                    
+                    // A converted trial keeps its key, which isn't known here, so its emails show the
+                    // hint. A new key goes to the outbox encrypted; the payloads only hold its hint.
+                    const keyHintShown = trial ? trial.license_key_hint : keyHint;
+                    
+                    // Queue welcome and business emails; the outbox worker retries if Resend is down
+                    await enqueueEmail(client, {
+                        type: 'welcome',
+                        recipient: customer.email,
+                        licenseId,
+                        stripeEventId: eventId,
+                        licenseKey: trial ? null : key,
+                        payload: {
+                            locale,
+                            customer: { email: customer.email, name: customer.name },
+                            license: { license_key: keyHintShown, plan, price, domain, expires_at: expiresAt },
+                            trialConverted: Boolean(trial)
+                        }
+                    });
+                    
+                    await enqueueEmail(client, {
+                        type: 'business_notification',
+                        recipient: process.env.BUSINESS_EMAIL || 'miguellieberwirth@freenet.de',
+                        licenseId,
+                        stripeEventId: eventId,
+                        payload: {
+                            customer: { email: customer.email, name: customer.name },
+                            license: { license_key: keyHintShown, plan },
+                            payment: { amount: ((session.amount_total || 0) / 100).toFixed(2) }
+                        }
+                    });
+                    
+                    await client.query('COMMIT');
+                    return { licenseId, licenseKeyHint: keyHintShown, trialConverted: Boolean(trial) };
+                    
+                } catch (error) {
+                    await client.query('ROLLBACK');
+                    throw error;
+                }
+            });
             
-            // Send license key email (optional - you can implement this later)
-            await sendLicenseEmail(customer.email, licenseKey, domain, plan);
+            if (trialConverted) {
+                logger.info('Trial license converted', { licenseId, keyHint: licenseKeyHint, plan });
+            } else {
+                logger.info('License created', { licenseId, keyHint: licenseKeyHint, plan });
+            }
             
         } finally {
             client.release();
         }
         
     } catch (error) {
-        console.error('❌ Error processing payment:', error);
+        logger.error('Error processing payment', { checkoutSessionId: session.id, error });
         throw error;
     }
 }
 
 // Handle subscription renewal
-async function handleSubscriptionRenewal(invoice) {
-    console.log('🔄 Processing subscription renewal:', invoice.subscription);
+async function handleSubscriptionRenewal(invoice, eventId) {
+    logger.info('Processing subscription renewal', { subscriptionId: invoice.subscription });
     
     const client = await pool.connect();
     try {
-        // Extend license expiration
-        await client.query(`
+        // Extend license expiration, start a new metering period and end any dunning. A license
+        // an admin suspended (rather than dunning) is extended but stays suspended.
+        const result = await client.query(`
             UPDATE licenses 
-            SET expires_at = $1, status = 'active', updated_at = NOW()
-            WHERE subscription_id = $2
+            SET expires_at = $1, 
+                current_period_start = $2, 
+                status = CASE
+                    WHEN status = 'suspended' AND dunning_stage IS DISTINCT FROM 'suspended' THEN status
+                    ELSE 'active'
+                END, 
+                past_due_since = NULL, 
+                grace_period_ends_at = NULL, 
+                dunning_stage = NULL, 
+                updated_at = NOW()
+            WHERE subscription_id = $3
+            AND status <> 'revoked'
+            RETURNING id, license_key_hint, email, plan, expires_at, locale
         `, [
             new Date(invoice.lines.data[0].period.end * 1000),
+            new Date(invoice.lines.data[0].period.start * 1000),
             invoice.subscription
         ]);
         
-        console.log('✅ License renewed for subscription:', invoice.subscription);
+        // The first invoice of a subscription is covered by the welcome email
+        if (invoice.billing_reason !== 'subscription_create') {
+            for (const license of result.rows) {
+                await enqueueEmail(client, {
+                    type: 'renewal_receipt',
+                    recipient: license.email,
+                    licenseId: license.id,
+                    stripeEventId: eventId,
+                    payload: {
+                        locale: license.locale,
+                        customer: { email: license.email, name: invoice.customer_name },
+                        license: { license_key: license.license_key_hint, plan: license.plan, expires_at: license.expires_at },
+                        invoice: {
+                            number: invoice.number,
+                            amount: (invoice.amount_paid || 0) / 100,
+                            currency: invoice.currency,
+                            url: invoice.hosted_invoice_url
+                        }
+                    }
+                });
+            }
+        }
+        
+        logger.info('License renewed', { subscriptionId: invoice.subscription, licenses: result.rowCount });
         
     } finally {
         client.release();
     }
 }
 
-// Handle subscription cancellation
-async function handleSubscriptionCancellation(subscription) {
-    console.log('❌ Processing subscription cancellation:', subscription.id);
+// Handle plan changes and scheduled cancellations (customer.subscription.updated)
+async function handleSubscriptionUpdate(subscription, eventId) {
+    logger.info('Processing subscription update', { subscriptionId: subscription.id });
     
+    const newPlan = await getSubscriptionPlan(subscription);
     const client = await pool.connect();
+    let planChange = null;
+    
     try {
-        await client.query(`
-            UPDATE licenses 
-            SET status = 'cancelled', updated_at = NOW()
+        await client.query('BEGIN');
+        
+        const result = await client.query(`
+            SELECT id, license_key_hint, email, plan, locale
+            FROM licenses
             WHERE subscription_id = $1
+            FOR UPDATE
         `, [subscription.id]);
         
-        console.log('✅ License cancelled for subscription:', subscription.id);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            logger.warn('No license found for subscription', { subscriptionId: subscription.id });
+            return;
+        }
+        
+        const license = result.rows[0];
         
+        // A subscription set to cancel at period end stays active until Stripe sends
+        // customer.subscription.deleted when the period is over
+        await client.query(`
+            UPDATE licenses 
+            SET plan = $1,
+                expires_at = $2,
+                current_period_start = $3,
+                cancel_at_period_end = $4,
+                updated_at = NOW()
+            WHERE id = $5
+        `, [
+            newPlan,
+            new Date(subscription.current_period_end * 1000),
+            new Date(subscription.current_period_start * 1000),
+            Boolean(subscription.cancel_at_period_end),
+            license.id
+        ]);
+        
+        if (license.plan !== newPlan) {
+            await client.query(`
+                INSERT INTO license_plan_changes (license_id, old_plan, new_plan, stripe_event_id)
+                VALUES ($1, $2, $3, $4)
+            `, [license.id, license.plan, newPlan, eventId]);
+            
+            await enqueueEmail(client, {
+                type: 'plan_change',
+                recipient: license.email,
+                licenseId: license.id,
+                stripeEventId: eventId,
+                payload: {
+                    locale: license.locale,
+                    customer: { email: license.email },
+                    license: {
+                        license_key: license.license_key_hint,
+                        old_plan: license.plan,
+                        plan: newPlan,
+                        price: await getPlanPrice(newPlan),
+                        expires_at: new Date(subscription.current_period_end * 1000)
+                    }
+                }
+            });
+            
+            planChange = { license, oldPlan: license.plan };
+        }
+        
+        // Stripe gave up collecting the payment: suspend without waiting for the grace period
+        if (subscription.status === 'unpaid') {
+            await suspendSubscriptionLicenses(client, subscription.id, eventId);
+        }
+        
+        await client.query('COMMIT');
+        
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
     } finally {
         client.release();
     }
+    
+    if (subscription.cancel_at_period_end) {
+        logger.info('License set to cancel at period end', { subscriptionId: subscription.id });
+    }
+    
+    if (subscription.status === 'unpaid') {
+        logger.info('License suspended, subscription unpaid', { subscriptionId: subscription.id });
+    }
+    
+    if (planChange) {
+        logger.info('Plan changed', { licenseId: planChange.license.id, oldPlan: planChange.oldPlan, plan: newPlan });
+    }
 }
 
-// Handle payment failure
-async function handlePaymentFailure(invoice) {
-    console.log('💸 Processing payment failure:', invoice.subscription);
+// Handle subscription cancellation
+async function handleSubscriptionCancellation(subscription, eventId) {
+    logger.info('Processing subscription cancellation', { subscriptionId: subscription.id });
     
     const client = await pool.connect();
     try {
-        await client.query(`
+        const result = await client.query(`
             UPDATE licenses 
-            SET status = 'payment_failed', updated_at = NOW()
+            SET status = 'cancelled', updated_at = NOW()
             WHERE subscription_id = $1
-        `, [invoice.subscription]);
+            AND status <> 'revoked'
+            RETURNING id, license_key_hint, email, plan, expires_at, locale
+        `, [subscription.id]);
+        
+        for (const license of result.rows) {
+            await enqueueEmail(client, {
+                type: 'cancellation',
+                recipient: license.email,
+                licenseId: license.id,
+                stripeEventId: eventId,
+                payload: {
+                    locale: license.locale,
+                    customer: { email: license.email },
+                    license: { license_key: license.license_key_hint, plan: license.plan, expires_at: license.expires_at }
+                }
+            });
+        }
         
-        console.log('⚠️ License suspended due to payment failure:', invoice.subscription);
+        logger.info('License cancelled', { subscriptionId: subscription.id });
         
     } finally {
         client.release();
     }
 }
 
-// Generate unique license key
-function generateLicenseKey() {
-    const segments = [];
-    for (let i = 0; i < 4; i++) {
-        segments.push(Math.random().toString(36).substr(2, 4).toUpperCase());
+// Handle payment failure - starts the dunning grace period (see dunning.js)
+async function handlePaymentFailure(invoice, eventId) {
+    logger.info('Processing payment failure', { subscriptionId: invoice.subscription });
+    
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const licenses = await markPastDue(client, invoice, eventId);
+        await client.query('COMMIT');
+        
+        if (licenses.length > 0) {
+            logger.warn('License past due', { subscriptionId: invoice.subscription, graceEndsAt: licenses[0].grace_period_ends_at });
+        }
+        
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
     }
-    return `EAA-${segments.join('-')}`;
 }
 
-// Map Stripe price ID to plan name
-function getPlanFromPriceId(priceId) {
-    // You'll need to update these with your actual Stripe Price IDs
-    const priceMapping = {
-        [process.env.STRIPE_PRICE_STARTER]: 'starter',
-        [process.env.STRIPE_PRICE_PRO]: 'pro', 
-        [process.env.STRIPE_PRICE_ENTERPRISE]: 'enterprise'
-    };
-    
-    return priceMapping[priceId] || 'starter';
+// Insert the event, or take over a failed/stalled attempt. Returns false if it was already
+// processed or another request is processing it right now.
+async function claimWebhookEvent(event) {
+    const result = await pool.query(`
+        INSERT INTO webhook_events (
+            stripe_event_id,
+            event_type,
+            data,
+            status,
+            attempts,
+            received_at,
+            processed_at,
+            updated_at
+        ) VALUES ($1, $2, $3, 'processing', 1, NOW(), NULL, NOW())
+        ON CONFLICT (stripe_event_id)
+        DO UPDATE SET
+            status = 'processing',
+            attempts = webhook_events.attempts + 1,
+            error_message = NULL,
+            updated_at = NOW()
+        WHERE webhook_events.status = 'failed'
+        OR (webhook_events.status = 'processing' AND webhook_events.updated_at < NOW() - INTERVAL '10 minutes')
+        RETURNING id
+    `, [event.id, event.type, event]);
+
+    return result.rows.length > 0;
 }
 
-// Extract domain from email (fallback if no domain in metadata)
-function extractDomainFromEmail(email) {
-    const domain = email.split('@')[1];
-    return domain || 'unknown.com';
+// Record the processing outcome of an event
+async function completeWebhookEvent(eventId, status, errorMessage = null) {
+    await pool.query(`
+        UPDATE webhook_events
+        SET status = $2::varchar,
+            error_message = $3,
+            processed_at = CASE WHEN $2::varchar = 'failed' THEN processed_at ELSE NOW() END,
+            updated_at = NOW()
+        WHERE stripe_event_id = $1
+    `, [eventId, status, errorMessage]);
+    
+    logger.info('Webhook event recorded', { eventId, status, reason: errorMessage || undefined });
 }
 
-// Send license key email (basic implementation)
-async function sendLicenseEmail(email, licenseKey, domain, plan) {
-    console.log(`📧 Would send license email to: ${email}`);
-    console.log(`License: ${licenseKey}, Domain: ${domain}, Plan: ${plan}`);
+// Plan for the subscription's price from the plan catalog. An unknown price fails the event, so it
+// shows up in /stripe/events/failed and can be retried once the price is linked to a plan.
+async function getSubscriptionPlan(subscription) {
+    const priceId = subscription.items.data[0].price.id;
+    const plan = await getPlanFromPriceId(priceId);
+    
+    if (!plan) {
+        throw new Error(`No plan is linked to Stripe price ${priceId}`);
+    }
     
-    // TODO: Implement email sending (NodeMailer, SendGrid, etc.)
-    // For now, just log the information
+    return plan;
 }
 
 module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const validator = require('validator');
+const { Pool } = require('pg');
+const { normalizeDomain, isDevelopmentDomain } = require('../domain-utils');
+const { resolveLocale } = require('../email-templates');
+const { TRIAL_DAYS, TrialError, requestTrial } = require('../trials');
+const { logger } = require('../logger');
+
+// Database connection
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Every request sends an email, so limit them like login links
+const trialLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5, // limit each IP to 5 trial requests per windowMs
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: 'Too many trial requests, please try again later' }
+});
+
+// Request a free trial for a website. The license is created once the page behind the emailed
+// link is confirmed (POST /trial/confirm). Asking again before that sends a fresh link.
+router.post('/', trialLimiter, async (req, res) => {
+    const { email, domain } = req.body;
+
+    if (!email || !validator.isEmail(email)) {
+        return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    // Trials are for one concrete live website; development hosts work with any license anyway
+    const normalizedDomain = normalizeDomain(domain);
+
+    if (!normalizedDomain || isDevelopmentDomain(normalizedDomain)) {
+        return res.status(400).json({ error: 'A valid website domain is required' });
+    }
+
+    const locale = resolveLocale(req.body.locale || req.acceptsLanguages('de', 'en'));
+
+    try {
+        await requestTrial(pool, {
+            email: email.toLowerCase(),
+            domain: normalizedDomain,
+            locale,
+            ipAddress: req.ip
+        });
+
+        logger.info('Trial requested', { domain: normalizedDomain });
+
+        res.status(202).json({
+            success: true,
+            message: 'Check your email to start the trial',
+            domain: normalizedDomain,
+            trialDays: TRIAL_DAYS
+        });
+
+    } catch (error) {
+        if (error instanceof TrialError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Trial request error', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+// Monthly scan metering against the plan's max_scans_per_month.
+// Scans are stored as license_usage rows with action = 'scan'.
+
+const SCAN_ACTION = 'scan';
+
+// Add whole months, clamping to the last day when the target month is shorter (Jan 31 + 1 = Feb 28)
+function addMonths(date, months) {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, daysInMonth));
+  return result;
+}
+
+// The monthly window `now` falls in. Windows are anchored on the billing date (expires_at, which
+// is the Stripe period end for subscriptions), so yearly plans also reset every month on their
+// billing day. The Stripe period start is a lower bound so a fresh period never inherits old scans.
+function getQuotaPeriod(license, now = new Date()) {
+  const anchor = new Date(license.expires_at || license.created_at || now);
+
+  let monthsBack = (anchor.getUTCFullYear() - now.getUTCFullYear()) * 12 + (anchor.getUTCMonth() - now.getUTCMonth());
+  let start = addMonths(anchor, -monthsBack);
+  while (start > now) {
+    monthsBack += 1;
+    start = addMonths(anchor, -monthsBack);
+  }
+  while (addMonths(anchor, -monthsBack + 1) <= now) {
+    monthsBack -= 1;
+    start = addMonths(anchor, -monthsBack);
+  }
+
+  const end = addMonths(anchor, -monthsBack + 1);
+
+  if (license.current_period_start && new Date(license.current_period_start) > start) {
+    start = new Date(license.current_period_start);
+  }
+
+  return { start, end };
+}
+
+function buildQuota(maxScans, used, period) {
+  const unlimited = maxScans === -1;
+
+  return {
+    limit: maxScans,
+    used,
+    remaining: unlimited ? -1 : Math.max(maxScans - used, 0),
+    unlimited,
+    periodStart: period.start,
+    resetsAt: period.end
+  };
+}
+
+async function countScans(client, licenseKeyHash, period) {
+  const result = await client.query(`
+    SELECT COUNT(*)::int AS used
+    FROM license_usage
+    WHERE license_key_hash = $1
+    AND action = $2
+    AND timestamp >= $3
+    AND timestamp < $4
+  `, [licenseKeyHash, SCAN_ACTION, period.start, period.end]);
+
+  return result.rows[0].used;
+}
+
+// Current quota for a license without recording anything
+async function getScanQuota(client, license, maxScans) {
+  const period = getQuotaPeriod(license);
+  const used = await countScans(client, license.license_key_hash, period);
+  return buildQuota(maxScans, used, period);
+}
+
+// Record one scan if the quota allows it.
+// Returns { recorded, quota } - recorded is false once the limit has been reached.
+async function recordScan(client, license, maxScans, { domain, ipAddress, userAgent }) {
+  await client.query('BEGIN');
+
+  try {
+    // Serialize reports per license so parallel scans can't overshoot the limit
+    await client.query('SELECT id FROM licenses WHERE id = $1 FOR UPDATE', [license.id]);
+
+    const period = getQuotaPeriod(license);
+    const used = await countScans(client, license.license_key_hash, period);
+
+    if (maxScans !== -1 && used >= maxScans) {
+      await client.query('ROLLBACK');
+      return { recorded: false, quota: buildQuota(maxScans, used, period) };
+    }
+
+    await client.query(`
+      INSERT INTO license_usage (license_key_hash, domain, action, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [license.license_key_hash, domain, SCAN_ACTION, ipAddress || null, userAgent || null]);
+
+    await client.query('COMMIT');
+
+    return { recorded: true, quota: buildQuota(maxScans, used + 1, period) };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+module.exports = {
+  getQuotaPeriod,
+  getScanQuota,
+  recordScan
+};
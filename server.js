@@ -1,14 +1,20 @@
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const { Pool } = require('pg');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const stripe = require('./stripe-client');
 const jwt = require('jsonwebtoken');
-const winston = require('winston');
-const morgan = require('morgan');
-require('dotenv').config();
+const { logger, requestContext, requestLogger } = require('./logger');
+const { getPendingMigrations } = require('./migrate');
+const { loadKeys: loadSigningKeys } = require('./license-token');
+const { loadEncryptionKey } = require('./key-encryption');
+const { checkRefreshSecret } = require('./admin-auth');
+const { startEmailOutboxWorker } = require('./email-outbox');
+const { startExpirySweepWorker } = require('./license-expiry');
+const { startUsageFlushWorker } = require('./usage-analytics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -16,86 +22,27 @@ const PORT = process.env.PORT || 3000;
 // Enable trust proxy - needed for Railway deployment
 app.set('trust proxy', 1);
 
-// Logging setup
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.errors({ stack: true }),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: 'error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'combined.log' }),
-    new winston.transports.Console({
-      format: winston.format.simple()
-    })
-  ]
-});
-
 // Database connection
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
-// Initialize database on startup
-const initializeDatabase = async () => {
-  try {
-    console.log('🔧 Initializing database...');
-    
-    // Create licenses table if it doesn't exist
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS licenses (
-        id SERIAL PRIMARY KEY,
-        license_key VARCHAR(50) UNIQUE NOT NULL,
-        customer_id VARCHAR(255),
-        subscription_id VARCHAR(255),
-        email VARCHAR(255) NOT NULL,
-        domain VARCHAR(255),
-        plan VARCHAR(50) NOT NULL DEFAULT 'starter',
-        status VARCHAR(50) NOT NULL DEFAULT 'active',
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW(),
-        expires_at TIMESTAMP,
-        last_used TIMESTAMP,
-        usage_count INTEGER DEFAULT 0
-      )
-    `);
-    
-    // Create other essential tables
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS customers (
-        id SERIAL PRIMARY KEY,
-        stripe_customer_id VARCHAR(255) UNIQUE NOT NULL,
-        email VARCHAR(255) NOT NULL,
-        name VARCHAR(255),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    console.log('✅ Database initialized successfully');
-  } catch (error) {
-    console.error('❌ Database initialization failed:', error);
-  }
-};
-
-// Initialize database on startup
-initializeDatabase();
-
-// Middleware
+// Middleware - request ID first, so every line logged for a request carries it (see logger.js)
+app.use(requestContext);
+app.use(requestLogger);
 app.use(helmet());
 app.use(compression());
-app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) }}));
 
-// Rate limiting - configure for Railway proxy
+// Rate limiting - configure for Railway proxy. /api/license/validate has its own, higher limit and
+// brute-force lockouts (routes/license.js), so agencies with many sites behind one IP aren't blocked.
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
   trustProxy: true, // Trust Railway proxy
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  skip: (req) => req.path === '/api/license/validate'
 });
 app.use(limiter);
 
@@ -113,10 +60,32 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Import routes
 const stripeWebhookRoute = require('./routes/stripe-webhook');
 const licenseRoute = require('./routes/license');
+const adminAuthRoute = require('./routes/admin-auth');
+const customerRoute = require('./routes/customer');
+const adminEmailsRoute = require('./routes/admin-emails');
+const adminPlansRoute = require('./routes/admin-plans');
+const adminLicensesRoute = require('./routes/admin-licenses');
+const adminUsageRoute = require('./routes/admin-usage');
+const adminDashboardRoute = require('./routes/admin-dashboard');
+const checkoutRoute = require('./routes/checkout');
+const trialRoute = require('./routes/trial');
+const onboardingRoute = require('./routes/onboarding');
+const pluginConfigRoute = require('./routes/plugin-config');
 
 // Routes
 app.use('/stripe', stripeWebhookRoute);
 app.use('/api/license', licenseRoute);
+app.use('/api/admin/auth', adminAuthRoute);
+app.use('/api/customer', customerRoute);
+app.use('/api/admin/emails', adminEmailsRoute);
+app.use('/api/admin/plans', adminPlansRoute);
+app.use('/api/admin/licenses', adminLicensesRoute);
+app.use('/api/admin/usage', adminUsageRoute);
+app.use('/admin', adminDashboardRoute);
+app.use('/api/checkout', checkoutRoute);
+app.use('/api/trial', trialRoute);
+app.use('/', onboardingRoute);
+app.use('/api/plugin-config', pluginConfigRoute);
 
 // Health check - basic check without database
 app.get('/health', (req, res) => {
@@ -137,7 +106,7 @@ app.get('/health-db', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Database health check failed:', error);
+    logger.error('Database health check failed', { error });
     res.status(503).json({ 
       status: 'database-unhealthy', 
       error: error.message
@@ -146,11 +115,22 @@ app.get('/health-db', async (req, res) => {
 });
 
 // Routes now handled by separate route files
-// - /stripe/webhook -> routes/stripe-webhook.js
+// - /stripe/webhook, /stripe/events/*, /stripe/reconcile -> routes/stripe-webhook.js
 // - /api/license/* -> routes/license.js
+// - /api/admin/auth/* -> routes/admin-auth.js
+// - /api/customer/* -> routes/customer.js
+// - /api/admin/emails/* -> routes/admin-emails.js
+// - /api/admin/plans/* -> routes/admin-plans.js
+// - /api/admin/licenses/* -> routes/admin-licenses.js
+// - /api/admin/usage/* -> routes/admin-usage.js
+// - /admin/* (server-rendered dashboard) -> routes/admin-dashboard.js
+// - /api/checkout/* -> routes/checkout.js
+// - /api/trial -> routes/trial.js
+// - /install-guide, /checkout/success, /trial/confirm -> routes/onboarding.js
+// - /api/plugin-config/* -> routes/plugin-config.js
 // Error handling middleware
 app.use((error, req, res, next) => {
-  logger.error('Unhandled error:', error);
+  logger.error('Unhandled error', { error });
   res.status(500).json({ 
     error: 'Internal server error',
     timestamp: new Date().toISOString()
@@ -162,10 +142,52 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`EAA Plugin API server running on port ${PORT}`);
-  console.log(`🚀 Server started on http://localhost:${PORT}`);
-});
+// Start server - refuse to run against an outdated schema (apply with `npm run migrate`), with
+// unparseable signing keys, without LICENSE_KEY_ENCRYPTION_KEY or without ADMIN_REFRESH_SECRET
+const startServer = async () => {
+  try {
+    const pending = await getPendingMigrations(pool);
+
+    if (pending.length > 0) {
+      logger.error('Database schema is behind - run `npm run migrate` before starting the server', {
+        pendingMigrations: pending.map(m => m.file)
+      });
+      process.exit(1);
+    }
+  } catch (error) {
+    logger.error('Database schema check failed', { error });
+    process.exit(1);
+  }
+
+  try {
+    loadSigningKeys();
+  } catch (error) {
+    logger.error('License signing keys are invalid - check LICENSE_SIGNING_KEY and LICENSE_RETIRED_KEYS', { error });
+    process.exit(1);
+  }
+
+  try {
+    loadEncryptionKey();
+  } catch (error) {
+    logger.error('License key encryption is not set up', { error });
+    process.exit(1);
+  }
+
+  try {
+    checkRefreshSecret();
+  } catch (error) {
+    logger.error('Admin refresh tokens are not set up', { error });
+    process.exit(1);
+  }
+
+  app.listen(PORT, () => {
+    logger.info('EAA Plugin API server running', { port: PORT });
+    startEmailOutboxWorker();
+    startExpirySweepWorker();
+    startUsageFlushWorker();
+  });
+};
+
+startServer();
 
 module.exports = app;
@@ -0,0 +1,19 @@
+const Stripe = require('stripe');
+
+// Shared Stripe client. STRIPE_API_HOST (plus STRIPE_API_PORT and STRIPE_API_PROTOCOL) points it
+// at another API server, e.g. stripe-mock for local testing:
+//   STRIPE_API_HOST=localhost STRIPE_API_PORT=12111 STRIPE_API_PROTOCOL=http
+
+function createStripeClient() {
+  const options = {};
+
+  if (process.env.STRIPE_API_HOST) {
+    options.host = process.env.STRIPE_API_HOST;
+    options.port = parseInt(process.env.STRIPE_API_PORT, 10) || 443;
+    options.protocol = process.env.STRIPE_API_PROTOCOL || 'https';
+  }
+
+  return Stripe(process.env.STRIPE_SECRET_KEY, options);
+}
+
+module.exports = createStripeClient();
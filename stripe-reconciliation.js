@@ -0,0 +1,267 @@
+require('dotenv').config();
+const { Pool } = require('pg');
+const stripe = require('./stripe-client');
+const { getPlanFromPriceId } = require('./plans');
+const { GRACE_PERIOD_DAYS } = require('./dunning');
+const { logger } = require('./logger');
+
+// Stripe reconciliation: repairs drift left by missed or failed webhooks. Pages through every
+// subscription in Stripe and compares status, plan and period end with the licenses that reference
+// it. A dry run only reports the differences; with `fix` the licenses are updated to match Stripe.
+// Fixes send no emails, and revoked or manually suspended licenses keep their status.
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Arbitrary key for pg_try_advisory_lock so two runs don't fix the same licenses at once
+const RECONCILE_LOCK_ID = 7351003;
+const PERIOD_TOLERANCE_MS = 60 * 1000;
+
+// License statuses that agree with a Stripe subscription status; a fix sets the first one.
+// Incomplete and paused subscriptions have no expected status.
+const EXPECTED_STATUSES = {
+  active: ['active'],
+  trialing: ['active'],
+  past_due: ['past_due', 'suspended'],
+  unpaid: ['suspended'],
+  canceled: ['cancelled', 'expired'],
+  incomplete_expired: ['cancelled', 'expired']
+};
+const ENDED_STATUSES = ['canceled', 'incomplete_expired'];
+
+const LICENSE_COLUMNS = 'id, license_key_hint, email, plan, status, dunning_stage, expires_at, cancel_at_period_end';
+
+// Suspended by an admin rather than by dunning
+function isManuallySuspended(license) {
+  return license.status === 'suspended' && license.dunning_stage !== 'suspended';
+}
+
+// What would have to change for a license to match its subscription: { field: { current, expected } }
+function diffLicense(license, subscription, stripePlan) {
+  const changes = {};
+  const expectedStatuses = EXPECTED_STATUSES[subscription.status];
+
+  if (expectedStatuses && !isManuallySuspended(license) && !expectedStatuses.includes(license.status)) {
+    changes.status = { current: license.status, expected: expectedStatuses[0] };
+  }
+
+  // Plan and period of a subscription that has ended no longer matter
+  if (ENDED_STATUSES.includes(subscription.status)) {
+    return changes;
+  }
+
+  if (stripePlan && stripePlan !== license.plan) {
+    changes.plan = { current: license.plan, expected: stripePlan };
+  }
+
+  const periodEnd = new Date(subscription.current_period_end * 1000);
+  if (!license.expires_at || Math.abs(new Date(license.expires_at) - periodEnd) > PERIOD_TOLERANCE_MS) {
+    changes.expiresAt = { current: license.expires_at, expected: periodEnd };
+  }
+
+  if (Boolean(subscription.cancel_at_period_end) !== license.cancel_at_period_end) {
+    changes.cancelAtPeriodEnd = { current: license.cancel_at_period_end, expected: Boolean(subscription.cancel_at_period_end) };
+  }
+
+  return changes;
+}
+
+// Apply the differences to one license. The row is compared again under lock, since a webhook
+// may have fixed it in the meantime. Returns the changes that were made.
+async function fixLicense(client, licenseId, subscription, stripePlan) {
+  await client.query('BEGIN');
+
+  try {
+    const result = await client.query(`
+      SELECT ${LICENSE_COLUMNS} FROM licenses WHERE id = $1 AND status <> 'revoked' FOR UPDATE
+    `, [licenseId]);
+
+    const license = result.rows[0];
+    const changes = license ? diffLicense(license, subscription, stripePlan) : {};
+
+    if (Object.keys(changes).length === 0) {
+      await client.query('ROLLBACK');
+      return changes;
+    }
+
+    const status = changes.status ? changes.status.expected : null;
+
+    // Dunning state follows the status: cleared when active, started (without emails) when past due
+    await client.query(`
+      UPDATE licenses
+      SET status = COALESCE($2::varchar, status),
+          plan = COALESCE($3, plan),
+          expires_at = COALESCE($4, expires_at),
+          current_period_start = CASE WHEN $4::timestamp IS NULL THEN current_period_start ELSE $5 END,
+          cancel_at_period_end = COALESCE($6, cancel_at_period_end),
+          past_due_since = CASE $2::varchar
+            WHEN 'active' THEN NULL
+            WHEN 'past_due' THEN COALESCE(past_due_since, NOW())
+            ELSE past_due_since END,
+          grace_period_ends_at = CASE $2::varchar
+            WHEN 'active' THEN NULL
+            WHEN 'past_due' THEN COALESCE(grace_period_ends_at, NOW() + ($7 || ' days')::interval)
+            ELSE grace_period_ends_at END,
+          dunning_stage = CASE $2::varchar
+            WHEN 'active' THEN NULL
+            WHEN 'past_due' THEN 'past_due'
+            WHEN 'suspended' THEN 'suspended'
+            ELSE dunning_stage END,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [
+      license.id,
+      status,
+      changes.plan ? changes.plan.expected : null,
+      changes.expiresAt ? changes.expiresAt.expected : null,
+      new Date(subscription.current_period_start * 1000),
+      changes.cancelAtPeriodEnd ? changes.cancelAtPeriodEnd.expected : null,
+      GRACE_PERIOD_DAYS
+    ]);
+
+    if (changes.plan) {
+      await client.query(`
+        INSERT INTO license_plan_changes (license_id, old_plan, new_plan, changed_by)
+        VALUES ($1, $2, $3, 'stripe-reconciliation')
+      `, [license.id, license.plan, changes.plan.expected]);
+    }
+
+    await client.query('COMMIT');
+    return changes;
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// One reconciliation run. Returns the report, or null if another run holds the lock.
+//   differences      licenses that disagree with Stripe (and whether they were fixed)
+//   missingLicenses  live subscriptions without a license, e.g. a checkout webhook that never arrived
+//   orphanedLicenses active licenses whose subscription doesn't exist in Stripe
+//   unknownPrices    subscriptions on a price no plan is linked to
+async function runReconciliation({ fix = false } = {}) {
+  const client = await pool.connect();
+
+  try {
+    const lock = await client.query('SELECT pg_try_advisory_lock($1) AS acquired', [RECONCILE_LOCK_ID]);
+    if (!lock.rows[0].acquired) {
+      return null;
+    }
+
+    try {
+      const report = {
+        dryRun: !fix,
+        subscriptions: 0,
+        differences: [],
+        missingLicenses: [],
+        orphanedLicenses: [],
+        unknownPrices: []
+      };
+      const seen = [];
+
+      // Auto-pagination fetches the next page of 100 as the loop gets there
+      for await (const subscription of stripe.subscriptions.list({ status: 'all', limit: 100 })) {
+        report.subscriptions++;
+        seen.push(subscription.id);
+
+        const priceId = subscription.items.data[0] && subscription.items.data[0].price.id;
+        const stripePlan = priceId ? await getPlanFromPriceId(priceId) : null;
+
+        if (!stripePlan && !ENDED_STATUSES.includes(subscription.status)) {
+          report.unknownPrices.push({ subscriptionId: subscription.id, priceId });
+        }
+
+        const result = await client.query(`
+          SELECT ${LICENSE_COLUMNS} FROM licenses WHERE subscription_id = $1 AND status <> 'revoked'
+        `, [subscription.id]);
+
+        if (result.rows.length === 0) {
+          if (!ENDED_STATUSES.includes(subscription.status) && subscription.status !== 'incomplete') {
+            report.missingLicenses.push({
+              subscriptionId: subscription.id,
+              customerId: subscription.customer,
+              status: subscription.status
+            });
+          }
+          continue;
+        }
+
+        for (const license of result.rows) {
+          const changes = diffLicense(license, subscription, stripePlan);
+          if (Object.keys(changes).length === 0) continue;
+
+          const difference = {
+            licenseId: license.id,
+            licenseKeyHint: license.license_key_hint,
+            email: license.email,
+            subscriptionId: subscription.id,
+            stripeStatus: subscription.status,
+            changes,
+            fixed: false
+          };
+
+          if (fix) {
+            difference.fixed = Object.keys(await fixLicense(client, license.id, subscription, stripePlan)).length > 0;
+          }
+
+          report.differences.push(difference);
+        }
+      }
+
+      const orphaned = await client.query(`
+        SELECT id, license_key_hint, email, subscription_id, status
+        FROM licenses
+        WHERE subscription_id IS NOT NULL
+        AND status IN ('active', 'past_due')
+        AND NOT (subscription_id = ANY($1))
+        ORDER BY id
+      `, [seen]);
+
+      report.orphanedLicenses = orphaned.rows.map(license => ({
+        licenseId: license.id,
+        licenseKeyHint: license.license_key_hint,
+        email: license.email,
+        subscriptionId: license.subscription_id,
+        status: license.status
+      }));
+
+      const fixed = report.differences.filter(difference => difference.fixed).length;
+      logger.info('Stripe reconciliation', {
+        dryRun: !fix,
+        subscriptions: report.subscriptions,
+        differences: report.differences.length,
+        fixed,
+        missingLicenses: report.missingLicenses.length,
+        orphanedLicenses: report.orphanedLicenses.length
+      });
+
+      return report;
+
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [RECONCILE_LOCK_ID]);
+    }
+
+  } finally {
+    client.release();
+  }
+}
+
+// Run directly: `npm run reconcile-stripe` for a dry run, `npm run reconcile-stripe -- --fix` to repair
+if (require.main === module) {
+  runReconciliation({ fix: process.argv.includes('--fix') })
+    .then((report) => {
+      console.log(report ? JSON.stringify(report, null, 2) : '⏭️ Another reconciliation is running');
+    })
+    .catch((error) => {
+      logger.error('Stripe reconciliation failed', { error });
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = {
+  runReconciliation
+};
@@ -0,0 +1,173 @@
+const { activateDomain, deactivateDomain, isDomainActivated } = require('../activations');
+const { createMockDb } = require('./mock-db');
+
+const LICENSE_LOCK = /FROM licenses WHERE id = \$1 FOR UPDATE/;
+const ACTIVE_LIST = /SELECT domain, activated_at, last_seen/;
+const NEW_ACTIVATION = /INSERT INTO license_activations \(license_id, domain, activated_at, last_seen\)/;
+const LEGACY_SEED = /WHERE NOT EXISTS/;
+const BIND_DOMAIN = /UPDATE licenses SET domain/;
+
+function activationsDb(domains, handlers = []) {
+  return createMockDb([
+    ...handlers,
+    [ACTIVE_LIST, domains.map(domain => ({ domain, activated_at: new Date(), last_seen: new Date() }))],
+    [BIND_DOMAIN, { rowCount: 0 }]
+  ]);
+}
+
+describe('activateDomain', () => {
+  const license = { id: 7, domain: null };
+
+  test('locks the license row before counting its activations', async () => {
+    const db = activationsDb([]);
+
+    await activateDomain(db, license, 'shop.example.com', 1);
+
+    const lock = db.queries.findIndex(({ sql }) => LICENSE_LOCK.test(sql));
+    const count = db.queries.findIndex(({ sql }) => ACTIVE_LIST.test(sql));
+    expect(db.statements()[0]).toBe('BEGIN');
+    expect(lock).toBeGreaterThan(0);
+    expect(lock).toBeLessThan(count);
+    expect(db.queries[lock].params).toEqual([7]);
+  });
+
+  test('activates a new domain while a slot is free', async () => {
+    const db = activationsDb(['one.example.com']);
+
+    const result = await activateDomain(db, license, 'two.example.com', 2);
+
+    expect(result).toMatchObject({ activated: true, alreadyActive: false, limitReached: false });
+    expect(db.matching(NEW_ACTIVATION)[0].params).toEqual([7, 'two.example.com']);
+    expect(db.statements()).toContain('COMMIT');
+  });
+
+  test('refuses a new domain once every slot is taken', async () => {
+    const db = activationsDb(['one.example.com', 'two.example.com']);
+
+    const result = await activateDomain(db, license, 'three.example.com', 2);
+
+    expect(result).toMatchObject({ activated: false, limitReached: true });
+    expect(db.matching(NEW_ACTIVATION)).toHaveLength(0);
+    expect(db.statements()).toContain('ROLLBACK');
+    expect(db.statements()).not.toContain('COMMIT');
+  });
+
+  test('has no limit for unlimited plans', async () => {
+    const db = activationsDb(['one.example.com', 'two.example.com']);
+
+    const result = await activateDomain(db, license, 'three.example.com', -1);
+
+    expect(result.activated).toBe(true);
+    expect(db.matching(NEW_ACTIVATION)).toHaveLength(1);
+  });
+
+  test.each([undefined, null, 'unlimited'])('allows a single website when the limit is %p', async (maxWebsites) => {
+    const first = await activateDomain(activationsDb([]), license, 'one.example.com', maxWebsites);
+    const second = await activateDomain(activationsDb(['one.example.com']), license, 'two.example.com', maxWebsites);
+
+    expect(first.activated).toBe(true);
+    expect(second).toMatchObject({ activated: false, limitReached: true });
+  });
+
+  test('refreshes an existing activation without taking another slot', async () => {
+    const db = activationsDb(['one.example.com']);
+
+    const result = await activateDomain(db, license, 'one.example.com', 1);
+
+    expect(result).toMatchObject({ activated: true, alreadyActive: true });
+    expect(db.matching(NEW_ACTIVATION)).toHaveLength(0);
+    expect(db.matching(/SET last_seen = NOW\(\)/)[0].params).toEqual([7, 'one.example.com']);
+  });
+
+  test('treats a host under an activated wildcard as already active', async () => {
+    const db = activationsDb(['*.example.com']);
+
+    const result = await activateDomain(db, license, 'shop.example.com', 1);
+
+    expect(result.alreadyActive).toBe(true);
+    expect(db.matching(NEW_ACTIVATION)).toHaveLength(0);
+  });
+
+  test('allows development hosts without a slot or a transaction', async () => {
+    const db = activationsDb(['one.example.com']);
+
+    const result = await activateDomain(db, license, 'shop.localhost', 1);
+
+    expect(result).toMatchObject({ activated: true, development: true });
+    expect(db.statements()).not.toContain('BEGIN');
+    expect(db.matching(NEW_ACTIVATION)).toHaveLength(0);
+  });
+
+  test('allows the staging host of an activated domain without a slot', async () => {
+    const db = activationsDb(['example.com']);
+
+    const result = await activateDomain(db, license, 'staging.example.com', 1);
+
+    expect(result).toMatchObject({ activated: true, alreadyActive: false, development: true, limitReached: false });
+    expect(db.matching(NEW_ACTIVATION)).toHaveLength(0);
+    expect(db.statements()).toContain('COMMIT');
+  });
+
+  test('counts a staging host whose domain is not activated like any other host', async () => {
+    const db = activationsDb(['one.example.com']);
+
+    const result = await activateDomain(db, license, 'staging.example.com', 1);
+
+    expect(result).toMatchObject({ activated: false, limitReached: true });
+    expect(db.matching(NEW_ACTIVATION)).toHaveLength(0);
+  });
+
+  test('binds a license without a domain to the first one activated', async () => {
+    const db = activationsDb([], [[BIND_DOMAIN, { rowCount: 1 }]]);
+
+    const result = await activateDomain(db, license, 'shop.example.com', 1);
+
+    expect(result.boundDomain).toBe('shop.example.com');
+  });
+
+  test('seeds the legacy domain as the first activation inside the lock', async () => {
+    const db = activationsDb([]);
+
+    await activateDomain(db, { id: 7, domain: 'Legacy.example.com' }, 'shop.example.com', 2);
+
+    const seed = db.queries.findIndex(({ sql }) => LEGACY_SEED.test(sql));
+    expect(seed).toBeGreaterThan(db.queries.findIndex(({ sql }) => LICENSE_LOCK.test(sql)));
+    expect(db.queries[seed].params).toEqual([7, 'legacy.example.com']);
+  });
+
+  test('rolls back and rethrows when a query fails', async () => {
+    const db = activationsDb([], [[NEW_ACTIVATION, new Error('connection lost')]]);
+
+    await expect(activateDomain(db, license, 'shop.example.com', 1)).rejects.toThrow('connection lost');
+    expect(db.statements()).toContain('ROLLBACK');
+  });
+});
+
+describe('deactivateDomain', () => {
+  test('reports whether an active domain was released', async () => {
+    const released = createMockDb([[/SET deactivated_at = NOW\(\)/, { rowCount: 1 }]]);
+    const missing = createMockDb();
+
+    await expect(deactivateDomain(released, { id: 7, domain: null }, 'shop.example.com')).resolves.toBe(true);
+    await expect(deactivateDomain(missing, { id: 7, domain: null }, 'shop.example.com')).resolves.toBe(false);
+  });
+});
+
+describe('isDomainActivated', () => {
+  const activations = [{ domain: 'shop.example.com' }, { domain: '*.example.org' }];
+
+  test.each([
+    ['an exact activation', 'shop.example.com', true],
+    ['another host of the same site', 'blog.example.com', false],
+    ['a host under a wildcard', 'shop.example.org', true],
+    ['the apex of a wildcard', 'example.org', false],
+    ['a lookalike of a wildcard', 'badexample.org', false],
+    ['localhost', 'localhost', true],
+    ['a .local host', 'shop.local', true],
+    ['the staging host of an activation', 'staging.shop.example.com', true],
+    ['a staging host under a wildcard', 'staging.example.org', true],
+    ['the staging host of another site', 'staging.example.net', false]
+  ])('%s', (description, domain, expected) => {
+    expect(isDomainActivated(activations, domain)).toBe(expected);
+  });
+});
@@ -0,0 +1,193 @@
+jest.mock('../logger');
+jest.mock('pg', () => require('./mock-db').mockPg());
+
+const jwt = require('jsonwebtoken');
+const { mockDb } = require('pg');
+const {
+  hashPassword,
+  verifyPassword,
+  issueTokens,
+  verifyRefreshToken,
+  checkRefreshSecret,
+  issueDashboardSession,
+  verifyDashboardSession,
+  requireAdmin
+} = require('../admin-auth');
+
+const ADMIN_LOOKUP = /FROM admin_users/;
+
+const adminUser = { id: 1, email: 'admin@example.com', role: 'admin', token_version: 3, active: true };
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+async function runRequireAdmin(minimumRole, { token, account = adminUser } = {}) {
+  mockDb.reset([[ADMIN_LOOKUP, account ? [account] : []]]);
+
+  const req = { headers: token ? { authorization: `Bearer ${token}` } : {} };
+  const res = mockResponse();
+  const next = jest.fn();
+
+  await requireAdmin(minimumRole)(req, res, next);
+  return { req, res, next };
+}
+
+describe('requireAdmin', () => {
+  const token = issueTokens(adminUser).accessToken;
+
+  test('lets an active admin through and loads the account', async () => {
+    const { req, next } = await runRequireAdmin('admin', { token });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.admin).toEqual({ id: 1, email: 'admin@example.com', role: 'admin' });
+    expect(mockDb.matching(ADMIN_LOOKUP)[0].params).toEqual([1]);
+  });
+
+  test('requires a bearer token', async () => {
+    const { res, next } = await runRequireAdmin('viewer');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('rejects tokens signed with another secret', async () => {
+    const forged = jwt.sign({ sub: '1', role: 'admin', ver: 3, type: 'access' }, 'not-the-secret');
+
+    const { res } = await runRequireAdmin('viewer', { token: forged });
+
+    expect(res.statusCode).toBe(401);
+    expect(mockDb.queries).toHaveLength(0);
+  });
+
+  test('rejects refresh tokens', async () => {
+    const { res } = await runRequireAdmin('viewer', { token: issueTokens(adminUser).refreshToken });
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('rejects the token of a deactivated admin at once', async () => {
+    const { res } = await runRequireAdmin('viewer', { token, account: { ...adminUser, active: false } });
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('rejects the token of a deleted admin', async () => {
+    const { res } = await runRequireAdmin('viewer', { token, account: null });
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('rejects tokens issued before the token version changed', async () => {
+    const { res } = await runRequireAdmin('viewer', { token, account: { ...adminUser, token_version: 4 } });
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('uses the current role rather than the one in the token', async () => {
+    const { res, next } = await runRequireAdmin('admin', { token, account: { ...adminUser, role: 'viewer' } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('lets admins use viewer routes', async () => {
+    const { next } = await runRequireAdmin('viewer', { token });
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('answers 500 when the account cannot be loaded', async () => {
+    mockDb.reset([[ADMIN_LOOKUP, new Error('connection lost')]]);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await requireAdmin('viewer')({ headers: { authorization: `Bearer ${token}` } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(500);
+  });
+});
+
+describe('tokens', () => {
+  test('refresh tokens verify as refresh tokens only', () => {
+    const { accessToken, refreshToken } = issueTokens(adminUser);
+
+    expect(verifyRefreshToken(refreshToken)).toMatchObject({ sub: '1', ver: 3, type: 'refresh' });
+    expect(() => verifyRefreshToken(accessToken)).toThrow();
+  });
+
+  test('refresh tokens need their own secret', () => {
+    const { refreshToken } = issueTokens(adminUser);
+
+    expect(() => jwt.verify(refreshToken, process.env.ADMIN_JWT_SECRET)).toThrow();
+    expect(() => checkRefreshSecret()).not.toThrow();
+  });
+
+  test('issues no refresh tokens without a refresh secret', () => {
+    const configured = process.env.ADMIN_REFRESH_SECRET;
+    delete process.env.ADMIN_REFRESH_SECRET;
+
+    try {
+      expect(() => issueTokens(adminUser)).toThrow();
+    } finally {
+      process.env.ADMIN_REFRESH_SECRET = configured;
+    }
+  });
+
+  test.each([
+    ['missing', undefined, 'ADMIN_REFRESH_SECRET is not configured'],
+    ['the access secret', 'test-admin-secret', 'ADMIN_REFRESH_SECRET must differ from ADMIN_JWT_SECRET']
+  ])('refuses to start with a refresh secret that is %s', (label, secret, message) => {
+    const configured = process.env.ADMIN_REFRESH_SECRET;
+    if (secret === undefined) {
+      delete process.env.ADMIN_REFRESH_SECRET;
+    } else {
+      process.env.ADMIN_REFRESH_SECRET = secret;
+    }
+
+    try {
+      expect(() => checkRefreshSecret()).toThrow(message);
+    } finally {
+      process.env.ADMIN_REFRESH_SECRET = configured;
+    }
+  });
+
+  test('dashboard sessions carry the token version and a CSRF token', () => {
+    const session = verifyDashboardSession(issueDashboardSession(adminUser));
+
+    expect(session).toMatchObject({ sub: '1', ver: 3, type: 'dashboard' });
+    expect(session.csrf).toMatch(/^[0-9a-f]{32}$/);
+    expect(() => verifyDashboardSession(issueTokens(adminUser).accessToken)).toThrow('Not a dashboard session');
+  });
+});
+
+describe('verifyPassword', () => {
+  test('accepts the right password and rejects a wrong one', async () => {
+    const hash = await hashPassword('correct horse');
+
+    await expect(verifyPassword('correct horse', hash)).resolves.toBe(true);
+    await expect(verifyPassword('wrong', hash)).resolves.toBe(false);
+  });
+
+  test('rejects unknown accounts after a full bcrypt comparison', async () => {
+    const bcrypt = require('bcryptjs');
+    const compare = jest.spyOn(bcrypt, 'compare');
+
+    await expect(verifyPassword('anything', null)).resolves.toBe(false);
+    expect(compare).toHaveBeenCalledWith('anything', expect.stringMatching(/^\$2a\$12\$/));
+
+    compare.mockRestore();
+  });
+});
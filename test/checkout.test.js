@@ -0,0 +1,173 @@
+jest.mock('../logger');
+jest.mock('pg', () => require('./mock-db').mockPg());
+jest.mock('../stripe-client', () => ({
+  promotionCodes: { list: jest.fn() },
+  checkout: { sessions: { create: jest.fn() } }
+}));
+jest.mock('../plans', () => ({
+  BILLING_INTERVALS: ['month', 'year'],
+  getStripePriceId: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { mockDb } = require('pg');
+const stripe = require('../stripe-client');
+const { getStripePriceId } = require('../plans');
+const { encryptLicenseKey } = require('../key-encryption');
+const { hashLicenseKey } = require('../license-keys');
+const checkoutRoute = require('../routes/checkout');
+
+const app = express();
+app.use(express.json());
+app.use('/api/checkout', checkoutRoute);
+
+// The route allows 20 sessions per IP and 15 minutes; each request below counts towards that
+function startCheckout(body) {
+  return request(app).post('/api/checkout').send(body);
+}
+
+const purchase = { plan: 'professional', interval: 'year', domain: 'https://www.Example.com/', locale: 'de-AT' };
+
+beforeEach(() => {
+  getStripePriceId.mockReset().mockResolvedValue('price_pro_year');
+  stripe.promotionCodes.list.mockReset().mockResolvedValue({ data: [{ id: 'promo_1' }] });
+  stripe.checkout.sessions.create.mockReset().mockResolvedValue({ id: 'cs_test_1', url: 'https://checkout.stripe.com/c/pay/cs_test_1' });
+});
+
+describe('POST /api/checkout', () => {
+  test('creates a subscription session bound to the normalized domain', async () => {
+    const res = await startCheckout({ ...purchase, email: 'Customer@Example.com' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ sessionId: 'cs_test_1', url: 'https://checkout.stripe.com/c/pay/cs_test_1' });
+    expect(getStripePriceId).toHaveBeenCalledWith('professional', 'year');
+
+    const params = stripe.checkout.sessions.create.mock.calls[0][0];
+    const metadata = { domain: 'example.com', plan: 'professional', billing_interval: 'year', locale: 'de' };
+    expect(params).toMatchObject({
+      mode: 'subscription',
+      line_items: [{ price: 'price_pro_year', quantity: 1 }],
+      locale: 'de',
+      customer_email: 'customer@example.com',
+      metadata,
+      subscription_data: { metadata }
+    });
+    expect(params.success_url).toMatch(/\/checkout\/success\?session_id=\{CHECKOUT_SESSION_ID\}&lang=de$/);
+    expect(params).not.toHaveProperty('discounts');
+  });
+
+  test('bills monthly unless told otherwise', async () => {
+    await startCheckout({ plan: 'professional', domain: 'example.com' });
+
+    expect(getStripePriceId).toHaveBeenCalledWith('professional', 'month');
+  });
+
+  test('applies an active promo code', async () => {
+    await startCheckout({ ...purchase, promoCode: 'LAUNCH20' });
+
+    expect(stripe.promotionCodes.list).toHaveBeenCalledWith({ code: 'LAUNCH20', active: true, limit: 1 });
+    expect(stripe.checkout.sessions.create.mock.calls[0][0].discounts).toEqual([{ promotion_code: 'promo_1' }]);
+  });
+
+  test('refuses an unknown or expired promo code', async () => {
+    stripe.promotionCodes.list.mockResolvedValue({ data: [] });
+
+    const res = await startCheckout({ ...purchase, promoCode: 'EXPIRED' });
+
+    expect(res.status).toBe(400);
+    expect(stripe.checkout.sessions.create).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['a missing plan', { ...purchase, plan: undefined }, 'Plan is required'],
+    ['an unknown interval', { ...purchase, interval: 'week' }, 'Invalid billing interval: week (use month or year)'],
+    ['a missing domain', { ...purchase, domain: undefined }, 'A valid website domain is required'],
+    ['a development host', { ...purchase, domain: 'localhost' }, 'A valid website domain is required'],
+    ['an invalid email', { ...purchase, email: 'not-an-email' }, 'Invalid email'],
+    ['a malformed promo code', { ...purchase, promoCode: 'no spaces' }, 'Invalid promo code']
+  ])('refuses %s', async (label, body, error) => {
+    const res = await startCheckout(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error });
+    expect(stripe.checkout.sessions.create).not.toHaveBeenCalled();
+  });
+
+  test('refuses a plan that has no price for the interval', async () => {
+    getStripePriceId.mockResolvedValue(null);
+
+    const res = await startCheckout(purchase);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Plan professional is not available with yearly billing');
+  });
+
+  test('answers 500 when Stripe fails', async () => {
+    stripe.checkout.sessions.create.mockRejectedValue(new Error('Stripe is down'));
+
+    const res = await startCheckout(purchase);
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ error: 'Failed to create checkout session' });
+  });
+});
+
+describe('GET /api/checkout/sessions/:sessionId/license', () => {
+  const sessionId = 'cs_test_a1b2c3d4e5f6';
+  const licenseKey = 'EAA-7KQ4-MZ3P-W9XD-HT2C-R8NB';
+  const licenseRow = {
+    id: 7,
+    license_key_hash: hashLicenseKey(licenseKey),
+    license_key_hint: 'EAA-7KQ4-****-****-****-R8NB',
+    email: 'customer@example.com',
+    domain: 'example.com',
+    plan: 'professional',
+    status: 'active',
+    trial_converted: false
+  };
+
+  function getLicense(id = sessionId) {
+    return request(app).get(`/api/checkout/sessions/${id}/license`);
+  }
+
+  test('is pending until the webhook has created the license', async () => {
+    mockDb.reset();
+
+    const res = await getLicense();
+
+    expect(res.body).toEqual({ status: 'pending' });
+    expect(res.headers['cache-control']).toBe('no-store');
+  });
+
+  test('shows the key once and deletes the handoff', async () => {
+    mockDb.reset([
+      [/FROM licenses/, [licenseRow]],
+      [/DELETE FROM license_key_reveals/, [{ license_key_encrypted: encryptLicenseKey(licenseKey), revealable: true }]]
+    ]);
+
+    const res = await getLicense();
+
+    expect(res.body).toMatchObject({ status: 'ready', license: { key: licenseKey, keyHint: licenseRow.license_key_hint } });
+  });
+
+  test('shows only the hint once the key has been rotated', async () => {
+    mockDb.reset([
+      [/FROM licenses/, [{ ...licenseRow, license_key_hash: 'rotated-hash' }]],
+      [/DELETE FROM license_key_reveals/, [{ license_key_encrypted: encryptLicenseKey(licenseKey), revealable: true }]]
+    ]);
+
+    const res = await getLicense();
+
+    expect(res.body.license).toMatchObject({ key: null, keyHint: licenseRow.license_key_hint });
+  });
+
+  test('refuses malformed session IDs', async () => {
+    mockDb.reset();
+
+    const res = await getLicense('not-a-session');
+
+    expect(res.status).toBe(400);
+    expect(mockDb.queries).toHaveLength(0);
+  });
+});
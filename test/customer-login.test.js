@@ -0,0 +1,108 @@
+jest.mock('../logger');
+jest.mock('pg', () => require('./mock-db').mockPg());
+jest.mock('../email-outbox', () => ({ enqueueEmail: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const { mockDb } = require('pg');
+const { enqueueEmail } = require('../email-outbox');
+const { logger } = require('../logger');
+const { LOGIN_TOKEN_TTL_MINUTES, hashLoginToken, requestLoginLink } = require('../customer-auth');
+const { createMockDb } = require('./mock-db');
+const customerRoute = require('../routes/customer');
+
+const app = express();
+app.use(express.json());
+app.use('/api/customer', customerRoute);
+
+const FIND_LICENSES = /SELECT 1 FROM licenses WHERE LOWER\(email\) = \$1/;
+const STORE_TOKEN = /INSERT INTO customer_login_tokens/;
+
+// The route answers before it looks the email up; this waits for the rest of the request
+function settled() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+beforeEach(() => {
+  enqueueEmail.mockReset().mockResolvedValue(1);
+});
+
+describe('requestLoginLink', () => {
+  test('stores only the token hash and queues the link', async () => {
+    const db = createMockDb([[FIND_LICENSES, [{ '?column?': 1 }]]]);
+
+    await expect(requestLoginLink(db, 'customer@example.com', 'de')).resolves.toBe(true);
+
+    const [[, email]] = enqueueEmail.mock.calls;
+    expect(email).toMatchObject({
+      type: 'customer_login',
+      recipient: 'customer@example.com',
+      payload: { locale: 'de', expiresInMinutes: LOGIN_TOKEN_TTL_MINUTES }
+    });
+
+    const token = new URL(email.payload.loginUrl).searchParams.get('token');
+    expect(db.matching(STORE_TOKEN)[0].params).toEqual(['customer@example.com', hashLoginToken(token), LOGIN_TOKEN_TTL_MINUTES]);
+    expect(db.statements()).toEqual(['SELECT', 'BEGIN', 'INSERT', 'COMMIT']);
+    expect(db.release).toHaveBeenCalled();
+  });
+
+  test('sends nothing to an email without licenses', async () => {
+    const db = createMockDb();
+
+    await expect(requestLoginLink(db, 'nobody@example.com', 'en')).resolves.toBe(false);
+    expect(db.matching(STORE_TOKEN)).toHaveLength(0);
+    expect(enqueueEmail).not.toHaveBeenCalled();
+  });
+
+  test('keeps no token when the email cannot be queued', async () => {
+    const db = createMockDb([[FIND_LICENSES, [{ '?column?': 1 }]]]);
+    enqueueEmail.mockRejectedValue(new Error('connection lost'));
+
+    await expect(requestLoginLink(db, 'customer@example.com', 'en')).rejects.toThrow('connection lost');
+    expect(db.statements()).toContain('ROLLBACK');
+    expect(db.release).toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/customer/login', () => {
+  const response = { success: true, message: 'If this email has a license, a login link is on its way' };
+
+  test.each([
+    ['with licenses', [[FIND_LICENSES, [{ '?column?': 1 }]]], 1],
+    ['without licenses', [], 0]
+  ])('answers an email %s the same way before looking it up', async (label, handlers, queued) => {
+    mockDb.reset(handlers);
+
+    const res = await request(app).post('/api/customer/login').set('Accept-Language', 'de-DE').send({ email: 'Customer@Example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(response);
+
+    await settled();
+    expect(mockDb.queries[0].params).toEqual(['customer@example.com']);
+    expect(enqueueEmail).toHaveBeenCalledTimes(queued);
+    if (queued) {
+      expect(enqueueEmail.mock.calls[0][1].payload.locale).toBe('de');
+    }
+  });
+
+  test('logs a failed lookup without changing the answer', async () => {
+    mockDb.reset([[FIND_LICENSES, new Error('connection refused')]]);
+
+    const res = await request(app).post('/api/customer/login').send({ email: 'customer@example.com' });
+
+    expect(res.body).toEqual(response);
+
+    await settled();
+    expect(logger.error).toHaveBeenCalledWith('Customer login link error', { error: expect.any(Error) });
+  });
+
+  test('refuses an invalid email', async () => {
+    mockDb.reset();
+
+    const res = await request(app).post('/api/customer/login').send({ email: 'not-an-email' });
+
+    expect(res.status).toBe(400);
+    expect(mockDb.queries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,154 @@
+jest.mock('../email-outbox', () => ({ enqueueEmail: jest.fn() }));
+
+const { enqueueEmail } = require('../email-outbox');
+const {
+  GRACE_PERIOD_DAYS,
+  getBillingWarning,
+  isInGracePeriod,
+  markPastDue,
+  suspendSubscriptionLicenses,
+  advanceDunning
+} = require('../dunning');
+const { createMockDb } = require('./mock-db');
+
+const MARK_PAST_DUE = /SET status = 'past_due'/;
+const DUE_FOR_NOTICE = /SELECT id FROM licenses\s+WHERE status = 'past_due' AND dunning_stage = 'past_due'/;
+const DUE_FOR_SUSPENSION = /SELECT id FROM licenses\s+WHERE status = 'past_due' AND grace_period_ends_at <= NOW\(\)/;
+const CLAIM_NOTICE = /SET dunning_stage = 'final_notice'/;
+const CLAIM_SUSPENSION = /SET status = 'suspended'/;
+
+const graceEndsAt = new Date('2026-06-08T00:00:00Z');
+
+function licenseRow(overrides = {}) {
+  return {
+    id: 7,
+    license_key_hint: 'EAA-7KQ4-****-****-****-R8NB',
+    email: 'customer@example.com',
+    plan: 'professional',
+    locale: 'de',
+    grace_period_ends_at: graceEndsAt,
+    ...overrides
+  };
+}
+
+const invoice = {
+  subscription: 'sub_1',
+  customer_name: 'Erika Muster',
+  amount_due: 2900,
+  currency: 'eur',
+  hosted_invoice_url: 'https://invoice.stripe.com/i/1'
+};
+
+beforeEach(() => {
+  enqueueEmail.mockClear();
+});
+
+describe('getBillingWarning', () => {
+  test('warns while a license is past due', () => {
+    expect(getBillingWarning({ status: 'past_due', grace_period_ends_at: graceEndsAt })).toMatchObject({
+      code: 'PAYMENT_PAST_DUE',
+      graceEndsAt
+    });
+  });
+
+  test('has no warning for other statuses', () => {
+    expect(getBillingWarning({ status: 'active', grace_period_ends_at: null })).toBeNull();
+    expect(getBillingWarning({ status: 'suspended', grace_period_ends_at: graceEndsAt })).toBeNull();
+  });
+});
+
+describe('isInGracePeriod', () => {
+  test('is true for a past due license until the grace period ends', () => {
+    const license = { status: 'past_due', grace_period_ends_at: graceEndsAt };
+
+    expect(isInGracePeriod(license, new Date('2026-06-07T23:00:00Z'))).toBe(true);
+    expect(isInGracePeriod(license, new Date('2026-06-08T01:00:00Z'))).toBe(false);
+  });
+
+  test('is false without a grace period', () => {
+    expect(isInGracePeriod({ status: 'past_due', grace_period_ends_at: null })).toBe(false);
+    expect(isInGracePeriod({ status: 'active', grace_period_ends_at: graceEndsAt })).toBe(false);
+  });
+});
+
+describe('markPastDue', () => {
+  test('starts the grace period and queues one payment_failed email per license', async () => {
+    const db = createMockDb([[MARK_PAST_DUE, [licenseRow()]]]);
+
+    await expect(markPastDue(db, invoice, 'evt_1')).resolves.toEqual([licenseRow()]);
+
+    expect(db.queries[0].params).toEqual(['sub_1', GRACE_PERIOD_DAYS]);
+    expect(enqueueEmail).toHaveBeenCalledWith(db, expect.objectContaining({
+      type: 'payment_failed',
+      recipient: 'customer@example.com',
+      licenseId: 7,
+      stripeEventId: 'evt_1'
+    }));
+    expect(enqueueEmail.mock.calls[0][1].payload).toMatchObject({
+      locale: 'de',
+      customer: { email: 'customer@example.com', name: 'Erika Muster' },
+      license: { license_key: 'EAA-7KQ4-****-****-****-R8NB', plan: 'professional' },
+      invoice: { amount: 29, currency: 'eur', url: 'https://invoice.stripe.com/i/1' }
+    });
+  });
+
+  test('sends nothing when Stripe retries a charge that already failed', async () => {
+    const db = createMockDb([[MARK_PAST_DUE, []]]);
+
+    await expect(markPastDue(db, invoice, 'evt_2')).resolves.toEqual([]);
+    expect(enqueueEmail).not.toHaveBeenCalled();
+  });
+});
+
+describe('suspendSubscriptionLicenses', () => {
+  test('suspends the live licenses of the subscription and tells the customer', async () => {
+    const db = createMockDb([[CLAIM_SUSPENSION, [licenseRow()]]]);
+
+    await suspendSubscriptionLicenses(db, 'sub_1', 'evt_3');
+
+    expect(db.queries[0].sql).toMatch(/status IN \('active', 'past_due'\)/);
+    expect(db.queries[0].params).toEqual(['sub_1']);
+    expect(enqueueEmail).toHaveBeenCalledWith(db, expect.objectContaining({ type: 'license_suspended', stripeEventId: 'evt_3' }));
+  });
+});
+
+describe('advanceDunning', () => {
+  test('sends the final notice and suspends once the grace period is over', async () => {
+    const db = createMockDb([
+      [DUE_FOR_NOTICE, [{ id: 7 }]],
+      [DUE_FOR_SUSPENSION, [{ id: 8 }]],
+      [CLAIM_NOTICE, [licenseRow()]],
+      [CLAIM_SUSPENSION, [licenseRow({ id: 8 })]]
+    ]);
+
+    await expect(advanceDunning(db)).resolves.toEqual({ finalNotices: 1, suspended: 1 });
+
+    expect(enqueueEmail.mock.calls.map(([, email]) => [email.type, email.licenseId])).toEqual([
+      ['dunning_final_notice', 7],
+      ['license_suspended', 8]
+    ]);
+    expect(db.statements().filter(statement => statement === 'COMMIT')).toHaveLength(2);
+  });
+
+  test('skips licenses another worker claimed first', async () => {
+    const db = createMockDb([
+      [DUE_FOR_NOTICE, [{ id: 7 }]],
+      [CLAIM_NOTICE, []]
+    ]);
+
+    await expect(advanceDunning(db)).resolves.toEqual({ finalNotices: 0, suspended: 0 });
+    expect(enqueueEmail).not.toHaveBeenCalled();
+  });
+
+  test('rolls back a stage whose email cannot be queued', async () => {
+    const db = createMockDb([
+      [DUE_FOR_NOTICE, [{ id: 7 }]],
+      [CLAIM_NOTICE, [licenseRow()]]
+    ]);
+    enqueueEmail.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(advanceDunning(db)).rejects.toThrow('connection lost');
+    expect(db.statements()).toContain('ROLLBACK');
+    expect(db.statements()).not.toContain('COMMIT');
+  });
+});
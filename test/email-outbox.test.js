@@ -0,0 +1,134 @@
+jest.mock('../logger');
+jest.mock('pg', () => require('./mock-db').mockPg());
+jest.mock('../email-service', () => ({ sendTemplateEmail: jest.fn(), sendBusinessNotification: jest.fn() }));
+
+const { mockDb } = require('pg');
+const { sendTemplateEmail } = require('../email-service');
+const { encryptLicenseKey, decryptLicenseKey } = require('../key-encryption');
+const { enqueueEmail, processOutbox } = require('../email-outbox');
+const { createMockDb } = require('./mock-db');
+
+const INSERT = /INSERT INTO email_outbox/;
+const CLAIM = /SET status = 'sending'/;
+const MARK_SENT = /SET status = 'sent'/;
+const MARK_FAILED = /SET status = \$2::varchar/;
+
+const licenseKey = 'EAA-7KQ4-MZ3P-W9XD-HT2C-R8NB';
+const licenseKeyHint = 'EAA-7KQ4-****-****-****-R8NB';
+
+function outboxRow(overrides = {}) {
+  return {
+    id: 11,
+    email_type: 'welcome',
+    recipient: 'customer@example.com',
+    payload: { locale: 'de', license: { license_key: licenseKeyHint, plan: 'professional' } },
+    license_key_encrypted: null,
+    license_id: 7,
+    stripe_event_id: 'evt_1',
+    attempts: 1,
+    max_attempts: 8,
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  sendTemplateEmail.mockReset();
+});
+
+describe('enqueueEmail', () => {
+  test('stores the license key encrypted and only the hint in the payload', async () => {
+    const db = createMockDb([[INSERT, [{ id: 11 }]]]);
+    const payload = { locale: 'en', license: { license_key: licenseKeyHint } };
+
+    await expect(enqueueEmail(db, { type: 'welcome', recipient: 'customer@example.com', payload, licenseKey, licenseId: 7 }))
+      .resolves.toBe(11);
+
+    const [type, recipient, storedPayload, encrypted, licenseId] = db.queries[0].params;
+    expect([type, recipient, storedPayload, licenseId]).toEqual(['welcome', 'customer@example.com', payload, 7]);
+    expect(encrypted).not.toContain(licenseKey);
+    expect(decryptLicenseKey(encrypted)).toBe(licenseKey);
+  });
+
+  test('stores no key for emails that do not show one', async () => {
+    const db = createMockDb([[INSERT, [{ id: 12 }]]]);
+
+    await enqueueEmail(db, { type: 'payment_failed', recipient: 'customer@example.com', payload: {} });
+
+    expect(db.queries[0].params[3]).toBeNull();
+  });
+
+  test('refuses unknown email types', async () => {
+    const db = createMockDb();
+
+    await expect(enqueueEmail(db, { type: 'newsletter', recipient: 'customer@example.com', payload: {} }))
+      .rejects.toThrow('Unknown email type: newsletter');
+    expect(db.queries).toHaveLength(0);
+  });
+});
+
+describe('processOutbox', () => {
+  test('sends due emails in their locale and records the message ID', async () => {
+    mockDb.reset([[CLAIM, [outboxRow()]]]);
+    sendTemplateEmail.mockResolvedValue({ data: { id: 'msg_1' } });
+
+    await expect(processOutbox()).resolves.toEqual({ processed: 1, sent: 1 });
+
+    expect(sendTemplateEmail).toHaveBeenCalledWith('welcome', 'customer@example.com', 'de', outboxRow().payload);
+    expect(mockDb.matching(MARK_SENT)[0].params).toEqual([11, 'msg_1']);
+  });
+
+  test('renders the decrypted key in place of the hint and clears it once sent', async () => {
+    mockDb.reset([[CLAIM, [outboxRow({ license_key_encrypted: encryptLicenseKey(licenseKey) })]]]);
+    sendTemplateEmail.mockResolvedValue({ data: { id: 'msg_1' } });
+
+    await processOutbox();
+
+    expect(sendTemplateEmail.mock.calls[0][3].license).toEqual({ license_key: licenseKey, plan: 'professional' });
+    expect(mockDb.matching(MARK_SENT)[0].sql).toMatch(/license_key_encrypted = NULL/);
+  });
+
+  test('retries a failed email with exponential backoff', async () => {
+    mockDb.reset([[CLAIM, [outboxRow({ attempts: 3 })]]]);
+    sendTemplateEmail.mockRejectedValue(new Error('rate limited'));
+
+    await expect(processOutbox()).resolves.toEqual({ processed: 1, sent: 0 });
+
+    expect(mockDb.matching(MARK_FAILED)[0].params).toEqual([11, 'pending', 'rate limited', 4 * 60]);
+  });
+
+  test('waits no longer than six hours between attempts', async () => {
+    mockDb.reset([[CLAIM, [outboxRow({ attempts: 10, max_attempts: 20 })]]]);
+    sendTemplateEmail.mockRejectedValue(new Error('rate limited'));
+
+    await processOutbox();
+
+    expect(mockDb.matching(MARK_FAILED)[0].params[3]).toBe(6 * 60 * 60);
+  });
+
+  test('gives up after the last attempt', async () => {
+    mockDb.reset([[CLAIM, [outboxRow({ attempts: 8 })]]]);
+    sendTemplateEmail.mockRejectedValue(new Error('invalid recipient'));
+
+    await processOutbox();
+
+    expect(mockDb.matching(MARK_FAILED)[0].params.slice(0, 3)).toEqual([11, 'failed', 'invalid recipient']);
+  });
+
+  test('counts an empty provider response as a failure', async () => {
+    mockDb.reset([[CLAIM, [outboxRow()]]]);
+    sendTemplateEmail.mockResolvedValue(null);
+
+    await processOutbox();
+
+    expect(mockDb.matching(MARK_SENT)).toHaveLength(0);
+    expect(mockDb.matching(MARK_FAILED)[0].params[2]).toBe('No response from email provider');
+  });
+
+  test('keeps sending the rest of the batch after a failure', async () => {
+    mockDb.reset([[CLAIM, [outboxRow({ id: 11 }), outboxRow({ id: 12 })]]]);
+    sendTemplateEmail.mockRejectedValueOnce(new Error('timeout')).mockResolvedValueOnce({ data: { id: 'msg_2' } });
+
+    await expect(processOutbox()).resolves.toEqual({ processed: 2, sent: 1 });
+    expect(mockDb.matching(MARK_SENT)[0].params).toEqual([12, 'msg_2']);
+  });
+});
@@ -0,0 +1,153 @@
+jest.mock('../email-outbox', () => ({ enqueueEmail: jest.fn() }));
+
+const { enqueueEmail } = require('../email-outbox');
+const { hashLicenseKey, isWellFormedLicenseKey } = require('../license-keys');
+const {
+  KeyRotationError,
+  resolveLicenseKey,
+  getKeyDeprecation,
+  rotateLicenseKey,
+  revokeLicense
+} = require('../key-rotation');
+const { createMockDb } = require('./mock-db');
+
+const KEY_HISTORY = /FROM license_key_history h/;
+const LOCK_LICENSE = /FROM licenses\s+WHERE id = \$1\s+FOR UPDATE/;
+const ADD_HISTORY = /INSERT INTO license_key_history/;
+const SET_KEY = /SET license_key_hash = \$2, license_key_hint = \$3/;
+const MOVE_USAGE = /UPDATE license_usage/;
+const REVOKE = /SET status = 'revoked'/;
+const REVOKE_HISTORY = /UPDATE license_key_history/;
+
+const oldKey = 'EAA-7KQ4-MZ3P-W9XD-HT2C-R8NB';
+const validUntil = new Date('2026-06-02T00:00:00Z');
+
+const licenseRow = {
+  id: 7,
+  license_key_hash: hashLicenseKey(oldKey),
+  license_key_hint: 'EAA-7KQ4-****-****-****-R8NB',
+  email: 'customer@example.com',
+  plan: 'professional',
+  locale: 'de',
+  status: 'active'
+};
+
+function rotationDb(license = licenseRow) {
+  return createMockDb([
+    [LOCK_LICENSE, license ? [license] : []],
+    [ADD_HISTORY, [{ valid_until: validUntil }]]
+  ]);
+}
+
+beforeEach(() => {
+  enqueueEmail.mockClear();
+});
+
+describe('resolveLicenseKey', () => {
+  test('resolves a current key to its own hash', async () => {
+    const db = createMockDb([[KEY_HISTORY, []]]);
+
+    await expect(resolveLicenseKey(db, oldKey)).resolves.toEqual({ keyHash: hashLicenseKey(oldKey), rotated: null });
+    expect(db.queries[0].params).toEqual([hashLicenseKey(oldKey)]);
+  });
+
+  test('resolves a replaced key to the current key while the overlap lasts', async () => {
+    const db = createMockDb([[KEY_HISTORY, [{ license_key_hash: 'current-hash', valid_until: validUntil }]]]);
+
+    await expect(resolveLicenseKey(db, oldKey)).resolves.toEqual({ keyHash: 'current-hash', rotated: { validUntil } });
+  });
+
+  test('only looks at replaced keys that are neither revoked nor past their overlap', async () => {
+    const db = createMockDb();
+
+    await resolveLicenseKey(db, oldKey);
+
+    expect(db.queries[0].sql).toMatch(/h\.revoked_at IS NULL/);
+    expect(db.queries[0].sql).toMatch(/h\.valid_until > NOW\(\)/);
+  });
+});
+
+describe('getKeyDeprecation', () => {
+  test('warns about a replaced key until its overlap ends', () => {
+    expect(getKeyDeprecation({ validUntil })).toMatchObject({ code: 'LICENSE_KEY_ROTATED', validUntil });
+    expect(getKeyDeprecation(null)).toBeNull();
+  });
+});
+
+describe('rotateLicenseKey', () => {
+  test('issues a new key and keeps the old one valid for the overlap', async () => {
+    const db = rotationDb();
+
+    const result = await rotateLicenseKey(db, 7, { overlapHours: 48, rotatedBy: 'admin@example.com' });
+
+    expect(isWellFormedLicenseKey(result.licenseKey)).toBe(true);
+    expect(result).toMatchObject({ oldKeyHint: licenseRow.license_key_hint, oldKeyValidUntil: validUntil });
+
+    const newHash = hashLicenseKey(result.licenseKey);
+    expect(db.matching(ADD_HISTORY)[0].params).toEqual([7, licenseRow.license_key_hash, licenseRow.license_key_hint, 'admin@example.com', 48, null]);
+    expect(db.matching(SET_KEY)[0].params).toEqual([7, newHash, result.licenseKeyHint]);
+    expect(db.matching(MOVE_USAGE)[0].params).toEqual([licenseRow.license_key_hash, newHash]);
+    expect(db.statements()).toContain('COMMIT');
+    expect(db.release).toHaveBeenCalled();
+  });
+
+  test('emails the new key encrypted and only its hint in the payload', async () => {
+    const result = await rotateLicenseKey(rotationDb(), 7, { rotatedBy: 'admin@example.com' });
+
+    const [, email] = enqueueEmail.mock.calls[0];
+    expect(email).toMatchObject({ type: 'key_rotated', recipient: 'customer@example.com', licenseId: 7, licenseKey: result.licenseKey });
+    expect(JSON.stringify(email.payload)).not.toContain(result.licenseKey);
+    expect(email.payload.license.license_key).toBe(result.licenseKeyHint);
+  });
+
+  test('revokes the old key at once with no overlap', async () => {
+    const result = await rotateLicenseKey(rotationDb(), 7, { overlapHours: 0, reason: 'Key leaked', rotatedBy: 'admin@example.com' });
+
+    expect(result.oldKeyValidUntil).toBeNull();
+  });
+
+  test('needs a reason to revoke the old key at once', async () => {
+    const db = rotationDb();
+
+    await expect(rotateLicenseKey(db, 7, { overlapHours: 0, rotatedBy: 'admin@example.com' }))
+      .rejects.toMatchObject({ status: 400 });
+    expect(db.queries).toHaveLength(0);
+  });
+
+  test.each([-1, 1.5, 7 * 24 + 1])('refuses an overlap of %p hours', async (overlapHours) => {
+    await expect(rotateLicenseKey(rotationDb(), 7, { overlapHours, rotatedBy: 'admin@example.com' }))
+      .rejects.toThrow(KeyRotationError);
+  });
+
+  test('answers 404 for an unknown license and 409 for a revoked one', async () => {
+    await expect(rotateLicenseKey(rotationDb(null), 7, { rotatedBy: 'admin@example.com' })).rejects.toMatchObject({ status: 404 });
+
+    const db = rotationDb({ ...licenseRow, status: 'revoked' });
+    await expect(rotateLicenseKey(db, 7, { rotatedBy: 'admin@example.com' })).rejects.toMatchObject({ status: 409 });
+    expect(db.statements()).toContain('ROLLBACK');
+    expect(db.matching(SET_KEY)).toHaveLength(0);
+  });
+});
+
+describe('revokeLicense', () => {
+  test('revokes the license and the replaced keys still in their overlap', async () => {
+    const db = createMockDb([[LOCK_LICENSE, [{ id: 7, license_key_hint: licenseRow.license_key_hint, status: 'active' }]]]);
+
+    await revokeLicense(db, 7, { reason: 'Chargeback', revokedBy: 'admin@example.com' });
+
+    expect(db.matching(REVOKE)[0].params).toEqual([7, 'admin@example.com', 'Chargeback']);
+    expect(db.matching(REVOKE_HISTORY)[0].params).toEqual([7, 'Chargeback']);
+    expect(db.statements()).toContain('COMMIT');
+  });
+
+  test('needs a reason', async () => {
+    await expect(revokeLicense(createMockDb(), 7, { revokedBy: 'admin@example.com' })).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('refuses to revoke twice', async () => {
+    const db = createMockDb([[LOCK_LICENSE, [{ id: 7, status: 'revoked' }]]]);
+
+    await expect(revokeLicense(db, 7, { reason: 'Again', revokedBy: 'admin@example.com' })).rejects.toMatchObject({ status: 409 });
+    expect(db.statements()).toContain('ROLLBACK');
+  });
+});
@@ -0,0 +1,84 @@
+jest.mock('../logger');
+jest.mock('pg', () => require('./mock-db').mockPg());
+jest.mock('../email-outbox', () => ({ enqueueEmail: jest.fn() }));
+
+const { mockDb } = require('pg');
+const { enqueueEmail } = require('../email-outbox');
+const { hasExpired, runExpirySweep } = require('../license-expiry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-10T12:00:00Z');
+
+const EXPIRE = /SET status = 'expired'/;
+const DUE_FOR_REMINDER = /AS days_before/;
+const CLAIM_REMINDER = /INSERT INTO license_expiry_reminders/;
+
+function daysFromNow(days) {
+  return new Date(now.getTime() + days * DAY_MS);
+}
+
+describe('hasExpired', () => {
+  test('expires a license without a subscription at its expiry date', () => {
+    expect(hasExpired({ subscription_id: null, expires_at: daysFromNow(-0.01) }, now)).toBe(true);
+    expect(hasExpired({ subscription_id: null, expires_at: daysFromNow(1) }, now)).toBe(false);
+  });
+
+  test('never expires a license without an expiry date', () => {
+    expect(hasExpired({ subscription_id: null, expires_at: null }, now)).toBe(false);
+    expect(hasExpired({ subscription_id: 'sub_1', expires_at: null }, now)).toBe(false);
+  });
+
+  test('gives a subscription license three days for its renewal webhook', () => {
+    expect(hasExpired({ subscription_id: 'sub_1', expires_at: daysFromNow(-2.9) }, now)).toBe(false);
+    expect(hasExpired({ subscription_id: 'sub_1', expires_at: daysFromNow(-3.1) }, now)).toBe(true);
+  });
+});
+
+describe('runExpirySweep', () => {
+  function mockSweep(handlers = []) {
+    mockDb.reset([
+      [/pg_try_advisory_lock/, [{ acquired: true }]],
+      ...handlers
+    ]);
+  }
+
+  test('expires overdue licenses, leaving subscriptions time for a late renewal', async () => {
+    mockSweep([[EXPIRE, { rows: [{ id: 1 }, { id: 2 }], rowCount: 2 }]]);
+
+    await expect(runExpirySweep()).resolves.toEqual({ expired: 2, reminders: 0, finalNotices: 0, suspended: 0 });
+
+    const { sql } = mockDb.matching(EXPIRE)[0];
+    expect(sql).toMatch(/WHERE status = 'active'/);
+    expect(sql).toMatch(/expires_at IS NULL/);
+    expect(sql).toMatch(/CASE WHEN subscription_id IS NULL THEN INTERVAL '0 days' ELSE INTERVAL '3 days' END/);
+  });
+
+  test('queues each reminder once', async () => {
+    const license = { id: 7, license_key_hint: 'EAA-7KQ4-****-****-****-R8NB', email: 'customer@example.com', plan: 'professional', expires_at: new Date(Date.now() + 6 * DAY_MS), locale: 'de', days_before: 7 };
+    mockSweep([[DUE_FOR_REMINDER, [license, { ...license, id: 8 }]], [CLAIM_REMINDER, params => (params[0] === 7 ? [{ id: 1 }] : [])]]);
+    enqueueEmail.mockClear();
+
+    const result = await runExpirySweep();
+
+    expect(result.reminders).toBe(1);
+    expect(enqueueEmail).toHaveBeenCalledTimes(1);
+    expect(enqueueEmail.mock.calls[0][1]).toMatchObject({ type: 'expiry_reminder', licenseId: 7, payload: { daysLeft: 6 } });
+  });
+
+  test('forgets expired key handoffs and login links', async () => {
+    mockSweep();
+
+    await runExpirySweep();
+
+    expect(mockDb.matching(/DELETE FROM license_key_reveals WHERE expires_at <= NOW\(\)/)).toHaveLength(1);
+    expect(mockDb.matching(/DELETE FROM customer_login_tokens WHERE expires_at <= NOW\(\)/)).toHaveLength(1);
+  });
+
+  test('does nothing while another replica sweeps', async () => {
+    mockDb.reset([[/pg_try_advisory_lock/, [{ acquired: false }]]]);
+
+    await expect(runExpirySweep()).resolves.toBeNull();
+    expect(mockDb.matching(EXPIRE)).toHaveLength(0);
+    expect(mockDb.release).toHaveBeenCalled();
+  });
+});
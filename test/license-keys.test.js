@@ -0,0 +1,132 @@
+jest.mock('../logger');
+
+const crypto = require('crypto');
+const {
+  generateLicenseKey,
+  isWellFormedLicenseKey,
+  hashLicenseKey,
+  maskLicenseKey,
+  withUniqueLicenseKey
+} = require('../license-keys');
+
+// Replace one character of a random segment with a different one from the key alphabet
+function withTypo(key) {
+  const index = 4;
+  const replacement = key[index] === 'A' ? 'B' : 'A';
+  return key.slice(0, index) + replacement + key.slice(index + 1);
+}
+
+describe('generateLicenseKey', () => {
+  test('produces keys in the EAA-XXXX-XXXX-XXXX-XXXX-CCCC format', () => {
+    const key = generateLicenseKey();
+    expect(key).toMatch(/^EAA(-[ABCDEFGHJKMNPQRSTUVWXYZ23456789]{4}){5}$/);
+  });
+
+  test('produces keys that pass the check segment test', () => {
+    for (let i = 0; i < 50; i++) {
+      expect(isWellFormedLicenseKey(generateLicenseKey())).toBe(true);
+    }
+  });
+});
+
+describe('isWellFormedLicenseKey', () => {
+  test('rejects a key with a typo through the check segment', () => {
+    const key = generateLicenseKey();
+    expect(isWellFormedLicenseKey(withTypo(key))).toBe(false);
+  });
+
+  test('rejects a key whose check segment was changed', () => {
+    const key = generateLicenseKey();
+    const last = key.slice(-1) === 'A' ? 'B' : 'A';
+    expect(isWellFormedLicenseKey(key.slice(0, -1) + last)).toBe(false);
+  });
+
+  test('accepts lowercase keys and surrounding whitespace', () => {
+    const key = generateLicenseKey();
+    expect(isWellFormedLicenseKey(`  ${key.toLowerCase()}\n`)).toBe(true);
+  });
+
+  test('accepts legacy keys without a check segment', () => {
+    expect(isWellFormedLicenseKey('EAA-AB12-CD34-EF56-GH78')).toBe(true);
+    expect(isWellFormedLicenseKey('EAA-TEST-1234-DEMO')).toBe(true);
+  });
+
+  test.each([
+    ['not a key', 'nope'],
+    ['another prefix', 'XYZ-AB12-CD34-EF56-GH78'],
+    ['too few segments', 'EAA-AB12-CD34'],
+    ['a non-string', 12345],
+    ['nothing', undefined]
+  ])('rejects %s', (description, value) => {
+    expect(isWellFormedLicenseKey(value)).toBe(false);
+  });
+});
+
+describe('hashLicenseKey', () => {
+  test('is the SHA-256 hex digest of the normalized key', () => {
+    const key = generateLicenseKey();
+    const expected = crypto.createHash('sha256').update(key).digest('hex');
+    expect(hashLicenseKey(key)).toBe(expected);
+  });
+
+  test('ignores case and surrounding whitespace', () => {
+    const key = generateLicenseKey();
+    expect(hashLicenseKey(` ${key.toLowerCase()} `)).toBe(hashLicenseKey(key));
+  });
+
+  test('differs between keys', () => {
+    expect(hashLicenseKey(generateLicenseKey())).not.toBe(hashLicenseKey(generateLicenseKey()));
+  });
+});
+
+describe('maskLicenseKey', () => {
+  test('keeps only the first and last segment readable', () => {
+    expect(maskLicenseKey('EAA-7KQ4-MZ3P-W9XD-HT2C-R8NB')).toBe('EAA-****-****-****-****-R8NB');
+  });
+
+  test('hides anything that does not look like a key', () => {
+    expect(maskLicenseKey('secret')).toBe('****');
+  });
+});
+
+describe('withUniqueLicenseKey', () => {
+  const collision = () => Object.assign(new Error('duplicate key'), {
+    code: '23505',
+    constraint: 'licenses_license_key_hash_key'
+  });
+
+  test('passes the key, its hash and hint to the insert', async () => {
+    const insert = jest.fn(async (key, keyHash, keyHint) => ({ key, keyHash, keyHint }));
+
+    const result = await withUniqueLicenseKey(insert);
+
+    expect(isWellFormedLicenseKey(result.key)).toBe(true);
+    expect(result.keyHash).toBe(hashLicenseKey(result.key));
+    expect(result.keyHint).toBe(maskLicenseKey(result.key));
+  });
+
+  test('retries with a fresh key when the hash collides', async () => {
+    const insert = jest.fn()
+      .mockRejectedValueOnce(collision())
+      .mockImplementationOnce(async key => key);
+
+    const key = await withUniqueLicenseKey(insert);
+
+    expect(insert).toHaveBeenCalledTimes(2);
+    expect(insert.mock.calls[0][0]).not.toBe(key);
+  });
+
+  test('gives up after repeated collisions', async () => {
+    const insert = jest.fn().mockRejectedValue(collision());
+
+    await expect(withUniqueLicenseKey(insert)).rejects.toMatchObject({ code: '23505' });
+    expect(insert).toHaveBeenCalledTimes(5);
+  });
+
+  test('does not retry other errors', async () => {
+    const insert = jest.fn().mockRejectedValue(Object.assign(new Error('other'), { code: '23505', constraint: 'licenses_email_key' }));
+
+    await expect(withUniqueLicenseKey(insert)).rejects.toThrow('other');
+    expect(insert).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,90 @@
+jest.mock('../logger');
+jest.mock('pg', () => require('./mock-db').mockPg());
+jest.mock('../plans', () => ({
+  getLicenseFeatures: jest.fn(async () => ({ max_websites: 1, basic_fixes: true })),
+  getPlan: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { mockDb } = require('pg');
+const { generateLicenseKey } = require('../license-keys');
+const licenseRoute = require('../routes/license');
+
+const app = express();
+app.use(express.json());
+app.use('/api/license', licenseRoute);
+
+const LICENSE = /FROM licenses\s+WHERE license_key_hash = \$1/;
+const MARK_EXPIRED = /SET status = 'expired'/;
+
+const licenseKey = generateLicenseKey();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function licenseRow(overrides = {}) {
+  return {
+    id: 7,
+    license_key_hash: 'hash',
+    license_key_hint: 'EAA-7KQ4-****-****-****-R8NB',
+    email: 'customer@example.com',
+    domain: null,
+    plan: 'professional',
+    status: 'active',
+    subscription_id: null,
+    expires_at: new Date(Date.now() + 30 * DAY_MS),
+    grace_period_ends_at: null,
+    ...overrides
+  };
+}
+
+// Validate on a development host, which needs no activation slot
+function validate(license) {
+  mockDb.reset([
+    [/COALESCE\(MAX/, [{ seconds: 0 }]],
+    [/SELECT 1 FROM licenses/, [{ '?column?': 1 }]],
+    [LICENSE, [license]]
+  ]);
+
+  return request(app).post('/api/license/validate').send({ licenseKey, domain: 'localhost' });
+}
+
+describe('POST /api/license/validate', () => {
+  test('accepts an active license within its term', async () => {
+    const res = await validate(licenseRow());
+
+    expect(res.body).toMatchObject({ valid: true, license: { plan: 'professional', developmentDomain: true } });
+  });
+
+  test('treats a license without an expiry date as never expiring', async () => {
+    const res = await validate(licenseRow({ expires_at: null }));
+
+    expect(res.body.valid).toBe(true);
+    expect(mockDb.matching(MARK_EXPIRED)).toHaveLength(0);
+  });
+
+  test('expires a license past its expiry date', async () => {
+    const res = await validate(licenseRow({ expires_at: new Date(Date.now() - DAY_MS) }));
+
+    expect(res.body).toEqual({ valid: false, error: 'License has expired' });
+    expect(mockDb.matching(MARK_EXPIRED)).toHaveLength(1);
+  });
+
+  test('gives a subscription license time for a late renewal', async () => {
+    const res = await validate(licenseRow({ subscription_id: 'sub_1', expires_at: new Date(Date.now() - DAY_MS) }));
+
+    expect(res.body.valid).toBe(true);
+    expect(mockDb.matching(MARK_EXPIRED)).toHaveLength(0);
+  });
+
+  test('expires a subscription license when no renewal arrived in time', async () => {
+    const res = await validate(licenseRow({ subscription_id: 'sub_1', expires_at: new Date(Date.now() - 4 * DAY_MS) }));
+
+    expect(res.body).toEqual({ valid: false, error: 'License has expired' });
+  });
+
+  test('refuses a past due license once its grace period is over', async () => {
+    const res = await validate(licenseRow({ status: 'past_due', grace_period_ends_at: new Date(Date.now() - 1000) }));
+
+    expect(res.body).toEqual({ valid: false, error: 'License suspended due to a failed payment' });
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock('../logger');
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const KEY_ENV = ['LICENSE_SIGNING_KEY', 'LICENSE_SIGNING_KEY_ID', 'LICENSE_RETIRED_KEYS'];
+
+function generatePem() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return {
+    privatePem: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicPem: publicKey.export({ type: 'spki', format: 'pem' })
+  };
+}
+
+const current = generatePem();
+const retired = generatePem();
+
+// Run `callback` with a fresh copy of license-token.js that sees `env`. The module caches its keys
+// once loaded, and reads them on first use, so the environment is kept until the callback returns.
+function withTokenModule(env, callback) {
+  const saved = Object.fromEntries(KEY_ENV.map(name => [name, process.env[name]]));
+  KEY_ENV.forEach(name => delete process.env[name]);
+  Object.assign(process.env, env);
+
+  try {
+    let tokens;
+    jest.isolateModules(() => {
+      tokens = require('../license-token');
+    });
+    return callback(tokens);
+
+  } finally {
+    KEY_ENV.forEach((name) => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+  }
+}
+
+const license = { licenseKey: 'EAA-7KQ4-MZ3P-W9XD-HT2C-R8NB', plan: 'professional', features: { widget: true }, domain: 'example.com' };
+
+describe('signLicenseToken', () => {
+  test('returns null while no signing key is configured', () => {
+    withTokenModule({}, (tokens) => {
+      expect(tokens.isSigningEnabled()).toBe(false);
+      expect(tokens.signLicenseToken(license)).toBeNull();
+    });
+  });
+
+  test('signs a token that verifies against the published key', () => {
+    withTokenModule({ LICENSE_SIGNING_KEY: current.privatePem, LICENSE_SIGNING_KEY_ID: 'k1' }, (tokens) => {
+      const { token } = tokens.signLicenseToken(license);
+
+      expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'RS256', kid: 'k1' });
+      expect(tokens.verifyLicenseToken(token)).toMatchObject({ license_key: license.licenseKey, plan: 'professional', domain: 'example.com' });
+      expect(tokens.getPublicKeys()).toEqual([expect.objectContaining({ kid: 'k1', current: true })]);
+    });
+  });
+
+  test('stays fresh for the TTL and then valid for the grace period', () => {
+    withTokenModule({ LICENSE_SIGNING_KEY: current.privatePem }, (tokens) => {
+      const { token } = tokens.signLicenseToken({ ...license, licenseExpiresAt: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000) });
+      const payload = jwt.decode(token);
+
+      expect(payload.refresh_after - payload.iat).toBe(tokens.TOKEN_TTL_SECONDS);
+      expect(payload.exp - payload.refresh_after).toBe(tokens.GRACE_PERIOD_SECONDS);
+    });
+  });
+
+  test('never outlives the license', () => {
+    withTokenModule({ LICENSE_SIGNING_KEY: current.privatePem }, (tokens) => {
+      const licenseExpiresAt = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+
+      const result = tokens.signLicenseToken({ ...license, licenseExpiresAt });
+      const payload = jwt.decode(result.token);
+
+      expect(payload.exp).toBe(Math.floor(licenseExpiresAt.getTime() / 1000));
+      expect(result.expiresAt.getTime()).toBe(payload.exp * 1000);
+      expect(payload.license_expires_at).toBe(licenseExpiresAt.toISOString());
+    });
+  });
+
+  test('asks for a refresh no later than the license expiry', () => {
+    withTokenModule({ LICENSE_SIGNING_KEY: current.privatePem }, (tokens) => {
+      const licenseExpiresAt = new Date(Date.now() + 60 * 60 * 1000);
+
+      const payload = jwt.decode(tokens.signLicenseToken({ ...license, licenseExpiresAt }).token);
+
+      expect(payload.refresh_after).toBe(payload.exp);
+    });
+  });
+});
+
+describe('verifyLicenseToken', () => {
+  test('accepts tokens signed by a retired key that is still published', () => {
+    const oldToken = withTokenModule({ LICENSE_SIGNING_KEY: retired.privatePem, LICENSE_SIGNING_KEY_ID: 'old' },
+      tokens => tokens.signLicenseToken(license).token);
+
+    withTokenModule({
+      LICENSE_SIGNING_KEY: current.privatePem,
+      LICENSE_SIGNING_KEY_ID: 'new',
+      LICENSE_RETIRED_KEYS: JSON.stringify({ old: retired.publicPem })
+    }, (tokens) => {
+      expect(tokens.verifyLicenseToken(oldToken).license_key).toBe(license.licenseKey);
+      expect(tokens.getPublicKeys().map(key => [key.kid, key.current])).toEqual([['new', true], ['old', false]]);
+    });
+  });
+
+  test('rejects tokens from keys that are not published', () => {
+    const foreign = withTokenModule({ LICENSE_SIGNING_KEY: retired.privatePem, LICENSE_SIGNING_KEY_ID: 'old' },
+      tokens => tokens.signLicenseToken(license).token);
+
+    withTokenModule({ LICENSE_SIGNING_KEY: current.privatePem, LICENSE_SIGNING_KEY_ID: 'new' }, (tokens) => {
+      expect(() => tokens.verifyLicenseToken(foreign)).toThrow('Unknown signing key');
+    });
+  });
+});
+
+describe('loadKeys', () => {
+  test('keeps failing on a bad retired key list instead of caching a half-loaded state', () => {
+    withTokenModule({ LICENSE_SIGNING_KEY: current.privatePem, LICENSE_RETIRED_KEYS: '{not json' }, (tokens) => {
+      expect(() => tokens.loadKeys()).toThrow();
+      expect(() => tokens.isSigningEnabled()).toThrow();
+      expect(() => tokens.signLicenseToken(license)).toThrow();
+    });
+  });
+
+  test('keeps failing on a bad signing key', () => {
+    withTokenModule({ LICENSE_SIGNING_KEY: 'not a pem' }, (tokens) => {
+      expect(() => tokens.loadKeys()).toThrow();
+      expect(() => tokens.getPublicKeys()).toThrow();
+    });
+  });
+
+  test('accepts PEMs with escaped newlines', () => {
+    withTokenModule({ LICENSE_SIGNING_KEY: current.privatePem.replace(/\n/g, '\\n') }, (tokens) => {
+      expect(tokens.isSigningEnabled()).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const { Writable } = require('stream');
+const express = require('express');
+const request = require('supertest');
+const winston = require('winston');
+const { logger, withLogContext, requestContext, requestLogger } = require('../logger');
+
+// Capture what the logger writes instead of writing log files and the console
+const lines = [];
+
+beforeAll(() => {
+  logger.clear();
+  logger.add(new winston.transports.Stream({
+    stream: new Writable({
+      write(chunk, encoding, callback) {
+        lines.push(JSON.parse(chunk.toString()));
+        callback();
+      }
+    })
+  }));
+});
+
+beforeEach(() => {
+  lines.length = 0;
+});
+
+// Lines reach the stream asynchronously
+function flushed() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+const licenseKey = 'EAA-7KQ4-MZ3P-W9XD-HT2C-R8NB';
+const maskedKey = 'EAA-****-****-****-****-R8NB';
+
+describe('license key masking', () => {
+  test('masks keys in fields and messages, keeping the first and last segment', async () => {
+    logger.info(`Key ${licenseKey} activated`, { licenseKey, nested: { keys: [licenseKey] } });
+    await flushed();
+
+    expect(lines[0]).toMatchObject({ message: `Key ${maskedKey} activated`, licenseKey: maskedKey, nested: { keys: [maskedKey] } });
+    expect(JSON.stringify(lines[0])).not.toContain('MZ3P');
+  });
+
+  test('masks lowercase and legacy keys', async () => {
+    logger.info('Keys', { typed: licenseKey.toLowerCase(), legacy: 'EAA-AB12-CD34-EF56' });
+    await flushed();
+
+    expect(lines[0]).toMatchObject({ typed: 'eaa-****-****-****-****-r8nb', legacy: 'EAA-****-****-EF56' });
+  });
+
+  test('leaves key hints and other text alone', async () => {
+    logger.info('Plain', { keyHint: maskedKey, orderId: 'ORD-1234-5678' });
+    await flushed();
+
+    expect(lines[0]).toMatchObject({ keyHint: maskedKey, orderId: 'ORD-1234-5678' });
+  });
+
+  test('masks keys in error messages', async () => {
+    logger.error('Activation failed', { error: new Error(`No license ${licenseKey}`) });
+    await flushed();
+
+    expect(lines[0].error).toMatchObject({ message: `No license ${maskedKey}` });
+    expect(lines[0].error.stack).toEqual(expect.any(String));
+  });
+});
+
+describe('withLogContext', () => {
+  test('adds its fields to every line logged inside it', async () => {
+    await withLogContext({ eventId: 'evt_1' }, async () => {
+      logger.info('Handling');
+      await withLogContext({ licenseId: 7 }, async () => logger.info('Nested'));
+    });
+    logger.info('Outside');
+    await flushed();
+
+    expect(lines.map(({ eventId, licenseId }) => ({ eventId, licenseId }))).toEqual([
+      { eventId: 'evt_1', licenseId: undefined },
+      { eventId: 'evt_1', licenseId: 7 },
+      { eventId: undefined, licenseId: undefined }
+    ]);
+  });
+
+  test('lets fields passed to the call win over the context', async () => {
+    withLogContext({ licenseId: 7 }, () => logger.info('Other license', { licenseId: 8 }));
+    await flushed();
+
+    expect(lines[0].licenseId).toBe(8);
+  });
+});
+
+describe('request middleware', () => {
+  const app = express();
+  app.use(requestContext);
+  app.use(requestLogger);
+  app.get('/ping', (req, res) => {
+    logger.info('Handling ping');
+    res.json({ ok: true });
+  });
+
+  test('keeps a sane incoming request ID and puts it on every line', async () => {
+    const res = await request(app).get('/ping?secret=1').set('X-Request-Id', 'proxy-123');
+    await flushed();
+
+    expect(res.headers['x-request-id']).toBe('proxy-123');
+    expect(lines.find(line => line.message === 'Handling ping').requestId).toBe('proxy-123');
+    expect(lines.find(line => line.message === 'Request completed')).toMatchObject({
+      level: 'http',
+      requestId: 'proxy-123',
+      method: 'GET',
+      path: '/ping',
+      status: 200
+    });
+  });
+
+  test('replaces a request ID it cannot trust', async () => {
+    const res = await request(app).get('/ping').set('X-Request-Id', 'bad id\twith spaces');
+
+    expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
@@ -0,0 +1,58 @@
+// In-memory stand-in for a pg client or pool. `handlers` is a list of [pattern, response] pairs; a
+// query gets the response of the first pattern its SQL matches, or no rows. A response is a list of
+// rows, a full result object, an Error to reject with, or a function of the query parameters
+// returning one of those. Every query is recorded in `queries` as { sql, params }.
+function createMockDb(initialHandlers = []) {
+  const queries = [];
+  let handlers = initialHandlers;
+
+  const query = jest.fn(async (sql, params = []) => {
+    queries.push({ sql, params });
+
+    const handler = handlers.find(([pattern]) => pattern.test(sql));
+    let response = handler ? handler[1] : [];
+    if (typeof response === 'function') {
+      response = response(params);
+    }
+
+    if (response instanceof Error) {
+      throw response;
+    }
+    if (Array.isArray(response)) {
+      return { rows: response, rowCount: response.length };
+    }
+    return { rows: [], rowCount: 0, ...response };
+  });
+
+  const db = {
+    query,
+    queries,
+    release: jest.fn(),
+    // The pool and its clients are the same object
+    connect: jest.fn(async () => db),
+    // Queries whose SQL matches `pattern`
+    matching: pattern => queries.filter(({ sql }) => pattern.test(sql)),
+    // First word of each statement, e.g. ['BEGIN', 'SELECT', 'COMMIT']
+    statements: () => queries.map(({ sql }) => sql.trim().split(/\s+/)[0]),
+    // Forget recorded queries and answer with new handlers
+    reset: (nextHandlers = []) => {
+      queries.length = 0;
+      handlers = nextHandlers;
+      query.mockClear();
+      db.release.mockClear();
+    }
+  };
+
+  return db;
+}
+
+// Replacement for the pg module, for code that creates its own pools at load time:
+//   jest.mock('pg', () => require('./mock-db').mockPg());
+//   const { mockDb } = require('pg');
+// Every pool is the same mock database.
+function mockPg() {
+  const mockDb = createMockDb();
+  return { Pool: jest.fn(() => mockDb), mockDb };
+}
+
+module.exports = { createMockDb, mockPg };
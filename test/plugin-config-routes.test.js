@@ -0,0 +1,135 @@
+jest.mock('../logger');
+jest.mock('pg', () => require('./mock-db').mockPg());
+jest.mock('../plans', () => ({ getLicenseFeatures: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const { mockDb } = require('pg');
+const { getLicenseFeatures } = require('../plans');
+const { generateLicenseKey } = require('../license-keys');
+const { getDefaultConfig, configEtag } = require('../plugin-config');
+const pluginConfigRoute = require('../routes/plugin-config');
+
+const app = express();
+app.use(express.json());
+app.use('/api/plugin-config', pluginConfigRoute);
+
+const PLAN_FEATURES = {
+  starter: { basic_fixes: true, widget: true },
+  professional: { basic_fixes: true, advanced_fixes: true, widget: true, white_label: true }
+};
+
+const licenseKey = generateLicenseKey();
+const CURRENT = /FROM plugin_configs WHERE license_id/;
+const UPSERT = /INSERT INTO plugin_configs/;
+
+const professionalConfig = getDefaultConfig(PLAN_FEATURES.professional);
+
+// A known key whose license is on `plan`, with `stored` as its saved config (or none)
+function mockLicense({ plan, stored = null }) {
+  mockDb.reset([
+    [/COALESCE\(MAX/, [{ seconds: 0 }]],
+    [/SELECT 1 FROM licenses/, [{ '?column?': 1 }]],
+    [/SELECT \* FROM licenses/, [{ id: 7, plan, license_key_hint: 'EAA-****' }]],
+    [CURRENT, stored ? [stored] : []],
+    [UPSERT, params => [{ config_data: params[1], version: params[2], updated_at: null }]]
+  ]);
+}
+
+beforeAll(() => {
+  getLicenseFeatures.mockImplementation(async plan => PLAN_FEATURES[plan]);
+});
+
+describe('GET /api/plugin-config/:licenseKey', () => {
+  test('serves the plan defaults until a config is saved', async () => {
+    mockLicense({ plan: 'starter' });
+
+    const res = await request(app).get(`/api/plugin-config/${licenseKey}`);
+
+    expect(res.body).toMatchObject({ config: getDefaultConfig(PLAN_FEATURES.starter), version: 0 });
+    expect(res.headers.etag).toBe(configEtag(7, 0, PLAN_FEATURES.starter));
+  });
+
+  test('answers 304 while neither the config nor the plan changed', async () => {
+    mockLicense({ plan: 'starter' });
+
+    const res = await request(app)
+      .get(`/api/plugin-config/${licenseKey}`)
+      .set('If-None-Match', configEtag(7, 0, PLAN_FEATURES.starter));
+
+    expect(res.status).toBe(304);
+  });
+
+  test('serves the new defaults after a plan change', async () => {
+    mockLicense({ plan: 'professional' });
+
+    const res = await request(app)
+      .get(`/api/plugin-config/${licenseKey}`)
+      .set('If-None-Match', configEtag(7, 0, PLAN_FEATURES.starter));
+
+    expect(res.status).toBe(200);
+    expect(res.body.config).toEqual(professionalConfig);
+  });
+
+  test('switches off what the plan no longer includes in a saved config', async () => {
+    const stored = { config_data: { ...professionalConfig, widget: { ...professionalConfig.widget, hideBranding: true } }, version: 4, updated_at: null };
+    mockLicense({ plan: 'starter', stored });
+
+    const res = await request(app)
+      .get(`/api/plugin-config/${licenseKey}`)
+      .set('If-None-Match', configEtag(7, 4, PLAN_FEATURES.professional));
+
+    expect(res.status).toBe(200);
+    expect(res.body.version).toBe(4);
+    expect(res.body.config.fixes.keyboard_navigation).toBe(false);
+    expect(res.body.config.widget.hideBranding).toBe(false);
+    expect(res.headers.etag).toBe(configEtag(7, 4, PLAN_FEATURES.starter));
+  });
+});
+
+describe('PUT /api/plugin-config/:licenseKey', () => {
+  test('saves against the version from the ETag', async () => {
+    mockLicense({ plan: 'professional', stored: { config_data: professionalConfig, version: 4, updated_at: null } });
+
+    const res = await request(app)
+      .put(`/api/plugin-config/${licenseKey}`)
+      .set('If-Match', configEtag(7, 4, PLAN_FEATURES.professional))
+      .send({ config: professionalConfig });
+
+    expect(res.status).toBe(200);
+    expect(res.body.version).toBe(5);
+    expect(res.headers.etag).toBe(configEtag(7, 5, PLAN_FEATURES.professional));
+  });
+
+  test('still accepts ETags without the features part', async () => {
+    mockLicense({ plan: 'professional', stored: { config_data: professionalConfig, version: 4, updated_at: null } });
+
+    const res = await request(app)
+      .put(`/api/plugin-config/${licenseKey}`)
+      .set('If-Match', '"7-4"')
+      .send({ config: professionalConfig });
+
+    expect(res.status).toBe(200);
+  });
+
+  test('refuses a save based on an older version', async () => {
+    mockLicense({ plan: 'professional', stored: { config_data: professionalConfig, version: 4, updated_at: null } });
+
+    const res = await request(app)
+      .put(`/api/plugin-config/${licenseKey}`)
+      .set('If-Match', configEtag(7, 3, PLAN_FEATURES.professional))
+      .send({ config: professionalConfig });
+
+    expect(res.status).toBe(412);
+    expect(mockDb.matching(UPSERT)).toHaveLength(0);
+  });
+
+  test('refuses settings the plan does not include', async () => {
+    mockLicense({ plan: 'starter' });
+
+    const res = await request(app).put(`/api/plugin-config/${licenseKey}`).send({ config: professionalConfig });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid configuration');
+  });
+});
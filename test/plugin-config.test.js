@@ -0,0 +1,201 @@
+const { FIXES, getDefaultConfig, validateConfig, applyPlanLimits, configEtag, saveConfig } = require('../plugin-config');
+const { createMockDb } = require('./mock-db');
+
+const basicFeatures = { basic_fixes: true, widget: true };
+const allFeatures = { basic_fixes: true, advanced_fixes: true, widget: true, white_label: true };
+
+const CURRENT = /FROM plugin_configs WHERE license_id/;
+const UPSERT = /INSERT INTO plugin_configs/;
+const HISTORY = /INSERT INTO plugin_config_versions/;
+const PRUNE = /DELETE FROM plugin_config_versions/;
+
+function pathsOf(errors) {
+  return errors.map(error => error.path);
+}
+
+describe('getDefaultConfig', () => {
+  test('turns on every fix the plan allows', () => {
+    const { fixes } = getDefaultConfig(basicFeatures);
+
+    expect(fixes.alt_text).toBe(true);
+    expect(fixes.keyboard_navigation).toBe(false);
+    expect(Object.keys(fixes)).toEqual(Object.keys(FIXES));
+  });
+
+  test('enables the widget only with the widget feature', () => {
+    expect(getDefaultConfig(basicFeatures).widget.enabled).toBe(true);
+    expect(getDefaultConfig({ basic_fixes: true }).widget.enabled).toBe(false);
+  });
+
+  test('is valid for the plan it was made for', () => {
+    expect(validateConfig(getDefaultConfig(basicFeatures), basicFeatures)).toEqual([]);
+    expect(validateConfig(getDefaultConfig({}), {})).toEqual([]);
+  });
+});
+
+describe('validateConfig', () => {
+  test('accepts a full config within the plan', () => {
+    const config = getDefaultConfig(allFeatures);
+    config.widget.hideBranding = true;
+    config.excludedPages = ['/checkout', '/admin/*'];
+
+    expect(validateConfig(config, allFeatures)).toEqual([]);
+  });
+
+  test('requires an object', () => {
+    expect(validateConfig(null, allFeatures)).toEqual([{ path: 'config', message: 'Must be an object' }]);
+    expect(validateConfig([], allFeatures)).toEqual([{ path: 'config', message: 'Must be an object' }]);
+  });
+
+  test('refuses fixes, the widget and white labelling the plan does not include', () => {
+    const config = getDefaultConfig(allFeatures);
+    config.widget.hideBranding = true;
+
+    expect(pathsOf(validateConfig(config, basicFeatures))).toEqual([
+      'config.fixes.aria_landmarks',
+      'config.fixes.keyboard_navigation',
+      'config.fixes.heading_structure',
+      'config.fixes.table_headers',
+      'config.fixes.media_captions',
+      'config.widget.hideBranding'
+    ]);
+    expect(pathsOf(validateConfig(getDefaultConfig(basicFeatures), { basic_fixes: true }))).toEqual(['config.widget.enabled']);
+  });
+
+  test('allows turning off a fix the plan does not include', () => {
+    const config = getDefaultConfig(basicFeatures);
+
+    expect(config.fixes.media_captions).toBe(false);
+    expect(validateConfig(config, basicFeatures)).toEqual([]);
+  });
+
+  test('reports unknown settings and fixes', () => {
+    const config = getDefaultConfig(basicFeatures);
+    config.theme = 'dark';
+    config.fixes.autoplay = true;
+    config.widget.size = 'large';
+
+    expect(validateConfig(config, basicFeatures)).toEqual([
+      { path: 'config.theme', message: 'Unknown setting' },
+      { path: 'config.fixes.autoplay', message: 'Unknown fix' },
+      { path: 'config.widget.size', message: 'Unknown setting' }
+    ]);
+  });
+
+  test('checks value types, positions and colors', () => {
+    const config = getDefaultConfig(basicFeatures);
+    config.fixes.alt_text = 'yes';
+    config.widget.position = 'center';
+    config.widget.primaryColor = 'blue';
+
+    expect(pathsOf(validateConfig(config, basicFeatures))).toEqual([
+      'config.fixes.alt_text',
+      'config.widget.position',
+      'config.widget.primaryColor'
+    ]);
+  });
+
+  test('checks excluded pages', () => {
+    const config = getDefaultConfig(basicFeatures);
+    config.excludedPages = ['/ok', 'relative', 42, `/${'a'.repeat(500)}`];
+
+    expect(pathsOf(validateConfig(config, basicFeatures))).toEqual([
+      'config.excludedPages.1',
+      'config.excludedPages.2',
+      'config.excludedPages.3'
+    ]);
+
+    config.excludedPages = Array(201).fill('/page');
+    expect(validateConfig(config, basicFeatures)).toEqual([{ path: 'config.excludedPages', message: 'At most 200 entries' }]);
+  });
+});
+
+describe('applyPlanLimits', () => {
+  test('switches off what a downgraded plan no longer includes', () => {
+    const config = getDefaultConfig(allFeatures);
+    config.widget.hideBranding = true;
+
+    const limited = applyPlanLimits(config, { basic_fixes: true });
+
+    expect(limited.fixes.alt_text).toBe(true);
+    expect(limited.fixes.keyboard_navigation).toBe(false);
+    expect(limited.widget).toMatchObject({ enabled: false, hideBranding: false, position: 'bottom-right' });
+    expect(validateConfig(limited, { basic_fixes: true })).toEqual([]);
+  });
+
+  test('leaves a config within the plan as it is', () => {
+    const config = getDefaultConfig(basicFeatures);
+    config.fixes.alt_text = false;
+    config.excludedPages = ['/checkout'];
+
+    expect(applyPlanLimits(config, basicFeatures)).toEqual(config);
+  });
+
+  test('does not change the stored config', () => {
+    const config = getDefaultConfig(allFeatures);
+
+    applyPlanLimits(config, {});
+
+    expect(config.widget.enabled).toBe(true);
+  });
+});
+
+describe('configEtag', () => {
+  test('changes with the version and with the plan features', () => {
+    const etag = configEtag(7, 3, basicFeatures);
+
+    expect(etag).toMatch(/^"7-3-[0-9a-f]{12}"$/);
+    expect(configEtag(7, 4, basicFeatures)).not.toBe(etag);
+    expect(configEtag(7, 3, allFeatures)).not.toBe(etag);
+  });
+
+  test('does not depend on the order of the features', () => {
+    expect(configEtag(7, 3, { widget: true, basic_fixes: true })).toBe(configEtag(7, 3, basicFeatures));
+  });
+});
+
+describe('saveConfig', () => {
+  const config = getDefaultConfig(basicFeatures);
+
+  function configDb(currentVersion) {
+    return createMockDb([
+      [CURRENT, currentVersion ? [{ config_data: config, version: currentVersion, updated_at: null }] : []],
+      [UPSERT, params => [{ config_data: params[1], version: params[2], updated_at: null }]]
+    ]);
+  }
+
+  test('stores the next version and keeps it in the history', async () => {
+    const db = configDb(3);
+
+    const saved = await saveConfig(db, 7, config);
+
+    expect(saved).toEqual({ conflict: false, current: { config_data: config, version: 4, updated_at: null } });
+    expect(db.matching(HISTORY)[0].params).toEqual([7, 4, config, 'save']);
+    expect(db.matching(PRUNE)[0].params).toEqual([7, 4 - 50]);
+    expect(db.statements()).toEqual(['BEGIN', 'SELECT', 'SELECT', 'INSERT', 'INSERT', 'DELETE', 'COMMIT']);
+  });
+
+  test('starts at version 1', async () => {
+    const saved = await saveConfig(configDb(0), 7, config, { expectedVersion: 0 });
+
+    expect(saved.current.version).toBe(1);
+  });
+
+  test('refuses a save based on an older version', async () => {
+    const db = configDb(3);
+
+    const saved = await saveConfig(db, 7, config, { expectedVersion: 2 });
+
+    expect(saved).toEqual({ conflict: true, current: expect.objectContaining({ version: 3 }) });
+    expect(db.matching(UPSERT)).toHaveLength(0);
+    expect(db.statements()).toContain('ROLLBACK');
+  });
+
+  test('records where a version came from', async () => {
+    const db = configDb(3);
+
+    await saveConfig(db, 7, config, { expectedVersion: 3, source: 'rollback' });
+
+    expect(db.matching(HISTORY)[0].params[3]).toBe('rollback');
+  });
+});
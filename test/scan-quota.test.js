@@ -0,0 +1,152 @@
+const { getQuotaPeriod, getScanQuota, recordScan } = require('../scan-quota');
+const { createMockDb } = require('./mock-db');
+
+const SCAN_COUNT = /SELECT COUNT\(\*\)::int AS used/;
+const SCAN_INSERT = /INSERT INTO license_usage/;
+const LICENSE_LOCK = /FOR UPDATE/;
+
+const date = value => new Date(value);
+
+describe('getQuotaPeriod', () => {
+  test('runs monthly windows anchored on the billing date', () => {
+    const license = { expires_at: '2026-03-15T10:00:00Z' };
+
+    expect(getQuotaPeriod(license, date('2026-01-20T00:00:00Z'))).toEqual({
+      start: date('2026-01-15T10:00:00Z'),
+      end: date('2026-02-15T10:00:00Z')
+    });
+  });
+
+  test('starts a new window exactly on the billing time', () => {
+    const license = { expires_at: '2026-03-15T10:00:00Z' };
+
+    expect(getQuotaPeriod(license, date('2026-02-15T10:00:00Z')).start).toEqual(date('2026-02-15T10:00:00Z'));
+    expect(getQuotaPeriod(license, date('2026-02-15T09:59:59Z')).start).toEqual(date('2026-01-15T10:00:00Z'));
+  });
+
+  test('clamps the billing day to the end of shorter months', () => {
+    const license = { expires_at: '2026-03-31T00:00:00Z' };
+
+    expect(getQuotaPeriod(license, date('2026-02-10T00:00:00Z'))).toEqual({
+      start: date('2026-01-31T00:00:00Z'),
+      end: date('2026-02-28T00:00:00Z')
+    });
+    expect(getQuotaPeriod(license, date('2026-03-01T00:00:00Z'))).toEqual({
+      start: date('2026-02-28T00:00:00Z'),
+      end: date('2026-03-31T00:00:00Z')
+    });
+  });
+
+  test('resets yearly plans every month', () => {
+    const license = { expires_at: '2027-01-05T00:00:00Z' };
+
+    expect(getQuotaPeriod(license, date('2026-06-20T00:00:00Z'))).toEqual({
+      start: date('2026-06-05T00:00:00Z'),
+      end: date('2026-07-05T00:00:00Z')
+    });
+  });
+
+  test('keeps counting in windows after the billing date has passed', () => {
+    const license = { expires_at: '2025-06-10T00:00:00Z' };
+
+    expect(getQuotaPeriod(license, date('2026-01-20T00:00:00Z'))).toEqual({
+      start: date('2026-01-10T00:00:00Z'),
+      end: date('2026-02-10T00:00:00Z')
+    });
+  });
+
+  test('falls back to the creation date without a billing date', () => {
+    const license = { expires_at: null, created_at: '2026-01-03T08:00:00Z' };
+
+    expect(getQuotaPeriod(license, date('2026-04-01T00:00:00Z'))).toEqual({
+      start: date('2026-03-03T08:00:00Z'),
+      end: date('2026-04-03T08:00:00Z')
+    });
+  });
+
+  test('never starts before the current Stripe period', () => {
+    const license = { expires_at: '2026-03-15T10:00:00Z', current_period_start: '2026-01-28T12:00:00Z' };
+
+    expect(getQuotaPeriod(license, date('2026-02-01T00:00:00Z'))).toEqual({
+      start: date('2026-01-28T12:00:00Z'),
+      end: date('2026-02-15T10:00:00Z')
+    });
+  });
+
+  test('always contains the current time', () => {
+    const license = { expires_at: '2026-08-31T23:30:00Z' };
+
+    for (let day = 0; day < 400; day += 7) {
+      const now = new Date(Date.UTC(2026, 0, 1) + day * 24 * 60 * 60 * 1000);
+      const { start, end } = getQuotaPeriod(license, now);
+
+      expect(start.getTime()).toBeLessThanOrEqual(now.getTime());
+      expect(end.getTime()).toBeGreaterThan(now.getTime());
+    }
+  });
+});
+
+describe('getScanQuota', () => {
+  test('counts scans of the current window', async () => {
+    const db = createMockDb([[SCAN_COUNT, [{ used: 12 }]]]);
+    const license = { license_key_hash: 'hash', expires_at: new Date(Date.now() + 10 * 24 * 60 * 60 * 1000) };
+
+    const quota = await getScanQuota(db, license, 50);
+
+    expect(quota).toMatchObject({ limit: 50, used: 12, remaining: 38, unlimited: false });
+    expect(db.queries[0].params.slice(0, 2)).toEqual(['hash', 'scan']);
+  });
+
+  test('reports unlimited plans as remaining -1', async () => {
+    const db = createMockDb([[SCAN_COUNT, [{ used: 500 }]]]);
+
+    const quota = await getScanQuota(db, { license_key_hash: 'hash' }, -1);
+
+    expect(quota).toMatchObject({ limit: -1, remaining: -1, unlimited: true });
+  });
+});
+
+describe('recordScan', () => {
+  const license = { id: 3, license_key_hash: 'hash', expires_at: new Date(Date.now() + 10 * 24 * 60 * 60 * 1000) };
+  const scan = { domain: 'shop.example.com', ipAddress: '203.0.113.7', userAgent: 'plugin' };
+
+  test('locks the license before counting', async () => {
+    const db = createMockDb([[SCAN_COUNT, [{ used: 0 }]]]);
+
+    await recordScan(db, license, 10, scan);
+
+    const lock = db.queries.findIndex(({ sql }) => LICENSE_LOCK.test(sql));
+    expect(db.statements()[0]).toBe('BEGIN');
+    expect(lock).toBeGreaterThan(0);
+    expect(lock).toBeLessThan(db.queries.findIndex(({ sql }) => SCAN_COUNT.test(sql)));
+  });
+
+  test('records a scan below the limit', async () => {
+    const db = createMockDb([[SCAN_COUNT, [{ used: 9 }]]]);
+
+    const result = await recordScan(db, license, 10, scan);
+
+    expect(result.recorded).toBe(true);
+    expect(result.quota).toMatchObject({ used: 10, remaining: 0 });
+    expect(db.matching(SCAN_INSERT)[0].params).toEqual(['hash', 'shop.example.com', 'scan', '203.0.113.7', 'plugin']);
+    expect(db.statements()).toContain('COMMIT');
+  });
+
+  test('refuses a scan at the limit', async () => {
+    const db = createMockDb([[SCAN_COUNT, [{ used: 10 }]]]);
+
+    const result = await recordScan(db, license, 10, scan);
+
+    expect(result.recorded).toBe(false);
+    expect(result.quota.remaining).toBe(0);
+    expect(db.matching(SCAN_INSERT)).toHaveLength(0);
+    expect(db.statements()).toContain('ROLLBACK');
+  });
+
+  test('rolls back when a query fails', async () => {
+    const db = createMockDb([[SCAN_COUNT, [{ used: 0 }]], [SCAN_INSERT, new Error('connection lost')]]);
+
+    await expect(recordScan(db, license, 10, scan)).rejects.toThrow('connection lost');
+    expect(db.statements()).toContain('ROLLBACK');
+  });
+});
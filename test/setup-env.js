@@ -0,0 +1,12 @@
+const os = require('os');
+
+// Configuration the modules under test read at load time. Nothing here reaches a real service:
+// database pools are never queried or are mocked, and Stripe is only used to sign test payloads.
+process.env.LOG_DIR = os.tmpdir();
+process.env.RESEND_API_KEY = 're_test';
+process.env.STRIPE_SECRET_KEY = 'sk_test_123';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+process.env.ADMIN_JWT_SECRET = 'test-admin-secret';
+process.env.ADMIN_REFRESH_SECRET = 'test-admin-refresh-secret';
+process.env.CUSTOMER_JWT_SECRET = 'test-customer-secret';
+process.env.LICENSE_KEY_ENCRYPTION_KEY = Buffer.alloc(32, 1).toString('base64');
@@ -0,0 +1,180 @@
+jest.mock('../logger');
+jest.mock('pg', () => require('./mock-db').mockPg());
+jest.mock('../stripe-client', () => ({ subscriptions: { list: jest.fn() } }));
+jest.mock('../plans', () => ({ getPlanFromPriceId: jest.fn() }));
+
+const { mockDb } = require('pg');
+const stripe = require('../stripe-client');
+const { getPlanFromPriceId } = require('../plans');
+const { runReconciliation } = require('../stripe-reconciliation');
+
+const LOCK = /pg_try_advisory_lock/;
+const LICENSES = /WHERE subscription_id = \$1/;
+const LOCKED_LICENSE = /WHERE id = \$1 AND status <> 'revoked' FOR UPDATE/;
+const UPDATE = /UPDATE licenses/;
+const PLAN_CHANGE = /INSERT INTO license_plan_changes/;
+
+const PERIOD_END = Date.UTC(2026, 5, 1) / 1000;
+
+function subscription(overrides = {}) {
+  return {
+    id: 'sub_1',
+    customer: 'cus_1',
+    status: 'active',
+    current_period_start: PERIOD_END - 30 * 24 * 60 * 60,
+    current_period_end: PERIOD_END,
+    cancel_at_period_end: false,
+    items: { data: [{ price: { id: 'price_1' } }] },
+    ...overrides
+  };
+}
+
+function license(overrides = {}) {
+  return {
+    id: 7,
+    license_key_hint: 'EAA-7KQ4-****-****-****-R8NB',
+    email: 'customer@example.com',
+    status: 'active',
+    plan: 'professional',
+    dunning_stage: null,
+    expires_at: new Date(PERIOD_END * 1000),
+    cancel_at_period_end: false,
+    ...overrides
+  };
+}
+
+// Reconcile one subscription against its licenses; `plan` is what its price maps to
+async function reconcile({ sub = subscription(), licenses = [license()], plan = 'professional', fix = false } = {}) {
+  stripe.subscriptions.list.mockReturnValue([sub]);
+  getPlanFromPriceId.mockResolvedValue(plan);
+  mockDb.reset([
+    [LOCK, [{ acquired: true }]],
+    [LICENSES, licenses],
+    [LOCKED_LICENSE, licenses]
+  ]);
+
+  return runReconciliation({ fix });
+}
+
+// The changes found for the first license, or {} when it matches Stripe
+async function changesFor(options) {
+  const report = await reconcile(options);
+  return report.differences.length > 0 ? report.differences[0].changes : {};
+}
+
+describe('runReconciliation', () => {
+  test('finds nothing for a license in sync', async () => {
+    const report = await reconcile();
+
+    expect(report).toMatchObject({ dryRun: true, subscriptions: 1, differences: [], missingLicenses: [] });
+  });
+
+  test('expects an active license for an active or trialing subscription', async () => {
+    await expect(changesFor({ licenses: [license({ status: 'past_due' })] })).resolves.toEqual({
+      status: { current: 'past_due', expected: 'active' }
+    });
+    await expect(changesFor({ licenses: [license({ status: 'expired' })], sub: subscription({ status: 'trialing' }) }))
+      .resolves.toEqual({ status: { current: 'expired', expected: 'active' } });
+  });
+
+  test('accepts either dunning status for a past due subscription', async () => {
+    const sub = subscription({ status: 'past_due' });
+
+    await expect(changesFor({ sub, licenses: [license({ status: 'past_due' })] })).resolves.toEqual({});
+    await expect(changesFor({ sub, licenses: [license({ status: 'suspended', dunning_stage: 'suspended' })] })).resolves.toEqual({});
+    await expect(changesFor({ sub })).resolves.toEqual({ status: { current: 'active', expected: 'past_due' } });
+  });
+
+  test('leaves licenses suspended by an admin alone', async () => {
+    await expect(changesFor({ licenses: [license({ status: 'suspended' })] })).resolves.toEqual({});
+  });
+
+  test('reactivates licenses suspended by dunning once the subscription is active', async () => {
+    const changes = await changesFor({ licenses: [license({ status: 'suspended', dunning_stage: 'suspended' })] });
+
+    expect(changes.status).toEqual({ current: 'suspended', expected: 'active' });
+  });
+
+  test('has no expected status for incomplete subscriptions', async () => {
+    const sub = subscription({ status: 'incomplete' });
+
+    await expect(changesFor({ sub, licenses: [license({ status: 'past_due' })] })).resolves.toEqual({});
+  });
+
+  test('reports a different plan', async () => {
+    await expect(changesFor({ plan: 'enterprise' })).resolves.toEqual({
+      plan: { current: 'professional', expected: 'enterprise' }
+    });
+  });
+
+  test('reports a price no plan is linked to and ignores the plan', async () => {
+    const report = await reconcile({ plan: null });
+
+    expect(report.differences).toEqual([]);
+    expect(report.unknownPrices).toEqual([{ subscriptionId: 'sub_1', priceId: 'price_1' }]);
+  });
+
+  test('tolerates a period end that is off by less than a minute', async () => {
+    const close = license({ expires_at: new Date((PERIOD_END + 30) * 1000) });
+
+    await expect(changesFor({ licenses: [close] })).resolves.toEqual({});
+  });
+
+  test('reports a period end that is off by more than a minute', async () => {
+    const stale = license({ expires_at: new Date((PERIOD_END - 30 * 24 * 60 * 60) * 1000) });
+
+    await expect(changesFor({ licenses: [stale] })).resolves.toEqual({
+      expiresAt: { current: stale.expires_at, expected: new Date(PERIOD_END * 1000) }
+    });
+  });
+
+  test('reports a missing period end', async () => {
+    await expect(changesFor({ licenses: [license({ expires_at: null })] })).resolves.toHaveProperty('expiresAt');
+  });
+
+  test('reports a different cancel_at_period_end', async () => {
+    await expect(changesFor({ sub: subscription({ cancel_at_period_end: true }) })).resolves.toEqual({
+      cancelAtPeriodEnd: { current: false, expected: true }
+    });
+  });
+
+  test('only compares the status of an ended subscription', async () => {
+    const sub = subscription({ status: 'canceled', cancel_at_period_end: true, current_period_end: PERIOD_END - 90 * 24 * 60 * 60 });
+
+    await expect(changesFor({ sub, plan: 'enterprise' })).resolves.toEqual({
+      status: { current: 'active', expected: 'cancelled' }
+    });
+    await expect(changesFor({ sub, plan: 'enterprise', licenses: [license({ status: 'expired' })] })).resolves.toEqual({});
+  });
+
+  test('reports live subscriptions without a license', async () => {
+    const report = await reconcile({ licenses: [] });
+
+    expect(report.missingLicenses).toEqual([{ subscriptionId: 'sub_1', customerId: 'cus_1', status: 'active' }]);
+  });
+
+  test('changes nothing on a dry run', async () => {
+    const report = await reconcile({ plan: 'enterprise' });
+
+    expect(report.differences[0].fixed).toBe(false);
+    expect(mockDb.matching(UPDATE)).toHaveLength(0);
+  });
+
+  test('updates the license and records the plan change with fix', async () => {
+    const report = await reconcile({ plan: 'enterprise', licenses: [license({ status: 'past_due' })], fix: true });
+
+    expect(report.differences[0].fixed).toBe(true);
+    expect(mockDb.matching(UPDATE)[0].params.slice(0, 3)).toEqual([7, 'active', 'enterprise']);
+    expect(mockDb.matching(PLAN_CHANGE)[0].params).toEqual([7, 'professional', 'enterprise']);
+    expect(mockDb.statements()).toContain('COMMIT');
+  });
+
+  test('does nothing while another run holds the lock', async () => {
+    stripe.subscriptions.list.mockClear();
+    mockDb.reset([[LOCK, [{ acquired: false }]]]);
+
+    await expect(runReconciliation({ fix: true })).resolves.toBeNull();
+    expect(stripe.subscriptions.list).not.toHaveBeenCalled();
+    expect(mockDb.release).toHaveBeenCalled();
+  });
+});
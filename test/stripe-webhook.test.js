@@ -0,0 +1,194 @@
+jest.mock('../logger');
+jest.mock('pg', () => require('./mock-db').mockPg());
+jest.mock('../plans', () => ({ getPlanFromPriceId: jest.fn(async () => 'professional'), getPlanPrice: jest.fn(async () => 29) }));
+
+const express = require('express');
+const request = require('supertest');
+const Stripe = require('stripe');
+const { mockDb } = require('pg');
+const stripe = require('../stripe-client');
+const { decryptLicenseKey } = require('../key-encryption');
+const { logger } = require('../logger');
+const webhookRoute = require('../routes/stripe-webhook');
+
+const CLAIM = /INSERT INTO webhook_events/;
+const COMPLETE = /UPDATE webhook_events/;
+const FIND_TRIAL = /WHERE plan = \$1\s+AND subscription_id IS NULL/;
+const CONVERT_TRIAL = /trial_converted_at = NOW\(\)/;
+const CREATE_LICENSE = /INSERT INTO licenses/;
+const KEY_REVEAL = /INSERT INTO license_key_reveals/;
+const QUEUE_EMAIL = /INSERT INTO email_outbox/;
+
+const app = express();
+app.use('/stripe', webhookRoute);
+
+function sendEvent(event, { secret = process.env.STRIPE_WEBHOOK_SECRET } = {}) {
+  const payload = JSON.stringify(event);
+  const signature = Stripe(process.env.STRIPE_SECRET_KEY).webhooks.generateTestHeaderString({ payload, secret });
+
+  return request(app)
+    .post('/stripe/webhook')
+    .set('stripe-signature', signature)
+    .set('content-type', 'application/json')
+    .send(payload);
+}
+
+// `claimed`: whether the claim on webhook_events returns the row (first delivery or takeover)
+function mockWebhookEvents({ claimed, handlers = [] }) {
+  mockDb.reset([
+    [CLAIM, claimed ? [{ id: 1 }] : []],
+    ...handlers
+  ]);
+}
+
+const event = { id: 'evt_test_1', type: 'customer.created', data: { object: { id: 'cus_1' } } };
+
+beforeEach(() => {
+  mockDb.reset();
+});
+
+describe('POST /stripe/webhook', () => {
+  test('claims a new event by its Stripe ID and records the outcome', async () => {
+    mockWebhookEvents({ claimed: true });
+
+    const res = await sendEvent(event);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true });
+    expect(mockDb.matching(CLAIM)[0].params.slice(0, 2)).toEqual(['evt_test_1', 'customer.created']);
+    expect(mockDb.matching(COMPLETE)[0].params).toEqual(['evt_test_1', 'ignored', null]);
+  });
+
+  test('acknowledges a redelivered event without handling it again', async () => {
+    mockWebhookEvents({ claimed: false });
+
+    const res = await sendEvent({ ...event, type: 'invoice.payment_failed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true, duplicate: true });
+    expect(mockDb.queries).toHaveLength(1);
+    expect(mockDb.matching(COMPLETE)).toHaveLength(0);
+  });
+
+  test('handles an event once when Stripe delivers it twice', async () => {
+    // Like the table: the first claim inserts the row, the second finds it processed
+    let claims = 0;
+    mockDb.reset([[CLAIM, () => (++claims === 1 ? [{ id: 1 }] : [])]]);
+
+    await sendEvent(event);
+    const res = await sendEvent(event);
+
+    expect(res.body.duplicate).toBe(true);
+    expect(mockDb.matching(CLAIM)).toHaveLength(2);
+    expect(mockDb.matching(COMPLETE)).toHaveLength(1);
+  });
+
+  test('records a failed event so Stripe and admins can retry it', async () => {
+    mockWebhookEvents({ claimed: true, handlers: [[/UPDATE licenses/, new Error('connection lost')]] });
+
+    const res = await sendEvent({ ...event, type: 'invoice.payment_failed', data: { object: { subscription: 'sub_1' } } });
+
+    expect(res.status).toBe(500);
+    expect(mockDb.matching(COMPLETE)[0].params).toEqual(['evt_test_1', 'failed', 'connection lost']);
+    expect(mockDb.statements()).toContain('ROLLBACK');
+  });
+
+  test('rejects events with a bad signature before touching the database', async () => {
+    const res = await sendEvent(event, { secret: 'whsec_wrong' });
+
+    expect(res.status).toBe(400);
+    expect(mockDb.queries).toHaveLength(0);
+  });
+});
+
+describe('invoice.payment_succeeded', () => {
+  const invoice = {
+    subscription: 'sub_1',
+    billing_reason: 'subscription_cycle',
+    lines: { data: [{ period: { start: 1780000000, end: 1782592000 } }] }
+  };
+  const renewalEvent = { id: 'evt_renewal_1', type: 'invoice.payment_succeeded', data: { object: invoice } };
+  const RENEW = /UPDATE licenses\s+SET expires_at = \$1/;
+
+  test('extends the licenses of the subscription and ends dunning', async () => {
+    mockWebhookEvents({ claimed: true });
+
+    await sendEvent(renewalEvent);
+
+    const { sql, params } = mockDb.matching(RENEW)[0];
+    expect(params).toEqual([new Date(1782592000 * 1000), new Date(1780000000 * 1000), 'sub_1']);
+    expect(sql).toMatch(/dunning_stage = NULL/);
+  });
+
+  test('keeps a suspension by an admin in place', async () => {
+    mockWebhookEvents({ claimed: true });
+
+    await sendEvent(renewalEvent);
+
+    expect(mockDb.matching(RENEW)[0].sql).toMatch(/WHEN status = 'suspended' AND dunning_stage IS DISTINCT FROM 'suspended' THEN status\s+ELSE 'active'/);
+  });
+});
+
+describe('checkout.session.completed', () => {
+  const session = {
+    id: 'cs_test_1',
+    customer: 'cus_1',
+    subscription: 'sub_1',
+    metadata: { domain: 'example.com' },
+    amount_total: 2900
+  };
+  const checkoutEvent = { id: 'evt_checkout_1', type: 'checkout.session.completed', data: { object: session } };
+  const trial = { id: 9, license_key_hint: 'EAA-7KQ4-****-****-****-R8NB', domain: 'example.com', plan: 'trial', status: 'active' };
+
+  beforeAll(() => {
+    jest.spyOn(stripe.subscriptions, 'retrieve').mockResolvedValue({
+      id: 'sub_1',
+      current_period_start: 1780000000,
+      current_period_end: 1782592000,
+      items: { data: [{ price: { id: 'price_1' } }] }
+    });
+    jest.spyOn(stripe.customers, 'retrieve').mockResolvedValue({ email: 'customer@example.com', name: 'Erika Muster', preferred_locales: ['de'] });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Payload and encrypted key of the welcome email queued for the license
+  function welcomeEmail() {
+    const { params } = mockDb.matching(QUEUE_EMAIL).find(query => query.params[0] === 'welcome');
+    return { payload: params[2], encryptedKey: params[3] };
+  }
+
+  test('converts the trial of the buyer in place so they keep their key', async () => {
+    mockWebhookEvents({ claimed: true, handlers: [[FIND_TRIAL, [trial]], [QUEUE_EMAIL, [{ id: 1 }]]] });
+
+    const res = await sendEvent(checkoutEvent);
+
+    expect(res.status).toBe(200);
+    expect(mockDb.matching(FIND_TRIAL)[0].params).toEqual(['trial', 'customer@example.com', 'example.com']);
+    expect(mockDb.matching(CONVERT_TRIAL)[0].params.slice(0, 5)).toEqual([9, 'cus_1', 'sub_1', 'example.com', 'professional']);
+    expect(mockDb.matching(CREATE_LICENSE)).toHaveLength(0);
+    expect(mockDb.matching(KEY_REVEAL)).toHaveLength(0);
+
+    const { payload, encryptedKey } = welcomeEmail();
+    expect(encryptedKey).toBeNull();
+    expect(payload).toMatchObject({ trialConverted: true, license: { license_key: trial.license_key_hint, plan: 'professional' } });
+    expect(logger.info).toHaveBeenCalledWith('Trial license converted', { licenseId: 9, keyHint: trial.license_key_hint, plan: 'professional' });
+  });
+
+  test('creates a new license and hands its key over when there is no trial', async () => {
+    mockWebhookEvents({ claimed: true, handlers: [[FIND_TRIAL, []], [CREATE_LICENSE, [{ id: 10 }]], [QUEUE_EMAIL, [{ id: 1 }]]] });
+
+    await sendEvent(checkoutEvent);
+
+    expect(mockDb.matching(CONVERT_TRIAL)).toHaveLength(0);
+    expect(mockDb.matching(KEY_REVEAL)[0].params[0]).toBe(10);
+
+    const { payload, encryptedKey } = welcomeEmail();
+    const licenseKey = decryptLicenseKey(encryptedKey);
+    expect(payload).toMatchObject({ trialConverted: false, license: { license_key: mockDb.matching(CREATE_LICENSE)[0].params[1] } });
+    expect(JSON.stringify(payload)).not.toContain(licenseKey);
+    expect(logger.info).toHaveBeenCalledWith('License created', { licenseId: 10, keyHint: payload.license.license_key, plan: 'professional' });
+  });
+});
@@ -0,0 +1,158 @@
+jest.mock('../email-outbox', () => ({ enqueueEmail: jest.fn() }));
+
+const crypto = require('crypto');
+const { enqueueEmail } = require('../email-outbox');
+const { hashLicenseKey, isWellFormedLicenseKey } = require('../license-keys');
+const {
+  TRIAL_PLAN,
+  TRIAL_DAYS,
+  TrialError,
+  requestTrial,
+  findPendingTrial,
+  confirmTrial,
+  findConvertibleTrial
+} = require('../trials');
+const { createMockDb } = require('./mock-db');
+
+const UPSERT_TRIAL = /INSERT INTO trials/;
+const FIND_TRIAL = /FROM trials\s+WHERE token_hash = \$1/;
+const CREATE_LICENSE = /INSERT INTO licenses/;
+const VERIFY_TRIAL = /UPDATE trials SET verified_at/;
+
+function tokenHash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function pendingTrial(overrides = {}) {
+  return { id: 3, email: 'customer@example.com', domain: 'example.com', locale: 'de', verified_at: null, expired: false, ...overrides };
+}
+
+const expiresAt = new Date('2026-06-15T00:00:00Z');
+
+function confirmDb(trial = pendingTrial()) {
+  return createMockDb([
+    [FIND_TRIAL, trial ? [trial] : []],
+    [CREATE_LICENSE, params => [{
+      id: 9,
+      license_key_hint: params[1],
+      email: params[2],
+      domain: params[3],
+      plan: params[4],
+      status: 'active',
+      expires_at: expiresAt
+    }]]
+  ]);
+}
+
+beforeEach(() => {
+  enqueueEmail.mockClear();
+});
+
+describe('requestTrial', () => {
+  const request = { email: 'customer@example.com', domain: 'example.com', locale: 'de', ipAddress: '203.0.113.7' };
+
+  test('stores only the token hash and emails the verification link', async () => {
+    const db = createMockDb([[UPSERT_TRIAL, [{ id: 3 }]]]);
+
+    await expect(requestTrial(db, request)).resolves.toEqual({ trialId: 3 });
+
+    const [email] = enqueueEmail.mock.calls.map(([, queued]) => queued);
+    expect(email).toMatchObject({ type: 'trial_verification', recipient: 'customer@example.com' });
+    expect(email.payload).toMatchObject({ locale: 'de', domain: 'example.com', trialDays: TRIAL_DAYS, expiresInHours: 24 });
+
+    const token = new URL(email.payload.verifyUrl).searchParams.get('token');
+    expect(db.matching(UPSERT_TRIAL)[0].params.slice(0, 4)).toEqual(['customer@example.com', 'example.com', 'de', tokenHash(token)]);
+    expect(db.statements()).toContain('COMMIT');
+  });
+
+  test('refuses a second trial for a verified email and domain', async () => {
+    const db = createMockDb([[UPSERT_TRIAL, []]]);
+
+    await expect(requestTrial(db, request)).rejects.toMatchObject({ status: 409 });
+    expect(enqueueEmail).not.toHaveBeenCalled();
+    expect(db.statements()).toContain('ROLLBACK');
+  });
+});
+
+describe('findPendingTrial', () => {
+  test('looks the trial up without redeeming the token', async () => {
+    const db = createMockDb([[FIND_TRIAL, [pendingTrial()]]]);
+
+    await expect(findPendingTrial(db, 'token')).resolves.toEqual({ email: 'customer@example.com', domain: 'example.com' });
+    expect(db.queries[0].params).toEqual([tokenHash('token')]);
+    expect(db.queries).toHaveLength(1);
+  });
+
+  test.each([
+    ['unknown', null, 404],
+    ['used', pendingTrial({ verified_at: new Date() }), 409],
+    ['expired', pendingTrial({ expired: true }), 410]
+  ])('refuses an %s link', async (label, trial, status) => {
+    const db = createMockDb([[FIND_TRIAL, trial ? [trial] : []]]);
+
+    await expect(findPendingTrial(db, 'token')).rejects.toEqual(expect.objectContaining({ status }));
+    await expect(findPendingTrial(db, 'token')).rejects.toBeInstanceOf(TrialError);
+  });
+});
+
+describe('confirmTrial', () => {
+  test('creates a trial license for the verified email and domain', async () => {
+    const db = confirmDb();
+
+    const { licenseKey, license } = await confirmTrial(db, 'token');
+
+    expect(isWellFormedLicenseKey(licenseKey)).toBe(true);
+    expect(license).toMatchObject({ id: 9, email: 'customer@example.com', domain: 'example.com', plan: TRIAL_PLAN });
+
+    const [keyHash, , email, domain, plan, days, locale] = db.matching(CREATE_LICENSE)[0].params;
+    expect([keyHash, email, domain, plan, days, locale]).toEqual([hashLicenseKey(licenseKey), 'customer@example.com', 'example.com', TRIAL_PLAN, TRIAL_DAYS, 'de']);
+    expect(db.matching(VERIFY_TRIAL)[0].params).toEqual([3, 9]);
+    expect(db.statements()).toContain('COMMIT');
+    expect(db.release).toHaveBeenCalled();
+  });
+
+  test('emails the key encrypted and only its hint in the payload', async () => {
+    const { licenseKey, license } = await confirmTrial(confirmDb(), 'token');
+
+    const [, email] = enqueueEmail.mock.calls[0];
+    expect(email).toMatchObject({ type: 'trial_started', recipient: 'customer@example.com', licenseId: 9, licenseKey });
+    expect(email.payload.license).toMatchObject({ license_key: license.license_key_hint, plan: TRIAL_PLAN, expires_at: expiresAt });
+    expect(JSON.stringify(email.payload)).not.toContain(licenseKey);
+  });
+
+  test('locks the trial so a link opened twice creates one license', async () => {
+    const db = confirmDb();
+
+    await confirmTrial(db, 'token');
+
+    expect(db.matching(FIND_TRIAL)[0].sql).toMatch(/FOR UPDATE/);
+  });
+
+  test.each([
+    ['unknown', null, 404],
+    ['used', pendingTrial({ verified_at: new Date() }), 409],
+    ['expired', pendingTrial({ expired: true }), 410]
+  ])('creates nothing for an %s link', async (label, trial, status) => {
+    const db = confirmDb(trial);
+
+    await expect(confirmTrial(db, 'token')).rejects.toMatchObject({ status });
+    expect(db.matching(CREATE_LICENSE)).toHaveLength(0);
+    expect(db.statements()).toContain('ROLLBACK');
+    expect(enqueueEmail).not.toHaveBeenCalled();
+  });
+});
+
+describe('findConvertibleTrial', () => {
+  test('finds the trial license of the buyer, for the checkout domain if there is one', async () => {
+    const trial = { id: 9, license_key_hint: 'EAA-7KQ4-****-****-****-R8NB', domain: 'example.com', plan: TRIAL_PLAN, status: 'expired' };
+    const db = createMockDb([[/FROM licenses/, [trial]]]);
+
+    await expect(findConvertibleTrial(db, { email: 'Customer@Example.com', domain: 'example.com' })).resolves.toEqual(trial);
+    expect(db.queries[0].params).toEqual([TRIAL_PLAN, 'Customer@Example.com', 'example.com']);
+    expect(db.queries[0].sql).toMatch(/subscription_id IS NULL/);
+  });
+
+  test('returns null without a trial', async () => {
+    await expect(findConvertibleTrial(createMockDb(), { email: 'customer@example.com', domain: null })).resolves.toBeNull();
+  });
+});
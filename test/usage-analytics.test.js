@@ -0,0 +1,82 @@
+jest.mock('../logger');
+jest.mock('pg', () => require('./mock-db').mockPg());
+
+const { mockDb } = require('pg');
+const { logger } = require('../logger');
+const { logUsage, flushUsage } = require('../usage-analytics');
+
+const INSERT_USAGE = /INSERT INTO license_usage/;
+
+function logValidations(count, from = 0) {
+  for (let i = from; i < from + count; i++) {
+    logUsage({ licenseKeyHash: `hash-${i}`, domain: 'example.com', action: 'validate' });
+  }
+}
+
+// License key hashes in the order they were written
+function writtenHashes() {
+  return mockDb.matching(INSERT_USAGE).flatMap(({ params }) => params.filter((value, index) => index % 6 === 0));
+}
+
+// Start every test with an empty buffer
+beforeEach(async () => {
+  mockDb.reset();
+  await flushUsage();
+  mockDb.reset();
+});
+
+describe('flushUsage', () => {
+  test('writes buffered rows in batches of 500', async () => {
+    logValidations(3);
+
+    await expect(flushUsage()).resolves.toBe(3);
+    expect(writtenHashes()).toEqual(['hash-0', 'hash-1', 'hash-2']);
+    await expect(flushUsage()).resolves.toBe(0);
+  });
+
+  test('keeps rows logged during a flush, even past the buffer limit', async () => {
+    let finishInsert;
+    mockDb.query.mockImplementationOnce(async (sql, params) => {
+      mockDb.queries.push({ sql, params });
+      await new Promise(resolve => { finishInsert = resolve; });
+      return { rows: [], rowCount: 3 };
+    });
+
+    logValidations(3);
+    const flushing = flushUsage();
+    logValidations(10000, 3);
+    finishInsert();
+
+    await expect(flushing).resolves.toBe(3);
+    await expect(flushUsage()).resolves.toBe(10000);
+
+    const hashes = writtenHashes();
+    expect(hashes).toHaveLength(10003);
+    expect(new Set(hashes).size).toBe(10003);
+    expect(hashes[3]).toBe('hash-3');
+  });
+
+  test('retries a failed batch ahead of rows logged since', async () => {
+    mockDb.reset([[INSERT_USAGE, new Error('connection refused')]]);
+    logValidations(1);
+
+    await expect(flushUsage()).rejects.toThrow('connection refused');
+
+    mockDb.reset();
+    logValidations(1, 1);
+
+    await expect(flushUsage()).resolves.toBe(2);
+    expect(writtenHashes()).toEqual(['hash-0', 'hash-1']);
+  });
+
+  test('drops only the rows the database refuses', async () => {
+    const tooLong = Object.assign(new Error('value too long'), { code: '22001' });
+    mockDb.reset([[INSERT_USAGE, params => (params.length > 6 || params[0] === 'hash-1' ? tooLong : [])]]);
+    logValidations(3);
+
+    await expect(flushUsage()).resolves.toBe(2);
+    expect(writtenHashes()).toEqual(['hash-0', 'hash-1', 'hash-2', 'hash-0', 'hash-1', 'hash-2']);
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    expect(logger.warn).toHaveBeenCalledWith('Usage row dropped', expect.objectContaining({ reason: 'value too long' }));
+  });
+});
@@ -0,0 +1,242 @@
+jest.mock('../logger');
+
+const { guardLicenseKey, recordFailedAttempt, getLockoutSeconds } = require('../validation-guard');
+const { generateLicenseKey, hashLicenseKey, maskLicenseKey } = require('../license-keys');
+const { logger } = require('../logger');
+const { createMockDb } = require('./mock-db');
+
+const LOCKOUT_CHECK = /COALESCE\(MAX/;
+const FAILURE_INSERT = /INSERT INTO validation_lockouts/;
+const LOCKOUT_UPDATE = /UPDATE validation_lockouts/;
+const KEY_HISTORY = /FROM license_key_history/;
+const LICENSE_LOOKUP = /FROM licenses WHERE license_key_hash/;
+
+function failureRow({ failures = 1, lockouts = 0, lockedFor = 0 } = {}) {
+  return [{ failures, lockouts, locked_for: lockedFor }];
+}
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    }
+  };
+}
+
+async function runGuard(db, { params = {}, body = {}, validation = false } = {}) {
+  const req = { params, body, ip: '203.0.113.7' };
+  const res = mockResponse();
+  const next = jest.fn();
+
+  await guardLicenseKey(db, { validation })(req, res, next);
+  return { res, next };
+}
+
+describe('recordFailedAttempt', () => {
+  test('counts a failure without locking out below the limit', async () => {
+    const db = createMockDb([[FAILURE_INSERT, failureRow({ failures: 3 })]]);
+
+    const result = await recordFailedAttempt(db, { ipAddress: '203.0.113.7', licenseKey: 'nope' });
+
+    expect(result).toEqual({ locked: false, retryAfterSeconds: 0 });
+    expect(db.matching(LOCKOUT_UPDATE)).toHaveLength(0);
+  });
+
+  test('counts malformed keys per IP only', async () => {
+    const db = createMockDb([[FAILURE_INSERT, failureRow()]]);
+
+    await recordFailedAttempt(db, { ipAddress: '203.0.113.7', licenseKey: 'nope' });
+
+    expect(db.matching(FAILURE_INSERT).map(({ params }) => params.slice(0, 2))).toEqual([['ip', '203.0.113.7']]);
+  });
+
+  test('counts well-formed keys per IP and per key prefix', async () => {
+    const db = createMockDb([[FAILURE_INSERT, failureRow()]]);
+    const key = generateLicenseKey();
+
+    await recordFailedAttempt(db, { ipAddress: '203.0.113.7', licenseKey: key.toLowerCase() });
+
+    expect(db.matching(FAILURE_INSERT).map(({ params }) => params.slice(0, 2))).toEqual([
+      ['ip', '203.0.113.7'],
+      ['prefix', key.split('-').slice(0, 2).join('-')]
+    ]);
+  });
+
+  test('locks the IP out once it reaches the limit', async () => {
+    const db = createMockDb([[FAILURE_INSERT, failureRow({ failures: 20 })]]);
+
+    const result = await recordFailedAttempt(db, { ipAddress: '203.0.113.7', licenseKey: 'nope' });
+
+    expect(result).toEqual({ locked: true, retryAfterSeconds: 5 * 60 });
+    expect(db.matching(LOCKOUT_UPDATE)[0].params).toEqual(['ip', '203.0.113.7', 5 * 60]);
+  });
+
+  test('locks a key prefix out after fewer failures than an IP', async () => {
+    const db = createMockDb([[FAILURE_INSERT, params => failureRow({ failures: params[0] === 'prefix' ? 10 : 1 })]]);
+
+    const result = await recordFailedAttempt(db, { ipAddress: '203.0.113.7', licenseKey: generateLicenseKey() });
+
+    expect(result).toEqual({ locked: true, retryAfterSeconds: 15 * 60 });
+    expect(db.matching(LOCKOUT_UPDATE).map(({ params }) => params[0])).toEqual(['prefix']);
+  });
+
+  test('doubles the lockout for every earlier lockout', async () => {
+    const db = createMockDb([[FAILURE_INSERT, failureRow({ failures: 20, lockouts: 2 })]]);
+
+    const result = await recordFailedAttempt(db, { ipAddress: '203.0.113.7', licenseKey: 'nope' });
+
+    expect(result.retryAfterSeconds).toBe(4 * 5 * 60);
+  });
+
+  test('never locks out for longer than a day', async () => {
+    const db = createMockDb([[FAILURE_INSERT, failureRow({ failures: 20, lockouts: 12 })]]);
+
+    const result = await recordFailedAttempt(db, { ipAddress: '203.0.113.7', licenseKey: 'nope' });
+
+    expect(result.retryAfterSeconds).toBe(24 * 60 * 60);
+  });
+
+  test('reports the remaining time of a running lockout', async () => {
+    const db = createMockDb([[FAILURE_INSERT, failureRow({ failures: 20, lockedFor: 120 })]]);
+
+    const result = await recordFailedAttempt(db, { ipAddress: '203.0.113.7', licenseKey: 'nope' });
+
+    expect(result).toEqual({ locked: true, retryAfterSeconds: 120 });
+    expect(db.matching(LOCKOUT_UPDATE)).toHaveLength(0);
+  });
+});
+
+describe('getLockoutSeconds', () => {
+  test('checks the IP and the prefix of a well-formed key', async () => {
+    const db = createMockDb([[LOCKOUT_CHECK, [{ seconds: 42 }]]]);
+    const key = generateLicenseKey();
+
+    await expect(getLockoutSeconds(db, { ipAddress: '203.0.113.7', licenseKey: key })).resolves.toBe(42);
+    expect(db.queries[0].params).toEqual(['203.0.113.7', key.split('-').slice(0, 2).join('-')]);
+  });
+
+  test('checks only the IP for a malformed key', async () => {
+    const db = createMockDb([[LOCKOUT_CHECK, [{ seconds: 0 }]]]);
+
+    await expect(getLockoutSeconds(db, { ipAddress: '203.0.113.7', licenseKey: 'nope' })).resolves.toBe(0);
+    expect(db.queries[0].params).toEqual(['203.0.113.7', null]);
+  });
+});
+
+describe('guardLicenseKey', () => {
+  const knownKey = generateLicenseKey();
+
+  function licenseDb({ lockedFor = 0, failure = failureRow() } = {}) {
+    return createMockDb([
+      [LOCKOUT_CHECK, [{ seconds: lockedFor }]],
+      [KEY_HISTORY, []],
+      [LICENSE_LOOKUP, params => (params[0] === hashLicenseKey(knownKey) ? [{ exists: 1 }] : [])],
+      [FAILURE_INSERT, failure]
+    ]);
+  }
+
+  test('passes a known key on without counting it', async () => {
+    const db = licenseDb();
+
+    const { next } = await runGuard(db, { params: { licenseKey: knownKey } });
+
+    expect(next).toHaveBeenCalled();
+    expect(db.matching(FAILURE_INSERT)).toHaveLength(0);
+    expect(db.release).toHaveBeenCalled();
+  });
+
+  test('reads the key from the request body as well', async () => {
+    const { next } = await runGuard(licenseDb(), { body: { licenseKey: knownKey } });
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('leaves a missing key to the route', async () => {
+    const db = licenseDb();
+
+    const { next } = await runGuard(db);
+
+    expect(next).toHaveBeenCalled();
+    expect(db.queries).toHaveLength(0);
+  });
+
+  test('refuses every key while the caller is locked out, known ones included', async () => {
+    const db = licenseDb({ lockedFor: 90 });
+
+    const { res, next } = await runGuard(db, { params: { licenseKey: knownKey } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['Retry-After']).toBe('90');
+    expect(res.body.retryAfter).toBe(90);
+    expect(db.matching(LICENSE_LOOKUP)).toHaveLength(0);
+  });
+
+  test('refuses an unknown key with 404 and counts it', async () => {
+    const db = licenseDb();
+
+    const { res, next } = await runGuard(db, { params: { licenseKey: generateLicenseKey() } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toEqual({ error: 'Invalid or inactive license key' });
+    expect(db.matching(FAILURE_INSERT)).toHaveLength(2);
+  });
+
+  test('refuses a malformed key with 400 and counts it', async () => {
+    const db = licenseDb();
+
+    const { res } = await runGuard(db, { body: { licenseKey: 'EAA-nope' } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ error: 'Invalid license key format' });
+    expect(db.matching(FAILURE_INSERT)).toHaveLength(1);
+    expect(db.matching(LICENSE_LOOKUP)).toHaveLength(0);
+  });
+
+  test('answers the failure that reaches the limit with 429', async () => {
+    const db = licenseDb({ failure: failureRow({ failures: 20 }) });
+
+    const { res } = await runGuard(db, { params: { licenseKey: 'nope' } });
+
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['Retry-After']).toBe(String(5 * 60));
+  });
+
+  test('answers /validate with valid: false and a 200 for unknown keys', async () => {
+    const { res } = await runGuard(licenseDb(), { body: { licenseKey: generateLicenseKey() }, validation: true });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ valid: false, error: 'Invalid or inactive license key' });
+  });
+
+  test('answers /validate lockouts with valid: false', async () => {
+    const { res } = await runGuard(licenseDb({ lockedFor: 30 }), { body: { licenseKey: knownKey }, validation: true });
+
+    expect(res.statusCode).toBe(429);
+    expect(res.body.valid).toBe(false);
+  });
+
+  test('fails closed when the database fails', async () => {
+    const db = createMockDb([[LOCKOUT_CHECK, new Error('connection lost')]]);
+
+    const { res, next } = await runGuard(db, { params: { licenseKey: knownKey } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(500);
+    expect(db.release).toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalledWith('License key guard error', { keyHint: maskLicenseKey(knownKey), error: expect.any(Error) });
+  });
+});
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { withUniqueLicenseKey } = require('./license-keys');
+const { enqueueEmail } = require('./email-outbox');
+const { PUBLIC_BASE_URL } = require('./email-templates/helpers');
+
+// Free trials. A request for an email and domain sends a verification link; the page behind it asks
+// for a confirmation, which creates a time-limited license on the 'trial' plan and emails the key
+// (opening the link alone doesn't, so link scanners in mail filters can't use it up). Each
+// email/domain pair gets one trial. Buying a plan later converts the trial license in place (see
+// findConvertibleTrial), so the customer keeps the key that is already in their plugin.
+
+const TRIAL_PLAN = 'trial';
+const TRIAL_DAYS = parseInt(process.env.TRIAL_DAYS, 10) || 14;
+const VERIFY_TOKEN_TTL_HOURS = 24;
+const PRICING_URL = process.env.RENEW_URL || 'https://eaasolutions.de/pricing';
+
+class TrialError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Random token for the verification link; only its hash is stored
+function generateVerificationToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashVerificationToken(token) };
+}
+
+function hashVerificationToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function buildVerifyLink(token, locale) {
+  return `${PUBLIC_BASE_URL}/trial/confirm?token=${encodeURIComponent(token)}&lang=${locale}`;
+}
+
+// Start (or restart, with a fresh link) the verification of a trial and queue the email.
+// `email` is lowercased and `domain` normalized by the caller.
+async function requestTrial(pool, { email, domain, locale, ipAddress }) {
+  const { token, tokenHash } = generateVerificationToken();
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Requesting again before verifying replaces the link; a verified pair has had its trial
+    const result = await client.query(`
+      INSERT INTO trials (email, domain, locale, token_hash, token_expires_at, ip_address)
+      VALUES ($1, $2, $3, $4, NOW() + ($5 || ' hours')::interval, $6)
+      ON CONFLICT (email, domain) DO UPDATE SET
+        locale = EXCLUDED.locale,
+        token_hash = EXCLUDED.token_hash,
+        token_expires_at = EXCLUDED.token_expires_at,
+        ip_address = EXCLUDED.ip_address,
+        updated_at = NOW()
+      WHERE trials.verified_at IS NULL
+      RETURNING id
+    `, [email, domain, locale, tokenHash, VERIFY_TOKEN_TTL_HOURS, ipAddress || null]);
+
+    if (result.rows.length === 0) {
+      throw new TrialError('A trial has already been used for this email and domain', 409);
+    }
+
+    await enqueueEmail(client, {
+      type: 'trial_verification',
+      recipient: email,
+      payload: {
+        locale,
+        customer: { email },
+        domain,
+        trialDays: TRIAL_DAYS,
+        verifyUrl: buildVerifyLink(token, locale),
+        expiresInHours: VERIFY_TOKEN_TTL_HOURS
+      }
+    });
+
+    await client.query('COMMIT');
+    return { trialId: result.rows[0].id };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+
+  } finally {
+    client.release();
+  }
+}
+
+// Refuses a verification link that is unknown, already used or expired
+function assertVerifiable(trial) {
+  if (!trial) {
+    throw new TrialError('Verification link is invalid', 404);
+  }
+  if (trial.verified_at) {
+    throw new TrialError('This trial has already been started', 409);
+  }
+  if (trial.expired) {
+    throw new TrialError('Verification link has expired', 410);
+  }
+}
+
+// The trial a verification token would start, without redeeming it. Returns { email, domain }.
+async function findPendingTrial(db, token) {
+  const result = await db.query(`
+    SELECT email, domain, verified_at, token_expires_at < NOW() AS expired
+    FROM trials
+    WHERE token_hash = $1
+  `, [hashVerificationToken(token)]);
+
+  const trial = result.rows[0];
+  assertVerifiable(trial);
+  return { email: trial.email, domain: trial.domain };
+}
+
+// Redeem a verification token: create the trial license and email its key.
+// Returns { licenseKey, license }; the key is only known here and in the email.
+async function confirmTrial(pool, token) {
+  const client = await pool.connect();
+
+  try {
+    // The whole confirmation is retried with a fresh key if the new key collides
+    return await withUniqueLicenseKey(async (key, keyHash, keyHint) => {
+      await client.query('BEGIN');
+
+      try {
+        const result = await client.query(`
+          SELECT id, email, domain, locale, verified_at, token_expires_at < NOW() AS expired
+          FROM trials
+          WHERE token_hash = $1
+          FOR UPDATE
+        `, [hashVerificationToken(token)]);
+
+        const trial = result.rows[0];
+        assertVerifiable(trial);
+
+        const license = await client.query(`
+          INSERT INTO licenses (
+            license_key_hash, license_key_hint, email, domain, plan, status, created_at, expires_at, locale
+          ) VALUES ($1, $2, $3, $4, $5, 'active', NOW(), NOW() + ($6 || ' days')::interval, $7)
+          RETURNING id, license_key_hint, email, domain, plan, status, expires_at
+        `, [keyHash, keyHint, trial.email, trial.domain, TRIAL_PLAN, TRIAL_DAYS, trial.locale]);
+
+        const created = license.rows[0];
+
+        await client.query(`
+          UPDATE trials SET verified_at = NOW(), license_id = $2, updated_at = NOW() WHERE id = $1
+        `, [trial.id, created.id]);
+
+        await enqueueEmail(client, {
+          type: 'trial_started',
+          recipient: trial.email,
+          licenseId: created.id,
+          licenseKey: key,
+          payload: {
+            locale: trial.locale,
+            customer: { email: trial.email },
+            license: { license_key: keyHint, plan: TRIAL_PLAN, domain: trial.domain, expires_at: created.expires_at },
+            pricingUrl: PRICING_URL
+          }
+        });
+
+        await client.query('COMMIT');
+        return { licenseKey: key, license: created };
+
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+    });
+
+  } finally {
+    client.release();
+  }
+}
+
+// The trial license a purchase by `email` should convert, locked for update, or null. With a
+// checkout domain only a trial for that domain qualifies; expired trials convert too.
+async function findConvertibleTrial(client, { email, domain }) {
+  const result = await client.query(`
+    SELECT id, license_key_hint, domain, plan, status
+    FROM licenses
+    WHERE plan = $1
+    AND subscription_id IS NULL
+    AND LOWER(email) = LOWER($2)
+    AND status IN ('active', 'expired')
+    AND ($3::varchar IS NULL OR domain = $3)
+    ORDER BY created_at DESC
+    LIMIT 1
+    FOR UPDATE
+  `, [TRIAL_PLAN, email, domain]);
+
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  TRIAL_PLAN,
+  TRIAL_DAYS,
+  TrialError,
+  requestTrial,
+  findPendingTrial,
+  confirmTrial,
+  findConvertibleTrial
+};
@@ -0,0 +1,231 @@
+const { Pool } = require('pg');
+const { logger } = require('./logger');
+
+// Usage analytics on license_usage: validations and plugin actions are buffered in memory and
+// written in batches, so logging never adds a database round trip to /validate. Losing the last
+// few seconds of analytics on a crash is acceptable; scans are metered separately in scan-quota.js.
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const FLUSH_INTERVAL_MS = parseInt(process.env.USAGE_FLUSH_INTERVAL_MS, 10) || 5 * 1000;
+const FLUSH_BATCH_SIZE = 500;
+// Beyond this the oldest entries are dropped, e.g. while the database is unreachable
+const MAX_BUFFERED = 10000;
+// A batch that still fails after this many flushes is dropped rather than retried forever
+const MAX_FLUSH_ATTEMPTS = 5;
+const MAX_USER_AGENT_LENGTH = 500;
+
+// Actions the plugin may report through POST /api/license/usage/event. Scans have their own
+// metered endpoint and validations are logged by the server.
+const ACTION_PATTERN = /^[a-z][a-z0-9_.-]{0,63}$/;
+const RESERVED_ACTIONS = ['scan', 'validate', 'validate_rejected', 'activate', 'deactivate'];
+
+let buffer = [];
+let flushing = false;
+let failedFlushes = 0;
+
+function isReportableAction(action) {
+  return typeof action === 'string' && ACTION_PATTERN.test(action) && !RESERVED_ACTIONS.includes(action);
+}
+
+// Queue a usage row; returns immediately
+function logUsage({ licenseKeyHash, domain = null, action, ipAddress = null, userAgent = null }) {
+  buffer.push({
+    licenseKeyHash,
+    domain,
+    action,
+    ipAddress,
+    userAgent: userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null,
+    timestamp: new Date()
+  });
+
+  if (buffer.length > MAX_BUFFERED) {
+    buffer.splice(0, buffer.length - MAX_BUFFERED);
+  }
+
+  if (buffer.length >= FLUSH_BATCH_SIZE) {
+    flushUsage().catch(error => logger.error('Usage log flush error', { error }));
+  }
+}
+
+async function insertUsageRows(entries) {
+  const values = [];
+  const rows = entries.map((entry, index) => {
+    const offset = index * 6;
+    values.push(entry.licenseKeyHash, entry.domain, entry.action, entry.ipAddress, entry.userAgent, entry.timestamp);
+    return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6})`;
+  });
+
+  await pool.query(`
+    INSERT INTO license_usage (license_key_hash, domain, action, ip_address, user_agent, timestamp)
+    VALUES ${rows.join(', ')}
+  `, values);
+}
+
+// Data or constraint errors (SQLSTATE class 22/23) come from the rows themselves, and would fail
+// the batch on every flush
+function isRejectedRow(error) {
+  return /^2[23]/.test(error.code || '');
+}
+
+// Write a rejected batch row by row and drop the rows the database refuses. Returns rows written.
+async function insertRowByRow(batch) {
+  let written = 0;
+
+  for (const entry of batch) {
+    try {
+      await insertUsageRows([entry]);
+      written++;
+    } catch (error) {
+      if (!isRejectedRow(error)) throw error;
+      logger.warn('Usage row dropped', { action: entry.action, domain: entry.domain, reason: error.message });
+    }
+  }
+
+  return written;
+}
+
+// Write buffered rows in one multi-row INSERT per batch. A batch the database rejects is retried
+// row by row without the bad rows; one that keeps failing for another reason (e.g. the database
+// is down) stays buffered for MAX_FLUSH_ATTEMPTS flushes and is then dropped.
+async function flushUsage() {
+  if (flushing || buffer.length === 0) return 0;
+  flushing = true;
+
+  // Rows logged while the inserts run go to a fresh buffer, so trimming it to MAX_BUFFERED can't
+  // shift the rows being written
+  const pending = buffer;
+  buffer = [];
+
+  let done = 0;
+  let written = 0;
+  try {
+    while (done < pending.length) {
+      const batch = pending.slice(done, done + FLUSH_BATCH_SIZE);
+
+      try {
+        await insertUsageRows(batch);
+        written += batch.length;
+      } catch (error) {
+        if (isRejectedRow(error)) {
+          written += await insertRowByRow(batch);
+        } else if (++failedFlushes >= MAX_FLUSH_ATTEMPTS) {
+          logger.error('Usage batch dropped after repeated flush failures', { rows: batch.length, attempts: failedFlushes, error });
+        } else {
+          throw error;
+        }
+      }
+
+      done += batch.length;
+      failedFlushes = 0;
+    }
+  } finally {
+    // Unwritten rows go back ahead of the newer ones
+    buffer = pending.slice(done).concat(buffer);
+    flushing = false;
+  }
+
+  return written;
+}
+
+let flushTimer = null;
+
+function startUsageFlushWorker() {
+  if (flushTimer) return;
+
+  flushTimer = setInterval(() => {
+    flushUsage().catch(error => logger.error('Usage log flush error', { error }));
+  }, FLUSH_INTERVAL_MS);
+}
+
+function stopUsageFlushWorker() {
+  clearInterval(flushTimer);
+  flushTimer = null;
+}
+
+// Aggregates over [from, to) - for one license when licenseKeyHash is given, otherwise across all
+async function getUsageReport(client, { from, to, licenseKeyHash = null, topUserAgents = 10 }) {
+  const params = [from, to, licenseKeyHash];
+  const scope = `
+    timestamp >= $1 AND timestamp < $2
+    AND ($3::varchar IS NULL OR license_key_hash = $3)
+  `;
+
+  const validationsPerDay = await client.query(`
+    SELECT to_char(date_trunc('day', timestamp), 'YYYY-MM-DD') AS day,
+           COUNT(*) FILTER (WHERE action = 'validate')::int AS validations,
+           COUNT(*) FILTER (WHERE action = 'validate_rejected')::int AS rejected,
+           COUNT(DISTINCT license_key_hash) FILTER (WHERE action = 'validate')::int AS licenses
+    FROM license_usage
+    WHERE ${scope}
+    AND action IN ('validate', 'validate_rejected')
+    GROUP BY 1
+    ORDER BY 1
+  `, params);
+
+  const totals = await client.query(`
+    SELECT COUNT(*)::int AS events,
+           COUNT(DISTINCT domain)::int AS distinct_domains,
+           COUNT(DISTINCT license_key_hash)::int AS active_licenses
+    FROM license_usage
+    WHERE ${scope}
+  `, params);
+
+  const actions = await client.query(`
+    SELECT action, COUNT(*)::int AS count
+    FROM license_usage
+    WHERE ${scope}
+    GROUP BY action
+    ORDER BY count DESC
+  `, params);
+
+  const userAgents = await client.query(`
+    SELECT COALESCE(user_agent, '(none)') AS user_agent, COUNT(*)::int AS count
+    FROM license_usage
+    WHERE ${scope}
+    GROUP BY 1
+    ORDER BY count DESC
+    LIMIT $4
+  `, [...params, topUserAgents]);
+
+  return {
+    from,
+    to,
+    totals: {
+      events: totals.rows[0].events,
+      distinctDomains: totals.rows[0].distinct_domains,
+      activeLicenses: totals.rows[0].active_licenses
+    },
+    validationsPerDay: validationsPerDay.rows,
+    actions: actions.rows,
+    topUserAgents: userAgents.rows
+  };
+}
+
+// Domains seen for one license in the range, most active first
+async function getLicenseDomains(client, { from, to, licenseKeyHash }) {
+  const result = await client.query(`
+    SELECT domain, COUNT(*)::int AS events, MAX(timestamp) AS last_seen
+    FROM license_usage
+    WHERE timestamp >= $1 AND timestamp < $2
+    AND license_key_hash = $3
+    AND domain IS NOT NULL
+    GROUP BY domain
+    ORDER BY events DESC
+  `, [from, to, licenseKeyHash]);
+
+  return result.rows;
+}
+
+module.exports = {
+  isReportableAction,
+  logUsage,
+  flushUsage,
+  startUsageFlushWorker,
+  stopUsageFlushWorker,
+  getUsageReport,
+  getLicenseDomains
+};
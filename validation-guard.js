@@ -0,0 +1,246 @@
+// Brute-force protection for the plugin endpoints that take a license key. Only requests with a key
+// that matches no license count as failures - malformed keys per IP, well-formed ones also per key
+// prefix, which catches enumeration spread across many IPs. Too many failures in a window lock the
+// subject out, and every further lockout within a day doubles in length. While a lockout lasts every
+// request from the IP or for the prefix is refused, real keys included, so a locked-out client can't
+// tell hits from misses. Clients that only send known keys are never counted.
+
+const { isWellFormedLicenseKey, maskLicenseKey } = require('./license-keys');
+const { resolveLicenseKey } = require('./key-rotation');
+const { logger } = require('./logger');
+
+const MAX_LOCKOUT_SECONDS = 24 * 60 * 60;
+const LOCKOUT_MEMORY_HOURS = 24; // lockouts are forgotten after a day without failures
+
+const LIMITS = {
+  ip: {
+    maxFailures: parseInt(process.env.VALIDATE_IP_MAX_FAILURES, 10) || 20,
+    windowSeconds: 15 * 60,
+    baseLockoutSeconds: 5 * 60
+  },
+  prefix: {
+    maxFailures: parseInt(process.env.VALIDATE_PREFIX_MAX_FAILURES, 10) || 10,
+    windowSeconds: 60 * 60,
+    baseLockoutSeconds: 15 * 60
+  }
+};
+
+// EAA-7KQ4 for EAA-7KQ4-MZ3P-...
+function keyPrefix(licenseKey) {
+  return licenseKey.trim().toUpperCase().split('-').slice(0, 2).join('-');
+}
+
+function lockoutSeconds(limit, lockouts) {
+  return Math.min(limit.baseLockoutSeconds * 2 ** lockouts, MAX_LOCKOUT_SECONDS);
+}
+
+// Count one failure for a subject and lock it out once it reaches the limit.
+// Returns the seconds until the lockout ends, or 0 when it isn't locked.
+async function recordFailure(db, scope, subject) {
+  const limit = LIMITS[scope];
+
+  // Failures during a lockout don't count towards the next one
+  const result = await db.query(`
+    INSERT INTO validation_lockouts (scope, subject, failures)
+    VALUES ($1, $2, 1)
+    ON CONFLICT (scope, subject) DO UPDATE SET
+      failures = CASE
+        WHEN validation_lockouts.locked_until > NOW() THEN validation_lockouts.failures
+        WHEN validation_lockouts.window_started_at < NOW() - ($3 || ' seconds')::interval THEN 1
+        ELSE validation_lockouts.failures + 1
+      END,
+      window_started_at = CASE
+        WHEN validation_lockouts.locked_until > NOW() THEN validation_lockouts.window_started_at
+        WHEN validation_lockouts.window_started_at < NOW() - ($3 || ' seconds')::interval THEN NOW()
+        ELSE validation_lockouts.window_started_at
+      END,
+      lockouts = CASE
+        WHEN validation_lockouts.last_failure_at < NOW() - ($4 || ' hours')::interval THEN 0
+        ELSE validation_lockouts.lockouts
+      END,
+      last_failure_at = NOW()
+    RETURNING failures, lockouts, GREATEST(EXTRACT(EPOCH FROM locked_until - NOW()), 0)::int AS locked_for
+  `, [scope, subject, limit.windowSeconds, LOCKOUT_MEMORY_HOURS]);
+
+  const { failures, lockouts, locked_for: lockedFor } = result.rows[0];
+
+  if (lockedFor > 0) {
+    return lockedFor;
+  }
+  if (failures < limit.maxFailures) {
+    return 0;
+  }
+
+  const seconds = lockoutSeconds(limit, lockouts);
+
+  await db.query(`
+    UPDATE validation_lockouts
+    SET locked_until = NOW() + ($3 || ' seconds')::interval,
+        lockouts = lockouts + 1,
+        failures = 0,
+        window_started_at = NOW()
+    WHERE scope = $1 AND subject = $2
+  `, [scope, subject, seconds]);
+
+  logger.warn('Validation lockout', { scope, subject, seconds, lockout: lockouts + 1 });
+  return seconds;
+}
+
+// Record a request with a key that matches no license.
+// Returns { locked, retryAfterSeconds } for the longest lockout that now applies.
+async function recordFailedAttempt(db, { ipAddress, licenseKey }) {
+  const waits = [await recordFailure(db, 'ip', ipAddress || 'unknown')];
+
+  if (isWellFormedLicenseKey(licenseKey)) {
+    waits.push(await recordFailure(db, 'prefix', keyPrefix(licenseKey)));
+  }
+
+  const retryAfterSeconds = Math.max(...waits);
+  return { locked: retryAfterSeconds > 0, retryAfterSeconds };
+}
+
+// Seconds until the IP's or the key prefix's lockout ends, or 0 when neither is locked out
+async function getLockoutSeconds(db, { ipAddress, licenseKey }) {
+  const result = await db.query(`
+    SELECT COALESCE(MAX(CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))), 0)::int AS seconds
+    FROM validation_lockouts
+    WHERE locked_until > NOW()
+    AND ((scope = 'ip' AND subject = $1) OR (scope = 'prefix' AND subject = $2))
+  `, [ipAddress || 'unknown', isWellFormedLicenseKey(licenseKey) ? keyPrefix(licenseKey) : null]);
+
+  return result.rows[0].seconds;
+}
+
+async function isKnownLicenseKey(db, licenseKey) {
+  const { keyHash } = await resolveLicenseKey(db, licenseKey);
+  const result = await db.query('SELECT 1 FROM licenses WHERE license_key_hash = $1', [keyHash]);
+  return result.rows.length > 0;
+}
+
+// Express middleware for every endpoint that answers differently for a real and an unknown key
+// (req.params.licenseKey or req.body.licenseKey). A locked-out caller gets a 429 whatever the key.
+// A malformed or unknown key counts as a failure and is refused (400/404) before the route runs;
+// a known key is passed on even if its license is inactive, which the route decides. For /validate
+// (`validation`) every answer carries valid: false and an unknown key is a plain 200 like any other
+// invalid license.
+function guardLicenseKey(pool, { validation = false } = {}) {
+  const reject = (res, status, body) => res.status(status).json(validation ? { valid: false, ...body } : body);
+
+  const lockedOut = (res, seconds) => {
+    res.set('Retry-After', String(seconds));
+    return reject(res, 429, { error: 'Too many invalid license keys, please try again later', retryAfter: seconds });
+  };
+
+  return async (req, res, next) => {
+    const licenseKey = req.params.licenseKey || (req.body && req.body.licenseKey);
+
+    // The route answers a missing key with its own 400
+    if (!licenseKey) {
+      return next();
+    }
+
+    try {
+      const client = await pool.connect();
+
+      try {
+        const lockedFor = await getLockoutSeconds(client, { ipAddress: req.ip, licenseKey });
+        if (lockedFor > 0) {
+          return lockedOut(res, lockedFor);
+        }
+
+        const wellFormed = isWellFormedLicenseKey(licenseKey);
+        if (wellFormed && await isKnownLicenseKey(client, licenseKey)) {
+          return next();
+        }
+
+        const attempt = await recordFailedAttempt(client, { ipAddress: req.ip, licenseKey });
+        if (attempt.locked) {
+          return lockedOut(res, attempt.retryAfterSeconds);
+        }
+
+        // Catch typos with a clearer message
+        if (!wellFormed) {
+          return reject(res, validation ? 200 : 400, { error: 'Invalid license key format' });
+        }
+        reject(res, validation ? 200 : 404, { error: 'Invalid or inactive license key' });
+
+      } finally {
+        client.release();
+      }
+
+    } catch (error) {
+      logger.error('License key guard error', { keyHint: maskLicenseKey(licenseKey), error });
+      reject(res, 500, { error: 'Internal server error' });
+    }
+  };
+}
+
+async function listLockouts(db) {
+  const result = await db.query(`
+    SELECT scope, subject, lockouts, locked_until, last_failure_at
+    FROM validation_lockouts
+    WHERE locked_until > NOW()
+    ORDER BY locked_until DESC
+  `);
+
+  return result.rows;
+}
+
+// Lift a lockout and forget the subject's history. Returns false if there was nothing to clear.
+async function clearLockout(db, scope, subject) {
+  const result = await db.query(`
+    DELETE FROM validation_lockouts WHERE scope = $1 AND subject = $2
+  `, [scope, subject]);
+
+  return result.rowCount > 0;
+}
+
+// Drop subjects that have been quiet for longer than lockouts are remembered
+async function pruneLockouts(db) {
+  const result = await db.query(`
+    DELETE FROM validation_lockouts
+    WHERE last_failure_at < NOW() - ($1 || ' hours')::interval
+    AND (locked_until IS NULL OR locked_until < NOW())
+  `, [LOCKOUT_MEMORY_HOURS]);
+
+  return result.rowCount;
+}
+
+// Keys validated from more domains or IPs than a single customer plausibly uses in [from, to),
+// a sign of a shared or leaked key. Rejected validations count too: they are what a key that hit
+// its website limit produces.
+async function getSuspiciousActivity(db, { from, to, minDomains, minIps }) {
+  const result = await db.query(`
+    SELECT l.id, l.license_key_hint, l.email, l.plan, l.status,
+           COUNT(DISTINCT u.domain)::int AS distinct_domains,
+           COUNT(DISTINCT u.ip_address)::int AS distinct_ips,
+           COUNT(*) FILTER (WHERE u.action = 'validate_rejected')::int AS rejected,
+           COUNT(*)::int AS validations
+    FROM license_usage u
+    JOIN licenses l ON l.license_key_hash = u.license_key_hash
+    WHERE u.timestamp >= $1 AND u.timestamp < $2
+    AND u.action IN ('validate', 'validate_rejected')
+    GROUP BY l.id
+    HAVING COUNT(DISTINCT u.domain) >= $3 OR COUNT(DISTINCT u.ip_address) >= $4
+    ORDER BY distinct_domains DESC, distinct_ips DESC
+    LIMIT 100
+  `, [from, to, minDomains, minIps]);
+
+  return result.rows.map(row => ({
+    ...row,
+    reasons: [
+      row.distinct_domains >= minDomains && `validated from ${row.distinct_domains} domains`,
+      row.distinct_ips >= minIps && `validated from ${row.distinct_ips} IP addresses`
+    ].filter(Boolean)
+  }));
+}
+
+module.exports = {
+  recordFailedAttempt,
+  getLockoutSeconds,
+  guardLicenseKey,
+  listLockouts,
+  clearLockout,
+  pruneLockouts,
+  getSuspiciousActivity
+};